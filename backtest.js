@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+/**
+ * Laxmi Wallet Tracker - Strategy Backtester
+ *
+ * Replays a recorded alert stream and historical prices through TradingBot
+ * strategy configs and prints their results side by side.
+ *
+ * Usage:
+ *   npm run backtest -- --alerts alerts.jsonl --prices prices.jsonl --config backtest.json
+ *
+ * Options:
+ *   --alerts <file>    Recorded alerts (JSONL or JSON array)
+ *   --prices <file>    Price points { timestamp, mint, priceSol } (JSONL or JSON array)
+ *   --config <file>    Strategy configs (see examples/backtest.example.json)
+ *   --wallets <file>   Tracked wallets for tag matching (default: wallets in the alerts)
+ *   --balance <sol>    Starting SOL per strategy ledger (default: 1)
+ *   --interval <min>   Equity sample interval in minutes (default: 60)
+ *   --slippage <bps>   Fill below the historical price (default: 0)
+ *   --out <file>       Write full results (equity curves, trade logs) as JSON
+ *   --verbose          Show the bot's trade logs
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+import { Backtester, PriceSeries } from './src/backtester.js';
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+    const key = arg.slice(2);
+    if (key === 'verbose') {
+      args.verbose = true;
+    } else if (i + 1 < argv.length) {
+      args[key] = argv[++i];
+    } else {
+      throw new Error(`Missing value for ${arg}`);
+    }
+  }
+  return args;
+}
+
+function formatTable(results) {
+  const rows = [
+    ['Config', 'Final SOL', 'Return', 'Max DD', 'Sharpe', 'Sortino', 'Trades', 'Win rate'],
+    ...results.map(({ name, metrics }) => [
+      name,
+      metrics.finalEquity.toFixed(4),
+      `${metrics.returnPercent >= 0 ? '+' : ''}${metrics.returnPercent.toFixed(2)}%`,
+      `${metrics.maxDrawdownPercent.toFixed(2)}%`,
+      metrics.sharpe.toFixed(2),
+      metrics.sortino.toFixed(2),
+      String(metrics.trades),
+      `${metrics.winRate.toFixed(1)}%`
+    ])
+  ];
+  const widths = rows[0].map((_, col) => Math.max(...rows.map(row => row[col].length)));
+  return rows
+    .map(row => row.map((cell, col) => (col === 0 ? cell.padEnd(widths[col]) : cell.padStart(widths[col]))).join('  '))
+    .join('\n');
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.alerts || !args.prices || !args.config) {
+    console.error('Usage: npm run backtest -- --alerts <file> --prices <file> --config <file> [--wallets <file>] [--balance <sol>] [--interval <min>] [--slippage <bps>] [--out <file>] [--verbose]');
+    process.exit(1);
+  }
+
+  const config = JSON.parse(readFileSync(args.config, 'utf8'));
+  const configs = Array.isArray(config) ? config : config.configs || [config];
+  configs.forEach((c, i) => { c.name ||= `config-${i + 1}`; });
+
+  const backtester = new Backtester({
+    alerts: Backtester.loadAlerts(args.alerts),
+    prices: PriceSeries.fromFile(args.prices),
+    wallets: args.wallets ? JSON.parse(readFileSync(args.wallets, 'utf8')) : null,
+    startingBalance: args.balance ? parseFloat(args.balance) : 1.0,
+    interval: args.interval ? parseFloat(args.interval) * 60000 : 3600000,
+    slippageBps: args.slippage ? parseInt(args.slippage, 10) : 0
+  });
+
+  console.log(`📼 Replaying ${backtester.alerts.length} alerts over ${backtester.prices.times().length} price points\n`);
+
+  // The bot logs every trade; keep the output to the summary unless asked
+  const log = console.log;
+  if (!args.verbose) {
+    console.log = () => {};
+  }
+  let results;
+  try {
+    results = await backtester.compare(configs);
+  } finally {
+    console.log = log;
+  }
+
+  console.log(formatTable(results));
+
+  for (const result of results) {
+    if (result.errors.length > 0) {
+      console.log(`\n⚠️  ${result.name}: ${result.errors.length} errors (first: ${result.errors[0].error})`);
+    }
+    if (result.rejections.length > 0) {
+      console.log(`\n🛡️  ${result.name}: ${result.rejections.length} trades rejected by risk limits (first: ${result.rejections[0].reason})`);
+    }
+  }
+
+  if (args.out) {
+    writeFileSync(args.out, JSON.stringify(results, null, 2));
+    console.log(`\n💾 Results saved to ${args.out}`);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Backtest failed:', error.message);
+  process.exit(1);
+});
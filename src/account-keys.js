@@ -0,0 +1,42 @@
+/**
+ * Resolve every account key of a transaction, in balance-index order
+ *
+ * `meta.preBalances`/`postBalances` (and `accountIndex` in token balances)
+ * index into the static keys followed by the keys loaded through address
+ * lookup tables: writable first, then readonly. Versioned transactions only
+ * carry the static keys in the message, so the loaded ones come from
+ * `meta.loadedAddresses`.
+ *
+ * Handles web3.js `getTransaction` results (legacy `Message` and `MessageV0`)
+ * as well as raw RPC JSON (`encoding: 'json'` or `'jsonParsed'`). Returns
+ * base58 strings.
+ */
+export function resolveAccountKeys(tx) {
+  const message = tx.transaction.message;
+  const loadedAddresses = tx.meta?.loadedAddresses;
+
+  if (message.getAccountKeys) {
+    const hasLookups = (message.addressTableLookups || []).length > 0;
+    const accountKeys = hasLookups
+      ? message.getAccountKeys({ accountKeysFromLookups: loadedAddresses })
+      : message.getAccountKeys();
+
+    return accountKeys.keySegments().flat().map(key => key.toString());
+  }
+
+  const accountKeys = (message.accountKeys || []).map(key => (key.pubkey || key).toString());
+
+  // jsonParsed already lists the loaded keys (with `source: 'lookupTable'`)
+  const alreadyResolved = (message.accountKeys || []).some(key => key.source === 'lookupTable');
+  if (!loadedAddresses || alreadyResolved) {
+    return accountKeys;
+  }
+
+  return [
+    ...accountKeys,
+    ...loadedAddresses.writable.map(key => key.toString()),
+    ...loadedAddresses.readonly.map(key => key.toString())
+  ];
+}
+
+export default resolveAccountKeys;
@@ -0,0 +1,314 @@
+import fs from 'fs';
+import { EventEmitter } from 'events';
+
+/**
+ * AlertRecorder - Capture a WalletMonitor's alert stream to JSONL
+ *
+ * Every emitted alert is appended as `{ recordedAt, event: 'alert', alert }`,
+ * and (with `raw`, the default) the `getTransaction` response behind it as
+ * `{ recordedAt, event: 'transaction', signature, wallet, raw }`. When the
+ * file would grow past `maxBytes` it is rotated to `<file>.1`, `<file>.2`, ...
+ * keeping `maxFiles` old files. Write errors are logged, never thrown, so a
+ * full disk can't stop monitoring.
+ *
+ * Replay a recording with ReplayMonitor, or feed it to the Backtester.
+ */
+export class AlertRecorder {
+  constructor(options = {}) {
+    this.options = {
+      file: options.file || './alerts.jsonl',
+      maxBytes: options.maxBytes || 10 * 1024 * 1024, // Rotate at 10 MB
+      maxFiles: options.maxFiles || 5, // Rotated files kept
+      raw: options.raw !== false, // Record raw getTransaction payloads
+      ...options
+    };
+
+    this.size = fs.existsSync(this.options.file) ? fs.statSync(this.options.file).size : 0;
+    this.recorded = 0;
+    this.monitor = null;
+    this.listeners = null;
+  }
+
+  /**
+   * Start recording a monitor's alerts (and raw transactions)
+   */
+  attach(monitor) {
+    this.detach();
+    this.monitor = monitor;
+    this.listeners = {
+      alert: alert => this.record('alert', { alert }),
+      transaction: ({ signature, wallet, raw }) => this.record('transaction', { signature, wallet, raw })
+    };
+
+    monitor.on('alert', this.listeners.alert);
+    if (this.options.raw) {
+      monitor.on('transaction', this.listeners.transaction);
+    }
+    return this;
+  }
+
+  /**
+   * Stop recording
+   */
+  detach() {
+    if (!this.monitor) {
+      return;
+    }
+    this.monitor.off('alert', this.listeners.alert);
+    this.monitor.off('transaction', this.listeners.transaction);
+    this.monitor = null;
+    this.listeners = null;
+  }
+
+  /**
+   * Append one event
+   */
+  record(event, data) {
+    try {
+      const line = JSON.stringify({ recordedAt: new Date().toISOString(), event, ...data }) + '\n';
+      const bytes = Buffer.byteLength(line);
+      if (this.size > 0 && this.size + bytes > this.options.maxBytes) {
+        this._rotate();
+      }
+
+      fs.appendFileSync(this.options.file, line);
+      this.size += bytes;
+      this.recorded++;
+    } catch (error) {
+      console.error('Error recording alert:', error.message);
+    }
+  }
+
+  /**
+   * Shift <file> -> <file>.1 -> <file>.2 ..., dropping the oldest
+   */
+  _rotate() {
+    const { file, maxFiles } = this.options;
+    fs.rmSync(`${file}.${maxFiles}`, { force: true });
+    for (let i = maxFiles - 1; i >= 1; i--) {
+      if (fs.existsSync(`${file}.${i}`)) {
+        fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`);
+      }
+    }
+    fs.renameSync(file, `${file}.1`);
+    this.size = 0;
+  }
+
+  /**
+   * Read a recording, oldest first
+   *
+   * With `rotated`, the rotated files (`<file>.N` ... `<file>.1`) are read
+   * before `file` itself.
+   */
+  static read(file, { rotated = true } = {}) {
+    const files = [];
+    if (rotated) {
+      for (let i = 1; fs.existsSync(`${file}.${i}`); i++) {
+        files.unshift(`${file}.${i}`);
+      }
+    }
+    if (fs.existsSync(file)) {
+      files.push(file);
+    }
+    if (files.length === 0) {
+      throw new Error(`Recording not found: ${file}`);
+    }
+
+    const records = [];
+    for (const path of files) {
+      const lines = fs.readFileSync(path, 'utf8').split('\n');
+      lines.forEach((line, index) => {
+        if (!line.trim()) return;
+        try {
+          records.push(JSON.parse(line));
+        } catch (error) {
+          // A crash mid-write can leave a partial last line
+          console.warn(`⚠️  Skipping bad line ${path}:${index + 1}: ${error.message}`);
+        }
+      });
+    }
+    return records;
+  }
+}
+
+/**
+ * ReplayMonitor - Stand-in for WalletMonitor that re-emits a recording
+ *
+ * Emits the same `alert`, per-type and `transaction` events as the
+ * RPC-backed monitor, spaced like the original stream divided by `speed`
+ * (0 replays as fast as possible). `maxDelay` caps long quiet spells.
+ * Emits `end` once the recording is done (unless `loop`).
+ *
+ * Alerts are replayed exactly as recorded: wallet settings and alert rules
+ * already applied when they were captured. Filters from `addFilter` and
+ * wallets removed with `removeWallet` are still honored.
+ */
+export class ReplayMonitor extends EventEmitter {
+  constructor(tracker, options = {}) {
+    super();
+    this.tracker = tracker;
+    this.options = {
+      file: options.file || './alerts.jsonl',
+      speed: options.speed ?? 1, // 1 = real time, 10 = ten times faster, 0 = no waiting
+      maxDelay: options.maxDelay ?? null, // Longest wait between events in ms
+      loop: options.loop || false, // Start over at the end
+      mode: 'replay',
+      ...options
+    };
+
+    this.records = options.records || null; // Loaded from `file` on start()
+    this.isMonitoring = false;
+    this.activeMode = null;
+    this.timer = null;
+    this.position = 0;
+    this.lastTime = null;
+    this.filters = new Map(); // wallet -> [filter functions]
+    this.removedWallets = new Set();
+    this.stats = { replayed: 0, alertsByType: {} };
+  }
+
+  /**
+   * Start replaying
+   */
+  async start() {
+    if (this.isMonitoring) {
+      return;
+    }
+
+    this.records ||= AlertRecorder.read(this.options.file);
+    console.log(`📼 Replaying ${this.records.length} recorded events from ${this.options.file} (${this.options.speed ? `${this.options.speed}x` : 'no delay'})`);
+    this.isMonitoring = true;
+    this.activeMode = 'replay';
+    this._scheduleNext();
+  }
+
+  /**
+   * Stop replaying (start() resumes where it stopped)
+   */
+  stop() {
+    this.isMonitoring = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    console.log('🛑 Replay stopped');
+  }
+
+  registerWebhook() {
+    console.warn('⚠️  Webhooks are not sent during replay');
+  }
+
+  addFilter(walletName, filterFn) {
+    if (!this.filters.has(walletName)) {
+      this.filters.set(walletName, []);
+    }
+    this.filters.get(walletName).push(filterFn);
+  }
+
+  async addWallet(wallet) {
+    this.removedWallets.delete(wallet.name);
+  }
+
+  removeWallet(wallet) {
+    this.removedWallets.add(wallet.name);
+  }
+
+  renameWallet(oldName, newName) {
+    if (this.filters.has(oldName)) {
+      this.filters.set(newName, this.filters.get(oldName));
+      this.filters.delete(oldName);
+    }
+  }
+
+  _scheduleNext() {
+    if (!this.isMonitoring) {
+      return;
+    }
+
+    if (this.position >= this.records.length) {
+      if (!this.options.loop || this.records.length === 0) {
+        this.isMonitoring = false;
+        console.log(`📼 Replay finished (${this.stats.replayed} events)`);
+        this.emit('end', { replayed: this.stats.replayed });
+        return;
+      }
+      this.position = 0;
+      this.lastTime = null;
+    }
+
+    const record = this.records[this.position];
+    const time = new Date(record.recordedAt).getTime();
+    let delay = 0;
+    if (this.options.speed > 0 && this.lastTime !== null && !Number.isNaN(time)) {
+      delay = Math.max(0, (time - this.lastTime) / this.options.speed);
+      if (this.options.maxDelay !== null) {
+        delay = Math.min(delay, this.options.maxDelay);
+      }
+    }
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.position++;
+      this.lastTime = Number.isNaN(time) ? this.lastTime : time;
+      try {
+        this._replay(record);
+      } catch (error) {
+        // Log and keep going like WalletMonitor; emitting 'error' unheard would throw from the timer
+        console.error('Replay error:', error.message);
+        if (this.listenerCount('error') > 0) {
+          this.emit('error', error);
+        }
+      }
+      this._scheduleNext();
+    }, delay);
+  }
+
+  _replay(record) {
+    if (record.event === 'transaction') {
+      if (this.removedWallets.has(record.wallet?.name)) return;
+      this.emit('transaction', { signature: record.signature, wallet: record.wallet, raw: record.raw });
+      this.stats.replayed++;
+      return;
+    }
+
+    if (record.event !== 'alert') {
+      return;
+    }
+
+    const { alert } = record;
+    if (this.removedWallets.has(alert.wallet.name)) {
+      return;
+    }
+    const filters = this.filters.get(alert.wallet.name) || [];
+    if (!filters.every(filter => filter(alert))) {
+      return;
+    }
+
+    this.stats.replayed++;
+    this.stats.alertsByType[alert.type] = (this.stats.alertsByType[alert.type] || 0) + 1;
+    this.emit('alert', alert);
+    this.emit(alert.type, alert);
+  }
+
+  /**
+   * Replay progress, shaped like WalletMonitor.getStats()
+   */
+  getStats() {
+    return {
+      isMonitoring: this.isMonitoring,
+      mode: 'replay',
+      walletsMonitored: this.tracker.wallets.length,
+      pollInterval: null,
+      subscriptions: 0,
+      stateFile: null,
+      webhooksRegistered: 0,
+      file: this.options.file,
+      speed: this.options.speed,
+      position: this.position,
+      total: this.records?.length || 0,
+      replayed: this.stats.replayed,
+      totalAlerts: Object.values(this.stats.alertsByType).reduce((sum, count) => sum + count, 0),
+      alertsByType: { ...this.stats.alertsByType }
+    };
+  }
+}
+
+export default AlertRecorder;
@@ -0,0 +1,342 @@
+import fs from 'fs';
+import { EventEmitter } from 'events';
+import { SOL_MINT } from './swap-decoder.js';
+
+/**
+ * Rule actions
+ *
+ * notify, suppress and escalate decide what happens to the alert and stop
+ * evaluation. tag adds `tags` to the alert and carries on to the next rule.
+ */
+export const RuleAction = {
+  NOTIFY: 'notify',
+  SUPPRESS: 'suppress',
+  ESCALATE: 'escalate',
+  TAG: 'tag'
+};
+
+const CONDITION_KEYS = ['type', 'wallet', 'tag', 'solAmount', 'mint', 'marketCap', 'score', 'timeOfDay'];
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte', 'eq'];
+
+/**
+ * AlertRulesEngine - Declarative alert rules loaded from a JSON file
+ *
+ * ```json
+ * {
+ *   "default": "notify",
+ *   "rules": [
+ *     { "name": "mute-dust", "when": { "solAmount": { "lt": 0.1 } }, "action": "suppress" },
+ *     {
+ *       "name": "whale-buys",
+ *       "when": { "all": [{ "type": "SWAP_BUY" }, { "any": [{ "wallet": "whale" }, { "tag": "smart" }] }] },
+ *       "action": "escalate"
+ *     }
+ *   ]
+ * }
+ * ```
+ *
+ * Conditions: `type`, `wallet`, `tag` (a value or a list), `mint`, numeric
+ * ranges `solAmount`/`marketCap`/`score` ({ gt, gte, lt, lte, eq }) and
+ * `timeOfDay` ({ from: "22:00", to: "06:00", utc }). Several keys in one
+ * object must all match; compose with `all`, `any` and `not`. A condition on
+ * data the alert doesn't carry (e.g. market cap before analysis) never matches.
+ *
+ * Rules are evaluated in order. The file is watched and reloaded on change;
+ * if the new file is invalid the previous rules stay in effect.
+ */
+export class AlertRulesEngine extends EventEmitter {
+  constructor(rulesFile = null, options = {}) {
+    super();
+    this.rulesFile = rulesFile;
+    this.options = {
+      watch: options.watch !== false, // Hot-reload when the file changes
+      watchInterval: options.watchInterval || 1000,
+      ...options
+    };
+
+    this.rules = [];
+    this.defaultAction = RuleAction.NOTIFY;
+    this.watching = false;
+
+    if (options.rules) {
+      this.setRules({ rules: options.rules, default: options.default });
+    } else if (rulesFile) {
+      this.loadRules();
+      if (this.options.watch) {
+        this._watch();
+      }
+    }
+  }
+
+  /**
+   * Load rules from the rules file
+   */
+  loadRules() {
+    if (/\.ya?ml$/i.test(this.rulesFile)) {
+      throw new Error('YAML rule files are not supported, use JSON');
+    }
+
+    const content = fs.readFileSync(this.rulesFile, 'utf8');
+    this.setRules(JSON.parse(content));
+    console.log(`📜 Loaded ${this.rules.length} alert rule(s) from ${this.rulesFile}`);
+  }
+
+  /**
+   * Replace the active rules (validated first)
+   */
+  setRules(config) {
+    const rules = config.rules || [];
+    const defaultAction = config.default || RuleAction.NOTIFY;
+
+    if (![RuleAction.NOTIFY, RuleAction.SUPPRESS].includes(defaultAction)) {
+      throw new Error(`Invalid default action: ${defaultAction}`);
+    }
+
+    rules.forEach((rule, i) => this._validateRule(rule, i));
+
+    this.rules = rules;
+    this.defaultAction = defaultAction;
+  }
+
+  /**
+   * Stop watching the rules file
+   */
+  close() {
+    if (this.watching) {
+      fs.unwatchFile(this.rulesFile);
+      this.watching = false;
+    }
+  }
+
+  /**
+   * Evaluate an alert against the rules
+   *
+   * `wallet` is the tracked wallet config (for tags). Returns
+   * `{ action, rule, tags, matchedRules }`, where `rule` is the name of the
+   * rule that decided the action (null if the default applied).
+   */
+  evaluate(alert, wallet = null) {
+    const tags = [];
+    const matchedRules = [];
+    const context = { alert, wallet, now: new Date() };
+
+    for (const rule of this.rules) {
+      if (!this._matches(rule.when || {}, context)) {
+        continue;
+      }
+
+      matchedRules.push(rule.name);
+
+      if (rule.action === RuleAction.TAG) {
+        tags.push(...(rule.tags || []));
+        continue;
+      }
+
+      tags.push(...(rule.tags || []));
+      return { action: rule.action, rule: rule.name, tags, matchedRules };
+    }
+
+    return { action: this.defaultAction, rule: null, tags, matchedRules };
+  }
+
+  /**
+   * Evaluate an alert and record the outcome on it
+   *
+   * Sets `alert.rule`, `alert.tags`, and `alert.priority = 'high'` when
+   * escalated. Returns false if the alert should be suppressed.
+   */
+  apply(alert, wallet = null) {
+    const result = this.evaluate(alert, wallet);
+
+    alert.rule = { name: result.rule, action: result.action, matched: result.matchedRules };
+    if (result.tags.length > 0) {
+      alert.tags = [...new Set([...(alert.tags || []), ...result.tags])];
+    }
+    if (result.action === RuleAction.ESCALATE) {
+      alert.priority = 'high';
+    }
+
+    return result.action !== RuleAction.SUPPRESS;
+  }
+
+  /**
+   * Check a (possibly composite) condition
+   */
+  _matches(condition, context) {
+    if (condition.all) {
+      return condition.all.every(c => this._matches(c, context));
+    }
+    if (condition.any) {
+      return condition.any.some(c => this._matches(c, context));
+    }
+    if (condition.not) {
+      return !this._matches(condition.not, context);
+    }
+
+    const { alert, wallet, now } = context;
+
+    return Object.entries(condition).every(([key, expected]) => {
+      switch (key) {
+        case 'type':
+          return this._oneOf(expected, alert.type);
+        case 'wallet':
+          return this._oneOf(expected, alert.wallet?.name) || this._oneOf(expected, alert.wallet?.address);
+        case 'tag':
+          return (wallet?.tags || []).some(tag => this._oneOf(expected, tag));
+        case 'mint':
+          return this._getMints(alert).some(mint => this._oneOf(expected, mint));
+        case 'solAmount':
+          return this._inRange(expected, this._getSolAmount(alert));
+        case 'marketCap':
+          return this._inRange(expected, alert.analysis?.marketData?.marketCap);
+        case 'score':
+          return this._inRange(expected, alert.analysis?.scoring?.score ?? alert.thesis?.score);
+        case 'timeOfDay':
+          return this._inTimeWindow(expected, now);
+        default:
+          return false;
+      }
+    });
+  }
+
+  /**
+   * `expected` is a value or a list of values
+   */
+  _oneOf(expected, value) {
+    if (value === undefined || value === null) return false;
+    const values = Array.isArray(expected) ? expected : [expected];
+    return values.some(v => String(v).toLowerCase() === String(value).toLowerCase());
+  }
+
+  /**
+   * Numeric range check; missing values never match
+   */
+  _inRange(range, value) {
+    if (typeof value !== 'number' || Number.isNaN(value)) return false;
+    if (range.gt !== undefined && !(value > range.gt)) return false;
+    if (range.gte !== undefined && !(value >= range.gte)) return false;
+    if (range.lt !== undefined && !(value < range.lt)) return false;
+    if (range.lte !== undefined && !(value <= range.lte)) return false;
+    if (range.eq !== undefined && value !== range.eq) return false;
+    return true;
+  }
+
+  /**
+   * "HH:MM" window, wrapping past midnight when `from` > `to`
+   */
+  _inTimeWindow({ from = '00:00', to = '24:00', utc = false }, now) {
+    const minutes = utc
+      ? now.getUTCHours() * 60 + now.getUTCMinutes()
+      : now.getHours() * 60 + now.getMinutes();
+    const toMinutes = time => {
+      const [h, m] = time.split(':').map(Number);
+      return h * 60 + (m || 0);
+    };
+
+    const start = toMinutes(from);
+    const end = toMinutes(to);
+    return start <= end
+      ? minutes >= start && minutes < end
+      : minutes >= start || minutes < end;
+  }
+
+  /**
+   * SOL moved by the alert: the swap's SOL leg, the transfer amount or the
+   * balance change
+   */
+  _getSolAmount(alert) {
+    if (alert.trade) {
+      if (alert.trade.inputMint === SOL_MINT) return alert.trade.inputAmount;
+      if (alert.trade.outputMint === SOL_MINT) return alert.trade.outputAmount;
+    }
+    if (typeof alert.transaction?.amount === 'number') {
+      return alert.transaction.amount;
+    }
+    if (alert.transaction?.balanceChanges && alert.wallet?.address) {
+      const change = alert.transaction.balanceChanges[alert.wallet.address];
+      if (change !== undefined) return Math.abs(change);
+    }
+    if (alert.balance) {
+      return Math.abs(alert.balance.change);
+    }
+    return undefined;
+  }
+
+  /**
+   * Token mints involved in the alert
+   */
+  _getMints(alert) {
+    const mints = [];
+    if (alert.trade) {
+      mints.push(alert.trade.inputMint, alert.trade.outputMint);
+    }
+    for (const transfer of alert.transaction?.tokenTransfers || []) {
+      mints.push(transfer.mint);
+    }
+    return mints.filter(mint => mint && mint !== SOL_MINT);
+  }
+
+  /**
+   * Reject rules the engine can't evaluate
+   */
+  _validateRule(rule, index) {
+    const label = rule.name || `#${index + 1}`;
+
+    if (!rule.name) {
+      throw new Error(`Rule ${label} needs a name`);
+    }
+    if (!Object.values(RuleAction).includes(rule.action)) {
+      throw new Error(`Rule ${label} has invalid action: ${rule.action}`);
+    }
+    if (rule.action === RuleAction.TAG && !(rule.tags || []).length) {
+      throw new Error(`Rule ${label} uses the tag action without tags`);
+    }
+
+    const check = (condition) => {
+      if (condition.all || condition.any) {
+        const list = condition.all || condition.any;
+        if (!Array.isArray(list)) throw new Error(`Rule ${label}: all/any must be a list`);
+        list.forEach(check);
+        return;
+      }
+      if (condition.not) {
+        check(condition.not);
+        return;
+      }
+
+      for (const [key, value] of Object.entries(condition)) {
+        if (!CONDITION_KEYS.includes(key)) {
+          throw new Error(`Rule ${label} has unknown condition: ${key}`);
+        }
+        if (['solAmount', 'marketCap', 'score'].includes(key)) {
+          const operators = Object.keys(value || {});
+          if (operators.length === 0 || operators.some(op => !RANGE_OPERATORS.includes(op))) {
+            throw new Error(`Rule ${label}: ${key} needs one of ${RANGE_OPERATORS.join(', ')}`);
+          }
+        }
+      }
+    };
+
+    check(rule.when || {});
+  }
+
+  /**
+   * Reload the rules file whenever it changes
+   */
+  _watch() {
+    this.watching = true;
+    fs.watchFile(this.rulesFile, { interval: this.options.watchInterval }, (curr, prev) => {
+      if (curr.mtimeMs === prev.mtimeMs) return;
+
+      try {
+        this.loadRules();
+        this.emit('reload', { rules: this.rules.length });
+      } catch (error) {
+        console.error(`⚠️  Alert rules not reloaded, keeping previous rules: ${error.message}`);
+        this.emit('error', error);
+      }
+    });
+  }
+}
+
+export default AlertRulesEngine;
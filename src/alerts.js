@@ -1,4 +1,9 @@
 import { EventEmitter } from 'events';
+import { PublicKey, LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { MonitorState } from './monitor-state.js';
+import { AlertRulesEngine } from './alert-rules.js';
+import { matchesWallet } from './wallet-groups.js';
+import { SOL_MINT } from './swap-decoder.js';
 
 /**
  * Alert types
@@ -9,11 +14,24 @@ export const AlertType = {
   BALANCE_CHANGE: 'BALANCE_CHANGE',
   TOKEN_TRANSFER: 'TOKEN_TRANSFER',
   LARGE_TRANSACTION: 'LARGE_TRANSACTION',
-  NEW_TRANSACTION: 'NEW_TRANSACTION'
+  NEW_TRANSACTION: 'NEW_TRANSACTION',
+  SWAP_BUY: 'SWAP_BUY',
+  SWAP_SELL: 'SWAP_SELL',
+  POSITION_TRIGGER: 'POSITION_TRIGGER'  // Raised by PositionWatcher exits, not the monitor
 };
 
 /**
  * WalletMonitor - Real-time wallet monitoring and alerting
+ *
+ * Two modes are supported:
+ * - 'poll' (default): check every wallet each `pollInterval`
+ * - 'subscribe': push updates via `onLogs`/`onAccountChange` websocket
+ *   subscriptions, with a periodic resync to fill in anything missed while
+ *   the socket was down. Falls back to polling if subscriptions keep failing
+ *   or the socket stays down for `socketTimeout`.
+ *
+ * Changes in connection state are emitted as `status` events
+ * (`{ mode, connected, reason }`).
  */
 export class WalletMonitor extends EventEmitter {
   constructor(tracker, options = {}) {
@@ -22,14 +40,36 @@ export class WalletMonitor extends EventEmitter {
     this.options = {
       pollInterval: options.pollInterval || 10000, // 10 seconds
       largeTransactionThreshold: options.largeTransactionThreshold || 10, // 10 SOL
+      mode: options.mode || 'poll', // 'poll' or 'subscribe'
+      resyncInterval: options.resyncInterval || 300000, // 5 minutes
+      maxReconnectAttempts: options.maxReconnectAttempts || 3,
+      socketTimeout: options.socketTimeout || 30000, // Websocket downtime before falling back to polling
+      stateFile: options.stateFile || null, // Persist cursors here to catch up after restarts
+      maxBackfill: options.maxBackfill || 50, // Max missed transactions to replay on startup
+      pageSize: options.pageSize || 25, // Signatures fetched per RPC page
+      maxSignaturePages: options.maxSignaturePages || 10, // Pages per check before reporting a gap
+      rules: options.rules || null, // AlertRulesEngine or path to a rules file
       ...options
     };
 
+    this.state = this.options.stateFile ? new MonitorState(this.options.stateFile) : null;
+    this.ownsRules = typeof this.options.rules === 'string';
+    this.rules = this.ownsRules ? new AlertRulesEngine(this.options.rules) : this.options.rules;
+
     this.isMonitoring = false;
+    this.activeMode = null;
+    this.subscriptions = new Map(); // wallet -> { logs, account } subscription ids
+    this.walletQueues = new Map(); // wallet -> promise chain of pending checks
+    this.pendingChecks = new Set(); // wallets with a queued (not yet started) check
+    this.seedingWallets = new Set(); // wallets added while running, cursor not seeded yet
+    this.announcedSignatures = new Set(); // signatures seen via onLogs
+    this.reconnectAttempts = 0;
+    this.socketWatch = null; // { socket, listeners } while watching the websocket
+    this.socketTimer = null; // Pending fallback while the websocket is down
     this.lastChecked = new Map(); // wallet -> last signature
     this.lastBalances = new Map(); // wallet -> balance
     this.webhooks = [];
-    this.filters = new Map(); // wallet -> filters
+    this.filters = new Map(); // wallet -> [filter functions]
   }
 
   /**
@@ -39,7 +79,7 @@ export class WalletMonitor extends EventEmitter {
     this.webhooks.push({
       url: config.url,
       events: config.events || Object.values(AlertType),
-      wallets: config.wallets || 'all',
+      wallets: config.wallets || 'all', // Names, addresses, tags or 'all'
       filters: config.filters || {},
       headers: config.headers || {}
     });
@@ -47,9 +87,16 @@ export class WalletMonitor extends EventEmitter {
 
   /**
    * Add custom alert filter
+   *
+   * Filters for the same wallet are combined; every one must pass. Prefer
+   * declarative rules (`options.rules`) for anything that should be
+   * configurable without code.
    */
   addFilter(walletName, filterFn) {
-    this.filters.set(walletName, filterFn);
+    if (!this.filters.has(walletName)) {
+      this.filters.set(walletName, []);
+    }
+    this.filters.get(walletName).push(filterFn);
   }
 
   /**
@@ -64,18 +111,42 @@ export class WalletMonitor extends EventEmitter {
     this.isMonitoring = true;
 
     // Initialize last checked state
+    const resumed = [];
     for (const wallet of this.tracker.wallets) {
-      const txs = await this.tracker.getRecentTransactions(wallet.trackedWalletAddress, 1);
-      if (txs.length > 0) {
-        this.lastChecked.set(wallet.name, txs[0].signature);
+      const cursor = this.state?.getCursor(wallet.trackedWalletAddress);
+
+      if (cursor?.signature) {
+        // Resume from the saved cursor and catch up below
+        this.lastChecked.set(wallet.name, cursor.signature);
+        if (cursor.balance !== undefined) {
+          this.lastBalances.set(wallet.name, cursor.balance);
+        }
+        resumed.push(wallet);
+        continue;
       }
 
-      const balance = await this.tracker.getBalance(wallet.trackedWalletAddress);
-      this.lastBalances.set(wallet.name, balance);
+      await this._seedWallet(wallet);
     }
 
-    this._monitorLoop();
-    console.log(`✅ Monitoring ${this.tracker.wallets.length} wallets`);
+    // Replay whatever happened while we were down
+    if (resumed.length > 0) {
+      console.log(`⏪ Catching up on ${resumed.length} wallet(s) from saved cursor...`);
+      for (const wallet of resumed) {
+        try {
+          await this._checkWallet(wallet, { maxTransactions: this.options.maxBackfill, backfilled: true });
+        } catch (error) {
+          console.error(`Backfill error (${wallet.name}):`, error.message);
+          this.emit('error', error);
+        }
+      }
+    }
+
+    if (this.options.mode === 'subscribe') {
+      this._startSubscriptions();
+    } else {
+      this._startPolling();
+    }
+    console.log(`✅ Monitoring ${this.tracker.wallets.length} wallets (${this.activeMode} mode)`);
   }
 
   /**
@@ -83,9 +154,331 @@ export class WalletMonitor extends EventEmitter {
    */
   stop() {
     this.isMonitoring = false;
+    this._unwatchSocket();
+    this._unsubscribeAll();
+    if (this.ownsRules) {
+      this.rules.close();
+    }
     console.log('🛑 Wallet monitor stopped');
   }
 
+  /**
+   * Start monitoring a wallet that was added while running
+   *
+   * Seeds the cursor at the wallet's latest transaction so existing history
+   * doesn't raise alerts. Polling skips the wallet until this finishes. Call
+   * after the wallet has been added to `tracker.wallets`.
+   */
+  async addWallet(wallet) {
+    if (!this.isMonitoring) {
+      return; // start() seeds every wallet
+    }
+
+    this.seedingWallets.add(wallet.name);
+    try {
+      await this._seedWallet(wallet);
+    } finally {
+      this.seedingWallets.delete(wallet.name);
+    }
+
+    if (this.activeMode === 'subscribe') {
+      this._subscribeWallet(wallet);
+    }
+    console.log(`➕ Now monitoring ${wallet.emoji} ${wallet.name}`);
+  }
+
+  /**
+   * Stop monitoring a wallet that was removed while running
+   */
+  removeWallet(wallet) {
+    const subscription = this.subscriptions.get(wallet.name);
+    if (subscription) {
+      this.tracker.connection.removeOnLogsListener(subscription.logs).catch(() => {});
+      this.tracker.connection.removeAccountChangeListener(subscription.account).catch(() => {});
+    }
+
+    for (const map of [this.subscriptions, this.lastChecked, this.lastBalances, this.walletQueues]) {
+      map.delete(wallet.name);
+    }
+    this.pendingChecks.delete(wallet.name);
+    this.state?.remove(wallet.trackedWalletAddress);
+    console.log(`➖ Stopped monitoring ${wallet.emoji} ${wallet.name}`);
+  }
+
+  /**
+   * Move per-wallet state to a wallet's new name
+   */
+  renameWallet(oldName, newName) {
+    for (const map of [this.subscriptions, this.lastChecked, this.lastBalances, this.walletQueues, this.filters]) {
+      if (map.has(oldName)) {
+        map.set(newName, map.get(oldName));
+        map.delete(oldName);
+      }
+    }
+    if (this.pendingChecks.delete(oldName)) {
+      this.pendingChecks.add(newName);
+    }
+  }
+
+  /**
+   * Record a wallet's latest signature and balance as the starting point
+   */
+  async _seedWallet(wallet) {
+    const txs = await this.tracker.getRecentTransactions(wallet.trackedWalletAddress, 1);
+    if (txs.length > 0) {
+      this.lastChecked.set(wallet.name, txs[0].signature);
+      this.state?.setCursor(wallet.trackedWalletAddress, txs[0].signature, txs[0].slot);
+    }
+
+    const balance = await this.tracker.getBalance(wallet.trackedWalletAddress);
+    this.lastBalances.set(wallet.name, balance);
+    this.state?.setBalance(wallet.trackedWalletAddress, balance);
+  }
+
+  /**
+   * Start the polling loop
+   */
+  _startPolling() {
+    this.activeMode = 'poll';
+    this._monitorLoop();
+  }
+
+  /**
+   * Subscribe to all wallets, falling back to polling if that fails
+   */
+  _startSubscriptions() {
+    try {
+      this._subscribeAll();
+      this.activeMode = 'subscribe';
+      this._watchSocket();
+      this._resyncLoop();
+    } catch (error) {
+      console.error('⚠️  Subscription setup failed, falling back to polling:', error.message);
+      this.emit('error', error);
+      this._unsubscribeAll();
+      this._startPolling();
+    }
+  }
+
+  /**
+   * Give up on subscriptions and poll instead
+   */
+  _fallBackToPolling(reason) {
+    console.warn(`⚠️  ${reason}, falling back to polling`);
+    this._unwatchSocket();
+    this._unsubscribeAll();
+    this._startPolling();
+    this.emit('fallback', { mode: 'poll', reason });
+    this.emit('status', { mode: 'poll', connected: false, reason });
+  }
+
+  /**
+   * Watch the websocket behind the subscriptions
+   *
+   * `onLogs`/`onAccountChange` say nothing when the socket dies, so this
+   * listens to the connection's websocket client. web3.js reconnects and
+   * resubscribes on its own; once the socket is back every wallet is
+   * re-checked to catch up on what happened meanwhile. If it isn't back
+   * within `socketTimeout`, the monitor falls back to polling. A normal close
+   * (code 1000, e.g. after unsubscribing) is ignored.
+   */
+  _watchSocket() {
+    const socket = this.tracker.connection._rpcWebSocket;
+    if (!socket?.on) {
+      return;
+    }
+
+    const down = (reason) => {
+      if (this.socketTimer || this.activeMode !== 'subscribe') return;
+      console.warn(`⚠️  Subscription websocket down (${reason})`);
+      this.emit('status', { mode: 'subscribe', connected: false, reason });
+      this.socketTimer = setTimeout(() => {
+        this.socketTimer = null;
+        this._fallBackToPolling(`Websocket down for ${this.options.socketTimeout / 1000}s`);
+      }, this.options.socketTimeout);
+    };
+
+    const listeners = {
+      close: (code) => {
+        if (code !== 1000) down(`closed with code ${code}`);
+      },
+      error: (error) => down(error?.message || 'socket error'),
+      open: () => {
+        if (!this.socketTimer) return;
+        clearTimeout(this.socketTimer);
+        this.socketTimer = null;
+        console.log('🔌 Subscription websocket reconnected, catching up');
+        this.emit('status', { mode: 'subscribe', connected: true, reason: 'reconnected' });
+        // Notifications sent while the socket was down are lost
+        this._resyncWallets().catch(error => {
+          console.error('Catch-up after reconnect failed:', error.message);
+        });
+      }
+    };
+
+    for (const [event, listener] of Object.entries(listeners)) {
+      socket.on(event, listener);
+    }
+    this.socketWatch = { socket, listeners };
+  }
+
+  /**
+   * Stop watching the websocket
+   */
+  _unwatchSocket() {
+    clearTimeout(this.socketTimer);
+    this.socketTimer = null;
+    if (this.socketWatch) {
+      const { socket, listeners } = this.socketWatch;
+      for (const [event, listener] of Object.entries(listeners)) {
+        socket.removeListener(event, listener);
+      }
+      this.socketWatch = null;
+    }
+  }
+
+  /**
+   * Subscribe to log and account updates for every tracked wallet
+   */
+  _subscribeAll() {
+    for (const wallet of this.tracker.wallets) {
+      this._subscribeWallet(wallet);
+    }
+  }
+
+  /**
+   * Subscribe to log and account updates for one wallet
+   */
+  _subscribeWallet(wallet) {
+    const connection = this.tracker.connection;
+    const publicKey = new PublicKey(wallet.trackedWalletAddress);
+
+    const logs = connection.onLogs(publicKey, (logInfo) => {
+      this._onWalletActivity(wallet, logInfo.signature);
+    }, 'confirmed');
+
+    const account = connection.onAccountChange(publicKey, (accountInfo) => {
+      this._enqueue(wallet, () => this._checkBalanceChange(wallet, accountInfo.lamports / LAMPORTS_PER_SOL));
+    }, 'confirmed');
+
+    this.subscriptions.set(wallet.name, { logs, account });
+  }
+
+  /**
+   * Remove all websocket subscriptions
+   */
+  _unsubscribeAll() {
+    const connection = this.tracker.connection;
+
+    for (const { logs, account } of this.subscriptions.values()) {
+      connection.removeOnLogsListener(logs).catch(() => {});
+      connection.removeAccountChangeListener(account).catch(() => {});
+    }
+    this.subscriptions.clear();
+  }
+
+  /**
+   * Tear down and re-create subscriptions
+   */
+  _reconnect() {
+    this.reconnectAttempts++;
+    console.log(`🔌 Resubscribing to wallet updates (attempt ${this.reconnectAttempts}/${this.options.maxReconnectAttempts})...`);
+    this._unsubscribeAll();
+    this._subscribeAll();
+    this.emit('reconnect', { attempt: this.reconnectAttempts });
+  }
+
+  /**
+   * Handle a log notification for a wallet
+   */
+  _onWalletActivity(wallet, signature) {
+    if (signature) {
+      this.announcedSignatures.add(signature);
+      if (this.announcedSignatures.size > 1000) {
+        const oldest = this.announcedSignatures.values().next().value;
+        this.announcedSignatures.delete(oldest);
+      }
+    }
+
+    // A check that hasn't started yet will pick this transaction up too
+    if (this.pendingChecks.has(wallet.name)) {
+      return;
+    }
+
+    this.pendingChecks.add(wallet.name);
+    this._enqueue(wallet, () => {
+      this.pendingChecks.delete(wallet.name);
+      return this._checkWallet(wallet, { checkBalance: false });
+    });
+  }
+
+  /**
+   * Run checks for a wallet one after another so notifications never race
+   */
+  _enqueue(wallet, task) {
+    const previous = this.walletQueues.get(wallet.name) || Promise.resolve();
+    const next = previous
+      .then(() => this.isMonitoring ? task() : null)
+      .catch(error => {
+        console.error(`Monitor error (${wallet.name}):`, error.message);
+        this.emit('error', error);
+      });
+
+    this.walletQueues.set(wallet.name, next);
+    return next;
+  }
+
+  /**
+   * Periodically re-check every wallet while subscribed.
+   *
+   * This fills in anything missed while the websocket was disconnected. If a
+   * resync turns up transactions that were never announced, the subscriptions
+   * are considered stale and get re-created; after `maxReconnectAttempts`
+   * stale resyncs in a row the monitor falls back to polling.
+   */
+  async _resyncLoop() {
+    while (this.isMonitoring && this.activeMode === 'subscribe') {
+      await new Promise(resolve => setTimeout(resolve, this.options.resyncInterval));
+      if (!this.isMonitoring || this.activeMode !== 'subscribe') break;
+
+      const missed = await this._resyncWallets();
+      if (missed === 0) {
+        this.reconnectAttempts = 0;
+        continue;
+      }
+
+      console.warn(`⚠️  Resync found ${missed} transaction(s) missed by subscriptions`);
+
+      if (this.reconnectAttempts >= this.options.maxReconnectAttempts) {
+        this._fallBackToPolling('Subscriptions unreliable');
+        break;
+      }
+
+      try {
+        this._reconnect();
+      } catch (error) {
+        console.error('Resubscribe failed:', error.message);
+        this.emit('error', error);
+      }
+    }
+  }
+
+  /**
+   * Re-check every wallet through its queue
+   *
+   * Returns how many of the transactions found were never announced by
+   * `onLogs`.
+   */
+  async _resyncWallets() {
+    let missed = 0;
+    for (const wallet of [...this.tracker.wallets]) {
+      if (this.seedingWallets.has(wallet.name)) continue;
+      const found = await this._enqueue(wallet, () => this._checkWallet(wallet));
+      missed += (found || []).filter(tx => !this.announcedSignatures.has(tx.signature)).length;
+    }
+    return missed;
+  }
+
   /**
    * Main monitoring loop
    */
@@ -106,48 +499,121 @@ export class WalletMonitor extends EventEmitter {
    * Check all wallets for changes
    */
   async _checkAllWallets() {
-    for (const wallet of this.tracker.wallets) {
+    for (const wallet of [...this.tracker.wallets]) {
+      if (this.seedingWallets.has(wallet.name)) continue;
       await this._checkWallet(wallet);
     }
   }
 
   /**
    * Check single wallet for changes
+   *
+   * Returns the transactions that were new since the last check. Alerts
+   * raised while catching up after a restart are tagged `backfilled: true`.
    */
-  async _checkWallet(wallet) {
+  async _checkWallet(wallet, { checkBalance = true, maxTransactions = null, backfilled = false } = {}) {
+    const lastSig = this.lastChecked.get(wallet.name);
+    const limit = maxTransactions || this.options.pageSize * this.options.maxSignaturePages;
+
     // Check for new transactions
-    const txs = await this.tracker.getRecentTransactions(wallet.trackedWalletAddress, 5);
+    const { signatures, complete } = await this._fetchNewSignatures(wallet, lastSig, limit);
+    const newTransactions = [...signatures];
 
-    const lastSig = this.lastChecked.get(wallet.name);
-    const newTransactions = [];
+    console.log(`🔍 ${wallet.name}: ${newTransactions.length} new txs (last: ${lastSig?.slice(0, 8)}...)`);
 
-    for (const tx of txs) {
-      if (tx.signature === lastSig) break;
-      newTransactions.push(tx);
-    }
+    if (!complete) {
+      const gap = {
+        wallet: {
+          address: wallet.trackedWalletAddress,
+          name: wallet.name,
+          emoji: wallet.emoji
+        },
+        lastSignature: lastSig || null,
+        oldestFetched: newTransactions[newTransactions.length - 1].signature,
+        fetched: newTransactions.length,
+        backfilled,
+        timestamp: new Date().toISOString()
+      };
 
-    console.log(`🔍 ${wallet.name}: Found ${txs.length} recent txs, ${newTransactions.length} new (last: ${lastSig?.slice(0, 8)}...)`);
+      console.warn(`⚠️  ${wallet.name}: gap detected, more than ${limit} new transactions since ${lastSig?.slice(0, 8)}... (older ones skipped)`);
+      this.emit('gap', gap);
+    }
 
     if (newTransactions.length > 0) {
-      this.lastChecked.set(wallet.name, txs[0].signature);
+      this.lastChecked.set(wallet.name, newTransactions[0].signature);
 
-      // Process each new transaction
+      // Process each new transaction, advancing the saved cursor as we go
       for (const tx of newTransactions.reverse()) {
         console.log(`  📝 Processing tx: ${tx.signature.slice(0, 8)}...`);
-        await this._processTransaction(wallet, tx);
+        await this._processTransaction(wallet, tx, { backfilled });
+        this.state?.setCursor(wallet.trackedWalletAddress, tx.signature, tx.slot);
       }
     }
 
     // Check balance changes
-    await this._checkBalanceChange(wallet);
+    if (checkBalance) {
+      await this._checkBalanceChange(wallet, null, { backfilled });
+    }
+
+    return newTransactions;
+  }
+
+  /**
+   * Fetch every signature newer than `lastSig`, newest first.
+   *
+   * Pages backwards with `before`/`until` until the cursor is reached. Stops
+   * after `maxTransactions`, in which case `complete` is false and anything
+   * older than the returned window was not fetched.
+   */
+  async _fetchNewSignatures(wallet, lastSig, maxTransactions) {
+    const signatures = [];
+    let before;
+
+    while (signatures.length < maxTransactions) {
+      const pageSize = Math.min(this.options.pageSize, maxTransactions - signatures.length);
+      const page = await this.tracker.getRecentTransactions(wallet.trackedWalletAddress, pageSize, {
+        before,
+        until: lastSig
+      });
+
+      for (const tx of page) {
+        // `until` is exclusive, but don't rely on every RPC honouring it
+        if (tx.signature === lastSig) {
+          return { signatures, complete: true };
+        }
+        signatures.push(tx);
+      }
+
+      if (page.length < pageSize) {
+        return { signatures, complete: true };
+      }
+
+      before = page[page.length - 1].signature;
+    }
+
+    // Filled the window exactly - only complete if nothing older is new
+    const next = await this.tracker.getRecentTransactions(wallet.trackedWalletAddress, 1, { before, until: lastSig });
+    const complete = next.length === 0 || next[0].signature === lastSig;
+    return { signatures, complete };
   }
 
   /**
    * Process a new transaction
    */
-  async _processTransaction(wallet, tx) {
+  async _processTransaction(wallet, tx, { backfilled = false } = {}) {
     try {
-      const details = await this.tracker.getTransactionDetails(tx.signature);
+      // Only keep the raw RPC payload when someone records it (see AlertRecorder)
+      const includeRaw = this.listenerCount('transaction') > 0;
+      const details = await this.tracker.getTransactionDetails(tx.signature, wallet.trackedWalletAddress, { includeRaw });
+      const trades = details.trades || [];
+
+      if (details.raw) {
+        this.emit('transaction', {
+          signature: tx.signature,
+          wallet: { address: wallet.trackedWalletAddress, name: wallet.name, emoji: wallet.emoji },
+          raw: details.raw
+        });
+      }
 
       const alert = {
         type: AlertType.NEW_TRANSACTION,
@@ -163,10 +629,15 @@ export class WalletMonitor extends EventEmitter {
           success: details.success,
           fee: details.fee,
           balanceChanges: details.balanceChanges,
-          tokenTransfers: details.tokenTransfers
+          tokenTransfers: details.tokenTransfers,
+          trades
         }
       };
 
+      if (backfilled) {
+        alert.backfilled = true;
+      }
+
       // Determine transaction direction
       const walletChange = details.balanceChanges[wallet.trackedWalletAddress] || 0;
       if (walletChange > 0) {
@@ -178,11 +649,24 @@ export class WalletMonitor extends EventEmitter {
       }
 
       // Check for large transaction
-      if (Math.abs(walletChange) >= this.options.largeTransactionThreshold) {
+      const largeThreshold = wallet.largeTransactionThreshold ?? this.options.largeTransactionThreshold;
+      if (Math.abs(walletChange) >= largeThreshold) {
         const largeAlert = { ...alert, type: AlertType.LARGE_TRANSACTION };
         this._emitAlert(wallet, largeAlert);
       }
 
+      // Check for swaps
+      for (const trade of trades) {
+        if (trade.side !== 'BUY' && trade.side !== 'SELL') continue;
+        console.log(`  🔄 ${trade.side} on ${trade.venue}: ${trade.side === 'BUY' ? trade.outputMint : trade.inputMint}`);
+        const swapAlert = {
+          ...alert,
+          type: trade.side === 'BUY' ? AlertType.SWAP_BUY : AlertType.SWAP_SELL,
+          trade
+        };
+        this._emitAlert(wallet, swapAlert);
+      }
+
       // Check for token transfers
       if (details.tokenTransfers.length > 0) {
         console.log(`  🪙 Token transfers detected: ${details.tokenTransfers.length}`);
@@ -198,9 +682,14 @@ export class WalletMonitor extends EventEmitter {
 
   /**
    * Check for balance changes
+   *
+   * `newBalance` can be passed in when it's already known (e.g. from an
+   * account subscription), otherwise it is fetched.
    */
-  async _checkBalanceChange(wallet) {
-    const newBalance = await this.tracker.getBalance(wallet.trackedWalletAddress);
+  async _checkBalanceChange(wallet, newBalance = null, { backfilled = false } = {}) {
+    if (newBalance === null) {
+      newBalance = await this.tracker.getBalance(wallet.trackedWalletAddress);
+    }
     const oldBalance = this.lastBalances.get(wallet.name);
 
     if (oldBalance !== undefined && Math.abs(newBalance - oldBalance) > 0.0001) {
@@ -219,10 +708,16 @@ export class WalletMonitor extends EventEmitter {
         }
       };
 
+      if (backfilled) {
+        alert.backfilled = true;
+      }
+
       this.lastBalances.set(wallet.name, newBalance);
+      this.state?.setBalance(wallet.trackedWalletAddress, newBalance);
       this._emitAlert(wallet, alert);
     } else if (oldBalance === undefined) {
       this.lastBalances.set(wallet.name, newBalance);
+      this.state?.setBalance(wallet.trackedWalletAddress, newBalance);
     }
   }
 
@@ -230,9 +725,14 @@ export class WalletMonitor extends EventEmitter {
    * Emit alert to all listeners and webhooks
    */
   _emitAlert(wallet, alert) {
+    // Drop alerts from checks that were in flight when the wallet was removed
+    if (!this.tracker.wallets.includes(wallet)) {
+      return;
+    }
+
     // Apply custom filters
-    const filter = this.filters.get(wallet.name);
-    if (filter && !filter(alert)) {
+    const filters = this.filters.get(wallet.name) || [];
+    if (!filters.every(filter => filter(alert))) {
       return;
     }
 
@@ -241,6 +741,11 @@ export class WalletMonitor extends EventEmitter {
       return;
     }
 
+    // Apply alert rules (records the matched rule on the alert)
+    if (this.rules && !this.rules.apply(alert, wallet)) {
+      return;
+    }
+
     // Emit to event listeners
     this.emit('alert', alert);
     this.emit(alert.type, alert);
@@ -251,11 +756,36 @@ export class WalletMonitor extends EventEmitter {
 
   /**
    * Check if alert should be sent based on wallet config
+   *
+   * `alerts` overrides `alertsOnFeed` per alert type; `minAlertAmount`
+   * drops transactions and balance changes smaller than that many SOL.
    */
   _shouldAlert(wallet, alert) {
-    // Use wallet config to determine if alert should be sent
-    // For now, use the alertsOnFeed setting
-    return wallet.alertsOnFeed !== false;
+    const override = wallet.alerts?.[alert.type];
+    const enabled = override !== undefined ? override : wallet.alertsOnFeed !== false;
+    if (!enabled) {
+      return false;
+    }
+
+    if (wallet.minAlertAmount) {
+      const amount = this._getAlertSolAmount(alert);
+      if (typeof amount === 'number' && amount < wallet.minAlertAmount) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * SOL amount an alert is about (undefined when it has none)
+   */
+  _getAlertSolAmount(alert) {
+    if (alert.trade?.inputMint === SOL_MINT) return alert.trade.inputAmount;
+    if (alert.trade?.outputMint === SOL_MINT) return alert.trade.outputAmount;
+    if (alert.transaction) return alert.transaction.amount;
+    if (alert.balance) return Math.abs(alert.balance.change);
+    return undefined;
   }
 
   /**
@@ -268,8 +798,8 @@ export class WalletMonitor extends EventEmitter {
         continue;
       }
 
-      // Check if this webhook wants this wallet
-      if (webhook.wallets !== 'all' && !webhook.wallets.includes(alert.wallet.name)) {
+      // Check if this webhook wants this wallet (tags are resolved per alert)
+      if (!matchesWallet(this.tracker.wallets, webhook.wallets, alert.wallet.name)) {
         continue;
       }
 
@@ -299,8 +829,11 @@ export class WalletMonitor extends EventEmitter {
   getStats() {
     return {
       isMonitoring: this.isMonitoring,
+      mode: this.activeMode || this.options.mode,
       walletsMonitored: this.tracker.wallets.length,
       pollInterval: this.options.pollInterval,
+      subscriptions: this.subscriptions.size,
+      stateFile: this.options.stateFile,
       webhooksRegistered: this.webhooks.length,
       lastChecked: Object.fromEntries(this.lastChecked),
       currentBalances: Object.fromEntries(this.lastBalances)
@@ -350,6 +883,12 @@ export class AlertLogger {
       case AlertType.TOKEN_TRANSFER:
         return `[${time}] ${wallet} 🪙 Token transfer detected`;
 
+      case AlertType.SWAP_BUY:
+        return `[${time}] ${wallet} 🟢 Bought ${alert.trade.outputAmount} ${alert.trade.outputMint} for ${alert.trade.inputAmount.toFixed(4)} SOL (${alert.trade.venue})`;
+
+      case AlertType.SWAP_SELL:
+        return `[${time}] ${wallet} 🔴 Sold ${alert.trade.inputAmount} ${alert.trade.inputMint} for ${alert.trade.outputAmount.toFixed(4)} SOL (${alert.trade.venue})`;
+
       case AlertType.BALANCE_CHANGE:
         const change = alert.balance.change;
         const sign = change > 0 ? '+' : '';
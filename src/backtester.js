@@ -0,0 +1,429 @@
+import fs from 'fs';
+import { TradingBot, TradingStrategies } from './trading-bot.js';
+import { PositionWatcher } from './position-watcher.js';
+import { RiskManager } from './risk-manager.js';
+import { SOL_MINT } from './swap-decoder.js';
+
+const YEAR_MS = 365 * 24 * 3600000;
+
+/**
+ * Read a JSONL file (one JSON object per line) or a JSON array
+ */
+function readRecords(file) {
+  const content = fs.readFileSync(file, 'utf8').trim();
+  if (content.startsWith('[')) {
+    return JSON.parse(content);
+  }
+
+  return content.split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${file}:${index + 1}: ${error.message}`);
+      }
+    });
+}
+
+/**
+ * PriceSeries - Historical SOL prices per token
+ *
+ * Points are `{ timestamp, mint, priceSol, symbol? }`. The price at a time
+ * is the last point at or before it.
+ */
+export class PriceSeries {
+  constructor(points = []) {
+    this.series = new Map(); // mint -> [{ time, priceSol }] sorted by time
+    this.symbols = new Map();
+
+    for (const point of points) {
+      const time = new Date(point.timestamp).getTime();
+      if (Number.isNaN(time) || !(point.priceSol > 0)) {
+        throw new Error(`Invalid price point: ${JSON.stringify(point)}`);
+      }
+      if (!this.series.has(point.mint)) {
+        this.series.set(point.mint, []);
+      }
+      this.series.get(point.mint).push({ time, priceSol: point.priceSol });
+      if (point.symbol) {
+        this.symbols.set(point.mint, point.symbol);
+      }
+    }
+
+    for (const points of this.series.values()) {
+      points.sort((a, b) => a.time - b.time);
+    }
+  }
+
+  static fromFile(file) {
+    return new PriceSeries(readRecords(file));
+  }
+
+  /**
+   * SOL price of `mint` at `time` (ms), or null before its first point
+   */
+  priceAt(mint, time) {
+    if (mint === SOL_MINT) {
+      return 1;
+    }
+
+    const points = this.series.get(mint);
+    if (!points || points.length === 0 || points[0].time > time) {
+      return null;
+    }
+
+    let low = 0;
+    let high = points.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (points[mid].time <= time) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return points[low].priceSol;
+  }
+
+  symbolOf(mint) {
+    return this.symbols.get(mint) || null;
+  }
+
+  /**
+   * Distinct point times across all tokens, ascending
+   */
+  times() {
+    const times = new Set();
+    for (const points of this.series.values()) {
+      for (const point of points) {
+        times.add(point.time);
+      }
+    }
+    return [...times].sort((a, b) => a - b);
+  }
+}
+
+/**
+ * SimulatedClock - Time source the backtest moves forward by hand
+ */
+export class SimulatedClock {
+  constructor(time = 0) {
+    this.time = time;
+  }
+
+  now() {
+    return this.time;
+  }
+
+  set(time) {
+    this.time = time;
+  }
+}
+
+/**
+ * Jupiter stand-in that fills at the historical price
+ *
+ * Every token is treated as 9 decimals. Also serves as the PositionWatcher
+ * price source, so exits fire on the same prices the trades fill at.
+ */
+class HistoricalQuoter {
+  constructor(prices, clock, slippageBps = 0) {
+    this.prices = prices;
+    this.clock = clock;
+    this.slippageBps = slippageBps;
+  }
+
+  async getTokenDecimals() {
+    return 9;
+  }
+
+  async getQuote(inputMint, outputMint, amount) {
+    const mint = inputMint === SOL_MINT ? outputMint : inputMint;
+    const price = this.prices.priceAt(mint, this.clock.now());
+    if (!price) {
+      throw new Error(`No price for ${mint} at ${new Date(this.clock.now()).toISOString()}`);
+    }
+
+    const haircut = 1 - this.slippageBps / 10000;
+    const out = inputMint === SOL_MINT
+      ? Number(amount) / price * haircut
+      : Number(amount) * price * haircut;
+    return { inputMint, outputMint, inAmount: amount, outAmount: BigInt(Math.floor(out)).toString(), priceImpactPct: '0' };
+  }
+
+  async swapQuote() {
+    throw new Error('Backtests only trade on paper');
+  }
+
+  async getPrices(mints) {
+    const quotes = {};
+    for (const mint of mints) {
+      const priceSol = this.prices.priceAt(mint, this.clock.now());
+      if (priceSol) {
+        quotes[mint] = { priceSol, priceUsd: null, symbol: this.prices.symbolOf(mint) };
+      }
+    }
+    return quotes;
+  }
+}
+
+/**
+ * Backtester - Replay recorded alerts through TradingBot strategies
+ *
+ * Each run builds a dry-run TradingBot with in-memory paper ledgers and a
+ * simulated clock, then walks the alerts and price points in time order:
+ * alerts go through `_processAlert`, and price points move the clock and
+ * run PositionWatcher exits (when a strategy has exit rules). Trades fill at
+ * the historical price less `slippageBps`.
+ *
+ * Every strategy ledger starts with `startingBalance`; the equity curve adds
+ * up their marked-to-market PnL on top of one `startingBalance`, sampled
+ * every `interval` ms.
+ */
+export class Backtester {
+  constructor(options = {}) {
+    this.options = {
+      alerts: [],  // Alert objects with an ISO `timestamp`
+      prices: new PriceSeries(),  // PriceSeries or raw price points
+      wallets: null,  // Tracked wallets for name/tag matching (default: wallets seen in the alerts)
+      startingBalance: 1.0,  // SOL per strategy ledger
+      interval: 3600000,  // Equity sample every hour
+      slippageBps: 0,  // Fill this far below the historical price
+      ...options
+    };
+
+    this.prices = this.options.prices instanceof PriceSeries
+      ? this.options.prices
+      : new PriceSeries(this.options.prices);
+    this.alerts = this.options.alerts
+      .map(alert => ({ alert, time: new Date(alert.timestamp).getTime() }))
+      .filter(({ time }) => !Number.isNaN(time))
+      .sort((a, b) => a.time - b.time);
+    this.wallets = this.options.wallets || Backtester.walletsFromAlerts(this.options.alerts);
+  }
+
+  /**
+   * Load alerts from JSONL (or a JSON array)
+   *
+   * Takes plain alerts or an AlertRecorder recording, from which only the
+   * alert events are kept.
+   */
+  static loadAlerts(file) {
+    return readRecords(file).flatMap(record => {
+      if (!record.event) return [record];
+      return record.event === 'alert' ? [record.alert] : [];
+    });
+  }
+
+  /**
+   * Tracked wallet entries for every wallet that raised an alert
+   */
+  static walletsFromAlerts(alerts) {
+    const wallets = new Map();
+    for (const { wallet } of alerts) {
+      if (wallet?.name && !wallets.has(wallet.name)) {
+        wallets.set(wallet.name, {
+          name: wallet.name,
+          emoji: wallet.emoji,
+          trackedWalletAddress: wallet.address || null,
+          tags: wallet.tags || []
+        });
+      }
+    }
+    return [...wallets.values()];
+  }
+
+  /**
+   * Run one strategy config
+   *
+   * `config` is `{ name, strategies: { [name]: { type, args } }, bot, risk }`,
+   * where `type` is a TradingStrategies factory called with `args`, `bot`
+   * overrides TradingBot options (e.g. `maxTradeAmount`) and `risk`, if set,
+   * holds RiskManager options to vet the trades with.
+   */
+  async run(config) {
+    const clock = new SimulatedClock();
+    const quoter = new HistoricalQuoter(this.prices, clock, this.options.slippageBps);
+    const errors = [];
+    const rejections = [];
+    const risk = config.risk
+      ? new RiskManager({ ...config.risk, dataFile: null, clock: () => clock.now() })
+      : null;
+
+    const bot = new TradingBot({ wallets: this.wallets }, { wallet: null }, {
+      ...config.bot,
+      riskManager: risk,
+      enabled: true,
+      dryRun: true,
+      trader: quoter,
+      clock: () => clock.now(),
+      paperDataDir: null,
+      paperBalance: this.options.startingBalance
+    });
+    bot.on('error', ({ strategy, error }) => errors.push({ time: clock.now(), strategy, error: error.message }));
+    bot.on('rejected', ({ timestamp, strategy, rule, reason, mint, amount }) => rejections.push({ timestamp, strategy, rule, reason, mint, amount }));
+
+    for (const [name, { type, args = [] }] of Object.entries(config.strategies || {})) {
+      const factory = TradingStrategies[type];
+      if (!factory) {
+        throw new Error(`Unknown strategy type: ${type}`);
+      }
+      bot.registerStrategy(name, factory(...args));
+    }
+
+    let watcher = null;
+    if ([...bot.strategies.values()].some(strategy => strategy.config?.exitRules)) {
+      watcher = new PositionWatcher({ dataFile: null, clock: () => clock.now(), priceSource: quoter });
+      watcher.on('sellFailed', ({ error }) => errors.push({ time: clock.now(), strategy: null, error: error.message }));
+      bot.attachPositionWatcher(watcher);
+    }
+
+    // Price points before alerts at the same time, so alerts fill at that price
+    const events = [
+      ...this.prices.times().map(time => ({ time, alert: null })),
+      ...this.alerts
+    ].sort((a, b) => a.time - b.time || (a.alert ? 1 : 0) - (b.alert ? 1 : 0));
+
+    const equityCurve = [];
+    if (events.length > 0) {
+      const { interval } = this.options;
+      let nextSample = events[0].time;
+
+      for (const event of events) {
+        while (nextSample < event.time) {
+          equityCurve.push(this._sample(bot, nextSample));
+          nextSample += interval;
+        }
+
+        clock.set(event.time);
+        if (event.alert) {
+          await bot._processAlert(event.alert);
+        } else if (watcher) {
+          await watcher.check(event.time);
+        }
+      }
+
+      const end = events[events.length - 1].time;
+      while (nextSample <= end) {
+        equityCurve.push(this._sample(bot, nextSample));
+        nextSample += interval;
+      }
+    }
+
+    const trades = bot.tradeHistory.map(trade => ({
+      timestamp: trade.timestamp,
+      strategy: trade.strategy,
+      action: trade.params.action,
+      tokenMint: trade.params.tokenMint || null,
+      reason: trade.params.reason || null,
+      inputAmount: trade.inputAmount ?? null,
+      outputAmount: trade.outputAmount ?? null,
+      price: trade.result?.price ?? null,
+      success: Boolean(trade.result?.success),
+      error: trade.result?.error || null
+    }));
+
+    const paper = bot.getPaperStats();
+    return {
+      name: config.name,
+      equityCurve,
+      trades,
+      errors,
+      rejections,
+      metrics: {
+        ...Backtester.computeMetrics(equityCurve, this.options.interval),
+        trades: trades.filter(trade => trade.success).length,
+        ...Backtester._winRate(paper),
+        strategies: paper
+      }
+    };
+  }
+
+  /**
+   * Run several configs over the same data
+   */
+  async compare(configs) {
+    const results = [];
+    for (const config of configs) {
+      results.push(await this.run(config));
+    }
+    return results;
+  }
+
+  /**
+   * Equity at `time`: open tokens at the historical price (cost if unpriced)
+   */
+  _sample(bot, time) {
+    let pnl = 0;
+    for (const ledger of bot.paperLedgers.values()) {
+      let value = ledger.data.balance;
+      for (const [mint, holding] of Object.entries(ledger.data.tokens)) {
+        value += holding.amount * (this.prices.priceAt(mint, time) ?? holding.avgPrice);
+      }
+      pnl += value - ledger.data.stats.startingBalance;
+    }
+    return { timestamp: new Date(time).toISOString(), equity: this.options.startingBalance + pnl };
+  }
+
+  static _winRate(paper) {
+    const wins = Object.values(paper).reduce((sum, stats) => sum + stats.wins, 0);
+    const losses = Object.values(paper).reduce((sum, stats) => sum + stats.losses, 0);
+    return { wins, losses, winRate: wins + losses > 0 ? (wins / (wins + losses)) * 100 : 0 };
+  }
+
+  /**
+   * Return, max drawdown and Sharpe/Sortino ratios of an equity curve
+   *
+   * Ratios use per-sample returns with a zero risk-free rate, annualized
+   * by the sample `interval`.
+   */
+  static computeMetrics(equityCurve, interval = 3600000) {
+    const values = equityCurve.map(point => point.equity);
+    const start = values[0] ?? 0;
+    const end = values[values.length - 1] ?? 0;
+
+    let peak = start;
+    let maxDrawdown = 0;
+    let maxDrawdownPercent = 0;
+    for (const value of values) {
+      peak = Math.max(peak, value);
+      if (peak - value > maxDrawdown) {
+        maxDrawdown = peak - value;
+        maxDrawdownPercent = peak > 0 ? (maxDrawdown / peak) * 100 : 0;
+      }
+    }
+
+    const returns = [];
+    for (let i = 1; i < values.length; i++) {
+      if (values[i - 1] > 0) {
+        returns.push(values[i] / values[i - 1] - 1);
+      }
+    }
+
+    let sharpe = 0;
+    let sortino = 0;
+    if (returns.length > 1) {
+      const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+      const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+      const downside = Math.sqrt(returns.reduce((sum, r) => sum + Math.min(r, 0) ** 2, 0) / returns.length);
+      const annualize = Math.sqrt(YEAR_MS / interval);
+      sharpe = variance > 0 ? (mean / Math.sqrt(variance)) * annualize : 0;
+      sortino = downside > 0 ? (mean / downside) * annualize : 0;
+    }
+
+    return {
+      startingEquity: start,
+      finalEquity: end,
+      return: end - start,
+      returnPercent: start > 0 ? ((end - start) / start) * 100 : 0,
+      maxDrawdown,
+      maxDrawdownPercent,
+      sharpe,
+      sortino
+    };
+  }
+}
+
+export default Backtester;
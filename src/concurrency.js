@@ -0,0 +1,18 @@
+/**
+ * Map `items` through async `fn`, at most `limit` calls at a time
+ *
+ * Results keep the order of `items`. Used to spread RPC calls over several
+ * wallets or transactions without firing them all at once.
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
@@ -0,0 +1,188 @@
+import fs from 'fs';
+
+const DUST = 1e-9;
+
+/**
+ * Share (0-1) of its holding a wallet sold in a SWAP_SELL alert
+ *
+ * Read from the wallet's token account balances before and after the
+ * transaction, or null when they aren't in the alert.
+ */
+export function soldFraction(alert) {
+  const mint = alert.trade?.inputMint;
+  const transfers = (alert.transaction?.tokenTransfers || [])
+    .filter(transfer => transfer.mint === mint && transfer.owner === alert.wallet?.address);
+  const pre = transfers.reduce((sum, transfer) => sum + (transfer.preAmount || 0), 0);
+  const post = transfers.reduce((sum, transfer) => sum + (transfer.postAmount || 0), 0);
+
+  if (transfers.length === 0 || pre <= 0) {
+    return null;
+  }
+  return Math.min(Math.max((pre - post) / pre, 0), 1);
+}
+
+/**
+ * Link tokens in a holding to the wallet and alert they were copied from
+ *
+ * `copies` is the holding's `[{ wallet, signature, amount, timestamp }]`.
+ */
+export function addCopy(copies, { wallet, signature = null, amount, timestamp = new Date().toISOString() }) {
+  copies.push({ wallet, signature, amount, timestamp });
+  return copies;
+}
+
+/**
+ * Take `fraction` of a holding off every copy link (a sell of the holding)
+ */
+export function reduceCopies(copies, fraction) {
+  for (const copy of copies) {
+    copy.amount *= 1 - Math.min(fraction, 1);
+  }
+  return copies.filter(copy => copy.amount > DUST);
+}
+
+/**
+ * Take `amount` tokens off one wallet's copy links, oldest first (a mirrored sell)
+ */
+export function takeCopies(copies, wallet, amount) {
+  let left = amount;
+  for (const copy of copies) {
+    if (copy.wallet === wallet && left > 0) {
+      const taken = Math.min(copy.amount, left);
+      copy.amount -= taken;
+      left -= taken;
+    }
+  }
+  return copies.filter(copy => copy.amount > DUST);
+}
+
+/**
+ * Tokens in a holding copied from a wallet
+ */
+export function copiedAmount(copies = [], wallet) {
+  return copies
+    .filter(copy => copy.wallet === wallet)
+    .reduce((sum, copy) => sum + copy.amount, 0);
+}
+
+/**
+ * CopyPositions - Bot wallet tokens bought by copying a tracked wallet
+ *
+ * The on-chain balance can't say why we hold a token, so buys from alerts
+ * are recorded here with the wallet and signature they copied, so a later
+ * sell by that wallet can be mirrored, and with the SOL they cost, so sells
+ * can report PnL. Paper trades keep the same links on their PaperTrading
+ * holdings.
+ */
+export class CopyPositions {
+  constructor(dataFile = './copy-positions.json') {
+    this.dataFile = dataFile;
+    this.data = this.loadData();
+  }
+
+  /**
+   * Load positions from file
+   */
+  loadData() {
+    try {
+      if (this.dataFile && fs.existsSync(this.dataFile)) {
+        const content = fs.readFileSync(this.dataFile, 'utf8');
+        return JSON.parse(content);
+      }
+    } catch (error) {
+      console.error('Error loading copy positions:', error.message);
+    }
+
+    return {
+      positions: {} // { mint: { symbol, amount, costSol, copies: [{ wallet, signature, amount, timestamp }] } }
+    };
+  }
+
+  /**
+   * Save positions to file
+   *
+   * Writes to a temp file first so a crash mid-write can't lose the links.
+   */
+  saveData() {
+    if (!this.dataFile) {
+      return;
+    }
+
+    try {
+      const tmpFile = `${this.dataFile}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify(this.data, null, 2));
+      fs.renameSync(tmpFile, this.dataFile);
+    } catch (error) {
+      console.error('Error saving copy positions:', error.message);
+    }
+  }
+
+  /**
+   * Record tokens bought by copying `wallet`'s trade `signature`
+   *
+   * `costSol` is the SOL spent; without it the position's cost is unknown
+   * (null) until it is closed.
+   */
+  recordBuy(mint, { symbol = null, amount, costSol = null, wallet, signature = null, timestamp }) {
+    const position = this.data.positions[mint] ||= { symbol, amount: 0, costSol: 0, copies: [] };
+    position.symbol ||= symbol;
+    position.amount += amount;
+    position.costSol = typeof position.costSol === 'number' && costSol !== null ? position.costSol + costSol : null;
+    addCopy(position.copies, { wallet, signature, amount, timestamp });
+    this.saveData();
+    return position;
+  }
+
+  /**
+   * Record a sell of `amount` tokens
+   *
+   * A sell mirroring `wallet` comes off that wallet's links; any other sell
+   * (stop-loss, manual) comes off every link pro rata.
+   */
+  recordSell(mint, amount, wallet = null) {
+    const position = this.data.positions[mint];
+    if (!position) {
+      return null;
+    }
+
+    const fraction = Math.min(amount / position.amount, 1);
+    position.amount -= position.amount * fraction;
+    if (typeof position.costSol === 'number') {
+      position.costSol -= position.costSol * fraction;
+    }
+    position.copies = wallet
+      ? takeCopies(position.copies, wallet, amount)
+      : reduceCopies(position.copies, fraction);
+    if (position.amount <= DUST || position.copies.length === 0) {
+      delete this.data.positions[mint];
+    }
+    this.saveData();
+    return this.data.positions[mint] || null;
+  }
+
+  /**
+   * Average SOL paid per token of `mint`, or null if no cost was recorded
+   */
+  getEntryPrice(mint) {
+    const position = this.data.positions[mint];
+    return typeof position?.costSol === 'number' && position.amount > 0
+      ? position.costSol / position.amount
+      : null;
+  }
+
+  /**
+   * Tokens of `mint` held because we copied `wallet`
+   */
+  getCopiedAmount(mint, wallet) {
+    return copiedAmount(this.data.positions[mint]?.copies, wallet);
+  }
+
+  /**
+   * All positions, keyed by mint
+   */
+  getPositions() {
+    return this.data.positions;
+  }
+}
+
+export default CopyPositions;
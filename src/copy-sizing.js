@@ -0,0 +1,56 @@
+import { SOL_MINT } from './swap-decoder.js';
+
+/**
+ * Copy sizing - Size a copy trade the way the copied wallet sized its own
+ *
+ * A wallet that put 10% of its portfolio into a token is copied with 10% of
+ * our balance, clamped to `[minAmount, maxAmount]`.
+ */
+
+/**
+ * SOL a wallet spent in a cached transaction, or null if it didn't pay in SOL
+ *
+ * Takes the decoded swap, falling back to the wallet's SOL balance drop
+ * (which includes the fee).
+ */
+export function solSpent({ trades = [], balanceChanges = {} }, walletAddress) {
+  const buy = trades.find(trade => trade.side === 'BUY' && trade.inputMint === SOL_MINT);
+  if (buy) {
+    return buy.inputAmount;
+  }
+
+  const change = balanceChanges[walletAddress];
+  return change < 0 ? -change : null;
+}
+
+/**
+ * Size a copy trade
+ *
+ * `walletValue` is the copied wallet's portfolio value in SOL, taken after
+ * its trade (the tokens it bought are still part of it). Returns
+ * `{ amount, share, proportional, clamped, affordable }`: `share` is the
+ * part of its portfolio the wallet spent, `proportional` the same part of
+ * `balance`, and `clamped` is 'min' or 'max' when a bound applied. Amounts
+ * are rounded down to 4 decimals so they fit in button callback data.
+ */
+export function copyTradeSize({ spent, walletValue, balance, minAmount = 0.01, maxAmount = 0.5 }) {
+  if (!(spent > 0) || !(walletValue > 0)) {
+    throw new Error('Copy sizing needs the SOL spent and the wallet value');
+  }
+
+  const share = Math.min(spent / walletValue, 1);
+  const proportional = share * balance;
+
+  let amount = proportional;
+  let clamped = null;
+  if (proportional < minAmount) {
+    amount = minAmount;
+    clamped = 'min';
+  } else if (proportional > maxAmount) {
+    amount = maxAmount;
+    clamped = 'max';
+  }
+  amount = Math.floor(amount * 1e4) / 1e4;
+
+  return { amount, share, proportional, clamped, affordable: amount <= balance };
+}
@@ -0,0 +1,165 @@
+import { toRawAmount, fromRawAmount } from './jupiter-trader.js';
+import { SOL_MINT } from './swap-decoder.js';
+
+/**
+ * Ways a fill can be priced
+ */
+export const FillModel = {
+  JUPITER: 'jupiter', // Live Jupiter quote (DEX fees and price impact included)
+  POOL: 'pool' // Constant-product math against the pool's liquidity
+};
+
+/**
+ * FillSimulator - Realistic fills for paper trades
+ *
+ * Instead of filling at the price a trade was decided on, waits
+ * `latencyMs` (the time a real swap takes to land) and then prices the
+ * fill from the market at that moment:
+ *
+ * - `jupiter`: a quote from `options.quoter` (a JupiterTrader, or anything
+ *   with `getQuote` and `getTokenDecimals`), which already includes DEX
+ *   fees and price impact. Falls back to `pool` if the quote fails.
+ * - `pool`: an x*y=k pool holding half of the pair's USD liquidity (from
+ *   `options.analyzer.getTokenMetadata()`, i.e. TokenAnalyzer) on each side,
+ *   charging `dexFeeBps` on the SOL side.
+ *
+ * Network and priority fees are charged on every fill. Amounts and prices
+ * are in SOL; `solUsd` converts the pool's USD liquidity and price.
+ *
+ * `buy()`/`sell()` resolve to `{ model, marketPriceSol, fillPriceSol,
+ * tokenAmount, solAmount, priceImpactPercent, fees: { dex, network,
+ * priority }, latencyMs }`, where `solAmount` is the SOL swapped in or out
+ * before network fees and `fees.dex` is null when included in a Jupiter
+ * quote.
+ */
+export class FillSimulator {
+  constructor(options = {}) {
+    this.options = {
+      model: options.model || (options.quoter ? FillModel.JUPITER : FillModel.POOL),
+      quoter: options.quoter || null, // Jupiter quotes for the `jupiter` model
+      analyzer: options.analyzer || null, // Pool price and liquidity for the `pool` model
+      dexFeeBps: options.dexFeeBps ?? 25, // Pool fee (0.25%, as on Raydium)
+      networkFeeSol: options.networkFeeSol ?? 0.000005, // Base fee for one signature
+      priorityFeeSol: options.priorityFeeSol ?? 0.0001,
+      latencyMs: options.latencyMs ?? 0, // Delay before the market is read for the fill
+      slippageBps: options.slippageBps ?? 300 // Passed on to Jupiter quotes
+    };
+  }
+
+  /**
+   * Fill for spending `amountSOL` on `mint`
+   */
+  async buy(mint, amountSOL, solUsd = null) {
+    return this._fill('buy', mint, amountSOL, solUsd);
+  }
+
+  /**
+   * Fill for selling `tokenAmount` of `mint` for SOL
+   */
+  async sell(mint, tokenAmount, solUsd = null) {
+    return this._fill('sell', mint, tokenAmount, solUsd);
+  }
+
+  async _fill(side, mint, amount, solUsd) {
+    if (this.options.latencyMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.options.latencyMs));
+    }
+
+    let fill = null;
+    if (this.options.model === FillModel.JUPITER) {
+      try {
+        fill = await this._jupiterFill(side, mint, amount);
+      } catch (error) {
+        if (!this.options.analyzer) throw error;
+        console.error(`Jupiter quote for paper ${side} failed, using pool math:`, error.message);
+      }
+    }
+    fill ||= await this._poolFill(side, mint, amount, solUsd);
+
+    return {
+      ...fill,
+      fillPriceSol: fill.solAmount / fill.tokenAmount,
+      fees: { ...fill.fees, network: this.options.networkFeeSol, priority: this.options.priorityFeeSol },
+      latencyMs: this.options.latencyMs
+    };
+  }
+
+  async _jupiterFill(side, mint, amount) {
+    const quoter = this.options.quoter;
+    if (!quoter) {
+      throw new Error('Jupiter fills need a quoter');
+    }
+
+    const decimals = await quoter.getTokenDecimals(mint);
+    const [inputMint, outputMint, inputDecimals] = side === 'buy' ? [SOL_MINT, mint, 9] : [mint, SOL_MINT, decimals];
+    const rawAmount = toRawAmount(amount, inputDecimals);
+    if (rawAmount === '0') {
+      throw new Error(`Amount ${amount} is too small to trade`);
+    }
+
+    const quote = await quoter.getQuote(inputMint, outputMint, rawAmount, this.options.slippageBps);
+    const inputAmount = fromRawAmount(quote.inAmount, inputDecimals);
+    const outputAmount = fromRawAmount(quote.outAmount, side === 'buy' ? decimals : 9);
+    if (!(outputAmount > 0)) {
+      throw new Error(`Jupiter quoted nothing for ${amount} of ${inputMint}`);
+    }
+
+    const [solAmount, tokenAmount] = side === 'buy' ? [inputAmount, outputAmount] : [outputAmount, inputAmount];
+    return {
+      model: FillModel.JUPITER,
+      marketPriceSol: null, // Jupiter quotes have no spot price
+      solAmount,
+      tokenAmount,
+      priceImpactPercent: parseFloat(quote.priceImpactPct) || 0,
+      fees: { dex: null } // Included in the quote
+    };
+  }
+
+  async _poolFill(side, mint, amount, solUsd) {
+    if (!this.options.analyzer) {
+      throw new Error('Pool fills need a token analyzer');
+    }
+    if (!solUsd) {
+      throw new Error('Pool fills need a SOL/USD rate');
+    }
+
+    const market = await this.options.analyzer.getTokenMetadata(mint);
+    if (!market?.price || !market.liquidity) {
+      throw new Error(`No pool liquidity for ${mint}`);
+    }
+
+    // Reserves in SOL and tokens, half the liquidity on each side
+    const marketPriceSol = market.price / solUsd;
+    const solReserve = market.liquidity / 2 / solUsd;
+    const tokenReserve = solReserve / marketPriceSol;
+    const feeRate = this.options.dexFeeBps / 10000;
+
+    let solAmount, tokenAmount, dexFee, swappedSol;
+    if (side === 'buy') {
+      solAmount = amount;
+      dexFee = amount * feeRate;
+      swappedSol = amount - dexFee;
+      tokenAmount = tokenReserve * swappedSol / (solReserve + swappedSol);
+    } else {
+      tokenAmount = amount;
+      swappedSol = solReserve * amount / (tokenReserve + amount);
+      dexFee = swappedSol * feeRate;
+      solAmount = swappedSol - dexFee;
+    }
+
+    // How far the pool price moved against the trade, fee aside
+    const executionPrice = swappedSol / tokenAmount;
+    const priceImpactPercent = Math.abs(executionPrice / marketPriceSol - 1) * 100;
+
+    return {
+      model: FillModel.POOL,
+      marketPriceSol,
+      solAmount,
+      tokenAmount,
+      priceImpactPercent,
+      fees: { dex: dexFee }
+    };
+  }
+}
+
+export default FillSimulator;
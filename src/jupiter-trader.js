@@ -1,18 +1,43 @@
-import { Connection, VersionedTransaction } from '@solana/web3.js';
+import { Connection, PublicKey, VersionedTransaction } from '@solana/web3.js';
 import fetch from 'node-fetch';
+import { MintMetadata } from './mint-metadata.js';
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+/**
+ * Convert a UI amount (e.g. 1.5 SOL) to a raw integer string (e.g. '1500000000')
+ */
+export function toRawAmount(uiAmount, decimals) {
+  const [whole, fraction = ''] = Number(uiAmount).toFixed(decimals).split('.');
+  return BigInt(whole + fraction).toString();
+}
+
+/**
+ * Convert a raw integer amount (string, number or bigint) to a UI amount
+ */
+export function fromRawAmount(rawAmount, decimals) {
+  return Number(rawAmount) / 10 ** decimals;
+}
 
 /**
  * JupiterTrader - Execute token swaps using Jupiter DEX aggregator
  *
  * Jupiter API docs: https://station.jup.ag/docs/apis/swap-api
+ *
+ * `options.apiUrl` / `options.tokenListUrl` (or JUPITER_API_URL /
+ * JUPITER_TOKEN_LIST_URL) point it somewhere else, e.g. the mock server in
+ * tests/mock-server.js. `options.mintMetadata` shares a MintMetadata cache
+ * (an in-memory one is made otherwise).
  */
 export class JupiterTrader {
-  constructor(walletManager, rpcUrl = 'https://api.mainnet-beta.solana.com', apiKey = null) {
+  constructor(walletManager, rpcUrl = 'https://api.mainnet-beta.solana.com', apiKey = null, options = {}) {
     this.wallet = walletManager;
     this.connection = new Connection(rpcUrl, 'confirmed');
     // Public endpoint works without authentication!
-    this.jupiterApiUrl = 'https://public.jupiterapi.com';
+    this.jupiterApiUrl = options.apiUrl || process.env.JUPITER_API_URL || 'https://public.jupiterapi.com';
+    this.tokenListUrl = options.tokenListUrl || process.env.JUPITER_TOKEN_LIST_URL || 'https://token.jup.ag/all';
     this.apiKey = apiKey || process.env.JUPITER_API_KEY;
+    this.mintMetadata = options.mintMetadata || new MintMetadata(this.connection, { dataFile: null });
 
     console.log('✅ Using Jupiter public API (no auth required)');
   }
@@ -62,20 +87,27 @@ export class JupiterTrader {
    * @param {number} slippageBps - Slippage in basis points (50 = 0.5%)
    */
   async swap(inputMint, outputMint, amount, slippageBps = 50) {
-    try {
-      console.log(`🔄 Getting Jupiter quote for swap...`);
-      console.log(`  Input: ${inputMint}`);
-      console.log(`  Output: ${outputMint}`);
-      console.log(`  Amount: ${amount}`);
+    console.log(`🔄 Getting Jupiter quote for swap...`);
+    console.log(`  Input: ${inputMint}`);
+    console.log(`  Output: ${outputMint}`);
+    console.log(`  Amount: ${amount}`);
 
-      // Get quote
-      const quote = await this.getQuote(inputMint, outputMint, amount, slippageBps);
+    // Get quote
+    const quote = await this.getQuote(inputMint, outputMint, amount, slippageBps);
 
-      console.log(`✅ Quote received:`);
-      console.log(`  Input: ${quote.inAmount} (${quote.inputMint})`);
-      console.log(`  Output: ${quote.outAmount} (${quote.outputMint})`);
-      console.log(`  Price impact: ${quote.priceImpactPct}%`);
+    console.log(`✅ Quote received:`);
+    console.log(`  Input: ${quote.inAmount} (${quote.inputMint})`);
+    console.log(`  Output: ${quote.outAmount} (${quote.outputMint})`);
+    console.log(`  Price impact: ${quote.priceImpactPct}%`);
 
+    return await this.swapQuote(quote);
+  }
+
+  /**
+   * Execute a swap for a quote from getQuote()
+   */
+  async swapQuote(quote) {
+    try {
       // Get swap transaction
       const swapResponse = await fetch(`${this.jupiterApiUrl}/swap`, {
         method: 'POST',
@@ -151,37 +183,135 @@ export class JupiterTrader {
    * Swap SOL for a token
    */
   async buySolToToken(tokenMint, solAmount, slippageBps = 100) {
-    const SOL_MINT = 'So11111111111111111111111111111111111111112';
     const lamports = Math.floor(solAmount * 1_000_000_000); // Convert SOL to lamports
 
     return await this.swap(SOL_MINT, tokenMint, lamports, slippageBps);
   }
 
+  /**
+   * Swap `amount` (in UI units, e.g. SOL) of one mint for another
+   *
+   * Like `swap()`, plus `inputUiAmount`/`outputUiAmount` converted with
+   * each mint's decimals.
+   */
+  async swapTokens(inputMint, outputMint, amount, slippageBps = 100) {
+    const inputDecimals = await this.getTokenDecimals(inputMint);
+    const outputDecimals = await this.getTokenDecimals(outputMint);
+
+    const rawAmount = toRawAmount(amount, inputDecimals);
+    if (rawAmount === '0') {
+      throw new Error(`Amount ${amount} is too small to trade`);
+    }
+
+    const result = await this.swap(inputMint, outputMint, rawAmount, slippageBps);
+    return {
+      ...result,
+      inputUiAmount: fromRawAmount(result.inputAmount, inputDecimals),
+      outputUiAmount: fromRawAmount(result.outputAmount, outputDecimals)
+    };
+  }
+
+  /**
+   * Swap a token held by the bot wallet back to SOL
+   *
+   * Sells `{ amount }` tokens (UI units, capped at the balance) or
+   * `{ percent }` of the balance read from chain; 100% sells the exact raw
+   * balance so no dust is left. Returns the swap result plus `tokensSold`
+   * and `solReceived`.
+   */
+  async sellTokenToSol(tokenMint, { amount = null, percent = null } = {}, slippageBps = 300) {
+    const balance = await this.getTokenBalance(tokenMint);
+    if (balance.rawAmount === 0n) {
+      throw new Error(`No ${tokenMint} balance to sell`);
+    }
+
+    let rawAmount;
+    if (percent !== null) {
+      if (!(percent > 0 && percent <= 100)) {
+        throw new Error(`Sell percent must be between 0 and 100, got ${percent}`);
+      }
+      rawAmount = balance.rawAmount * BigInt(Math.round(percent * 100)) / 10000n;
+    } else if (amount > 0) {
+      rawAmount = BigInt(toRawAmount(amount, balance.decimals));
+      if (rawAmount > balance.rawAmount) {
+        rawAmount = balance.rawAmount;
+      }
+    } else {
+      throw new Error('sellTokenToSol needs an amount or percent');
+    }
+    if (rawAmount === 0n) {
+      throw new Error(`Amount to sell is below 1 raw unit of ${tokenMint}`);
+    }
+
+    const result = await this.swap(tokenMint, SOL_MINT, rawAmount.toString(), slippageBps);
+    return {
+      ...result,
+      tokensSold: fromRawAmount(result.inputAmount, balance.decimals),
+      solReceived: fromRawAmount(result.outputAmount, 9)
+    };
+  }
+
+  /**
+   * Get a wallet's balance of a token (the bot wallet by default)
+   *
+   * Sums every token account the owner has for the mint. Returns
+   * `{ rawAmount (bigint), amount, decimals }`, zero when it holds none.
+   */
+  async getTokenBalance(tokenMint, owner = this.wallet.getPublicKey()) {
+    const accounts = await this.connection.getParsedTokenAccountsByOwner(
+      new PublicKey(owner),
+      { mint: new PublicKey(tokenMint) }
+    );
+
+    let rawAmount = 0n;
+    let decimals = null;
+    for (const { account } of accounts.value) {
+      const tokenAmount = account.data.parsed.info.tokenAmount;
+      rawAmount += BigInt(tokenAmount.amount);
+      decimals = tokenAmount.decimals;
+    }
+    decimals ??= await this.getTokenDecimals(tokenMint);
+
+    return { rawAmount, amount: fromRawAmount(rawAmount, decimals), decimals };
+  }
+
+  /**
+   * Get the decimals of a token mint (cached)
+   */
+  async getTokenDecimals(mintAddress) {
+    return await this.mintMetadata.getDecimals(mintAddress);
+  }
+
   /**
    * Get token info from mint address
+   *
+   * Tokens missing from the Jupiter token list are described from the mint
+   * account and its metadata; `decimals` is null only if that can't be read.
    */
   async getTokenInfo(mintAddress) {
     try {
       // Try to get token info from Jupiter token list
-      const response = await fetch('https://token.jup.ag/all');
+      const response = await fetch(this.tokenListUrl);
+      if (!response.ok) {
+        throw new Error(`Token list error (${response.status})`);
+      }
       const tokens = await response.json();
 
       const token = tokens.find(t => t.address === mintAddress);
-
-      return token || {
-        address: mintAddress,
-        symbol: mintAddress.slice(0, 8) + '...',
-        name: 'Unknown Token',
-        decimals: 9
-      };
+      if (token) {
+        return token;
+      }
     } catch (error) {
-      return {
-        address: mintAddress,
-        symbol: mintAddress.slice(0, 8) + '...',
-        name: 'Unknown Token',
-        decimals: 9
-      };
+      console.error('Error fetching Jupiter token list:', error.message);
     }
+
+    const metadata = await this.mintMetadata.get(mintAddress).catch(() => null);
+    return {
+      address: mintAddress,
+      symbol: metadata?.symbol || mintAddress.slice(0, 8) + '...',
+      name: metadata?.name || 'Unknown Token',
+      decimals: metadata?.decimals ?? null
+    };
   }
 }
 
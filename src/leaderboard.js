@@ -0,0 +1,291 @@
+import fs from 'fs';
+import { PublicKey } from '@solana/web3.js';
+import { PnLEngine } from './pnl-engine.js';
+import { SOL_MINT } from './swap-decoder.js';
+import { mapWithConcurrency } from './concurrency.js';
+
+/**
+ * Leaderboard windows
+ */
+export const LeaderboardWindow = {
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '30d': 30 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Leaderboard - Ranks tracked wallets by how well they actually trade
+ *
+ * For each wallet, the swaps within the window are run through PnLEngine
+ * and summarized as realized PnL, win rate, average entry market cap, trade
+ * frequency and median hold time. A 0-1 `score` combines PnL (50%), win
+ * rate (35%) and activity (15%), each discounted until the wallet has closed
+ * `minTrades` trades.
+ *
+ * Results are cached to disk per window so the bot and strategies can read
+ * scores without refetching history. A refresh fetches at most `concurrency`
+ * transactions at a time and reuses the details of ones already fetched, and
+ * overlapping refreshes of a window share one run.
+ */
+export class Leaderboard {
+  constructor(tracker, options = {}) {
+    this.tracker = tracker;
+    this.options = {
+      cacheFile: options.cacheFile || './leaderboard-cache.json',
+      cacheTtl: options.cacheTtl || 6 * 60 * 60 * 1000, // 6 hours
+      historyLimit: options.historyLimit || 100, // Transactions fetched per wallet
+      concurrency: options.concurrency || 4, // getTransaction calls in flight
+      minTrades: options.minTrades || 10, // Closed trades before a wallet gets full credit
+      pnlScale: options.pnlScale || 10, // Realized SOL that counts as a strong result
+      targetTradesPerDay: options.targetTradesPerDay || 5,
+      ...options
+    };
+
+    this.pnlEngine = options.pnlEngine || new PnLEngine(tracker);
+    this.supplyCache = new Map(); // mint -> total supply
+    this.historyCache = new Map(); // address -> Map(signature -> transaction details)
+    this.refreshing = new Map(); // window -> pending refresh
+    this.data = this.loadData();
+  }
+
+  /**
+   * Load cached leaderboards from file
+   */
+  loadData() {
+    try {
+      if (fs.existsSync(this.options.cacheFile)) {
+        const content = fs.readFileSync(this.options.cacheFile, 'utf8');
+        return JSON.parse(content);
+      }
+    } catch (error) {
+      console.error('Error loading leaderboard cache:', error.message);
+    }
+
+    return {
+      windows: {} // { '7d': { generatedAt, wallets: [...] } }
+    };
+  }
+
+  /**
+   * Save cached leaderboards to file
+   */
+  saveData() {
+    try {
+      const tmpFile = `${this.options.cacheFile}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify(this.data, null, 2));
+      fs.renameSync(tmpFile, this.options.cacheFile);
+    } catch (error) {
+      console.error('Error saving leaderboard cache:', error.message);
+    }
+  }
+
+  /**
+   * Get the ranked leaderboard for a window ('24h', '7d' or '30d')
+   *
+   * Served from the cache unless it is older than `cacheTtl` or `refresh`
+   * is set.
+   */
+  async getLeaderboard(window = '7d', { refresh = false } = {}) {
+    if (!LeaderboardWindow[window]) {
+      throw new Error(`Unknown leaderboard window: ${window} (use ${Object.keys(LeaderboardWindow).join(', ')})`);
+    }
+
+    if (!refresh && this.isFresh(window)) {
+      return this.data.windows[window];
+    }
+
+    if (!this.refreshing.has(window)) {
+      this.refreshing.set(window, this._build(window).finally(() => this.refreshing.delete(window)));
+    }
+    return this.refreshing.get(window);
+  }
+
+  /**
+   * Whether the cached leaderboard for a window is younger than `cacheTtl`
+   */
+  isFresh(window) {
+    const cached = this.data.windows[window];
+    return Boolean(cached) && Date.now() - new Date(cached.generatedAt).getTime() < this.options.cacheTtl;
+  }
+
+  /**
+   * Score every tracked wallet and cache the ranked leaderboard
+   */
+  async _build(window) {
+    const solPriceUsd = await this._getSolPriceUsd();
+    const wallets = [];
+
+    for (const wallet of this.tracker.wallets) {
+      try {
+        wallets.push(await this._scoreWallet(wallet, window, solPriceUsd));
+      } catch (error) {
+        console.error(`Leaderboard error (${wallet.name}):`, error.message);
+        wallets.push({ name: wallet.name, emoji: wallet.emoji, address: wallet.trackedWalletAddress, error: error.message, score: null });
+      }
+    }
+
+    wallets.sort((a, b) => (b.score ?? -1) - (a.score ?? -1));
+    wallets.forEach((entry, i) => { entry.rank = entry.score !== null ? i + 1 : null; });
+
+    const leaderboard = { window, generatedAt: new Date().toISOString(), solPriceUsd, wallets };
+    this.data.windows[window] = leaderboard;
+    this.saveData();
+
+    return leaderboard;
+  }
+
+  /**
+   * Cached 0-1 score for a wallet (null if not ranked yet)
+   *
+   * Synchronous so strategies can call it while handling an alert.
+   * Entries are matched by address, so a renamed wallet keeps its score.
+   */
+  getWalletScore(nameOrAddress, window = '30d') {
+    const wallet = this.tracker.wallets.find(w =>
+      w.name.toLowerCase() === nameOrAddress.toLowerCase() || w.trackedWalletAddress === nameOrAddress
+    );
+    const address = wallet ? wallet.trackedWalletAddress : nameOrAddress;
+    const entry = this.data.windows[window]?.wallets.find(w => w.address === address);
+    return entry?.score ?? null;
+  }
+
+  /**
+   * Compute metrics and score for one wallet
+   */
+  async _scoreWallet(wallet, window, solPriceUsd) {
+    const windowMs = LeaderboardWindow[window];
+    const since = (Date.now() - windowMs) / 1000;
+
+    const history = await this._getHistory(wallet.trackedWalletAddress);
+    const fetched = history.filter(tx => tx.blockTime);
+    const transactions = fetched.filter(tx => tx.blockTime >= since);
+
+    // If every fetched transaction is inside the window, older ones in it were cut off
+    const complete = fetched.length < this.options.historyLimit || fetched.some(tx => tx.blockTime < since);
+    const oldest = Math.min(...transactions.map(tx => tx.blockTime));
+    const daysCovered = complete || transactions.length === 0
+      ? windowMs / 86400000
+      : Math.max((Date.now() / 1000 - oldest) / 86400, 1 / 24);
+
+    const { summary } = this.pnlEngine.calculate(transactions);
+    const buys = transactions
+      .filter(tx => tx.success !== false)
+      .flatMap(tx => tx.trades || [])
+      .filter(trade => trade.side === 'BUY' && trade.inputMint === SOL_MINT && trade.priceInSol);
+
+    const avgEntryMarketCapSol = await this._averageEntryMarketCap(buys);
+    const tradeCount = summary.closedTrades + buys.length;
+    const tradesPerDay = tradeCount / daysCovered;
+
+    const metrics = {
+      realizedPnlSol: summary.realizedPnlSol,
+      winRate: summary.winRate,
+      closedTrades: summary.closedTrades,
+      buys: buys.length,
+      tradesPerDay,
+      medianHoldTimeMs: summary.medianHoldTimeMs,
+      avgEntryMarketCapSol,
+      avgEntryMarketCapUsd: avgEntryMarketCapSol !== null && solPriceUsd ? avgEntryMarketCapSol * solPriceUsd : null
+    };
+
+    return {
+      name: wallet.name,
+      emoji: wallet.emoji,
+      address: wallet.trackedWalletAddress,
+      ...metrics,
+      complete,
+      score: this._score(metrics)
+    };
+  }
+
+  /**
+   * Recent transactions of a wallet, newest first
+   *
+   * Details of transactions fetched by an earlier refresh are reused, so only
+   * new signatures cost a getTransaction call. Failed fetches are retried on
+   * the next refresh.
+   */
+  async _getHistory(address) {
+    const signatures = await this.tracker.getRecentTransactions(address, this.options.historyLimit);
+    const known = this.historyCache.get(address) || new Map();
+    const kept = new Map();
+
+    const transactions = await mapWithConcurrency(signatures, this.options.concurrency, async (sig) => {
+      let details = known.get(sig.signature);
+      if (!details) {
+        try {
+          details = await this.tracker.getTransactionDetails(sig.signature, address);
+        } catch (error) {
+          return { signature: sig.signature, error: error.message };
+        }
+      }
+      kept.set(sig.signature, details);
+      return details;
+    });
+
+    // Only signatures still in the history are kept, which bounds the cache
+    this.historyCache.set(address, kept);
+    return transactions;
+  }
+
+  /**
+   * Combine metrics into a 0-1 score
+   */
+  _score({ realizedPnlSol, winRate, closedTrades, tradesPerDay }) {
+    const confidence = Math.min(closedTrades / this.options.minTrades, 1);
+    const pnlScore = (Math.tanh(realizedPnlSol / this.options.pnlScale) + 1) / 2;
+    const winScore = winRate ?? 0;
+    const activityScore = Math.min(tradesPerDay / this.options.targetTradesPerDay, 1);
+
+    return confidence * (0.5 * pnlScore + 0.35 * winScore) + 0.15 * activityScore;
+  }
+
+  /**
+   * Average market cap (in SOL) at which the wallet bought
+   *
+   * Uses the entry price times the token's current supply.
+   */
+  async _averageEntryMarketCap(buys) {
+    const marketCaps = [];
+
+    for (const buy of buys) {
+      const supply = await this._getSupply(buy.outputMint);
+      if (supply) {
+        marketCaps.push(buy.priceInSol * supply);
+      }
+    }
+
+    return marketCaps.length > 0
+      ? marketCaps.reduce((sum, cap) => sum + cap, 0) / marketCaps.length
+      : null;
+  }
+
+  /**
+   * Token supply, cached per mint
+   */
+  async _getSupply(mint) {
+    if (!this.supplyCache.has(mint)) {
+      try {
+        const { value } = await this.tracker.connection.getTokenSupply(new PublicKey(mint));
+        this.supplyCache.set(mint, parseFloat(value.uiAmountString || '0'));
+      } catch (error) {
+        this.supplyCache.set(mint, null);
+      }
+    }
+    return this.supplyCache.get(mint);
+  }
+
+  /**
+   * Current SOL price in USD (null if unavailable)
+   */
+  async _getSolPriceUsd() {
+    try {
+      const prices = await this.tracker.priceSource.getPrices([SOL_MINT]);
+      return prices[SOL_MINT]?.priceUsd || null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+export default Leaderboard;
@@ -0,0 +1,245 @@
+import fs from 'fs';
+import { Connection, PublicKey } from '@solana/web3.js';
+import { SOL_MINT } from './swap-decoder.js';
+
+const METADATA_PROGRAM = 'metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s';
+const PARSED_PROGRAMS = { 'spl-token': 'spl-token', 'spl-token-2022': 'token-2022' };
+
+// Wrapped SOL, so SOL amounts never need a lookup
+const NATIVE_SOL = {
+  mint: SOL_MINT,
+  program: 'spl-token',
+  decimals: 9,
+  supply: null,
+  mintAuthority: null,
+  freezeAuthority: null,
+  name: 'Wrapped SOL',
+  symbol: 'SOL',
+  uri: null
+};
+
+/**
+ * Name, symbol and uri from a Metaplex metadata account
+ *
+ * Layout: key, update authority, mint, then borsh strings (u32 length +
+ * bytes, padded with NULs) for name, symbol and uri.
+ */
+function readMetaplexMetadata(data) {
+  let offset = 1 + 32 + 32;
+  const readString = () => {
+    const length = data.readUInt32LE(offset);
+    const value = data.subarray(offset + 4, offset + 4 + length).toString('utf8');
+    offset += 4 + length;
+    return value.replace(/\0/g, '').trim() || null;
+  };
+
+  return { name: readString(), symbol: readString(), uri: readString() };
+}
+
+/**
+ * MintMetadata - Decimals, supply, authorities, name and symbol of token mints
+ *
+ * Read from the mint account (SPL Token or Token-2022) plus its metadata:
+ * the Token-2022 metadata extension, else the Metaplex metadata account.
+ * Entries are cached in `dataFile`. Decimals never change, so
+ * `getDecimals()` always uses the cache; `get()` re-reads entries older
+ * than `maxAge` for the supply and authorities, and keeps the cached entry
+ * if that read fails.
+ */
+export class MintMetadata {
+  constructor(connection, options = {}) {
+    // A Connection, or an RPC URL to open one
+    this.connection = typeof connection === 'string' ? new Connection(connection, 'confirmed') : connection;
+    this.options = {
+      dataFile: './mint-metadata.json', // null keeps the cache in memory
+      maxAge: 24 * 60 * 60 * 1000, // Re-read supply and authorities after a day
+      failureTtl: 60 * 1000, // Don't retry a mint that just failed for a minute
+      ...options
+    };
+
+    this.pending = new Map(); // mint -> read in flight
+    this.failures = new Map(); // mint -> { error, failedAt } for uncached mints that failed to read
+    this.data = this.loadData();
+  }
+
+  /**
+   * Load cached metadata from file
+   */
+  loadData() {
+    try {
+      if (this.options.dataFile && fs.existsSync(this.options.dataFile)) {
+        const content = fs.readFileSync(this.options.dataFile, 'utf8');
+        return JSON.parse(content);
+      }
+    } catch (error) {
+      console.error('Error loading mint metadata:', error.message);
+    }
+
+    return {
+      mints: {} // { mint: { program, decimals, supply, mintAuthority, freezeAuthority, name, symbol, uri, fetchedAt } }
+    };
+  }
+
+  /**
+   * Save cached metadata to file
+   *
+   * Writes to a temp file first so a crash mid-write can't lose the cache.
+   */
+  saveData() {
+    if (!this.options.dataFile) {
+      return;
+    }
+
+    try {
+      const tmpFile = `${this.options.dataFile}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify(this.data, null, 2));
+      fs.renameSync(tmpFile, this.options.dataFile);
+    } catch (error) {
+      console.error('Error saving mint metadata:', error.message);
+    }
+  }
+
+  /**
+   * Metadata for a mint
+   *
+   * Returns `{ mint, program, decimals, supply (raw string), mintAuthority,
+   * freezeAuthority, name, symbol, uri, fetchedAt }`; name, symbol and uri
+   * are null for mints without metadata. Throws for addresses that aren't a
+   * token mint, and rethrows a failed read without retrying for `failureTtl`.
+   */
+  async get(mint) {
+    if (mint === SOL_MINT) {
+      return { ...NATIVE_SOL };
+    }
+
+    const cached = this.data.mints[mint];
+    if (cached && Date.now() - new Date(cached.fetchedAt).getTime() < this.options.maxAge) {
+      return { mint, ...cached };
+    }
+
+    const failure = this._recentFailure(mint);
+    if (!cached && failure) {
+      throw failure.error;
+    }
+
+    try {
+      const entry = await this._read(mint);
+      this.failures.delete(mint);
+      return { mint, ...entry };
+    } catch (error) {
+      if (cached) {
+        console.error(`Error refreshing mint ${mint}, using cached metadata:`, error.message);
+        return { mint, ...cached };
+      }
+      this.failures.set(mint, { error, failedAt: Date.now() });
+      throw error;
+    }
+  }
+
+  /**
+   * Metadata for several mints, keyed by mint
+   *
+   * Mints that can't be read are left out, and logged once per `failureTtl`.
+   */
+  async getMany(mints) {
+    const results = {};
+    await Promise.all([...new Set(mints)].map(async (mint) => {
+      if (!this.data.mints[mint] && this._recentFailure(mint)) {
+        return;
+      }
+      try {
+        results[mint] = await this.get(mint);
+      } catch (error) {
+        console.error(`Error reading mint ${mint}:`, error.message);
+      }
+    }));
+    return results;
+  }
+
+  /**
+   * Decimals of a mint (cached entries never expire)
+   */
+  async getDecimals(mint) {
+    const cached = mint === SOL_MINT ? NATIVE_SOL : this.data.mints[mint];
+    return cached ? cached.decimals : (await this.get(mint)).decimals;
+  }
+
+  /**
+   * Failure of an uncached mint's last read, if within `failureTtl`
+   */
+  _recentFailure(mint) {
+    const failure = this.failures.get(mint);
+    if (failure && Date.now() - failure.failedAt < this.options.failureTtl) {
+      return failure;
+    }
+    this.failures.delete(mint);
+    return null;
+  }
+
+  /**
+   * Read a mint and its metadata from chain, sharing reads already in flight
+   */
+  _read(mint) {
+    if (!this.pending.has(mint)) {
+      const read = this._fetch(mint)
+        .then(entry => {
+          this.data.mints[mint] = entry;
+          this.saveData();
+          return entry;
+        })
+        .finally(() => this.pending.delete(mint));
+      this.pending.set(mint, read);
+    }
+    return this.pending.get(mint);
+  }
+
+  async _fetch(mint) {
+    const account = await this.connection.getParsedAccountInfo(new PublicKey(mint));
+    const parsed = account.value?.data?.parsed;
+    const program = PARSED_PROGRAMS[account.value?.data?.program];
+    if (parsed?.type !== 'mint' || !program) {
+      throw new Error(`${mint} is not a token mint`);
+    }
+
+    const info = parsed.info;
+    const extension = (info.extensions || []).find(e => e.extension === 'tokenMetadata')?.state;
+    const metadata = extension
+      ? { name: extension.name || null, symbol: extension.symbol || null, uri: extension.uri || null }
+      : await this._fetchMetaplex(mint);
+
+    return {
+      program,
+      decimals: info.decimals,
+      supply: info.supply,
+      mintAuthority: info.mintAuthority ?? null,
+      freezeAuthority: info.freezeAuthority ?? null,
+      ...metadata,
+      fetchedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Metaplex metadata for a mint, all null when it has none
+   */
+  async _fetchMetaplex(mint) {
+    const programId = new PublicKey(METADATA_PROGRAM);
+    const [address] = PublicKey.findProgramAddressSync(
+      [Buffer.from('metadata'), programId.toBuffer(), new PublicKey(mint).toBuffer()],
+      programId
+    );
+
+    const account = await this.connection.getAccountInfo(address);
+    if (!account || !account.owner.equals(programId)) {
+      return { name: null, symbol: null, uri: null };
+    }
+
+    try {
+      return readMetaplexMetadata(account.data);
+    } catch (error) {
+      console.error(`Error decoding metadata for ${mint}:`, error.message);
+      return { name: null, symbol: null, uri: null };
+    }
+  }
+}
+
+export default MintMetadata;
@@ -0,0 +1,90 @@
+import fs from 'fs';
+
+/**
+ * MonitorState - Persists WalletMonitor cursors between restarts
+ *
+ * Keeps the last seen signature/slot and last known SOL balance for each
+ * wallet address, so a restarted monitor can catch up on what it missed
+ * instead of starting from "now".
+ */
+export class MonitorState {
+  constructor(stateFile = './monitor-state.json') {
+    this.stateFile = stateFile;
+    this.data = this.loadData();
+  }
+
+  /**
+   * Load state from file
+   */
+  loadData() {
+    try {
+      if (fs.existsSync(this.stateFile)) {
+        const content = fs.readFileSync(this.stateFile, 'utf8');
+        return JSON.parse(content);
+      }
+    } catch (error) {
+      console.error('Error loading monitor state:', error.message);
+    }
+
+    return {
+      wallets: {} // { address: { signature, slot, balance, updatedAt } }
+    };
+  }
+
+  /**
+   * Save state to file
+   *
+   * Writes to a temp file first so a crash mid-write can't corrupt the cursor.
+   */
+  saveData() {
+    try {
+      const tmpFile = `${this.stateFile}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify(this.data, null, 2));
+      fs.renameSync(tmpFile, this.stateFile);
+    } catch (error) {
+      console.error('Error saving monitor state:', error.message);
+    }
+  }
+
+  /**
+   * Get the saved cursor for a wallet address (or null)
+   */
+  getCursor(address) {
+    return this.data.wallets[address] || null;
+  }
+
+  /**
+   * Record the last processed transaction for a wallet
+   */
+  setCursor(address, signature, slot = null) {
+    this.data.wallets[address] = {
+      ...this.data.wallets[address],
+      signature,
+      slot,
+      updatedAt: new Date().toISOString()
+    };
+    this.saveData();
+  }
+
+  /**
+   * Record the last known SOL balance for a wallet
+   */
+  setBalance(address, balance) {
+    this.data.wallets[address] = {
+      ...this.data.wallets[address],
+      balance,
+      updatedAt: new Date().toISOString()
+    };
+    this.saveData();
+  }
+
+  /**
+   * Forget a wallet's cursor
+   */
+  remove(address) {
+    delete this.data.wallets[address];
+    this.saveData();
+  }
+}
+
+export default MonitorState;
@@ -1,15 +1,87 @@
 import fs from 'fs';
 import path from 'path';
+import { addCopy, reduceCopies, takeCopies, copiedAmount } from './copy-positions.js';
+import { DexScreenerPriceSource } from './price-source.js';
+import { SOL_MINT } from './swap-decoder.js';
+
+const LEDGER_VERSION = 2;
+
+/**
+ * Fresh ledger state
+ */
+function initialData(balance, quoteCurrency) {
+  return {
+    version: LEDGER_VERSION,
+    enabled: false,
+    quoteCurrency, // Unit of token prices: 'sol' or 'usd'
+    balance, // SOL
+    lastSolUsd: null, // SOL/USD rate of the latest trade
+    tokens: {}, // { mintAddress: { symbol, amount, avgPrice, totalCost, totalCostUsd, copies } }
+    trades: [], // History of all trades
+    stats: {
+      totalTrades: 0,
+      wins: 0,
+      losses: 0,
+      totalProfit: 0,
+      totalProfitUsd: 0,
+      startingBalance: balance
+    }
+  };
+}
+
+/**
+ * Sum of values, null if any of them is
+ */
+function sumOrNull(values) {
+  return values.some(v => v === null) ? null : values.reduce((sum, v) => sum + v, 0);
+}
 
 /**
  * PaperTrading - Simulates trading without real money
  *
- * Tracks virtual portfolio, trades, and performance
+ * Tracks virtual portfolio, trades, and performance. Pass `null` as the
+ * data file to keep the ledger in memory only (e.g. for backtests).
+ *
+ * The balance is SOL. Token prices passed to buy/sell and returned by
+ * fetchCurrentPrices are in the ledger's quote currency
+ * (`options.quoteCurrency`, 'sol' or 'usd', kept in the file once created).
+ * Each trade records the SOL/USD rate it happened at (`options.solUsd`, a
+ * function returning it; USD ledgers read it from the price source by
+ * default), so cost basis and PnL are kept in both SOL and USD. USD figures
+ * are null for SOL ledgers without a rate.
+ *
+ * Trades fill at exactly the given price unless `options.fillSimulator` (a
+ * FillSimulator) is set: then the fill comes from a Jupiter quote or pool
+ * math after its latency, less DEX, network and priority fees. Trades keep
+ * the given price as `quotedPrice` next to the fill, and fees count towards
+ * cost basis and PnL.
  */
 export class PaperTrading {
-  constructor(dataFile = './paper-trades.json') {
+  constructor(dataFile = './paper-trades.json', options = {}) {
     this.dataFile = dataFile;
+    this.dexScreenerUrl = options.dexScreenerUrl || process.env.DEXSCREENER_API_URL || 'https://api.dexscreener.com';
+    this.options = {
+      quoteCurrency: options.quoteCurrency || 'sol', // For new ledgers
+      priceSource: options.priceSource || new DexScreenerPriceSource({ baseUrl: this.dexScreenerUrl }),
+      solUsd: options.solUsd || null, // () => SOL price in USD (sync or async)
+      legacySolUsd: options.legacySolUsd || null, // Rate for migrating old files (see migrate())
+      fillSimulator: options.fillSimulator || null // null fills at the given price, free of fees
+    };
+    if (!this.options.solUsd && this.options.quoteCurrency === 'usd') {
+      this.options.solUsd = () => this._fetchSolUsd();
+    }
+
+    this.migrationPending = false;
     this.data = this.loadData();
+
+    // Files from before quote currencies are replayed, see migrate()
+    if (!this.data.version) {
+      if (this.getQuoteCurrency() === 'sol' || this.options.legacySolUsd) {
+        this._migrate(this.options.legacySolUsd);
+      } else {
+        this.migrationPending = true;
+      }
+    }
   }
 
   /**
@@ -17,7 +89,7 @@ export class PaperTrading {
    */
   loadData() {
     try {
-      if (fs.existsSync(this.dataFile)) {
+      if (this.dataFile && fs.existsSync(this.dataFile)) {
         const content = fs.readFileSync(this.dataFile, 'utf8');
         return JSON.parse(content);
       }
@@ -25,26 +97,81 @@ export class PaperTrading {
       console.error('Error loading paper trading data:', error.message);
     }
 
-    // Default initial state
-    return {
-      enabled: false,
-      balance: 1.0, // Start with 1 SOL
-      tokens: {}, // { mintAddress: { symbol, amount, avgPrice, totalCost } }
-      trades: [], // History of all trades
-      stats: {
-        totalTrades: 0,
-        wins: 0,
-        losses: 0,
-        totalProfit: 0,
-        startingBalance: 1.0
+    // Default initial state, starting with 1 SOL
+    return initialData(1.0, this.options.quoteCurrency);
+  }
+
+  /**
+   * Bring a ledger saved before quote currencies up to date
+   *
+   * Old files divided SOL by whatever price they were given (USD from the
+   * Telegram bot), so token amounts and average prices mixed both units.
+   * Their trades are replayed from the starting balance in the ledger's
+   * quote currency at one SOL/USD rate: `options.legacySolUsd`, else the
+   * current rate, as old trades recorded none. Buys keep the SOL they spent
+   * and sells the share of the holding they sold, so the SOL balance and
+   * realized PnL come out unchanged. The old file is kept as
+   * `<dataFile>.v1`. Resolves to true if the ledger was migrated.
+   */
+  async migrate() {
+    if (!this.migrationPending) {
+      return false;
+    }
+
+    const solUsd = await this.getSolUsdRate();
+    if (!solUsd) {
+      throw new Error('No SOL/USD rate to migrate the paper ledger with');
+    }
+    this._migrate(solUsd);
+    return true;
+  }
+
+  _migrate(solUsd) {
+    const legacy = this.data;
+    if (this.dataFile && fs.existsSync(this.dataFile)) {
+      fs.copyFileSync(this.dataFile, `${this.dataFile}.v1`);
+    }
+
+    this.data = initialData(legacy.stats?.startingBalance ?? 1.0, this.getQuoteCurrency());
+    this.data.enabled = legacy.enabled;
+    this.migrationPending = false;
+
+    const held = {}; // mint -> legacy token amount
+    for (const trade of legacy.trades || []) {
+      try {
+        if (trade.type === 'BUY') {
+          held[trade.tokenMint] = (held[trade.tokenMint] || 0) + trade.tokensReceived;
+          this._buy(trade.tokenMint, trade.symbol, trade.amountSOL, trade.pricePerToken, {
+            solUsd,
+            copiedFrom: trade.copiedFrom || null,
+            timestamp: trade.timestamp
+          });
+        } else if (trade.type === 'SELL') {
+          // A sell with no earlier buy in the ledger has nothing to scale against
+          const heldBefore = held[trade.tokenMint] || 0;
+          if (heldBefore <= 0) throw new Error(`no earlier buy of ${trade.tokenMint}`);
+          const share = Math.min(trade.tokenAmount / heldBefore, 1);
+          held[trade.tokenMint] = Math.max(heldBefore - trade.tokenAmount, 0);
+          const holding = this.data.tokens[trade.tokenMint];
+          this._sell(trade.tokenMint, share * (holding?.amount || 0), trade.pricePerToken, { solUsd, timestamp: trade.timestamp });
+        }
+      } catch (error) {
+        console.error(`Skipping paper trade from ${trade.timestamp} in migration:`, error.message);
       }
-    };
+    }
+
+    this.saveData();
+    console.log(`📒 Migrated paper ledger to ${this.getQuoteCurrency().toUpperCase()} prices (${this.data.trades.length} trades)`);
   }
 
   /**
    * Save data to file
    */
   saveData() {
+    if (!this.dataFile) {
+      return;
+    }
+
     try {
       fs.writeFileSync(this.dataFile, JSON.stringify(this.data, null, 2));
     } catch (error) {
@@ -68,6 +195,76 @@ export class PaperTrading {
     return this.data.enabled;
   }
 
+  /**
+   * Unit of the ledger's token prices: 'sol' or 'usd'
+   */
+  getQuoteCurrency() {
+    return this.data.quoteCurrency || this.options.quoteCurrency;
+  }
+
+  /**
+   * Current SOL price in USD, falling back to the rate of the latest trade
+   *
+   * Null when neither is known.
+   */
+  async getSolUsdRate() {
+    let rate = null;
+    if (this.options.solUsd) {
+      try {
+        rate = await this.options.solUsd();
+      } catch (error) {
+        console.error('Error fetching SOL/USD rate:', error.message);
+      }
+    }
+    return rate || this.data.lastSolUsd || null;
+  }
+
+  async _fetchSolUsd() {
+    const prices = await this.options.priceSource.getPrices([SOL_MINT]);
+    return prices[SOL_MINT]?.priceUsd || null;
+  }
+
+  /**
+   * Rate for a trade; USD ledgers can't trade without one
+   */
+  async _tradeRate() {
+    const solUsd = await this.getSolUsdRate();
+    if (!solUsd && this.getQuoteCurrency() === 'usd') {
+      throw new Error('No SOL/USD rate to convert USD prices with');
+    }
+    return solUsd;
+  }
+
+  /**
+   * Price in the quote currency -> SOL (null if it can't be converted)
+   */
+  _toSol(price, solUsd) {
+    if (this.getQuoteCurrency() === 'sol') {
+      return price;
+    }
+    return solUsd ? price / solUsd : null;
+  }
+
+  /**
+   * SOL price -> quote currency (null if it can't be converted)
+   */
+  _fromSol(priceSol, solUsd) {
+    if (this.getQuoteCurrency() === 'sol') {
+      return priceSol;
+    }
+    return solUsd ? priceSol * solUsd : null;
+  }
+
+  /**
+   * Price in the quote currency -> USD (null if it can't be converted)
+   */
+  _toUsd(price, solUsd) {
+    if (this.getQuoteCurrency() === 'usd') {
+      return price;
+    }
+    return solUsd ? price * solUsd : null;
+  }
+
   /**
    * Get current portfolio
    */
@@ -81,43 +278,35 @@ export class PaperTrading {
   }
 
   /**
-   * Fetch current prices from DexScreener for all holdings
+   * Fetch current prices for all holdings, in the quote currency
    */
   async fetchCurrentPrices() {
+    const mints = Object.keys(this.data.tokens);
+    const quotes = mints.length > 0 ? await this.options.priceSource.getPrices(mints) : {};
     const prices = {};
 
-    for (const mint of Object.keys(this.data.tokens)) {
-      try {
-        const response = await fetch(`https://api.dexscreener.com/latest/dex/tokens/${mint}`);
-        const data = await response.json();
-
-        if (data.pairs && data.pairs.length > 0) {
-          // Get the first pair (usually the most liquid)
-          prices[mint] = parseFloat(data.pairs[0].priceUsd) || this.data.tokens[mint].avgPrice;
-        } else {
-          // Fallback to cost basis if no price found
-          prices[mint] = this.data.tokens[mint].avgPrice;
-        }
-      } catch (error) {
-        console.error(`Error fetching price for ${mint}:`, error.message);
-        // Fallback to cost basis
-        prices[mint] = this.data.tokens[mint].avgPrice;
-      }
+    for (const mint of mints) {
+      const quote = quotes[mint];
+      const price = this.getQuoteCurrency() === 'usd' ? quote?.priceUsd : quote?.priceSol;
+      // Fallback to cost basis if no price found
+      prices[mint] = price || this.data.tokens[mint].avgPrice;
     }
 
     return prices;
   }
 
   /**
-   * Calculate total portfolio value (requires current prices)
+   * Calculate total portfolio value in SOL (requires current prices)
+   *
+   * Holdings without a price (or a rate to convert it) count at cost.
    */
   calculateTotalValue(tokenPrices = {}) {
     let totalValue = this.data.balance; // Start with SOL balance
 
     // Add value of all token holdings
     for (const [mint, holding] of Object.entries(this.data.tokens)) {
-      const currentPrice = tokenPrices[mint] || holding.avgPrice;
-      totalValue += holding.amount * currentPrice;
+      const priceSol = tokenPrices[mint] ? this._toSol(tokenPrices[mint], this.data.lastSolUsd) : null;
+      totalValue += priceSol !== null ? holding.amount * priceSol : holding.totalCost;
     }
 
     return totalValue;
@@ -125,24 +314,37 @@ export class PaperTrading {
 
   /**
    * Get portfolio with real-time prices and P&L
+   *
+   * Values and PnL are in SOL, with `...Usd` twins at the current SOL/USD
+   * rate (`solUsd`) against the USD cost basis.
    */
   async getPortfolioWithPrices() {
+    await this.migrate();
     const currentPrices = await this.fetchCurrentPrices();
+    const solUsd = await this._tradeRate();
     const tokensWithPnL = {};
 
     for (const [mint, holding] of Object.entries(this.data.tokens)) {
       const currentPrice = currentPrices[mint] || holding.avgPrice;
-      const currentValue = holding.amount * currentPrice;
+      const currentValue = holding.amount * this._toSol(currentPrice, solUsd);
       const costBasis = holding.totalCost;
       const unrealizedPnL = currentValue - costBasis;
       const unrealizedPnLPercent = (unrealizedPnL / costBasis) * 100;
 
+      const currentValueUsd = solUsd ? currentValue * solUsd : null;
+      const unrealizedPnLUsd = currentValueUsd !== null && holding.totalCostUsd !== null
+        ? currentValueUsd - holding.totalCostUsd
+        : null;
+
       tokensWithPnL[mint] = {
         ...holding,
         currentPrice,
         currentValue,
         unrealizedPnL,
-        unrealizedPnLPercent
+        unrealizedPnLPercent,
+        currentValueUsd,
+        unrealizedPnLUsd,
+        unrealizedPnLPercentUsd: unrealizedPnLUsd !== null ? (unrealizedPnLUsd / holding.totalCostUsd) * 100 : null
       };
     }
 
@@ -153,62 +355,106 @@ export class PaperTrading {
       balance: this.data.balance,
       tokens: tokensWithPnL,
       stats: this.data.stats,
+      quoteCurrency: this.getQuoteCurrency(),
+      solUsd,
       totalValue,
+      totalValueUsd: solUsd ? totalValue * solUsd : null,
       totalUnrealizedPnL,
-      totalRealizedPnL: this.data.stats.totalProfit
+      totalUnrealizedPnLUsd: sumOrNull(Object.values(tokensWithPnL).map(t => t.unrealizedPnLUsd)),
+      totalRealizedPnL: this.data.stats.totalProfit,
+      totalRealizedPnLUsd: this.data.stats.totalProfitUsd
     };
   }
 
   /**
    * Execute a paper buy
+   *
+   * `pricePerToken` is in the quote currency. `copiedFrom`
+   * (`{ wallet, signature }`) links the tokens to the tracked wallet trade
+   * they copy, for mirroring its sells (see getCopiedAmount).
    */
-  async buy(tokenMint, symbol, amountSOL, pricePerToken) {
+  async buy(tokenMint, symbol, amountSOL, pricePerToken, copiedFrom = null) {
+    await this.migrate();
     if (!this.data.enabled) {
       throw new Error('Paper trading is not enabled');
     }
-
     if (amountSOL > this.data.balance) {
       throw new Error(`Insufficient balance. Have ${this.data.balance} SOL, need ${amountSOL} SOL`);
     }
 
-    // Calculate how many tokens we get
-    const tokensReceived = amountSOL / pricePerToken;
+    const solUsd = await this._tradeRate();
+    const fill = this.options.fillSimulator ? await this.options.fillSimulator.buy(tokenMint, amountSOL, solUsd) : null;
+    return this._buy(tokenMint, symbol, amountSOL, pricePerToken, { solUsd, copiedFrom, fill });
+  }
+
+  _buy(tokenMint, symbol, amountSOL, pricePerToken, { solUsd = null, copiedFrom = null, fill = null, timestamp = new Date().toISOString() } = {}) {
+    const txFees = fill ? fill.fees.network + fill.fees.priority : 0;
+    if (amountSOL + txFees > this.data.balance) {
+      throw new Error(`Insufficient balance. Have ${this.data.balance} SOL, need ${amountSOL + txFees} SOL`);
+    }
+    if (!(pricePerToken > 0)) {
+      throw new Error(`Invalid price ${pricePerToken} for ${symbol}`);
+    }
+
+    // Calculate how many tokens we get, and what they cost with fees
+    const priceSol = fill ? fill.fillPriceSol : this._toSol(pricePerToken, solUsd);
+    const tokensReceived = fill ? fill.tokenAmount : amountSOL / priceSol;
+    const costSol = amountSOL + txFees;
+    const costUsd = solUsd ? costSol * solUsd : null;
 
     // Deduct SOL from balance
-    this.data.balance -= amountSOL;
+    this.data.balance -= costSol;
 
     // Add or update token holding
     if (this.data.tokens[tokenMint]) {
       const holding = this.data.tokens[tokenMint];
-      const totalAmount = holding.amount + tokensReceived;
-      const totalCost = holding.totalCost + amountSOL;
-      holding.avgPrice = totalCost / totalAmount;
-      holding.amount = totalAmount;
-      holding.totalCost = totalCost;
+      holding.amount += tokensReceived;
+      holding.totalCost += costSol;
+      holding.totalCostUsd = holding.totalCostUsd !== null && costUsd !== null ? holding.totalCostUsd + costUsd : null;
+      holding.avgPrice = this._avgPrice(holding);
     } else {
-      this.data.tokens[tokenMint] = {
+      const holding = this.data.tokens[tokenMint] = {
         symbol,
         amount: tokensReceived,
-        avgPrice: pricePerToken,
-        totalCost: amountSOL,
-        firstBought: new Date().toISOString()
+        avgPrice: pricePerToken, // Quote currency
+        totalCost: costSol, // SOL, fees included
+        totalCostUsd: costUsd,
+        firstBought: timestamp
       };
+      if (fill) {
+        holding.avgPrice = this._avgPrice(holding); // Slippage and fees included
+      }
     }
 
-    // Record trade
+    if (copiedFrom) {
+      const holding = this.data.tokens[tokenMint];
+      holding.copies = addCopy(holding.copies || [], { ...copiedFrom, amount: tokensReceived });
+    }
+
+    // Record trade (prices are the fill's; quotedPrice is the one given)
     const trade = {
       type: 'BUY',
       tokenMint,
       symbol,
       amountSOL,
+      amountUsd: solUsd ? amountSOL * solUsd : null,
       tokensReceived,
-      pricePerToken,
-      timestamp: new Date().toISOString(),
+      quotedPrice: pricePerToken,
+      pricePerToken: fill ? this._fromSol(priceSol, solUsd) : pricePerToken,
+      priceSol,
+      priceUsd: fill ? (solUsd ? priceSol * solUsd : null) : this._toUsd(pricePerToken, solUsd),
+      solUsd,
+      fill: this._fillRecord('BUY', fill, pricePerToken, priceSol, solUsd),
+      timestamp,
       balanceAfter: this.data.balance
     };
+    if (copiedFrom) {
+      trade.copiedFrom = { wallet: copiedFrom.wallet, signature: copiedFrom.signature || null };
+    }
 
     this.data.trades.push(trade);
     this.data.stats.totalTrades++;
+    this.data.lastSolUsd = solUsd || this.data.lastSolUsd;
 
     this.saveData();
 
@@ -221,12 +467,31 @@ export class PaperTrading {
 
   /**
    * Execute a paper sell
+   *
+   * `pricePerToken` is in the quote currency. A sell mirroring a copied
+   * wallet passes its name as `mirroredWallet`, so only that wallet's copy
+   * links shrink (other sells shrink them all).
    */
-  async sell(tokenMint, tokenAmount, pricePerToken) {
+  async sell(tokenMint, tokenAmount, pricePerToken, mirroredWallet = null) {
+    await this.migrate();
     if (!this.data.enabled) {
       throw new Error('Paper trading is not enabled');
     }
 
+    const holding = this.data.tokens[tokenMint];
+    if (!holding) {
+      throw new Error(`No holdings for token ${tokenMint}`);
+    }
+    if (tokenAmount > holding.amount) {
+      throw new Error(`Insufficient tokens. Have ${holding.amount}, trying to sell ${tokenAmount}`);
+    }
+
+    const solUsd = await this._tradeRate();
+    const fill = this.options.fillSimulator ? await this.options.fillSimulator.sell(tokenMint, tokenAmount, solUsd) : null;
+    return this._sell(tokenMint, tokenAmount, pricePerToken, { solUsd, mirroredWallet, fill });
+  }
+
+  _sell(tokenMint, tokenAmount, pricePerToken, { solUsd = null, mirroredWallet = null, fill = null, timestamp = new Date().toISOString() } = {}) {
     const holding = this.data.tokens[tokenMint];
     if (!holding) {
       throw new Error(`No holdings for token ${tokenMint}`);
@@ -236,12 +501,18 @@ export class PaperTrading {
       throw new Error(`Insufficient tokens. Have ${holding.amount}, trying to sell ${tokenAmount}`);
     }
 
-    // Calculate SOL received
-    const solReceived = tokenAmount * pricePerToken;
+    // Calculate SOL received, after fees
+    const priceSol = fill ? fill.fillPriceSol : this._toSol(pricePerToken, solUsd);
+    const swappedSol = fill ? fill.solAmount : tokenAmount * priceSol;
+    const solReceived = fill ? swappedSol - fill.fees.network - fill.fees.priority : swappedSol;
+    const usdReceived = solUsd ? solReceived * solUsd : null;
 
-    // Calculate profit/loss for this portion
-    const costBasis = (holding.totalCost / holding.amount) * tokenAmount;
+    // Calculate profit/loss for this portion, in SOL and USD
+    const share = tokenAmount / holding.amount;
+    const costBasis = holding.totalCost * share;
+    const costBasisUsd = holding.totalCostUsd !== null ? holding.totalCostUsd * share : null;
     const profit = solReceived - costBasis;
+    const profitUsd = usdReceived !== null && costBasisUsd !== null ? usdReceived - costBasisUsd : null;
 
     // Update balance
     this.data.balance += solReceived;
@@ -252,11 +523,15 @@ export class PaperTrading {
       delete this.data.tokens[tokenMint];
     } else {
       // Selling partial
-      const remainingAmount = holding.amount - tokenAmount;
-      const remainingCost = holding.totalCost - costBasis;
-      holding.amount = remainingAmount;
-      holding.totalCost = remainingCost;
-      holding.avgPrice = remainingCost / remainingAmount;
+      if (holding.copies) {
+        holding.copies = mirroredWallet
+          ? takeCopies(holding.copies, mirroredWallet, tokenAmount)
+          : reduceCopies(holding.copies, share);
+      }
+      holding.amount -= tokenAmount;
+      holding.totalCost -= costBasis;
+      holding.totalCostUsd = costBasisUsd !== null ? holding.totalCostUsd - costBasisUsd : null;
+      holding.avgPrice = this._avgPrice(holding);
     }
 
     // Record trade
@@ -266,17 +541,28 @@ export class PaperTrading {
       symbol: holding.symbol,
       tokenAmount,
       solReceived,
-      pricePerToken,
+      usdReceived,
+      quotedPrice: pricePerToken,
+      pricePerToken: fill ? this._fromSol(priceSol, solUsd) : pricePerToken,
+      priceSol,
+      priceUsd: fill ? (solUsd ? priceSol * solUsd : null) : this._toUsd(pricePerToken, solUsd),
+      solUsd,
+      fill: this._fillRecord('SELL', fill, pricePerToken, priceSol, solUsd),
       profit,
       profitPercent: (profit / costBasis) * 100,
-      timestamp: new Date().toISOString(),
+      profitUsd,
+      profitPercentUsd: profitUsd !== null ? (profitUsd / costBasisUsd) * 100 : null,
+      timestamp,
       balanceAfter: this.data.balance
     };
 
     this.data.trades.push(trade);
     this.data.stats.totalTrades++;
     this.data.stats.totalProfit += profit;
+    this.data.stats.totalProfitUsd = sumOrNull([this.data.stats.totalProfitUsd, profitUsd]);
+    this.data.lastSolUsd = solUsd || this.data.lastSolUsd;
 
+    // Wins and losses count in SOL, the unit the balance is kept in
     if (profit > 0) {
       this.data.stats.wins++;
     } else if (profit < 0) {
@@ -292,6 +578,45 @@ export class PaperTrading {
     };
   }
 
+  /**
+   * What a simulated fill did to a trade, null for exact fills
+   *
+   * `slippagePercent` is how much worse than the quoted price the fill was,
+   * DEX fees and price impact included; `fees` are in SOL.
+   */
+  _fillRecord(type, fill, quotedPrice, fillPriceSol, solUsd) {
+    if (!fill) {
+      return null;
+    }
+
+    const quotedPriceSol = this._toSol(quotedPrice, solUsd);
+    const ratio = quotedPriceSol ? fillPriceSol / quotedPriceSol : null;
+    return {
+      model: fill.model,
+      marketPrice: fill.marketPriceSol === null ? null : this._fromSol(fill.marketPriceSol, solUsd),
+      slippagePercent: ratio === null ? null : (type === 'BUY' ? ratio - 1 : 1 - ratio) * 100,
+      priceImpactPercent: fill.priceImpactPercent,
+      fees: fill.fees,
+      latencyMs: fill.latencyMs
+    };
+  }
+
+  /**
+   * Average entry price of a holding in the quote currency
+   */
+  _avgPrice(holding) {
+    return this.getQuoteCurrency() === 'usd'
+      ? holding.totalCostUsd / holding.amount
+      : holding.totalCost / holding.amount;
+  }
+
+  /**
+   * Tokens of a holding bought by copying a tracked wallet
+   */
+  getCopiedAmount(tokenMint, wallet) {
+    return copiedAmount(this.data.tokens[tokenMint]?.copies, wallet);
+  }
+
   /**
    * Get trade history
    */
@@ -309,7 +634,7 @@ export class PaperTrading {
     const totalReturn = portfolio.totalValue - stats.startingBalance;
     const returnPercent = (totalReturn / stats.startingBalance) * 100;
 
-    const winRate = stats.totalTrades > 0
+    const winRate = stats.wins + stats.losses > 0
       ? (stats.wins / (stats.wins + stats.losses)) * 100
       : 0;
 
@@ -323,23 +648,42 @@ export class PaperTrading {
     };
   }
 
+  /**
+   * Largest peak-to-trough drop in account value over the trade history
+   *
+   * Holdings are marked at their last trade price, so this reflects the
+   * prices trades happened at rather than moves in between.
+   */
+  getDrawdown() {
+    const holdings = {}; // mint -> { amount, price }
+    let peak = this.data.stats.startingBalance;
+    let maxDrawdown = 0;
+    let maxDrawdownPercent = 0;
+
+    for (const trade of this.data.trades) {
+      const holding = holdings[trade.tokenMint] ||= { amount: 0, price: 0 };
+      holding.amount += trade.type === 'BUY' ? trade.tokensReceived : -trade.tokenAmount;
+      holding.price = trade.priceSol;
+
+      const value = trade.balanceAfter + Object.values(holdings).reduce((sum, h) => sum + h.amount * h.price, 0);
+      peak = Math.max(peak, value);
+      if (peak - value > maxDrawdown) {
+        maxDrawdown = peak - value;
+        maxDrawdownPercent = (maxDrawdown / peak) * 100;
+      }
+    }
+
+    return { maxDrawdown, maxDrawdownPercent, peak };
+  }
+
   /**
    * Reset paper trading to initial state
    */
   reset(initialBalance = 1.0) {
-    this.data = {
-      enabled: this.data.enabled, // Preserve enabled state
-      balance: initialBalance,
-      tokens: {},
-      trades: [],
-      stats: {
-        totalTrades: 0,
-        wins: 0,
-        losses: 0,
-        totalProfit: 0,
-        startingBalance: initialBalance
-      }
-    };
+    const enabled = this.data.enabled; // Preserve enabled state
+    this.data = initialData(initialBalance, this.getQuoteCurrency());
+    this.data.enabled = enabled;
+    this.migrationPending = false;
     this.saveData();
     return this.getPortfolio();
   }
@@ -0,0 +1,282 @@
+import { SOL_MINT } from './swap-decoder.js';
+
+/**
+ * PnLEngine - Realized/unrealized PnL for tracked wallets
+ *
+ * Replays a wallet's decoded swaps (oldest first) into per-token lots and
+ * reports realized PnL, unrealized PnL at current prices, win rate and hold
+ * time. Only SOL-quoted trades are counted; everything is in SOL.
+ *
+ * Cost basis methods:
+ * - 'fifo' (default): sells consume the oldest lots first
+ * - 'average': sells are costed at the running average price
+ *
+ * Sells of tokens bought before the analysed window have no known cost, so
+ * that part of the sell is reported as `unmatchedSold` and left out of PnL.
+ */
+export class PnLEngine {
+  constructor(tracker = null, options = {}) {
+    this.tracker = tracker;
+    this.options = {
+      method: options.method || 'fifo', // 'fifo' or 'average'
+      historyLimit: options.historyLimit || 100, // Transactions fetched per wallet
+      ...options
+    };
+  }
+
+  /**
+   * Fetch a wallet's history and compute its PnL
+   */
+  async analyzeWallet(nameOrAddress, options = {}) {
+    if (!this.tracker) {
+      throw new Error('PnLEngine needs a tracker to fetch history');
+    }
+
+    const limit = options.limit || this.options.historyLimit;
+    const history = await this.tracker.getDetailedTransactionHistory(nameOrAddress, limit);
+
+    // Price whatever is still held
+    const preview = this.calculate(history.transactions, {}, options);
+    const openMints = Object.values(preview.tokens)
+      .filter(token => token.position > 0)
+      .map(token => token.mint);
+
+    let currentPrices = {};
+    if (openMints.length > 0) {
+      try {
+        const prices = await this.tracker.priceSource.getPrices(openMints);
+        currentPrices = Object.fromEntries(
+          Object.entries(prices)
+            .filter(([, price]) => price.priceSol !== null)
+            .map(([mint, price]) => [mint, price.priceSol])
+        );
+      } catch (error) {
+        console.error('Error fetching prices for PnL:', error.message);
+      }
+    }
+
+    return {
+      address: history.address,
+      name: history.name,
+      emoji: history.emoji,
+      transactionsAnalyzed: history.transactions.length,
+      ...this.calculate(history.transactions, currentPrices, options)
+    };
+  }
+
+  /**
+   * Compute PnL from recorded transactions (no network)
+   *
+   * `transactions` are `getTransactionDetails`-style objects with `trades`
+   * and `blockTime`, in any order. `currentPrices` maps mint -> price in SOL.
+   */
+  calculate(transactions, currentPrices = {}, options = {}) {
+    const method = options.method || this.options.method;
+    const tokens = {};
+    let skippedTrades = 0;
+
+    const ordered = transactions
+      .filter(tx => tx.success !== false && Array.isArray(tx.trades))
+      .sort((a, b) => (a.blockTime || 0) - (b.blockTime || 0));
+
+    for (const tx of ordered) {
+      const time = (tx.blockTime || 0) * 1000;
+
+      for (const trade of tx.trades) {
+        if (trade.side === 'BUY' && trade.inputMint === SOL_MINT) {
+          this._buy(this._getToken(tokens, trade.outputMint), trade.outputAmount, trade.inputAmount, time);
+        } else if (trade.side === 'SELL' && trade.outputMint === SOL_MINT) {
+          this._sell(this._getToken(tokens, trade.inputMint), trade.inputAmount, trade.outputAmount, time, method);
+        } else {
+          skippedTrades++;
+        }
+      }
+    }
+
+    // Unrealized PnL on open positions
+    for (const token of Object.values(tokens)) {
+      token.position = token.lots.reduce((sum, lot) => sum + lot.amount, 0);
+      token.costBasisSol = token.lots.reduce((sum, lot) => sum + lot.costSol, 0);
+
+      const price = currentPrices[token.mint];
+      if (token.position > 0 && price !== undefined) {
+        token.currentPriceSol = price;
+        token.unrealizedPnlSol = token.position * price - token.costBasisSol;
+      }
+
+      token.avgHoldTimeMs = token.holdTimes.length > 0
+        ? token.holdTimes.reduce((sum, t) => sum + t, 0) / token.holdTimes.length
+        : null;
+    }
+
+    return {
+      method,
+      tokens: Object.fromEntries(Object.entries(tokens).map(([mint, token]) => [mint, this._publicToken(token)])),
+      summary: this._summarize(Object.values(tokens), skippedTrades)
+    };
+  }
+
+  /**
+   * Get (or create) the running state for a mint
+   */
+  _getToken(tokens, mint) {
+    if (!tokens[mint]) {
+      tokens[mint] = {
+        mint,
+        lots: [], // { amount, costSol, openedAt }
+        bought: 0,
+        sold: 0,
+        unmatchedSold: 0,
+        spentSol: 0,
+        receivedSol: 0,
+        realizedPnlSol: 0,
+        unrealizedPnlSol: null,
+        currentPriceSol: null,
+        wins: 0,
+        losses: 0,
+        holdTimes: []
+      };
+    }
+    return tokens[mint];
+  }
+
+  /**
+   * Record a buy as a new lot
+   */
+  _buy(token, amount, costSol, time) {
+    token.lots.push({ amount, costSol, openedAt: time });
+    token.bought += amount;
+    token.spentSol += costSol;
+  }
+
+  /**
+   * Match a sell against open lots and realize PnL
+   */
+  _sell(token, amount, proceedsSol, time, method) {
+    token.sold += amount;
+    token.receivedSol += proceedsSol;
+
+    const held = token.lots.reduce((sum, lot) => sum + lot.amount, 0);
+    const matched = Math.min(amount, held);
+    token.unmatchedSold += amount - matched;
+
+    if (matched <= 0) {
+      return;
+    }
+
+    const consumed = method === 'average'
+      ? this._consumeAverage(token, matched, held, time)
+      : this._consumeFifo(token, matched, time);
+
+    // Only the matched share of the proceeds has a known cost
+    const pnl = proceedsSol * (matched / amount) - consumed.costSol;
+    token.realizedPnlSol += pnl;
+    if (pnl > 0) token.wins++;
+    else token.losses++;
+
+    token.holdTimes.push(consumed.holdTimeMs);
+  }
+
+  /**
+   * Take `amount` from the oldest lots first
+   *
+   * Returns the cost of what was taken and its amount-weighted hold time.
+   */
+  _consumeFifo(token, amount, time) {
+    let remaining = amount;
+    let costSol = 0;
+    let heldSum = 0;
+
+    while (remaining > 0 && token.lots.length > 0) {
+      const lot = token.lots[0];
+      const take = Math.min(remaining, lot.amount);
+      const lotCost = lot.costSol * (take / lot.amount);
+
+      costSol += lotCost;
+      heldSum += (time - lot.openedAt) * take;
+      lot.amount -= take;
+      lot.costSol -= lotCost;
+      remaining -= take;
+
+      if (lot.amount <= 0) {
+        token.lots.shift();
+      }
+    }
+
+    return { costSol, holdTimeMs: heldSum / amount };
+  }
+
+  /**
+   * Take `amount` pro rata from every lot (average cost)
+   */
+  _consumeAverage(token, amount, held, time) {
+    const share = amount / held;
+    let costSol = 0;
+    let heldSum = 0;
+
+    for (const lot of token.lots) {
+      const take = lot.amount * share;
+      const lotCost = lot.costSol * share;
+
+      costSol += lotCost;
+      heldSum += (time - lot.openedAt) * take;
+      lot.amount -= take;
+      lot.costSol -= lotCost;
+    }
+
+    token.lots = token.lots.filter(lot => lot.amount > 0);
+    return { costSol, holdTimeMs: heldSum / amount };
+  }
+
+  /**
+   * Strip internal state from a token result
+   */
+  _publicToken(token) {
+    const { lots, holdTimes, ...result } = token;
+    return { ...result, openLots: lots.length };
+  }
+
+  /**
+   * Median of a list of numbers (null when empty)
+   */
+  _median(values) {
+    if (values.length === 0) {
+      return null;
+    }
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+  }
+
+  /**
+   * Wallet-level totals
+   */
+  _summarize(tokens, skippedTrades) {
+    const realizedPnlSol = tokens.reduce((sum, t) => sum + t.realizedPnlSol, 0);
+    const unrealizedPnlSol = tokens.reduce((sum, t) => sum + (t.unrealizedPnlSol || 0), 0);
+    const wins = tokens.reduce((sum, t) => sum + t.wins, 0);
+    const losses = tokens.reduce((sum, t) => sum + t.losses, 0);
+    const holdTimes = tokens.flatMap(t => t.holdTimes);
+
+    return {
+      realizedPnlSol,
+      unrealizedPnlSol,
+      totalPnlSol: realizedPnlSol + unrealizedPnlSol,
+      spentSol: tokens.reduce((sum, t) => sum + t.spentSol, 0),
+      receivedSol: tokens.reduce((sum, t) => sum + t.receivedSol, 0),
+      closedTrades: wins + losses,
+      wins,
+      losses,
+      winRate: wins + losses > 0 ? wins / (wins + losses) : null,
+      avgHoldTimeMs: holdTimes.length > 0 ? holdTimes.reduce((sum, t) => sum + t, 0) / holdTimes.length : null,
+      medianHoldTimeMs: this._median(holdTimes),
+      tokensTraded: tokens.length,
+      openPositions: tokens.filter(t => t.position > 0).length,
+      unpricedPositions: tokens.filter(t => t.position > 0 && t.unrealizedPnlSol === null).length,
+      skippedTrades
+    };
+  }
+}
+
+export default PnLEngine;
@@ -0,0 +1,475 @@
+import fs from 'fs';
+import { EventEmitter } from 'events';
+import { DexScreenerPriceSource } from './price-source.js';
+
+/**
+ * Exit trigger types
+ */
+export const TriggerType = {
+  STOP_LOSS: 'STOP_LOSS',
+  TAKE_PROFIT: 'TAKE_PROFIT',
+  TRAILING_STOP: 'TRAILING_STOP',
+  MAX_HOLD: 'MAX_HOLD'
+};
+
+const DUST = 1e-9;
+
+/**
+ * PositionWatcher - Stop-loss / take-profit engine for open positions
+ *
+ * Positions come from sources (e.g. 'paper', 'wallet', 'bot'). A source
+ * supplies a `sell(position, amount, trigger)` function and optionally
+ * `getHoldings()`, which is synced on every check so positions opened or
+ * closed elsewhere are picked up. Each check prices the open positions and
+ * fires sells for:
+ *
+ * - `stopLossPercent`: price fell this far below entry -> sell all
+ * - `takeProfit`: ladder of `{ percent, sellPercent }` steps, each selling
+ *   `sellPercent` of the original amount once price is `percent` above entry
+ * - `trailingStopPercent`: price fell this far from its high since entry
+ *   (armed once up `trailingActivationPercent`, default immediately) -> sell all
+ * - `maxHoldMs`: position is older than this -> sell all
+ *
+ * Prices are compared in the position's `priceUnit` ('sol' or 'usd'), so only
+ * the ratio to the entry price matters. Positions without an entry price use
+ * the first price seen. A failed sell is logged, emitted as `sellFailed` and
+ * retried on the next check; a failed `getHoldings()` is emitted as
+ * `syncFailed`.
+ * Positions of sources that are inactive or not registered are left alone.
+ */
+export class PositionWatcher extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = {
+      dataFile: options.dataFile !== undefined ? options.dataFile : './positions.json', // null keeps positions in memory
+      clock: options.clock || Date.now, // Time source in ms (simulated in backtests)
+      pollInterval: options.pollInterval || 30000, // 30 seconds
+      maxTriggerLog: options.maxTriggerLog || 500, // Trigger entries kept in the data file
+      rules: {
+        stopLossPercent: null,
+        takeProfit: [],
+        trailingStopPercent: null,
+        trailingActivationPercent: 0,
+        maxHoldMs: null,
+        ...options.rules
+      },
+      ...options
+    };
+
+    // Anything with getPrices(mints) -> { [mint]: { priceUsd, priceSol } }
+    this.priceSource = options.priceSource || new DexScreenerPriceSource();
+    this.sources = new Map(); // name -> { getHoldings, sell, priceUnit }
+    this.isRunning = false;
+    this.timer = null;
+    this.checking = null;
+    this.data = this.loadData();
+  }
+
+  /**
+   * Load positions and trigger log from file
+   */
+  loadData() {
+    try {
+      if (this.options.dataFile && fs.existsSync(this.options.dataFile)) {
+        const content = fs.readFileSync(this.options.dataFile, 'utf8');
+        return JSON.parse(content);
+      }
+    } catch (error) {
+      console.error('Error loading positions:', error.message);
+    }
+
+    return {
+      positions: {}, // { 'source:mint': position }
+      triggers: [] // Most recent last
+    };
+  }
+
+  /**
+   * Save positions and trigger log to file
+   *
+   * Writes to a temp file first so a crash mid-write can't lose positions.
+   */
+  saveData() {
+    if (!this.options.dataFile) {
+      return;
+    }
+
+    try {
+      const tmpFile = `${this.options.dataFile}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify(this.data, null, 2));
+      fs.renameSync(tmpFile, this.options.dataFile);
+    } catch (error) {
+      console.error('Error saving positions:', error.message);
+    }
+  }
+
+  /**
+   * Register a position source
+   *
+   * `sell(position, amount, trigger)` must resolve to `{ success, ... }`.
+   * `getHoldings()` (optional) resolves to `[{ mint, amount, symbol,
+   * decimals, entryPrice }]`. While `isActive()` returns false the source's
+   * positions are neither synced nor sold.
+   */
+  addSource(name, { sell, getHoldings = null, isActive = () => true, priceUnit = 'sol' }) {
+    if (typeof sell !== 'function') {
+      throw new Error(`Position source ${name} needs a sell function`);
+    }
+    this.sources.set(name, { sell, getHoldings, isActive, priceUnit });
+  }
+
+  /**
+   * Start watching a position (or update the one already open for this mint)
+   *
+   * Without `amount`, the amount is derived from `costSol` at the first
+   * price seen (for buys where only the SOL spent is known).
+   */
+  openPosition({ source, mint, amount = null, costSol = null, entryPrice = null, symbol = null, decimals = null, rules = {}, openedAt = null }) {
+    const id = `${source}:${mint}`;
+    const existing = this.data.positions[id];
+
+    if (existing?.status === 'open') {
+      if (amount !== null && entryPrice !== null && existing.entryPrice !== null && amount > existing.amount) {
+        // Adding to a position: blend the entry price
+        const added = amount - existing.amount;
+        existing.entryPrice = (existing.entryPrice * existing.amount + entryPrice * added) / amount;
+        existing.initialAmount += added;
+      }
+      if (amount !== null) {
+        existing.amount = amount;
+      }
+      Object.assign(existing.rules, rules);
+      this.saveData();
+      return existing;
+    }
+
+    const position = {
+      id,
+      source,
+      mint,
+      symbol,
+      decimals,
+      priceUnit: this.sources.get(source)?.priceUnit || 'sol',
+      amount,
+      initialAmount: amount,
+      costSol,
+      entryPrice,
+      highPrice: entryPrice,
+      lastPrice: null,
+      openedAt: openedAt || new Date(this.options.clock()).toISOString(),
+      rules,
+      takeProfitFilled: [],
+      status: 'open'
+    };
+
+    this.data.positions[id] = position;
+    this.saveData();
+    console.log(`👁️  Watching ${symbol || mint.slice(0, 8)} (${source})`);
+    return position;
+  }
+
+  /**
+   * Add a buy to a source's position, opening one if needed
+   *
+   * Unlike openPosition (which takes the whole holding), `amount` and
+   * `costSol` are for this buy only. The entry price is averaged in.
+   */
+  addToPosition({ source, mint, amount = null, costSol = null, rules = {}, ...rest }) {
+    const existing = this.data.positions[`${source}:${mint}`];
+    if (existing?.status !== 'open') {
+      return this.openPosition({
+        source,
+        mint,
+        amount,
+        costSol,
+        entryPrice: amount && costSol ? costSol / amount : null,
+        rules,
+        ...rest
+      });
+    }
+
+    if (existing.amount === null) {
+      // Not priced yet: the amount is worked out from the total cost
+      existing.costSol += costSol;
+    } else {
+      const price = amount && costSol ? costSol / amount : existing.lastPrice ?? existing.entryPrice;
+      const added = amount ?? costSol / price;
+      existing.entryPrice = (existing.entryPrice * existing.amount + price * added) / (existing.amount + added);
+      existing.amount += added;
+      existing.initialAmount += added;
+      existing.costSol = (existing.costSol || 0) + (costSol || 0);
+    }
+
+    Object.assign(existing.rules, rules);
+    this.saveData();
+    return existing;
+  }
+
+  /**
+   * Stop watching a position
+   */
+  closePosition(id, reason = 'manual') {
+    const position = this.data.positions[id];
+    if (!position || position.status !== 'open') {
+      return null;
+    }
+
+    position.status = 'closed';
+    position.closedAt = new Date(this.options.clock()).toISOString();
+    position.closeReason = reason;
+    this.saveData();
+    return position;
+  }
+
+  /**
+   * Open positions, optionally for one source
+   */
+  getPositions(source = null) {
+    return Object.values(this.data.positions)
+      .filter(p => p.status === 'open' && (!source || p.source === source));
+  }
+
+  /**
+   * Most recent trigger log entries, newest first
+   */
+  getTriggerLog(limit = 20) {
+    return this.data.triggers.slice(-limit).reverse();
+  }
+
+  /**
+   * Start periodic checks
+   */
+  start() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+    console.log(`👁️  Position watcher started (${this.getPositions().length} open, every ${this.options.pollInterval / 1000}s)`);
+
+    const loop = async () => {
+      try {
+        await this.check();
+      } catch (error) {
+        console.error('Position watcher error:', error.message);
+      }
+      if (this.isRunning) {
+        this.timer = setTimeout(loop, this.options.pollInterval);
+      }
+    };
+    loop();
+  }
+
+  /**
+   * Stop periodic checks
+   */
+  stop() {
+    this.isRunning = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Sync sources, price open positions and fire any triggers
+   *
+   * Returns the trigger log entries from this check. Overlapping calls
+   * share one run.
+   */
+  async check(now = this.options.clock()) {
+    if (!this.checking) {
+      this.checking = this._check(now).finally(() => { this.checking = null; });
+    }
+    return this.checking;
+  }
+
+  async _check(now) {
+    for (const [name, source] of this.sources) {
+      if (!source.getHoldings || !source.isActive()) continue;
+      try {
+        this.syncSource(name, await source.getHoldings());
+      } catch (error) {
+        console.error(`Position sync error (${name}):`, error.message);
+        this.emit('syncFailed', { source: name, error });
+      }
+    }
+
+    const positions = this.getPositions().filter(p => this.sources.get(p.source)?.isActive());
+    if (positions.length === 0) {
+      return [];
+    }
+
+    const prices = await this.priceSource.getPrices([...new Set(positions.map(p => p.mint))]);
+    const fired = [];
+
+    for (const position of positions) {
+      const quote = prices[position.mint];
+      const price = position.priceUnit === 'usd' ? quote?.priceUsd : quote?.priceSol;
+      if (!price) continue;
+
+      position.symbol ||= quote.symbol || null;
+      this._updatePrice(position, price);
+
+      for (const trigger of this._evaluate(position, price, now)) {
+        const entry = await this._execute(position, trigger, price);
+        fired.push(entry);
+        if (position.status !== 'open' || !entry.success) break;
+      }
+    }
+
+    this.saveData();
+    return fired;
+  }
+
+  /**
+   * Reconcile a source's positions with its current holdings
+   *
+   * New holdings are opened, changed amounts updated, and positions that
+   * are no longer held are closed without selling.
+   */
+  syncSource(name, holdings) {
+    const held = new Map(holdings.filter(h => h.amount > DUST).map(h => [h.mint, h]));
+
+    for (const position of this.getPositions(name)) {
+      if (!held.has(position.mint)) {
+        this.closePosition(position.id, 'no longer held');
+      }
+    }
+
+    for (const holding of held.values()) {
+      this.openPosition({ source: name, ...holding });
+    }
+  }
+
+  /**
+   * Record the latest price and resolve a missing entry price or amount
+   */
+  _updatePrice(position, price) {
+    if (position.entryPrice === null) {
+      position.entryPrice = price;
+    }
+    if (position.amount === null && position.costSol !== null) {
+      position.amount = position.costSol / price;
+      position.initialAmount = position.amount;
+    }
+    position.highPrice = Math.max(position.highPrice ?? price, price);
+    position.lastPrice = price;
+  }
+
+  /**
+   * Work out which triggers fire at this price
+   *
+   * Full exits (stop-loss, trailing stop, max hold) win over take-profit.
+   */
+  _evaluate(position, price, now) {
+    const rules = { ...this.options.rules, ...position.rules };
+    const changePercent = (price / position.entryPrice - 1) * 100;
+    const base = { changePercent, price };
+
+    if (rules.stopLossPercent !== null && changePercent <= -rules.stopLossPercent) {
+      return [{ ...base, type: TriggerType.STOP_LOSS, amount: position.amount }];
+    }
+
+    if (rules.trailingStopPercent !== null) {
+      const peakGainPercent = (position.highPrice / position.entryPrice - 1) * 100;
+      const dropPercent = (1 - price / position.highPrice) * 100;
+      if (peakGainPercent >= (rules.trailingActivationPercent || 0) && dropPercent >= rules.trailingStopPercent) {
+        return [{ ...base, type: TriggerType.TRAILING_STOP, amount: position.amount, highPrice: position.highPrice }];
+      }
+    }
+
+    if (rules.maxHoldMs !== null && now - new Date(position.openedAt).getTime() >= rules.maxHoldMs) {
+      return [{ ...base, type: TriggerType.MAX_HOLD, amount: position.amount }];
+    }
+
+    const triggers = [];
+    let remaining = position.amount;
+    const ladder = [...(rules.takeProfit || [])].sort((a, b) => a.percent - b.percent);
+
+    ladder.forEach((step, index) => {
+      if (position.takeProfitFilled.includes(step.percent) || changePercent < step.percent || remaining <= DUST) {
+        return;
+      }
+      const amount = Math.min(position.initialAmount * step.sellPercent / 100, remaining);
+      remaining -= amount;
+      triggers.push({ ...base, type: TriggerType.TAKE_PROFIT, amount, step: index + 1, targetPercent: step.percent });
+    });
+
+    return triggers;
+  }
+
+  /**
+   * Sell through the position's source and record the outcome
+   */
+  async _execute(position, trigger, price) {
+    const entry = {
+      positionId: position.id,
+      source: position.source,
+      mint: position.mint,
+      symbol: position.symbol,
+      type: trigger.type,
+      step: trigger.step,
+      price,
+      priceUnit: position.priceUnit,
+      entryPrice: position.entryPrice,
+      changePercent: trigger.changePercent,
+      amount: trigger.amount,
+      timestamp: new Date(this.options.clock()).toISOString()
+    };
+
+    try {
+      const source = this.sources.get(position.source);
+      if (!source) {
+        throw new Error(`No source registered for ${position.source}`);
+      }
+
+      const result = await source.sell(position, trigger.amount, trigger);
+      if (!result?.success) {
+        throw new Error(result?.error || 'Sell was not executed');
+      }
+
+      entry.success = true;
+      entry.result = result;
+      position.amount -= trigger.amount;
+      if (trigger.type === TriggerType.TAKE_PROFIT) {
+        position.takeProfitFilled.push(trigger.targetPercent);
+      }
+      if (trigger.type !== TriggerType.TAKE_PROFIT || position.amount <= DUST) {
+        this.closePosition(position.id, trigger.type);
+      }
+
+      console.log(`🎯 ${trigger.type} ${position.symbol || position.mint.slice(0, 8)} (${position.source}): sold ${trigger.amount} at ${trigger.changePercent.toFixed(1)}%`);
+    } catch (error) {
+      entry.success = false;
+      entry.error = error.message;
+      console.error(`❌ ${trigger.type} sell failed for ${position.symbol || position.mint.slice(0, 8)}:`, error.message);
+      this.emit('sellFailed', { ...entry, error });
+    }
+
+    this.data.triggers.push(entry);
+    if (this.data.triggers.length > this.options.maxTriggerLog) {
+      this.data.triggers.splice(0, this.data.triggers.length - this.options.maxTriggerLog);
+    }
+    this.saveData();
+    this.emit('trigger', entry);
+    return entry;
+  }
+
+  /**
+   * Parse a take-profit ladder like "50:25,100:50" (percent:sellPercent)
+   */
+  static parseLadder(text) {
+    if (!text) {
+      return [];
+    }
+
+    return text.split(',').map(step => {
+      const [percent, sellPercent] = step.split(':').map(Number);
+      if (!(percent > 0) || !(sellPercent > 0 && sellPercent <= 100)) {
+        throw new Error(`Invalid take-profit step "${step}" (use percent:sellPercent, e.g. 100:50)`);
+      }
+      return { percent, sellPercent };
+    });
+  }
+}
+
+export default PositionWatcher;
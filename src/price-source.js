@@ -0,0 +1,113 @@
+import fetch from 'node-fetch';
+import { SOL_MINT } from './swap-decoder.js';
+
+/**
+ * DexScreenerPriceSource - Token prices in USD and SOL from DexScreener
+ *
+ * Any object with the same `getPrices(mints)` method can be passed to
+ * WalletTracker as `options.priceSource` instead (e.g. Jupiter, Birdeye or a
+ * fixed table in tests).
+ */
+export class DexScreenerPriceSource {
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl || process.env.DEXSCREENER_API_URL || 'https://api.dexscreener.com';
+    this.cacheTtl = options.cacheTtl || 60000; // 1 minute
+    this.batchSize = options.batchSize || 30; // DexScreener accepts up to 30 addresses per call
+    this.cache = new Map(); // mint -> { price, fetchedAt }
+  }
+
+  /**
+   * Get prices for a list of mints
+   *
+   * Returns `{ [mint]: { priceUsd, priceSol, symbol, name } }`. Mints without
+   * a market are left out.
+   */
+  async getPrices(mints) {
+    const prices = {};
+    const missing = [];
+
+    for (const mint of new Set([...mints, SOL_MINT])) {
+      const cached = this.cache.get(mint);
+      if (cached && Date.now() - cached.fetchedAt < this.cacheTtl) {
+        if (cached.price) prices[mint] = { ...cached.price };
+      } else {
+        missing.push(mint);
+      }
+    }
+
+    for (let i = 0; i < missing.length; i += this.batchSize) {
+      const batch = missing.slice(i, i + this.batchSize);
+
+      try {
+        const pairs = await this._fetchPairs(batch);
+        for (const mint of batch) {
+          const price = this._priceFromPairs(mint, pairs);
+          this.cache.set(mint, { price, fetchedAt: Date.now() });
+          if (price) prices[mint] = { ...price };
+        }
+      } catch (error) {
+        console.error('Error fetching prices from DexScreener:', error.message);
+      }
+    }
+
+    // Fill in SOL prices for tokens not quoted against SOL
+    const solUsd = prices[SOL_MINT]?.priceUsd;
+    for (const price of Object.values(prices)) {
+      if (price.priceSol === null && solUsd) {
+        price.priceSol = price.priceUsd / solUsd;
+      }
+    }
+
+    if (!mints.includes(SOL_MINT)) {
+      delete prices[SOL_MINT];
+    }
+
+    return prices;
+  }
+
+  /**
+   * Fetch all pairs for a batch of mints
+   */
+  async _fetchPairs(mints) {
+    const response = await fetch(`${this.baseUrl}/latest/dex/tokens/${mints.join(',')}`);
+
+    if (!response.ok) {
+      throw new Error(`DexScreener API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.pairs || [];
+  }
+
+  /**
+   * Price a mint from its most liquid pair
+   */
+  _priceFromPairs(mint, pairs) {
+    const own = pairs.filter(pair => pair.baseToken?.address === mint && pair.priceUsd);
+    if (own.length === 0) {
+      return null;
+    }
+
+    const mainPair = own.reduce((best, pair) => {
+      const liquidity = parseFloat(pair.liquidity?.usd || 0);
+      const bestLiquidity = parseFloat(best.liquidity?.usd || 0);
+      return liquidity > bestLiquidity ? pair : best;
+    }, own[0]);
+
+    let priceSol = null;
+    if (mint === SOL_MINT) {
+      priceSol = 1;
+    } else if (mainPair.quoteToken?.address === SOL_MINT) {
+      priceSol = parseFloat(mainPair.priceNative);
+    }
+
+    return {
+      priceUsd: parseFloat(mainPair.priceUsd),
+      priceSol,
+      symbol: mainPair.baseToken.symbol,
+      name: mainPair.baseToken.name
+    };
+  }
+}
+
+export default DexScreenerPriceSource;
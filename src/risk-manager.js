@@ -0,0 +1,375 @@
+import fs from 'fs';
+import { EventEmitter } from 'events';
+
+/**
+ * Risk rules a trade can be rejected by
+ */
+export const RiskRule = {
+  CIRCUIT_BREAKER: 'CIRCUIT_BREAKER',
+  MAX_OPEN_POSITIONS: 'MAX_OPEN_POSITIONS',
+  MAX_TOKEN_EXPOSURE: 'MAX_TOKEN_EXPOSURE',
+  MAX_DAILY_SPEND: 'MAX_DAILY_SPEND',
+  MAX_DAILY_LOSS: 'MAX_DAILY_LOSS',
+  WALLET_COOLDOWN: 'WALLET_COOLDOWN'
+};
+
+const DUST = 1e-9;
+const DEFAULT_LIMITS = {
+  maxOpenPositions: null, // Tokens held at once
+  maxTokenExposure: null, // SOL cost held in any one token
+  maxDailySpend: null, // SOL spent on buys per UTC day
+  maxDailyLoss: null, // Realized SOL loss per UTC day
+  walletCooldownMs: null // Wait after copying a wallet before copying it again
+};
+
+/**
+ * RiskManager - Per-strategy trading limits and a circuit breaker
+ *
+ * `check(strategy, order)` runs before a trade and returns null or a
+ * rejection `{ rule, reason, ... }`; `record(strategy, fill)` books the
+ * result afterwards. Orders and fills are `{ side: 'buy' | 'sell', mint,
+ * amount, wallet }`, fills adding `inputAmount`, `outputAmount` (SOL in and
+ * tokens out for buys, the other way round for sells) and `success`.
+ *
+ * Limits (null = off) come from `options.limits`, overridden per strategy
+ * by `options.strategies[name]`. Only buys are limited: sells reduce risk.
+ * A sell of a token the strategy doesn't hold (e.g. a stop-loss exit) is
+ * booked against every strategy holding it, pro rata.
+ *
+ * After `maxConsecutiveFailures` failed trades or `maxConsecutiveLosses`
+ * losing sells in a row, across all strategies, the breaker trips: every
+ * buy is rejected and `breaker` is emitted until `resetBreaker()`.
+ * Rejections are emitted as `rejected` and kept in `getRejections()`.
+ */
+export class RiskManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = {
+      dataFile: options.dataFile || null, // Persist positions, daily totals and breaker state here
+      clock: options.clock || Date.now, // Time source in ms (simulated in backtests)
+      maxConsecutiveFailures: options.maxConsecutiveFailures ?? null,
+      maxConsecutiveLosses: options.maxConsecutiveLosses ?? null,
+      maxRejections: options.maxRejections || 50, // Rejections kept for getRejections()
+      ...options,
+      limits: { ...DEFAULT_LIMITS, ...options.limits },
+      strategies: options.strategies || {} // name -> limit overrides
+    };
+
+    this.rejections = []; // Most recent last
+    this.data = this.loadData();
+  }
+
+  /**
+   * Load state from file
+   */
+  loadData() {
+    try {
+      if (this.options.dataFile && fs.existsSync(this.options.dataFile)) {
+        const content = fs.readFileSync(this.options.dataFile, 'utf8');
+        return JSON.parse(content);
+      }
+    } catch (error) {
+      console.error('Error loading risk state:', error.message);
+    }
+
+    return {
+      strategies: {}, // { name: { day, spent, realizedPnl, positions: { mint: { amount, cost } }, lastBuyByWallet } }
+      consecutiveFailures: 0,
+      consecutiveLosses: 0,
+      breaker: null // { reason, trippedAt } while tripped
+    };
+  }
+
+  /**
+   * Save state to file
+   *
+   * Writes to a temp file first so a crash mid-write can't lose the state.
+   */
+  saveData() {
+    if (!this.options.dataFile) {
+      return;
+    }
+
+    try {
+      const tmpFile = `${this.options.dataFile}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify(this.data, null, 2));
+      fs.renameSync(tmpFile, this.options.dataFile);
+    } catch (error) {
+      console.error('Error saving risk state:', error.message);
+    }
+  }
+
+  /**
+   * Limits in force for a strategy
+   */
+  getLimits(strategy) {
+    return { ...this.options.limits, ...this.options.strategies[strategy] };
+  }
+
+  /**
+   * Change a strategy's limits (or the defaults, without a strategy)
+   */
+  setLimits(strategy, limits) {
+    if (strategy) {
+      this.options.strategies[strategy] = { ...this.options.strategies[strategy], ...limits };
+    } else {
+      Object.assign(this.options.limits, limits);
+    }
+  }
+
+  /**
+   * Check an order against the breaker and the strategy's limits
+   *
+   * Returns null if it may go ahead. Otherwise the rejection is recorded,
+   * emitted as `rejected` and returned.
+   */
+  check(strategy, order, now = this.options.clock()) {
+    if (order.side !== 'buy') {
+      return null;
+    }
+
+    const rejection = this._findViolation(strategy, order, now);
+    if (!rejection) {
+      return null;
+    }
+
+    const entry = {
+      strategy,
+      ...rejection,
+      side: order.side,
+      mint: order.mint || null,
+      amount: order.amount,
+      wallet: order.wallet || null,
+      timestamp: new Date(now).toISOString()
+    };
+    this.rejections.push(entry);
+    this.rejections.splice(0, this.rejections.length - this.options.maxRejections);
+
+    console.log(`🛡️  Trade rejected (${strategy}): ${entry.reason}`);
+    this.emit('rejected', entry);
+    return entry;
+  }
+
+  _findViolation(strategy, order, now) {
+    if (this.data.breaker) {
+      return { rule: RiskRule.CIRCUIT_BREAKER, reason: `Circuit breaker tripped: ${this.data.breaker.reason}` };
+    }
+
+    const limits = this.getLimits(strategy);
+    const state = this._state(strategy, now);
+    const position = order.mint ? state.positions[order.mint] : null;
+    const openPositions = Object.keys(state.positions).length;
+
+    if (limits.maxDailyLoss != null && -state.realizedPnl >= limits.maxDailyLoss) {
+      return {
+        rule: RiskRule.MAX_DAILY_LOSS,
+        reason: `Daily loss limit reached (${(-state.realizedPnl).toFixed(4)} of ${limits.maxDailyLoss} SOL)`
+      };
+    }
+
+    if (limits.maxDailySpend != null && state.spent + order.amount > limits.maxDailySpend + DUST) {
+      return {
+        rule: RiskRule.MAX_DAILY_SPEND,
+        reason: `Daily spend limit: ${state.spent.toFixed(4)} + ${order.amount} SOL exceeds ${limits.maxDailySpend} SOL`
+      };
+    }
+
+    if (limits.maxOpenPositions != null && !position && openPositions >= limits.maxOpenPositions) {
+      return {
+        rule: RiskRule.MAX_OPEN_POSITIONS,
+        reason: `Max open positions reached (${openPositions}/${limits.maxOpenPositions})`
+      };
+    }
+
+    const exposure = position?.cost || 0;
+    if (limits.maxTokenExposure != null && exposure + order.amount > limits.maxTokenExposure + DUST) {
+      return {
+        rule: RiskRule.MAX_TOKEN_EXPOSURE,
+        reason: `Token exposure: ${exposure.toFixed(4)} + ${order.amount} SOL in ${order.mint?.slice(0, 8)}... exceeds ${limits.maxTokenExposure} SOL`
+      };
+    }
+
+    const lastBuy = order.wallet ? state.lastBuyByWallet[order.wallet] : null;
+    if (limits.walletCooldownMs != null && lastBuy && now - lastBuy < limits.walletCooldownMs) {
+      const seconds = Math.ceil((limits.walletCooldownMs - (now - lastBuy)) / 1000);
+      return {
+        rule: RiskRule.WALLET_COOLDOWN,
+        reason: `Cooling down on ${order.wallet} (${seconds}s left)`
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Book a trade's result
+   *
+   * Successful buys add to the strategy's spend, position and wallet
+   * cooldown; successful sells realize PnL against the positions' cost.
+   * Feeds the circuit breaker. Returns the realized PnL of a sell (or null).
+   */
+  record(strategy, fill) {
+    const now = fill.timestamp ? new Date(fill.timestamp).getTime() : this.options.clock();
+    let pnl = null;
+
+    if (!fill.success) {
+      this.data.consecutiveFailures++;
+      this._checkBreaker(now);
+      this.saveData();
+      return pnl;
+    }
+
+    this.data.consecutiveFailures = 0;
+
+    if (fill.side === 'buy') {
+      const state = this._state(strategy, now);
+      state.spent += fill.inputAmount;
+      if (fill.mint) {
+        const position = state.positions[fill.mint] ||= { amount: 0, cost: 0 };
+        position.amount += fill.outputAmount || 0;
+        position.cost += fill.inputAmount;
+      }
+      if (fill.wallet) {
+        state.lastBuyByWallet[fill.wallet] = now;
+      }
+    } else if (fill.side === 'sell' && fill.mint) {
+      pnl = this._bookSell(strategy, fill, now);
+      if (pnl !== null) {
+        this.data.consecutiveLosses = pnl < 0 ? this.data.consecutiveLosses + 1 : 0;
+        this._checkBreaker(now);
+      }
+    }
+
+    this.saveData();
+    return pnl;
+  }
+
+  /**
+   * Take a sell off the positions holding the token, returning realized PnL
+   */
+  _bookSell(strategy, fill, now) {
+    const own = this._state(strategy, now);
+    const holders = own.positions[fill.mint]
+      ? [own]
+      : Object.keys(this.data.strategies)
+        .map(name => this._state(name, now))
+        .filter(state => state.positions[fill.mint]);
+    const held = holders.reduce((sum, state) => sum + state.positions[fill.mint].amount, 0);
+    if (held <= 0) {
+      return null; // Bought outside the bot, no cost basis
+    }
+
+    let pnl = 0;
+    for (const state of holders) {
+      const position = state.positions[fill.mint];
+      const share = position.amount / held;
+      const sold = Math.min(position.amount, fill.inputAmount * share);
+      const cost = position.cost * sold / position.amount;
+      const profit = fill.outputAmount * share - cost;
+
+      state.realizedPnl += profit;
+      pnl += profit;
+      position.amount -= sold;
+      position.cost -= cost;
+      if (position.amount <= DUST) {
+        delete state.positions[fill.mint];
+      }
+    }
+    return pnl;
+  }
+
+  _checkBreaker(now) {
+    if (this.data.breaker) {
+      return;
+    }
+
+    const { maxConsecutiveFailures, maxConsecutiveLosses } = this.options;
+    let reason = null;
+    if (maxConsecutiveFailures != null && this.data.consecutiveFailures >= maxConsecutiveFailures) {
+      reason = `${this.data.consecutiveFailures} failed trades in a row`;
+    } else if (maxConsecutiveLosses != null && this.data.consecutiveLosses >= maxConsecutiveLosses) {
+      reason = `${this.data.consecutiveLosses} losing trades in a row`;
+    }
+
+    if (reason) {
+      this.data.breaker = { reason, trippedAt: new Date(now).toISOString() };
+      console.warn(`🚨 Circuit breaker tripped: ${reason}`);
+      this.emit('breaker', { ...this.data.breaker });
+    }
+  }
+
+  /**
+   * Whether the circuit breaker is tripped
+   */
+  isTripped() {
+    return Boolean(this.data.breaker);
+  }
+
+  /**
+   * Re-arm the circuit breaker and clear the streak counters
+   */
+  resetBreaker() {
+    this.data.breaker = null;
+    this.data.consecutiveFailures = 0;
+    this.data.consecutiveLosses = 0;
+    this.saveData();
+  }
+
+  /**
+   * Strategy state, with the daily totals rolled over at UTC midnight
+   */
+  _state(strategy, now) {
+    const day = new Date(now).toISOString().slice(0, 10);
+    const state = this.data.strategies[strategy] ||= {
+      day,
+      spent: 0,
+      realizedPnl: 0,
+      positions: {},
+      lastBuyByWallet: {}
+    };
+
+    if (state.day !== day) {
+      state.day = day;
+      state.spent = 0;
+      state.realizedPnl = 0;
+    }
+    return state;
+  }
+
+  /**
+   * Recent rejections, newest last
+   */
+  getRejections(limit = 10) {
+    return this.rejections.slice(-limit);
+  }
+
+  /**
+   * Breaker state plus today's usage and limits per strategy
+   */
+  getStatus(now = this.options.clock()) {
+    const strategies = {};
+    for (const name of Object.keys(this.data.strategies)) {
+      const state = this._state(name, now);
+      strategies[name] = {
+        limits: this.getLimits(name),
+        spentToday: state.spent,
+        realizedPnlToday: state.realizedPnl,
+        openPositions: Object.keys(state.positions).length,
+        exposure: Object.values(state.positions).reduce((sum, position) => sum + position.cost, 0)
+      };
+    }
+
+    return {
+      breaker: this.data.breaker ? { ...this.data.breaker } : null,
+      consecutiveFailures: this.data.consecutiveFailures,
+      consecutiveLosses: this.data.consecutiveLosses,
+      maxConsecutiveFailures: this.options.maxConsecutiveFailures,
+      maxConsecutiveLosses: this.options.maxConsecutiveLosses,
+      limits: { ...this.options.limits },
+      strategies,
+      rejections: this.rejections.length
+    };
+  }
+}
+
+export default RiskManager;
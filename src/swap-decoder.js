@@ -0,0 +1,221 @@
+import { LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { resolveAccountKeys } from './account-keys.js';
+
+export const SOL_MINT = 'So11111111111111111111111111111111111111112';
+export const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+export const USDT_MINT = 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB';
+
+/**
+ * Swap venues
+ */
+export const SwapVenue = {
+  JUPITER: 'jupiter',
+  RAYDIUM_AMM: 'raydium-amm',
+  RAYDIUM_CLMM: 'raydium-clmm',
+  RAYDIUM_CPMM: 'raydium-cpmm',
+  ORCA_WHIRLPOOL: 'orca-whirlpool',
+  METEORA_DLMM: 'meteora-dlmm',
+  METEORA_AMM: 'meteora-amm',
+  PUMP_FUN: 'pump.fun',
+  PUMP_SWAP: 'pumpswap',
+  UNKNOWN: 'unknown'
+};
+
+/**
+ * Program IDs of the DEXes we recognise
+ */
+export const DEX_PROGRAMS = {
+  'JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4': SwapVenue.JUPITER,
+  'JUP4Fb2cqiRUcaTHdrPC8h2gNsA2ETXiPDD33WcGuJB': SwapVenue.JUPITER,
+  '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8': SwapVenue.RAYDIUM_AMM,
+  'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK': SwapVenue.RAYDIUM_CLMM,
+  'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C': SwapVenue.RAYDIUM_CPMM,
+  'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc': SwapVenue.ORCA_WHIRLPOOL,
+  'LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo': SwapVenue.METEORA_DLMM,
+  'Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UaB': SwapVenue.METEORA_AMM,
+  '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P': SwapVenue.PUMP_FUN,
+  'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA': SwapVenue.PUMP_SWAP
+};
+
+// Stablecoins are treated as the quote side of a swap, like SOL
+const STABLE_MINTS = [USDC_MINT, USDT_MINT];
+
+// Ignore SOL movements smaller than this (rounding, dust)
+const SOL_DUST = 0.00001;
+
+/**
+ * SwapDecoder - Turns a raw transaction into BUY/SELL trades
+ *
+ * Works from the owner's balance deltas rather than instruction data, so it
+ * copes with any route an aggregator picks. Program IDs are only used to
+ * label the venue.
+ *
+ * SOL flow is measured as the owner's native balance change (fee added back
+ * when the owner paid it) plus the lamport change of every token account the
+ * owner holds in the transaction. That folds in wrapped SOL and the rent paid
+ * or refunded when token accounts are opened or closed.
+ */
+export class SwapDecoder {
+  /**
+   * Decode all trades made by `ownerAddress` in a transaction
+   *
+   * Returns an array of
+   * `{ side, inputMint, inputAmount, outputMint, outputAmount, venue, priceInSol }`.
+   * `side` is BUY/SELL against SOL or a stablecoin, or SWAP for token-to-token.
+   */
+  decode(tx, ownerAddress) {
+    if (!tx?.meta || tx.meta.err) {
+      return [];
+    }
+
+    const accountKeys = resolveAccountKeys(tx);
+    const owner = ownerAddress || accountKeys[0];
+    const ownerIndex = accountKeys.indexOf(owner);
+
+    if (ownerIndex === -1) {
+      return [];
+    }
+
+    const solDelta = this._getSolDelta(tx, owner, ownerIndex);
+    const tokenDeltas = this._getTokenDeltas(tx, owner);
+    const venue = this._detectVenue(tx, accountKeys);
+
+    const received = tokenDeltas.filter(t => t.amount > 0);
+    const sent = tokenDeltas.filter(t => t.amount < 0);
+
+    // SOL -> token
+    if (solDelta < -SOL_DUST && received.length === 1 && sent.length === 0) {
+      return [this._buildTrade('BUY', SOL_MINT, -solDelta, received[0].mint, received[0].amount, venue)];
+    }
+
+    // token -> SOL
+    if (solDelta > SOL_DUST && sent.length === 1 && received.length === 0) {
+      return [this._buildTrade('SELL', sent[0].mint, -sent[0].amount, SOL_MINT, solDelta, venue)];
+    }
+
+    // token -> token (stablecoin quoted or otherwise)
+    if (sent.length === 1 && received.length === 1) {
+      const input = sent[0];
+      const output = received[0];
+      let side = 'SWAP';
+      if (STABLE_MINTS.includes(input.mint)) side = 'BUY';
+      else if (STABLE_MINTS.includes(output.mint)) side = 'SELL';
+
+      return [this._buildTrade(side, input.mint, -input.amount, output.mint, output.amount, venue)];
+    }
+
+    return [];
+  }
+
+  /**
+   * Build a trade event
+   */
+  _buildTrade(side, inputMint, inputAmount, outputMint, outputAmount, venue) {
+    let priceInSol = null;
+    if (inputMint === SOL_MINT) {
+      priceInSol = inputAmount / outputAmount;
+    } else if (outputMint === SOL_MINT) {
+      priceInSol = outputAmount / inputAmount;
+    }
+
+    return {
+      side,
+      inputMint,
+      inputAmount,
+      outputMint,
+      outputAmount,
+      venue: venue.venue,
+      route: venue.route,
+      priceInSol
+    };
+  }
+
+  /**
+   * Net SOL spent (-) or received (+) by the owner, excluding the network fee
+   */
+  _getSolDelta(tx, owner, ownerIndex) {
+    const { meta } = tx;
+    let lamports = meta.postBalances[ownerIndex] - meta.preBalances[ownerIndex];
+
+    // Fee payer is always the first account
+    if (ownerIndex === 0) {
+      lamports += meta.fee;
+    }
+
+    // Wrapped SOL and token account rent live in the owner's token accounts
+    const tokenAccounts = new Set();
+    for (const balance of [...(meta.preTokenBalances || []), ...(meta.postTokenBalances || [])]) {
+      if (balance.owner === owner) {
+        tokenAccounts.add(balance.accountIndex);
+      }
+    }
+
+    for (const index of tokenAccounts) {
+      lamports += (meta.postBalances[index] || 0) - (meta.preBalances[index] || 0);
+    }
+
+    return lamports / LAMPORTS_PER_SOL;
+  }
+
+  /**
+   * Net token change per mint for the owner (wrapped SOL excluded)
+   *
+   * Accounts created or closed in the transaction count from/to 0.
+   */
+  _getTokenDeltas(tx, owner) {
+    const totals = {};
+
+    const add = (balance, sign) => {
+      if (balance.owner !== owner || balance.mint === SOL_MINT) return;
+      const amount = parseFloat(balance.uiTokenAmount.uiAmountString || '0');
+      totals[balance.mint] = (totals[balance.mint] || 0) + sign * amount;
+    };
+
+    (tx.meta.preTokenBalances || []).forEach(balance => add(balance, -1));
+    (tx.meta.postTokenBalances || []).forEach(balance => add(balance, 1));
+
+    return Object.entries(totals)
+      .filter(([, amount]) => amount !== 0)
+      .map(([mint, amount]) => ({ mint, amount }));
+  }
+
+  /**
+   * Work out which DEX executed the swap
+   *
+   * An aggregator wins over the AMMs it routed through; those are returned
+   * as the route.
+   */
+  _detectVenue(tx, accountKeys) {
+    const venues = [];
+
+    for (const programId of this._getInvokedPrograms(tx, accountKeys)) {
+      const venue = DEX_PROGRAMS[programId];
+      if (venue && !venues.includes(venue)) {
+        venues.push(venue);
+      }
+    }
+
+    if (venues.includes(SwapVenue.JUPITER)) {
+      return { venue: SwapVenue.JUPITER, route: venues.filter(v => v !== SwapVenue.JUPITER) };
+    }
+
+    return { venue: venues[0] || SwapVenue.UNKNOWN, route: venues.slice(1) };
+  }
+
+  /**
+   * Program IDs invoked by top-level and inner instructions
+   */
+  _getInvokedPrograms(tx, accountKeys) {
+    const message = tx.transaction.message;
+    const instructions = [
+      ...(message.compiledInstructions || message.instructions || []),
+      ...(tx.meta.innerInstructions || []).flatMap(inner => inner.instructions)
+    ];
+
+    return instructions
+      .map(ix => ix.programId ? ix.programId.toString() : accountKeys[ix.programIdIndex])
+      .filter(Boolean);
+  }
+}
+
+export default SwapDecoder;
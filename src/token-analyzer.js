@@ -1,5 +1,6 @@
 import fetch from 'node-fetch';
 import { Connection, PublicKey } from '@solana/web3.js';
+import { resolveWallets } from './wallet-groups.js';
 
 /**
  * TokenAnalyzer - Analyzes tokens for trading decisions
@@ -11,9 +12,10 @@ import { Connection, PublicKey } from '@solana/web3.js';
  * - Related wallet detection
  */
 export class TokenAnalyzer {
-  constructor(rpcUrl, trackedWallets = []) {
+  constructor(rpcUrl, trackedWallets = [], options = {}) {
     this.connection = new Connection(rpcUrl, 'confirmed');
     this.trackedWallets = trackedWallets; // Array of {name, address, emoji}
+    this.dexScreenerUrl = options.dexScreenerUrl || process.env.DEXSCREENER_API_URL || 'https://api.dexscreener.com';
   }
 
   /**
@@ -21,7 +23,7 @@ export class TokenAnalyzer {
    */
   async getTokenMetadata(tokenMint) {
     try {
-      const response = await fetch(`https://api.dexscreener.com/latest/dex/tokens/${tokenMint}`);
+      const response = await fetch(`${this.dexScreenerUrl}/latest/dex/tokens/${tokenMint}`);
 
       if (!response.ok) {
         throw new Error(`DexScreener API error: ${response.status}`);
@@ -100,11 +102,13 @@ export class TokenAnalyzer {
 
   /**
    * Find other tracked wallets that hold this token
+   *
+   * `wallets` limits the search to names or tags (e.g. '#funds'); default all
    */
-  async findOtherWhalesHolding(tokenMint, excludeWallet = null) {
+  async findOtherWhalesHolding(tokenMint, excludeWallet = null, wallets = 'all') {
     const holdingWallets = [];
 
-    for (const wallet of this.trackedWallets) {
+    for (const wallet of resolveWallets(this.trackedWallets, wallets)) {
       if (excludeWallet && wallet.trackedWalletAddress === excludeWallet) {
         continue; // Skip the wallet that triggered the alert
       }
@@ -124,6 +128,7 @@ export class TokenAnalyzer {
               name: wallet.name,
               emoji: wallet.emoji,
               address: wallet.trackedWalletAddress,
+              tags: wallet.tags || [],
               balance
             });
           }
@@ -1,7 +1,13 @@
 import { Connection, PublicKey, LAMPORTS_PER_SOL } from '@solana/web3.js';
-import { readFileSync } from 'fs';
+import { TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID } from '@solana/spl-token';
+import { readFileSync, writeFileSync, renameSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { SwapDecoder, SOL_MINT } from './swap-decoder.js';
+import { resolveAccountKeys } from './account-keys.js';
+import { DexScreenerPriceSource } from './price-source.js';
+import { normalizeWallet, resolveWallets, getGroups } from './wallet-groups.js';
+import { mapWithConcurrency } from './concurrency.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -10,20 +16,191 @@ const __dirname = dirname(__filename);
  * WalletTracker - A simple utility to track Solana wallet balances and transactions
  */
 export class WalletTracker {
-  constructor(rpcUrl = 'https://api.mainnet-beta.solana.com') {
-    this.connection = new Connection(rpcUrl, 'confirmed');
+  constructor(rpcUrl = 'https://api.mainnet-beta.solana.com', options = {}) {
+    // wsEndpoint is only needed for subscriptions when it can't be derived from rpcUrl
+    this.connection = new Connection(rpcUrl, {
+      commitment: 'confirmed',
+      wsEndpoint: options.wsEndpoint
+    });
     this.wallets = [];
+    this.swapDecoder = new SwapDecoder();
+    // Anything with getPrices(mints) -> { [mint]: { priceUsd, priceSol, symbol } }
+    this.priceSource = options.priceSource || new DexScreenerPriceSource();
+    // Anything with getMany(mints) -> { [mint]: { symbol, name } }, e.g. MintMetadata; names tokens without a market
+    this.mintMetadata = options.mintMetadata || null;
+    this.concurrency = options.concurrency || 4; // Wallets looked up at once by getAllWalletsSummary
   }
 
   /**
    * Load wallets from configuration file
+   *
+   * Entries may have tags, notes and per-wallet alert settings (see
+   * wallet-groups.js). Invalid entries throw with the wallet's name.
    */
   loadWallets(configPath = join(__dirname, '../wallets.json')) {
     const data = readFileSync(configPath, 'utf-8');
-    this.wallets = JSON.parse(data);
+    this.wallets = JSON.parse(data).map((entry, i) => normalizeWallet(entry, i));
+    this.walletsPath = configPath;
     return this.wallets;
   }
 
+  /**
+   * Save wallets back to the file they were loaded from
+   *
+   * One wallet per line, like the hand-edited file. Writes to a temp file
+   * first so a crash mid-write can't truncate the wallet list.
+   */
+  saveWallets() {
+    if (!this.walletsPath) {
+      throw new Error('No wallets file loaded');
+    }
+
+    const lines = this.wallets.map(wallet => {
+      const fields = Object.entries(wallet)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => `${JSON.stringify(key)}: ${JSON.stringify(value)}`);
+      return `  { ${fields.join(', ')} }`;
+    });
+
+    const tmpFile = `${this.walletsPath}.tmp`;
+    writeFileSync(tmpFile, `[\n${lines.join(',\n')}\n]\n`);
+    renameSync(tmpFile, this.walletsPath);
+  }
+
+  /**
+   * Start tracking a wallet and persist it
+   *
+   * The wallets array is changed in place so everything holding a reference
+   * to it (monitor, analyzer, leaderboard) sees the new wallet.
+   */
+  addWallet({ address, name, emoji = '👻', tags = [] }) {
+    try {
+      new PublicKey(address);
+    } catch (error) {
+      throw new Error(`Invalid Solana address: ${address}`);
+    }
+
+    this._validateWalletName(name);
+    const existing = this.wallets.find(w => w.trackedWalletAddress === address);
+    if (existing) {
+      throw new Error(`Address is already tracked as "${existing.name}"`);
+    }
+
+    const entry = { name, emoji, trackedWalletAddress: address };
+    const wallet = normalizeWallet(tags.length > 0 ? { ...entry, tags } : entry);
+
+    this.wallets.push(wallet);
+    this._persistWallets(() => this.wallets.pop());
+    return wallet;
+  }
+
+  /**
+   * Stop tracking a wallet (by name or address) and persist
+   */
+  removeWallet(nameOrAddress) {
+    const index = this.wallets.findIndex(w =>
+      w.name.toLowerCase() === nameOrAddress.toLowerCase() || w.trackedWalletAddress === nameOrAddress
+    );
+    if (index === -1) {
+      throw new Error(`Wallet "${nameOrAddress}" not found`);
+    }
+
+    const [wallet] = this.wallets.splice(index, 1);
+    this._persistWallets(() => this.wallets.splice(index, 0, wallet));
+    return wallet;
+  }
+
+  /**
+   * Rename a tracked wallet and persist
+   *
+   * The wallet object is updated in place; returns `{ wallet, oldName }`.
+   */
+  renameWallet(nameOrAddress, newName) {
+    const wallet = this._findWallet(nameOrAddress);
+    const oldName = wallet.name;
+    this._validateWalletName(newName, wallet);
+
+    wallet.name = newName;
+    this._persistWallets(() => { wallet.name = oldName; });
+    return { wallet, oldName };
+  }
+
+  /**
+   * Add and/or remove tags on a tracked wallet and persist
+   */
+  tagWallet(nameOrAddress, { add = [], remove = [] } = {}) {
+    const wallet = this._findWallet(nameOrAddress);
+    const previous = { tags: wallet.tags, groups: wallet.groups };
+    const clean = tag => tag.trim().replace(/^#/, '').toLowerCase();
+    const removed = new Set(remove.map(clean));
+
+    const { tags } = normalizeWallet({ ...wallet, tags: [...(wallet.tags || []), ...add], groups: undefined });
+    wallet.tags = tags.filter(tag => !removed.has(tag));
+    if (wallet.tags.length === 0) {
+      delete wallet.tags;
+    }
+    // groups are merged into tags on load, so drop removed ones there too
+    if (wallet.groups) {
+      wallet.groups = wallet.groups.filter(group => !removed.has(clean(group)));
+    }
+
+    this._persistWallets(() => Object.assign(wallet, previous));
+    return wallet;
+  }
+
+  /**
+   * Find a tracked wallet by name or address, or throw
+   */
+  _findWallet(nameOrAddress) {
+    const wallet = this.getWalletByName(nameOrAddress) ||
+      this.wallets.find(w => w.trackedWalletAddress === nameOrAddress);
+    if (!wallet) {
+      throw new Error(`Wallet "${nameOrAddress}" not found`);
+    }
+    return wallet;
+  }
+
+  /**
+   * Wallet names must be unique, single words and not look like a group
+   */
+  _validateWalletName(name, self = null) {
+    if (!name || /\s/.test(name) || name.startsWith('#') || name.toLowerCase() === 'all') {
+      throw new Error(`Invalid wallet name: "${name}" (one word, not starting with # or "all")`);
+    }
+
+    const existing = this.getWalletByName(name);
+    if (existing && existing !== self) {
+      throw new Error(`A wallet named "${existing.name}" already exists`);
+    }
+  }
+
+  /**
+   * Save wallets, undoing the in-memory change if the write fails
+   */
+  _persistWallets(undo) {
+    try {
+      this.saveWallets();
+    } catch (error) {
+      undo();
+      throw new Error(`Failed to save wallets: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resolve wallet names, addresses, tags ("snipers" / "#snipers") or 'all'
+   * to tracked wallet configs
+   */
+  resolveWallets(refs) {
+    return resolveWallets(this.wallets, refs);
+  }
+
+  /**
+   * Get tag -> wallet names for all tagged wallets
+   */
+  getGroups() {
+    return getGroups(this.wallets);
+  }
+
   /**
    * Get wallet by name
    */
@@ -40,12 +217,160 @@ export class WalletTracker {
     return balance / LAMPORTS_PER_SOL;
   }
 
+  /**
+   * Get all SPL Token and Token-2022 holdings for a wallet
+   *
+   * Accounts for the same mint are merged and empty accounts skipped. Each
+   * holding is valued with the price source; unpriced holdings have null
+   * prices/values and sort last.
+   */
+  async getTokenHoldings(nameOrAddress) {
+    let wallet = this.getWalletByName(nameOrAddress);
+    let address = wallet ? wallet.trackedWalletAddress : nameOrAddress;
+
+    const accounts = await this._getTokenAccounts(address);
+    const prices = await this._getPrices(accounts.map(a => a.mint));
+    const metadata = await this._getMintMetadata(accounts.map(a => a.mint));
+    return this._valueHoldings(accounts, prices, metadata);
+  }
+
+  /**
+   * Get wallet info plus token holdings and total net worth
+   */
+  async getPortfolio(nameOrAddress) {
+    const info = await this.getWalletInfo(nameOrAddress);
+    const accounts = await this._getTokenAccounts(info.address);
+    const prices = await this._getPrices([...accounts.map(a => a.mint), SOL_MINT]);
+    const metadata = await this._getMintMetadata(accounts.map(a => a.mint));
+    return this._buildPortfolio(info, accounts, prices, metadata);
+  }
+
+  /**
+   * Portfolio from wallet info and token accounts, valued at `prices`
+   */
+  _buildPortfolio(info, accounts, prices, metadata) {
+    const holdings = this._valueHoldings(accounts, prices, metadata);
+
+    const solPriceUsd = prices[SOL_MINT]?.priceUsd || null;
+    const tokenValueUsd = holdings.reduce((sum, h) => sum + (h.valueUsd || 0), 0);
+    const tokenValueSol = holdings.reduce((sum, h) => sum + (h.valueSol || 0), 0);
+
+    return {
+      ...info,
+      holdings,
+      solPriceUsd,
+      tokenValueUsd,
+      tokenValueSol,
+      totalValueSol: info.balance + tokenValueSol,
+      totalValueUsd: solPriceUsd ? info.balance * solPriceUsd + tokenValueUsd : null,
+      unpricedHoldings: holdings.filter(h => h.priceUsd === null).length
+    };
+  }
+
+  /**
+   * Fetch non-empty token accounts from both token programs, merged by mint
+   */
+  async _getTokenAccounts(address) {
+    const owner = new PublicKey(address);
+    const programs = [
+      { programId: TOKEN_PROGRAM_ID, program: 'spl-token' },
+      { programId: TOKEN_2022_PROGRAM_ID, program: 'token-2022' }
+    ];
+
+    const results = await Promise.all(programs.map(({ programId }) =>
+      this.connection.getParsedTokenAccountsByOwner(owner, { programId })
+    ));
+
+    const byMint = {};
+    results.forEach((result, i) => {
+      for (const { pubkey, account } of result.value) {
+        const info = account.data.parsed.info;
+        const amount = parseFloat(info.tokenAmount.uiAmountString || '0');
+        if (amount === 0) continue;
+
+        if (!byMint[info.mint]) {
+          byMint[info.mint] = {
+            mint: info.mint,
+            amount: 0,
+            decimals: info.tokenAmount.decimals,
+            program: programs[i].program,
+            tokenAccounts: []
+          };
+        }
+        byMint[info.mint].amount += amount;
+        byMint[info.mint].tokenAccounts.push(pubkey.toString());
+      }
+    });
+
+    return Object.values(byMint);
+  }
+
+  /**
+   * Ask the price source for prices, treating failures as "no prices"
+   */
+  async _getPrices(mints) {
+    if (mints.length === 0) {
+      return {};
+    }
+
+    try {
+      return await this.priceSource.getPrices(mints);
+    } catch (error) {
+      console.error('Error fetching token prices:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Ask the mint metadata source for symbols, treating failures as "no metadata"
+   */
+  async _getMintMetadata(mints) {
+    if (!this.mintMetadata || mints.length === 0) {
+      return {};
+    }
+
+    try {
+      return await this.mintMetadata.getMany(mints);
+    } catch (error) {
+      console.error('Error fetching mint metadata:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Attach symbol, prices and values to holdings, most valuable first
+   *
+   * The symbol comes from the price source, else the mint's metadata.
+   */
+  _valueHoldings(accounts, prices, metadata = {}) {
+    return accounts
+      .map(holding => {
+        const price = prices[holding.mint];
+        return {
+          ...holding,
+          symbol: price?.symbol || metadata[holding.mint]?.symbol || null,
+          priceUsd: price?.priceUsd ?? null,
+          priceSol: price?.priceSol ?? null,
+          valueUsd: price?.priceUsd != null ? holding.amount * price.priceUsd : null,
+          valueSol: price?.priceSol != null ? holding.amount * price.priceSol : null
+        };
+      })
+      .sort((a, b) => (b.valueUsd ?? -1) - (a.valueUsd ?? -1));
+  }
+
   /**
    * Get recent transaction signatures for a wallet
+   *
+   * `options.before` / `options.until` page through history: results start
+   * just before `before` and stop (exclusive) at `until`.
    */
-  async getRecentTransactions(address, limit = 10) {
+  async getRecentTransactions(address, limit = 10, options = {}) {
     const publicKey = new PublicKey(address);
-    const signatures = await this.connection.getSignaturesForAddress(publicKey, { limit });
+    const signatures = await this.connection.getSignaturesForAddress(publicKey, {
+      limit,
+      before: options.before,
+      until: options.until
+    });
     return signatures;
   }
 
@@ -82,7 +407,7 @@ export class WalletTracker {
     const results = [];
     for (const wallet of this.wallets) {
       try {
-        const info = await this.getWalletInfo(wallet.trackedWalletAddress);
+        const info = await this.getWalletInfo(wallet.name);
         results.push(info);
       } catch (error) {
         results.push({
@@ -100,34 +425,100 @@ export class WalletTracker {
    * Get LLM-friendly summary of wallet
    */
   async getWalletSummary(nameOrAddress) {
-    const info = await this.getWalletInfo(nameOrAddress);
-    return `${info.emoji} ${info.name}: ${info.balanceFormatted} (${info.address})`;
+    const portfolio = await this.getPortfolio(nameOrAddress);
+    let summary = `${portfolio.emoji} ${portfolio.name}: ${this._formatNetWorth(portfolio)} (${portfolio.address})`;
+
+    const top = this._formatTopHoldings(portfolio.holdings);
+    if (top) {
+      summary += `\n  Top holdings: ${top}`;
+    }
+    if (portfolio.metadata?.tags?.length > 0) {
+      summary += `\n  Tags: ${portfolio.metadata.tags.join(', ')}`;
+    }
+    if (portfolio.metadata?.notes) {
+      summary += `\n  Notes: ${portfolio.metadata.notes}`;
+    }
+
+    return summary;
   }
 
   /**
    * Get LLM-friendly summary of all wallets
    */
   async getAllWalletsSummary() {
-    const infos = await this.getAllWalletsInfo();
+    // Balances and token accounts a few wallets at a time, then every mint priced in one batch
+    const loaded = await mapWithConcurrency(this.wallets, this.concurrency, async (wallet) => {
+      try {
+        const info = await this.getWalletInfo(wallet.name);
+        return { info, accounts: await this._getTokenAccounts(info.address) };
+      } catch (error) {
+        return { error: { name: wallet.name, emoji: wallet.emoji, error: error.message } };
+      }
+    });
+
+    const mints = [...new Set(loaded.flatMap(l => (l.accounts || []).map(a => a.mint)))];
+    const prices = await this._getPrices([...mints, SOL_MINT]);
+    const metadata = await this._getMintMetadata(mints);
+    const portfolios = loaded.map(l => l.error || this._buildPortfolio(l.info, l.accounts, prices, metadata));
+
     let summary = '📊 Wallet Tracker Summary\n\n';
 
-    for (const info of infos) {
-      if (info.error) {
-        summary += `${info.emoji} ${info.name}: ERROR - ${info.error}\n`;
-      } else {
-        summary += `${info.emoji} ${info.name}: ${info.balanceFormatted}\n`;
+    for (const portfolio of portfolios) {
+      if (portfolio.error) {
+        summary += `${portfolio.emoji} ${portfolio.name}: ERROR - ${portfolio.error}\n`;
+        continue;
+      }
+
+      summary += `${portfolio.emoji} ${portfolio.name}: ${this._formatNetWorth(portfolio)}\n`;
+      const top = this._formatTopHoldings(portfolio.holdings);
+      if (top) {
+        summary += `  Top holdings: ${top}\n`;
       }
     }
 
-    const totalBalance = infos
-      .filter(i => !i.error)
-      .reduce((sum, i) => sum + i.balance, 0);
+    const valid = portfolios.filter(p => !p.error);
+    const totalBalance = valid.reduce((sum, p) => sum + p.balance, 0);
+    const totalValueSol = valid.reduce((sum, p) => sum + p.totalValueSol, 0);
+    const totalValueUsd = valid.reduce((sum, p) => sum + (p.totalValueUsd || 0), 0);
 
     summary += `\n💰 Total Balance: ${totalBalance.toFixed(4)} SOL`;
+    summary += `\n💼 Total Net Worth: ${totalValueSol.toFixed(4)} SOL`;
+    if (totalValueUsd > 0) {
+      summary += ` ($${totalValueUsd.toFixed(2)})`;
+    }
 
     return summary;
   }
 
+  /**
+   * "1.2345 SOL + 3 tokens = 5.6789 SOL ($1234.56)"
+   */
+  _formatNetWorth(portfolio) {
+    let text = portfolio.balanceFormatted;
+
+    if (portfolio.holdings.length > 0) {
+      text += ` + ${portfolio.holdings.length} token${portfolio.holdings.length === 1 ? '' : 's'}`;
+      text += ` = ${portfolio.totalValueSol.toFixed(4)} SOL`;
+    }
+
+    if (portfolio.totalValueUsd !== null) {
+      text += ` ($${portfolio.totalValueUsd.toFixed(2)})`;
+    }
+
+    return text;
+  }
+
+  /**
+   * "BONK $120.00, WIF $80.00, ..." for the most valuable priced holdings
+   */
+  _formatTopHoldings(holdings, limit = 3) {
+    return holdings
+      .filter(h => h.valueUsd !== null)
+      .slice(0, limit)
+      .map(h => `${h.symbol || h.mint.slice(0, 8) + '...'} $${h.valueUsd.toFixed(2)}`)
+      .join(', ');
+  }
+
   /**
    * Get transaction history for a wallet
    */
@@ -152,8 +543,13 @@ export class WalletTracker {
 
   /**
    * Get detailed transaction information
+   *
+   * Swaps made by `ownerAddress` (the fee payer if omitted) are decoded into
+   * `details.trades`. With `includeRaw`, the `getTransaction` response is
+   * kept as `details.raw`. With a `mintMetadata` source, token transfers get
+   * a `symbol` and trades an `inputSymbol`/`outputSymbol`.
    */
-  async getTransactionDetails(signature) {
+  async getTransactionDetails(signature, ownerAddress = null, { includeRaw = false } = {}) {
     const tx = await this.connection.getTransaction(signature, {
       maxSupportedTransactionVersion: 0,
       commitment: 'confirmed'
@@ -196,34 +592,66 @@ export class WalletTracker {
       details.accountBalances = [];
     }
 
+    // Decode swaps into BUY/SELL trades
+    try {
+      details.trades = this.swapDecoder.decode(tx, ownerAddress);
+    } catch (error) {
+      details.trades = [];
+    }
+
+    // Name the tokens moved, when there's a mint metadata source
+    const mints = [
+      ...details.tokenTransfers.map(t => t.mint),
+      ...details.trades.flatMap(t => [t.inputMint, t.outputMint])
+    ];
+    const metadata = await this._getMintMetadata(mints);
+    if (Object.keys(metadata).length > 0) {
+      for (const transfer of details.tokenTransfers) {
+        transfer.symbol = metadata[transfer.mint]?.symbol || null;
+      }
+      for (const trade of details.trades) {
+        trade.inputSymbol = metadata[trade.inputMint]?.symbol || null;
+        trade.outputSymbol = metadata[trade.outputMint]?.symbol || null;
+      }
+    }
+
+    if (includeRaw) {
+      details.raw = tx;
+    }
+
     return details;
   }
 
+  /**
+   * Get the swaps made by a wallet in a transaction
+   */
+  async getTradeDetails(signature, ownerAddress = null) {
+    const details = await this.getTransactionDetails(signature, ownerAddress);
+
+    return {
+      signature,
+      blockTime: details.blockTime,
+      slot: details.slot,
+      success: details.success,
+      trades: details.trades
+    };
+  }
+
   /**
    * Extract SOL balance changes from transaction
    */
   _extractBalanceChanges(tx) {
     const changes = {};
 
-    // Handle both versioned and legacy transactions
-    let accountKeys;
-    if (tx.transaction.message.getAccountKeys) {
-      // Versioned transaction
-      accountKeys = tx.transaction.message.getAccountKeys().staticAccountKeys;
-    } else if (tx.transaction.message.accountKeys) {
-      // Legacy transaction
-      accountKeys = tx.transaction.message.accountKeys;
-    } else {
-      return changes;
-    }
+    // Includes keys loaded from address lookup tables
+    const accountKeys = resolveAccountKeys(tx);
 
     tx.meta.preBalances.forEach((preBalance, index) => {
       const postBalance = tx.meta.postBalances[index];
       const change = (postBalance - preBalance) / LAMPORTS_PER_SOL;
 
       if (change !== 0 && accountKeys[index]) {
-        const address = accountKeys[index].toString();
-        changes[address] = change;
+        changes[accountKeys[index]] = change;
       }
     });
 
@@ -232,25 +660,25 @@ export class WalletTracker {
 
   /**
    * Extract token transfers from transaction
+   *
+   * Accounts created in the transaction (no pre entry) or closed by it (no
+   * post entry) count from/to a 0 balance. `positionChange` describes what
+   * happened to the owner's holding: opened, increased, decreased or closed.
    */
   _extractTokenTransfers(tx) {
     const transfers = [];
 
-    if (!tx.meta.preTokenBalances || !tx.meta.postTokenBalances) {
-      return transfers;
-    }
-
     // Group by account index
     const tokenBalances = {};
 
-    tx.meta.preTokenBalances.forEach(pre => {
+    (tx.meta.preTokenBalances || []).forEach(pre => {
       if (!tokenBalances[pre.accountIndex]) {
         tokenBalances[pre.accountIndex] = {};
       }
       tokenBalances[pre.accountIndex].pre = pre;
     });
 
-    tx.meta.postTokenBalances.forEach(post => {
+    (tx.meta.postTokenBalances || []).forEach(post => {
       if (!tokenBalances[post.accountIndex]) {
         tokenBalances[post.accountIndex] = {};
       }
@@ -259,20 +687,31 @@ export class WalletTracker {
 
     // Calculate changes
     Object.entries(tokenBalances).forEach(([accountIndex, balances]) => {
-      if (balances.pre && balances.post) {
-        const preAmount = parseFloat(balances.pre.uiTokenAmount.uiAmountString || '0');
-        const postAmount = parseFloat(balances.post.uiTokenAmount.uiAmountString || '0');
-        const change = postAmount - preAmount;
-
-        if (change !== 0) {
-          transfers.push({
-            accountIndex: parseInt(accountIndex),
-            mint: balances.post.mint,
-            amount: change,
-            decimals: balances.post.uiTokenAmount.decimals,
-            owner: balances.post.owner
-          });
+      const balance = balances.post || balances.pre;
+      const preAmount = parseFloat(balances.pre?.uiTokenAmount.uiAmountString || '0');
+      const postAmount = parseFloat(balances.post?.uiTokenAmount.uiAmountString || '0');
+      const change = postAmount - preAmount;
+
+      if (change !== 0) {
+        let positionChange;
+        if (preAmount === 0) {
+          positionChange = 'opened';
+        } else if (postAmount === 0) {
+          positionChange = 'closed';
+        } else {
+          positionChange = change > 0 ? 'increased' : 'decreased';
         }
+
+        transfers.push({
+          accountIndex: parseInt(accountIndex),
+          mint: balance.mint,
+          amount: change,
+          preAmount,
+          postAmount,
+          positionChange,
+          decimals: balance.uiTokenAmount.decimals,
+          owner: balance.owner
+        });
       }
     });
 
@@ -285,22 +724,13 @@ export class WalletTracker {
   _extractAccountBalances(tx) {
     const balances = [];
 
-    // Handle both versioned and legacy transactions
-    let accountKeys;
-    if (tx.transaction.message.getAccountKeys) {
-      // Versioned transaction
-      accountKeys = tx.transaction.message.getAccountKeys().staticAccountKeys;
-    } else if (tx.transaction.message.accountKeys) {
-      // Legacy transaction
-      accountKeys = tx.transaction.message.accountKeys;
-    } else {
-      return balances;
-    }
+    // Includes keys loaded from address lookup tables
+    const accountKeys = resolveAccountKeys(tx);
 
     accountKeys.forEach((account, index) => {
       if (tx.meta.preBalances[index] !== undefined && tx.meta.postBalances[index] !== undefined) {
         balances.push({
-          address: account.toString(),
+          address: account,
           preBalance: tx.meta.preBalances[index] / LAMPORTS_PER_SOL,
           postBalance: tx.meta.postBalances[index] / LAMPORTS_PER_SOL,
           change: (tx.meta.postBalances[index] - tx.meta.preBalances[index]) / LAMPORTS_PER_SOL
@@ -323,7 +753,7 @@ export class WalletTracker {
     const detailedTxs = [];
     for (const sig of signatures) {
       try {
-        const details = await this.getTransactionDetails(sig.signature);
+        const details = await this.getTransactionDetails(sig.signature, address);
         detailedTxs.push({
           ...details,
           timestamp: sig.blockTime ? new Date(sig.blockTime * 1000).toISOString() : null
@@ -366,7 +796,14 @@ export class WalletTracker {
       summary += '\nToken Transfers:\n';
       details.tokenTransfers.forEach(transfer => {
         const sign = transfer.amount > 0 ? '+' : '';
-        summary += `  ${transfer.mint.substring(0, 10)}... ${sign}${transfer.amount}\n`;
+        summary += `  ${transfer.mint.substring(0, 10)}... ${sign}${transfer.amount} (${transfer.positionChange})\n`;
+      });
+    }
+
+    if (details.trades.length > 0) {
+      summary += '\nSwaps:\n';
+      details.trades.forEach(trade => {
+        summary += `  ${trade.side} ${trade.inputAmount} ${trade.inputMint.substring(0, 10)}... → ${trade.outputAmount} ${trade.outputMint.substring(0, 10)}... (${trade.venue})\n`;
       });
     }
 
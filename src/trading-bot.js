@@ -1,5 +1,11 @@
+import fs from 'fs';
+import path from 'path';
 import { WalletMonitor, AlertType } from './alerts.js';
 import { WalletManager } from './wallet.js';
+import { JupiterTrader, toRawAmount, fromRawAmount } from './jupiter-trader.js';
+import { PaperTrading } from './paper-trading.js';
+import { SOL_MINT } from './swap-decoder.js';
+import { matchesWallet } from './wallet-groups.js';
 import { EventEmitter } from 'events';
 
 /**
@@ -17,7 +23,8 @@ export class TradingBot extends EventEmitter {
     super();
     this.tracker = tracker;
     this.walletManager = walletManager;
-    this.monitor = new WalletMonitor(tracker, options.monitorOptions || {});
+    // `monitor` swaps in another alert source, e.g. a ReplayMonitor for offline runs
+    this.monitor = options.monitor || new WalletMonitor(tracker, options.monitorOptions || {});
 
     this.options = {
       enabled: false,
@@ -25,17 +32,123 @@ export class TradingBot extends EventEmitter {
       maxTradeAmount: 0.1,  // Maximum SOL per trade
       minWalletBalance: 0.05,  // Minimum balance to maintain
       copyRatio: 0.1,  // 10% of tracked wallet's trade size
+      leaderboard: null,  // Leaderboard instance for wallet quality scores
+      leaderboardWindow: '30d',  // Window the scores are read from
+      minScoreScale: 0.25,  // Trade size multiplier for a wallet scoring 0
+      positionWatcher: null,  // PositionWatcher that exits bought tokens
+      riskManager: null,  // RiskManager that vets every buy (see attachRiskManager)
+      trader: null,  // JupiterTrader for live swaps (created on first use)
+      slippageBps: 100,  // 1% slippage on live swaps
+      paperDataDir: './paper-strategies',  // One dry-run PaperTrading ledger per strategy (null: in memory)
+      paperBalance: 1.0,  // Starting SOL for each new ledger
+      clock: Date.now,  // Time source in ms (simulated in backtests)
       ...options
     };
 
     this.strategies = new Map();
+    this.paperLedgers = new Map();  // strategy name -> PaperTrading
     this.tradeHistory = [];
     this.stats = {
       tradesExecuted: 0,
       tradesSimulated: 0,
+      tradesRejected: 0,
       totalVolume: 0,
       successRate: 0
     };
+
+    this.trader = this.options.trader;
+    this.positionWatcher = null;
+    if (this.options.positionWatcher) {
+      this.attachPositionWatcher(this.options.positionWatcher);
+    }
+    this.riskManager = null;
+    if (this.options.riskManager) {
+      this.attachRiskManager(this.options.riskManager);
+    }
+  }
+
+  /**
+   * Let a PositionWatcher manage exits for tokens the bot buys
+   *
+   * Successful `buy_token` trades open a 'bot' position with the exit rules
+   * of the enabled strategies. When a rule fires, the watcher sends a
+   * POSITION_TRIGGER alert through the strategies (see
+   * TradingStrategies.stopLoss) and the resulting sell closes the position.
+   */
+  attachPositionWatcher(watcher) {
+    this.positionWatcher = watcher;
+    watcher.addSource('bot', {
+      priceUnit: 'sol',
+      sell: (position, amount, trigger) => this._handlePositionTrigger(position, amount, trigger)
+    });
+  }
+
+  /**
+   * Vet trades with a RiskManager
+   *
+   * Buys it rejects are skipped and emitted as `rejected`; every trade's
+   * result is booked with it. When its circuit breaker trips the bot is
+   * disabled and `breaker` is emitted.
+   */
+  attachRiskManager(riskManager) {
+    this.riskManager = riskManager;
+    riskManager.on('breaker', breaker => {
+      this.setEnabled(false);
+      this.emit('breaker', breaker);
+    });
+  }
+
+  /**
+   * JupiterTrader used for live swaps
+   */
+  getTrader() {
+    if (!this.trader) {
+      this.trader = new JupiterTrader(this.walletManager, this.walletManager.connection.rpcEndpoint);
+    }
+    return this.trader;
+  }
+
+  /**
+   * Dry-run PaperTrading ledger for a strategy
+   *
+   * Nothing is written to disk until the ledger's first trade.
+   */
+  getPaperLedger(strategyName) {
+    if (!this.paperLedgers.has(strategyName)) {
+      const dataFile = this._paperLedgerFile(strategyName);
+      if (dataFile) {
+        fs.mkdirSync(this.options.paperDataDir, { recursive: true });
+      }
+
+      const ledger = new PaperTrading(dataFile);
+      if (!dataFile || !fs.existsSync(dataFile)) {
+        ledger.data.balance = this.options.paperBalance;
+        ledger.data.stats.startingBalance = this.options.paperBalance;
+      }
+      ledger.data.enabled = true;
+      this.paperLedgers.set(strategyName, ledger);
+    }
+    return this.paperLedgers.get(strategyName);
+  }
+
+  _paperLedgerFile(strategyName) {
+    if (!this.options.paperDataDir) {
+      return null;
+    }
+    return path.join(this.options.paperDataDir, `${strategyName.replace(/[^\w-]/g, '_')}.json`);
+  }
+
+  /**
+   * Exit rules from enabled strategies (later strategies override earlier ones)
+   */
+  getExitRules() {
+    const rules = {};
+    for (const strategy of this.strategies.values()) {
+      if (strategy.enabled && strategy.config.exitRules) {
+        Object.assign(rules, strategy.config.exitRules);
+      }
+    }
+    return rules;
   }
 
   /**
@@ -53,6 +166,32 @@ export class TradingBot extends EventEmitter {
     console.log(`📋 Registered strategy: ${name}`);
   }
 
+  /**
+   * Leaderboard score (0-1) for a tracked wallet, or null if unranked
+   */
+  getWalletScore(walletName) {
+    if (!this.options.leaderboard) {
+      return null;
+    }
+    return this.options.leaderboard.getWalletScore(walletName, this.options.leaderboardWindow);
+  }
+
+  /**
+   * Scale a trade size by wallet quality
+   *
+   * A score of 1 keeps the full amount and 0 keeps `minScoreScale` of it.
+   * Unranked wallets are left unscaled.
+   */
+  scaleByWalletScore(amount, walletName) {
+    const score = this.getWalletScore(walletName);
+    if (score === null) {
+      return amount;
+    }
+
+    const { minScoreScale } = this.options;
+    return amount * (minScoreScale + (1 - minScoreScale) * score);
+  }
+
   /**
    * Enable/disable bot
    */
@@ -114,8 +253,9 @@ export class TradingBot extends EventEmitter {
    * Process incoming alerts
    */
   async _processAlert(alert) {
+    const trades = [];
     if (!this.options.enabled) {
-      return;
+      return trades;
     }
 
     // Check each strategy
@@ -131,13 +271,36 @@ export class TradingBot extends EventEmitter {
           console.log(`Alert: ${alert.type} from ${alert.wallet.emoji} ${alert.wallet.name}`);
 
           // Execute trade action
-          await this._executeTrade(name, strategy, alert);
+          const trade = await this._executeTrade(name, strategy, alert);
+          if (trade) trades.push(trade);
         }
       } catch (error) {
         console.error(`❌ Strategy error (${name}):`, error.message);
         this.emit('error', { strategy: name, error, alert });
       }
     }
+
+    return trades;
+  }
+
+  /**
+   * Run a position exit through the strategies as a POSITION_TRIGGER alert
+   */
+  async _handlePositionTrigger(position, amount, trigger) {
+    const alert = {
+      type: AlertType.POSITION_TRIGGER,
+      timestamp: new Date(this.options.clock()).toISOString(),
+      wallet: { name: 'bot', emoji: '🤖' },
+      position,
+      trigger: { ...trigger, amount }
+    };
+
+    const trades = await this._processAlert(alert);
+    const sold = trades.find(trade => trade.params.action === 'sell_token' && trade.result?.success);
+    if (!sold) {
+      return { success: false, error: 'No strategy sold the position' };
+    }
+    return { ...sold.result, strategy: sold.strategy };
   }
 
   /**
@@ -150,14 +313,7 @@ export class TradingBot extends EventEmitter {
       return;
     }
 
-    if (!this.options.dryRun) {
-      const balance = await this.walletManager.getBalance();
-      if (balance < this.options.minWalletBalance) {
-        console.error('❌ Cannot trade: Insufficient balance');
-        return;
-      }
-    }
-
+    let order = null;
     try {
       // Get trade parameters from strategy
       const tradeParams = await strategy.action(alert, this);
@@ -166,23 +322,40 @@ export class TradingBot extends EventEmitter {
         return; // Strategy decided not to trade
       }
 
-      // Validate trade params
-      if (tradeParams.amount > this.options.maxTradeAmount) {
+      // Keep the reserve, but let sells through to refill it
+      if (!this.options.dryRun && SPENDING_ACTIONS.includes(tradeParams.action)) {
+        const balance = await this.walletManager.getBalance();
+        if (balance < this.options.minWalletBalance) {
+          console.error('❌ Cannot trade: Insufficient balance');
+          return;
+        }
+      }
+
+      // Validate trade params (sells only reduce exposure, so aren't capped)
+      if (tradeParams.action !== 'sell_token' && tradeParams.amount > this.options.maxTradeAmount) {
         console.warn(`⚠️  Trade amount ${tradeParams.amount} exceeds max ${this.options.maxTradeAmount}`);
         tradeParams.amount = this.options.maxTradeAmount;
       }
 
+      order = this.riskManager ? riskOrder(tradeParams, alert) : null;
+      const rejection = order && this.riskManager.check(strategyName, order, this.options.clock());
+      if (rejection) {
+        this.stats.tradesRejected++;
+        this.emit('rejected', { ...rejection, alert, params: tradeParams });
+        return;
+      }
+
       // Execute or simulate trade
       const trade = {
         strategy: strategyName,
-        timestamp: new Date().toISOString(),
+        timestamp: new Date(this.options.clock()).toISOString(),
         alert,
         params: tradeParams,
         dryRun: this.options.dryRun
       };
 
       if (this.options.dryRun) {
-        // Simulate trade
+        // Simulate trade on the strategy's paper ledger
         console.log('🧪 SIMULATED TRADE:');
         console.log(`   Action: ${tradeParams.action}`);
         console.log(`   Amount: ${tradeParams.amount} SOL`);
@@ -190,10 +363,14 @@ export class TradingBot extends EventEmitter {
           console.log(`   Token: ${tradeParams.tokenMint.substring(0, 20)}...`);
         }
 
-        trade.result = {
-          simulated: true,
-          success: true
-        };
+        const result = await this._executePaperTrade(strategyName, tradeParams);
+        trade.result = result;
+        trade.inputAmount = result.inputAmount;
+        trade.outputAmount = result.outputAmount;
+
+        if (!result.success) {
+          console.log(`❌ Paper trade failed: ${result.error}`);
+        }
 
         this.stats.tradesSimulated++;
       } else {
@@ -204,6 +381,9 @@ export class TradingBot extends EventEmitter {
 
         const result = await this._executeRealTrade(tradeParams);
         trade.result = result;
+        trade.signature = result.signature;
+        trade.inputAmount = result.inputAmount;
+        trade.outputAmount = result.outputAmount;
 
         if (result.success) {
           console.log(`✅ Trade successful: ${result.signature}`);
@@ -214,34 +394,185 @@ export class TradingBot extends EventEmitter {
         }
       }
 
+      if (trade.result.success && BUY_ACTIONS.includes(tradeParams.action) && tradeParams.tokenMint && this.positionWatcher) {
+        this.positionWatcher.addToPosition({
+          source: 'bot',
+          mint: tradeParams.tokenMint,
+          costSol: trade.inputAmount ?? tradeParams.amount,
+          amount: trade.outputAmount ?? null,
+          openedAt: trade.timestamp,
+          rules: this.getExitRules()
+        });
+      }
+
+      if (order) {
+        this.riskManager.record(strategyName, {
+          ...order,
+          timestamp: trade.timestamp,
+          success: Boolean(trade.result.success),
+          inputAmount: trade.inputAmount ?? order.amount,
+          outputAmount: trade.outputAmount ?? null
+        });
+      }
+
       // Record trade
       this.tradeHistory.push(trade);
       this.emit('trade', trade);
+      return trade;
 
     } catch (error) {
       console.error('❌ Trade execution error:', error.message);
+      if (order) {
+        this.riskManager.record(strategyName, { ...order, timestamp: new Date(this.options.clock()).toISOString(), success: false });
+      }
       this.emit('error', { strategy: strategyName, error, alert });
     }
   }
 
   /**
-   * Execute real trade (implement based on your needs)
+   * Execute real trade
+   *
+   * - `send_sol`: transfer `amount` SOL to `to`
+   * - `buy_token`, `copy_trade`, `follow_whale`: swap `amount` SOL for `tokenMint`
+   * - `sell_token`: swap `tokenAmount` of `tokenMint` for SOL
    */
   async _executeRealTrade(params) {
-    // This is a placeholder. Implement based on your trading needs:
-    // - SOL transfers: walletManager.sendSol()
-    // - Token swaps: Jupiter integration
-    // - Other DeFi operations
-
     if (params.action === 'send_sol') {
       const result = await this.walletManager.sendSol(params.to, params.amount);
       return result;
     }
 
+    if (BUY_ACTIONS.includes(params.action)) {
+      if (!params.tokenMint) {
+        throw new Error(`${params.action} needs a tokenMint (no token buy to copy in this alert)`);
+      }
+      return await this._swap(SOL_MINT, params.tokenMint, params.amount);
+    }
+
+    if (params.action === 'sell_token') {
+      if (!params.tokenMint || !(params.tokenAmount > 0)) {
+        throw new Error('sell_token needs a tokenMint and tokenAmount');
+      }
+      return await this._swap(params.tokenMint, SOL_MINT, params.tokenAmount);
+    }
+
     // Extend with more trade types
     throw new Error(`Unsupported trade action: ${params.action}`);
   }
 
+  /**
+   * Simulate a trade on paper at the live Jupiter quote
+   *
+   * Trades go on the strategy's own ledger, except position exits (sells
+   * with a `positionId`, from TradingStrategies.stopLoss), which are booked
+   * on the ledgers of the strategies that bought the token. Actions without
+   * a token swap (e.g. `send_sol`) don't touch the ledgers.
+   */
+  async _executePaperTrade(strategyName, params) {
+    if (BUY_ACTIONS.includes(params.action)) {
+      if (!params.tokenMint) {
+        throw new Error(`${params.action} needs a tokenMint (no token buy to copy in this alert)`);
+      }
+
+      const quote = await this._quote(SOL_MINT, params.tokenMint, params.amount);
+      try {
+        const price = quote.inputAmount / quote.outputAmount;
+        const { trade } = await this.getPaperLedger(strategyName).buy(params.tokenMint, params.symbol || null, quote.inputAmount, price);
+        return { ...quote, simulated: true, success: true, price, paperTrade: trade };
+      } catch (error) {
+        return { ...quote, simulated: true, success: false, error: error.message };
+      }
+    }
+
+    if (params.action === 'sell_token') {
+      if (!params.tokenMint || !(params.tokenAmount > 0)) {
+        throw new Error('sell_token needs a tokenMint and tokenAmount');
+      }
+
+      const quote = await this._quote(params.tokenMint, SOL_MINT, params.tokenAmount);
+      const price = quote.outputAmount / quote.inputAmount;
+      try {
+        const fills = await this._paperSell(strategyName, params.tokenMint, quote.inputAmount, price, Boolean(params.positionId));
+        const solReceived = fills.reduce((sum, fill) => sum + fill.trade.solReceived, 0);
+        return { ...quote, simulated: true, success: true, outputAmount: solReceived, price, fills };
+      } catch (error) {
+        return { ...quote, simulated: true, success: false, error: error.message };
+      }
+    }
+
+    return { simulated: true, success: true };
+  }
+
+  /**
+   * Sell from the strategy's ledger or, for position exits it doesn't hold,
+   * pro rata from every ledger holding the token
+   */
+  async _paperSell(strategyName, mint, tokenAmount, price, isExit = false) {
+    const own = this.getPaperLedger(strategyName);
+    const holders = own.data.tokens[mint] || !isExit
+      ? [{ name: strategyName, ledger: own }]
+      : [...this.strategies.keys()].map(name => ({ name, ledger: this.getPaperLedger(name) }));
+    const held = holders.reduce((sum, { ledger }) => sum + (ledger.data.tokens[mint]?.amount || 0), 0);
+    if (held === 0) {
+      throw new Error(`No paper holdings for token ${mint}`);
+    }
+
+    // Clamped to holdings, as ledger amounts can be off by rounding
+    const fills = [];
+    for (const { name, ledger } of holders) {
+      const holding = ledger.data.tokens[mint]?.amount || 0;
+      if (holding === 0) continue;
+      const amount = Math.min(holding, tokenAmount * holding / held);
+      const { trade } = await ledger.sell(mint, amount, price);
+      fills.push({ strategy: name, trade });
+    }
+    return fills;
+  }
+
+  /**
+   * Jupiter quote for `amount` (in UI units, e.g. SOL) of one mint to another
+   *
+   * Amounts in the result are in UI units.
+   */
+  async _quote(inputMint, outputMint, amount) {
+    const trader = this.getTrader();
+    const inputDecimals = await trader.getTokenDecimals(inputMint);
+    const outputDecimals = await trader.getTokenDecimals(outputMint);
+
+    const rawAmount = toRawAmount(amount, inputDecimals);
+    if (rawAmount === '0') {
+      throw new Error(`Amount ${amount} is too small to trade`);
+    }
+
+    const quote = await trader.getQuote(inputMint, outputMint, rawAmount, this.options.slippageBps);
+    return {
+      quote,
+      inputMint,
+      outputMint,
+      inputAmount: fromRawAmount(quote.inAmount, inputDecimals),
+      outputAmount: fromRawAmount(quote.outAmount, outputDecimals),
+      priceImpact: quote.priceImpactPct
+    };
+  }
+
+  /**
+   * Quote then swap `amount` (in UI units, e.g. SOL) of one mint for another
+   *
+   * `inputAmount`/`outputAmount` in the result are the quoted amounts in UI
+   * units. A failed swap resolves with `success: false` so it is still
+   * recorded; a failed quote throws, as nothing was sent.
+   */
+  async _swap(inputMint, outputMint, amount) {
+    const { quote, ...result } = await this._quote(inputMint, outputMint, amount);
+
+    try {
+      const swap = await this.getTrader().swapQuote(quote);
+      return { ...result, success: true, signature: swap.signature };
+    } catch (error) {
+      return { ...result, success: false, error: error.message };
+    }
+  }
+
   /**
    * Get trading statistics
    */
@@ -254,10 +585,48 @@ export class TradingBot extends EventEmitter {
       ...this.stats,
       successRate: successRate.toFixed(2) + '%',
       totalTrades: this.tradeHistory.length,
-      recentTrades: this.tradeHistory.slice(-10)
+      recentTrades: this.tradeHistory.slice(-10),
+      paper: this.getPaperStats(),
+      risk: this.riskManager ? this.riskManager.getStatus(this.options.clock()) : null
     };
   }
 
+  /**
+   * Dry-run results per strategy (strategies without paper trades are left out)
+   *
+   * Open tokens are valued at cost, so `pnl` is realized PnL plus unspent SOL.
+   */
+  getPaperStats() {
+    const results = {};
+
+    for (const name of this.strategies.keys()) {
+      const dataFile = this._paperLedgerFile(name);
+      if (!this.paperLedgers.has(name) && !(dataFile && fs.existsSync(dataFile))) continue;
+
+      const ledger = this.getPaperLedger(name);
+      if (ledger.data.trades.length === 0) continue;
+
+      const stats = ledger.getStats();
+      const drawdown = ledger.getDrawdown();
+      results[name] = {
+        balance: ledger.data.balance,
+        value: stats.currentValue,
+        pnl: stats.totalReturn,
+        pnlPercent: stats.returnPercent,
+        realizedPnl: stats.totalProfit,
+        trades: stats.totalTrades,
+        wins: stats.wins,
+        losses: stats.losses,
+        winRate: stats.winRate,
+        openPositions: Object.keys(ledger.data.tokens).length,
+        maxDrawdown: drawdown.maxDrawdown,
+        maxDrawdownPercent: drawdown.maxDrawdownPercent
+      };
+    }
+
+    return results;
+  }
+
   /**
    * Get trade history
    */
@@ -272,35 +641,84 @@ export class TradingBot extends EventEmitter {
     console.log('\n📊 Trading Bot Statistics:');
     console.log(`   Trades Executed: ${this.stats.tradesExecuted}`);
     console.log(`   Trades Simulated: ${this.stats.tradesSimulated}`);
+    console.log(`   Trades Rejected: ${this.stats.tradesRejected}`);
     console.log(`   Total Volume: ${this.stats.totalVolume.toFixed(4)} SOL`);
 
     const stats = this.getStats();
     console.log(`   Success Rate: ${stats.successRate}`);
     console.log(`   Total Strategies: ${this.strategies.size}`);
+
+    for (const [name, paper] of Object.entries(stats.paper)) {
+      const sign = paper.pnl >= 0 ? '+' : '';
+      console.log(`   🧪 ${name}: ${sign}${paper.pnl.toFixed(4)} SOL (${sign}${paper.pnlPercent.toFixed(2)}%), win rate ${paper.winRate.toFixed(1)}%, max drawdown ${paper.maxDrawdownPercent.toFixed(2)}%`);
+    }
   }
 }
 
+/**
+ * Actions that spend SOL on `tokenMint`
+ */
+const BUY_ACTIONS = ['buy_token', 'copy_trade', 'follow_whale'];
+const SPENDING_ACTIONS = [...BUY_ACTIONS, 'send_sol'];
+
+/**
+ * RiskManager order for trade params (null for actions it doesn't vet)
+ *
+ * `wallet` is the tracked wallet being copied, for per-wallet cooldowns.
+ */
+function riskOrder(params, alert) {
+  if (BUY_ACTIONS.includes(params.action)) {
+    return { side: 'buy', mint: params.tokenMint || null, amount: params.amount, wallet: alert.wallet?.name || null };
+  }
+  if (params.action === 'sell_token') {
+    return { side: 'sell', mint: params.tokenMint, amount: params.tokenAmount, wallet: null };
+  }
+  return null;
+}
+
+/**
+ * Token a tracked wallet bought in the alert's transaction, if any
+ */
+function boughtMint(alert) {
+  const trades = alert.trade ? [alert.trade] : alert.transaction?.trades || [];
+  return trades.find(trade => trade.side === 'BUY')?.outputMint || null;
+}
+
+/**
+ * SOL a tracked wallet spent on a SWAP_BUY alert's trade (0 for stablecoin buys)
+ */
+function solSpent(alert) {
+  return alert.trade?.inputMint === SOL_MINT ? alert.trade.inputAmount : 0;
+}
+
 /**
  * Pre-built trading strategies
  */
 export const TradingStrategies = {
   /**
-   * Copy Trading - Mirror transactions from tracked wallets
+   * Copy Trading - Mirror token buys by tracked wallets
+   *
+   * `targetWallet` is a wallet name, a tag (e.g. '#kols') or a list of them
    */
   copyTrading: (targetWallet, options = {}) => ({
     condition: async (alert, bot) => {
-      // Only trade on incoming transactions from target wallet
-      return alert.wallet.name === targetWallet &&
-             alert.type === AlertType.TRANSACTION_RECEIVED &&
-             alert.transaction.amount > (options.minAmount || 0);
+      // Only copy SOL buys by target wallet(s). The transaction's other
+      // alerts carry the same trade, so matching them would copy it twice
+      return matchesWallet(bot.tracker.wallets, targetWallet, alert.wallet.name) &&
+             alert.type === AlertType.SWAP_BUY &&
+             solSpent(alert) > (options.minAmount || 0);
     },
     action: async (alert, bot) => {
-      const copyAmount = alert.transaction.amount * bot.options.copyRatio;
+      let copyAmount = solSpent(alert) * bot.options.copyRatio;
+      if (options.scaleByScore) {
+        copyAmount = bot.scaleByWalletScore(copyAmount, alert.wallet.name);
+      }
 
       return {
         action: 'copy_trade',
         amount: Math.min(copyAmount, bot.options.maxTradeAmount),
-        originalAmount: alert.transaction.amount,
+        tokenMint: alert.trade.outputMint,
+        originalAmount: solSpent(alert),
         targetWallet: alert.wallet.name
       };
     },
@@ -312,13 +730,21 @@ export const TradingStrategies = {
    */
   whaleFollower: (threshold = 10, options = {}) => ({
     condition: async (alert, bot) => {
+      // Only whales buying a token; transfers and sells have nothing to follow
       return alert.type === AlertType.LARGE_TRANSACTION &&
-             alert.transaction.amount >= threshold;
+             alert.transaction.amount >= threshold &&
+             boughtMint(alert) !== null;
     },
     action: async (alert, bot) => {
+      let amount = options.fixedAmount || bot.options.maxTradeAmount;
+      if (options.scaleByScore) {
+        amount = bot.scaleByWalletScore(amount, alert.wallet.name);
+      }
+
       return {
         action: 'follow_whale',
-        amount: options.fixedAmount || bot.options.maxTradeAmount,
+        amount,
+        tokenMint: boughtMint(alert),
         whaleAmount: alert.transaction.amount,
         wallet: alert.wallet.name
       };
@@ -328,25 +754,24 @@ export const TradingStrategies = {
 
   /**
    * Token Sniper - Buy tokens when tracked wallets buy them
+   *
+   * `targetWallets` accepts names and tags; empty means every wallet
    */
   tokenSniper: (targetWallets = [], options = {}) => ({
     condition: async (alert, bot) => {
-      return (targetWallets.length === 0 || targetWallets.includes(alert.wallet.name)) &&
-             alert.type === AlertType.TOKEN_TRANSFER &&
-             alert.transaction.tokenTransfers?.length > 0;
+      return (targetWallets.length === 0 || matchesWallet(bot.tracker.wallets, targetWallets, alert.wallet.name)) &&
+             alert.type === AlertType.SWAP_BUY;
     },
     action: async (alert, bot) => {
-      const tokenTransfer = alert.transaction.tokenTransfers[0];
-
-      // Only buy if wallet is buying (positive amount)
-      if (tokenTransfer.amount <= 0) {
-        return null;
+      let amount = options.fixedAmount || (bot.options.maxTradeAmount * 0.5);
+      if (options.scaleByScore) {
+        amount = bot.scaleByWalletScore(amount, alert.wallet.name);
       }
 
       return {
         action: 'buy_token',
-        tokenMint: tokenTransfer.mint,
-        amount: options.fixedAmount || (bot.options.maxTradeAmount * 0.5),
+        tokenMint: alert.trade.outputMint,
+        amount,
         wallet: alert.wallet.name
       };
     },
@@ -354,21 +779,41 @@ export const TradingStrategies = {
   }),
 
   /**
-   * Stop Loss - Sell when price drops below threshold
+   * Stop Loss - Exit bought tokens on stop-loss, take-profit, trailing stop
+   * or max hold time
+   *
+   * Needs a PositionWatcher attached to the bot, which watches every token
+   * bought with these exit rules and raises POSITION_TRIGGER alerts.
+   * `options` takes `takeProfit` ([{ percent, sellPercent }]),
+   * `trailingStopPercent`, `trailingActivationPercent` and `maxHoldMs`.
    */
   stopLoss: (stopLossPercent = 10, options = {}) => ({
     condition: async (alert, bot) => {
-      // Implement your stop-loss logic
-      // This is a placeholder
-      return false;
+      return alert.type === AlertType.POSITION_TRIGGER &&
+             alert.position.source === 'bot';
     },
     action: async (alert, bot) => {
+      const { position, trigger } = alert;
       return {
-        action: 'stop_loss_sell',
-        amount: options.amount || 0
+        action: 'sell_token',
+        tokenMint: position.mint,
+        tokenAmount: trigger.amount,
+        amount: trigger.amount * trigger.price,  // Estimated SOL out
+        reason: trigger.type,
+        positionId: position.id
       };
     },
-    config: { stopLossPercent, ...options }
+    config: {
+      stopLossPercent,
+      ...options,
+      exitRules: {
+        stopLossPercent,
+        takeProfit: options.takeProfit || [],
+        trailingStopPercent: options.trailingStopPercent ?? null,
+        trailingActivationPercent: options.trailingActivationPercent || 0,
+        maxHoldMs: options.maxHoldMs ?? null
+      }
+    }
   })
 };
 
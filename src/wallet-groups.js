@@ -0,0 +1,126 @@
+/**
+ * Wallet groups - Address tracked wallets by name, address or tag
+ *
+ * Entries in wallets.json may carry optional settings:
+ *
+ * ```json
+ * {
+ *   "name": "whale",
+ *   "emoji": "🐳",
+ *   "trackedWalletAddress": "HYWo71Wk9PNDe5sBaRKazPnVyGnQDiwgXCFKvgAQ1ENp",
+ *   "tags": ["funds", "kols"],
+ *   "groups": ["Main"],
+ *   "notes": "Early on most pump.fun launches",
+ *   "alertsOnFeed": true,
+ *   "alerts": { "BALANCE_CHANGE": false, "SWAP_BUY": true },
+ *   "largeTransactionThreshold": 50,
+ *   "minAlertAmount": 0.5
+ * }
+ * ```
+ *
+ * `groups` (as exported by wallet trackers) are treated as tags. A wallet
+ * reference is a name, an address, a tag ("snipers" or "#snipers"), 'all',
+ * or a list of those. Names win over tags; "#" only matches tags.
+ */
+
+const WALLET_FIELDS = {
+  tags: value => Array.isArray(value) && value.every(tag => typeof tag === 'string'),
+  groups: value => Array.isArray(value) && value.every(group => typeof group === 'string'),
+  notes: value => typeof value === 'string',
+  alertsOnFeed: value => typeof value === 'boolean',
+  alerts: value => value && typeof value === 'object' && Object.values(value).every(v => typeof v === 'boolean'),
+  largeTransactionThreshold: value => typeof value === 'number' && value >= 0,
+  minAlertAmount: value => typeof value === 'number' && value >= 0
+};
+
+/**
+ * Validate a wallets.json entry and normalize its tags (merging `groups`)
+ */
+export function normalizeWallet(entry, index = 0) {
+  const label = entry?.name || `#${index + 1}`;
+
+  if (!entry?.name || !entry.trackedWalletAddress) {
+    throw new Error(`Wallet ${label} needs a name and trackedWalletAddress`);
+  }
+
+  for (const [field, isValid] of Object.entries(WALLET_FIELDS)) {
+    if (entry[field] !== undefined && !isValid(entry[field])) {
+      throw new Error(`Wallet ${label} has an invalid ${field}`);
+    }
+  }
+
+  if (!entry.tags && !entry.groups) {
+    return entry;
+  }
+
+  const tags = [...(entry.tags || []), ...(entry.groups || [])]
+    .map(tag => tag.trim().replace(/^#/, '').toLowerCase())
+    .filter(Boolean);
+
+  return { ...entry, tags: [...new Set(tags)] };
+}
+
+/**
+ * Resolve wallet references to wallet configs (deduplicated, in config order)
+ */
+export function resolveWallets(wallets, refs) {
+  const list = Array.isArray(refs) ? refs : [refs];
+  const selected = new Set();
+
+  for (const rawRef of list) {
+    if (typeof rawRef !== 'string' || !rawRef.trim()) continue;
+    const ref = rawRef.trim();
+
+    if (ref.toLowerCase() === 'all') {
+      wallets.forEach(wallet => selected.add(wallet));
+      continue;
+    }
+
+    if (!ref.startsWith('#')) {
+      const wallet = wallets.find(w => w.name.toLowerCase() === ref.toLowerCase() || w.trackedWalletAddress === ref);
+      if (wallet) {
+        selected.add(wallet);
+        continue;
+      }
+    }
+
+    const tag = ref.replace(/^#/, '').toLowerCase();
+    wallets.filter(w => (w.tags || []).includes(tag)).forEach(wallet => selected.add(wallet));
+  }
+
+  return wallets.filter(wallet => selected.has(wallet));
+}
+
+/**
+ * Check whether a wallet (by name) is covered by the references
+ */
+export function matchesWallet(wallets, refs, walletName) {
+  if (refs === 'all') {
+    return true;
+  }
+  return resolveWallets(wallets, refs).some(wallet => wallet.name === walletName);
+}
+
+/**
+ * Whether a reference names a group rather than a single wallet
+ */
+export function isGroupRef(wallets, ref) {
+  if (ref.startsWith('#') || ref.toLowerCase() === 'all') {
+    return true;
+  }
+  return !wallets.some(w => w.name.toLowerCase() === ref.toLowerCase() || w.trackedWalletAddress === ref) &&
+    wallets.some(w => (w.tags || []).includes(ref.toLowerCase()));
+}
+
+/**
+ * Map of tag -> wallet names
+ */
+export function getGroups(wallets) {
+  const groups = {};
+  for (const wallet of wallets) {
+    for (const tag of wallet.tags || []) {
+      (groups[tag] ||= []).push(wallet.name);
+    }
+  }
+  return groups;
+}
@@ -14,10 +14,22 @@ import { readFileSync, writeFileSync, existsSync } from 'fs';
 import { WalletTracker } from './src/tracker.js';
 import { WalletMonitor, AlertType } from './src/alerts.js';
 import { WalletManager } from './src/wallet.js';
-import { JupiterTrader } from './src/jupiter-trader.js';
+import { JupiterTrader, fromRawAmount } from './src/jupiter-trader.js';
 import { TokenAnalyzer } from './src/token-analyzer.js';
 import { TradeThesisAgent } from './src/trade-thesis-agent.js';
 import { PaperTrading } from './src/paper-trading.js';
+import { FillSimulator } from './src/fill-simulator.js';
+import { SOL_MINT } from './src/swap-decoder.js';
+import { PnLEngine } from './src/pnl-engine.js';
+import { Leaderboard } from './src/leaderboard.js';
+import { AlertRulesEngine, RuleAction } from './src/alert-rules.js';
+import { isGroupRef } from './src/wallet-groups.js';
+import { PositionWatcher, TriggerType } from './src/position-watcher.js';
+import { AlertRecorder, ReplayMonitor } from './src/alert-recorder.js';
+import { RiskManager } from './src/risk-manager.js';
+import { solSpent, copyTradeSize } from './src/copy-sizing.js';
+import { CopyPositions, soldFraction } from './src/copy-positions.js';
+import { MintMetadata } from './src/mint-metadata.js';
 
 // Load environment variables
 dotenv.config();
@@ -51,13 +63,30 @@ const openai = process.env.OPENAI_API_KEY ? new OpenAI({
 
 // Initialize wallet tracker and monitor
 const RPC_URL = process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com';
-const tracker = new WalletTracker(RPC_URL);
+// Decimals, supply, authorities and names of token mints, cached on disk
+const mintMetadata = new MintMetadata(RPC_URL, { dataFile: './mint-metadata.json' });
+const tracker = new WalletTracker(RPC_URL, { wsEndpoint: process.env.SOLANA_WS_URL, mintMetadata });
 tracker.loadWallets();
 
-const monitor = new WalletMonitor(tracker, {
-  pollInterval: 60000, // 60 seconds (increased to avoid rate limits)
-  largeTransactionThreshold: 10 // 10 SOL
-});
+// ALERT_REPLAY_FILE replays a recording instead of watching the chain (offline testing)
+const monitor = process.env.ALERT_REPLAY_FILE
+  ? new ReplayMonitor(tracker, {
+    file: process.env.ALERT_REPLAY_FILE,
+    speed: parseFloat(process.env.ALERT_REPLAY_SPEED || '1'),
+    maxDelay: 60000 // Don't sit through quiet hours
+  })
+  : new WalletMonitor(tracker, {
+    mode: process.env.MONITOR_MODE === 'subscribe' ? 'subscribe' : 'poll',
+    pollInterval: 60000, // 60 seconds (increased to avoid rate limits)
+    largeTransactionThreshold: 10, // 10 SOL
+    stateFile: process.env.MONITOR_STATE_FILE || './monitor-state.json', // Catch up on missed activity after restarts
+    maxBackfill: parseInt(process.env.MONITOR_MAX_BACKFILL || '50')
+  });
+
+// Record the alert stream (with raw transactions) for replays and backtests
+if (process.env.ALERT_RECORD_FILE) {
+  new AlertRecorder({ file: process.env.ALERT_RECORD_FILE }).attach(monitor);
+}
 
 // Initialize bot wallet for trading
 const botWallet = new WalletManager(RPC_URL);
@@ -71,14 +100,199 @@ if (process.env.BOT_WALLET_PRIVATE_KEY) {
 }
 
 // Initialize Jupiter trader for swaps
-const jupiterTrader = new JupiterTrader(botWallet, RPC_URL);
+const jupiterTrader = new JupiterTrader(botWallet, RPC_URL, null, { mintMetadata });
 
 // Initialize token analyzer and AI thesis agent
 const tokenAnalyzer = new TokenAnalyzer(RPC_URL, tracker.wallets);
 const thesisAgent = new TradeThesisAgent(process.env.ANTHROPIC_API_KEY);
 
-// Initialize paper trading
-const paperTrading = new PaperTrading('./paper-trades.json');
+// Initialize PnL engine for tracked wallets
+const pnlEngine = new PnLEngine(tracker, {
+  method: process.env.PNL_METHOD === 'average' ? 'average' : 'fifo'
+});
+
+// Initialize wallet leaderboard (cached to disk)
+const leaderboard = new Leaderboard(tracker, {
+  pnlEngine,
+  cacheFile: './leaderboard-cache.json'
+});
+
+// Load alert rules (evaluated after enrichment so market cap and score rules can match)
+let alertRules = null;
+if (process.env.ALERT_RULES_FILE) {
+  try {
+    alertRules = new AlertRulesEngine(process.env.ALERT_RULES_FILE);
+    alertRules.on('reload', ({ rules }) => console.log(`📜 Alert rules reloaded (${rules} rules)`));
+    alertRules.on('error', () => {}); // Already logged, previous rules stay active
+  } catch (error) {
+    console.error('❌ Failed to load alert rules:', error.message);
+  }
+}
+
+// Paper fills: a Jupiter quote (or the pool, if that fails) after PAPER_LATENCY_MS, less fees; 'exact' fills at the price shown
+const PAPER_FILL_MODEL = process.env.PAPER_FILL_MODEL || 'jupiter';
+const paperFills = PAPER_FILL_MODEL === 'exact' ? null : new FillSimulator({
+  model: PAPER_FILL_MODEL,
+  quoter: jupiterTrader,
+  analyzer: tokenAnalyzer,
+  latencyMs: process.env.PAPER_LATENCY_MS ? parseInt(process.env.PAPER_LATENCY_MS) : undefined,
+  dexFeeBps: process.env.PAPER_DEX_FEE_BPS ? parseFloat(process.env.PAPER_DEX_FEE_BPS) : undefined,
+  priorityFeeSol: process.env.PAPER_PRIORITY_FEE_SOL ? parseFloat(process.env.PAPER_PRIORITY_FEE_SOL) : undefined
+});
+
+// Initialize paper trading (priced in USD, like DexScreener and the token analyzer)
+const paperTrading = new PaperTrading('./paper-trades.json', {
+  quoteCurrency: 'usd',
+  priceSource: tracker.priceSource,
+  fillSimulator: paperFills,
+  // SOL/USD rate for migrating a ledger saved before USD pricing (the current rate if unset)
+  legacySolUsd: process.env.PAPER_LEGACY_SOL_USD ? parseFloat(process.env.PAPER_LEGACY_SOL_USD) : null
+});
+
+/**
+ * A paper ledger price, in its quote currency
+ */
+function formatPaperPrice(price) {
+  return paperTrading.getQuoteCurrency() === 'usd' ? `$${price.toFixed(8)}` : `${price.toFixed(10)} SOL`;
+}
+
+/**
+ * How a simulated paper fill differed from the quoted price ('' for exact fills)
+ */
+function formatPaperFill(trade) {
+  if (!trade.fill) return '';
+  const fees = trade.fill.fees;
+  const feeText = [fees.dex !== null && `DEX ${fees.dex.toFixed(6)}`, `network ${(fees.network + fees.priority).toFixed(6)}`]
+    .filter(Boolean).join(' + ');
+  return `*Quoted:* ${formatPaperPrice(trade.quotedPrice)} (filled ${trade.fill.slippagePercent.toFixed(2)}% worse, ${trade.fill.model})
+*Price Impact:* ${trade.fill.priceImpactPercent.toFixed(2)}%
+*Fees:* ${feeText} SOL\n`;
+}
+
+/**
+ * Signed PnL in SOL, with USD alongside when known: "+0.0500 SOL / +$7.50"
+ */
+function formatPaperPnL(sol, usd = null) {
+  const signed = (value, text) => `${value >= 0 ? '+' : '-'}${text(Math.abs(value))}`;
+  const solText = signed(sol, v => `${v.toFixed(4)} SOL`);
+  return usd === null ? solText : `${solText} / ${signed(usd, v => `$${v.toFixed(2)}`)}`;
+}
+
+// Bot wallet buys made from alerts, linked to the wallet they copied (paper buys keep the link on the ledger)
+const copyPositions = new CopyPositions('./copy-positions.json');
+const MIRROR_SELLS = process.env.MIRROR_SELLS === 'true'; // Sell our copy when the copied wallet sells
+
+// Exit rules for open positions (paper holdings, or the bot wallet when paper trading is off)
+let exitRules = {};
+try {
+  exitRules = {
+    stopLossPercent: process.env.STOP_LOSS_PERCENT ? parseFloat(process.env.STOP_LOSS_PERCENT) : null,
+    takeProfit: PositionWatcher.parseLadder(process.env.TAKE_PROFIT_LADDER),
+    trailingStopPercent: process.env.TRAILING_STOP_PERCENT ? parseFloat(process.env.TRAILING_STOP_PERCENT) : null,
+    maxHoldMs: process.env.MAX_HOLD_HOURS ? parseFloat(process.env.MAX_HOLD_HOURS) * 3600000 : null
+  };
+} catch (error) {
+  console.error('❌ Invalid exit rules:', error.message);
+}
+const exitRulesEnabled = exitRules.stopLossPercent != null || exitRules.takeProfit?.length > 0 ||
+  exitRules.trailingStopPercent != null || exitRules.maxHoldMs != null;
+
+const positionWatcher = new PositionWatcher({
+  dataFile: './positions.json',
+  pollInterval: parseInt(process.env.POSITION_POLL_INTERVAL || '30000'),
+  priceSource: tracker.priceSource,
+  rules: exitRules
+});
+
+// Paper positions are priced in the ledger's quote currency, like the paper sell buttons
+positionWatcher.addSource('paper', {
+  priceUnit: paperTrading.getQuoteCurrency(),
+  isActive: () => paperTrading.isEnabled(),
+  getHoldings: async () => Object.entries(paperTrading.getPortfolio().tokens).map(([mint, holding]) => ({
+    mint,
+    symbol: holding.symbol,
+    amount: holding.amount,
+    entryPrice: holding.avgPrice,
+    openedAt: holding.firstBought
+  })),
+  sell: (position, amount, trigger) => paperTrading.sell(position.mint, amount, trigger.price)
+});
+
+// Bot wallet tokens with a recorded buy; others (airdrops, manual buys) only with WATCH_UNTRACKED_TOKENS=true,
+// entering at the first price seen
+const WATCH_UNTRACKED_TOKENS = process.env.WATCH_UNTRACKED_TOKENS === 'true';
+positionWatcher.addSource('wallet', {
+  priceUnit: 'sol',
+  isActive: () => Boolean(botWallet.wallet) && !paperTrading.isEnabled(),
+  getHoldings: async () => {
+    const holdings = await getBotWalletHoldings();
+    return holdings
+      .filter(h => h.entryPrice !== null || (WATCH_UNTRACKED_TOKENS && (h.valueSol ?? 0) >= 0.001))
+      .map(h => ({ mint: h.mint, symbol: h.symbol, amount: h.amount, decimals: h.decimals, entryPrice: h.entryPrice }));
+  },
+  sell: (position, amount) => sellFromBotWallet(position.mint, { amount })
+});
+
+/**
+ * Bot wallet tokens, with PnL against the entry recorded in copy-positions.json
+ *
+ * `entryPrice` (SOL per token) and `unrealizedPnLPercent` are null for
+ * tokens the bot didn't buy itself.
+ */
+async function getBotWalletHoldings() {
+  const holdings = await tracker.getTokenHoldings(botWallet.getPublicKey());
+  return holdings
+    .filter(h => h.mint !== SOL_MINT && h.amount > 0)
+    .map(h => {
+      const entryPrice = copyPositions.getEntryPrice(h.mint);
+      const costSol = entryPrice === null ? null : entryPrice * h.amount;
+      return {
+        ...h,
+        entryPrice,
+        unrealizedPnLPercent: costSol && h.valueSol !== null ? (h.valueSol / costSol - 1) * 100 : null
+      };
+    });
+}
+
+/**
+ * Sell a bot wallet token to SOL through Jupiter
+ *
+ * Sells `{ amount }` tokens or `{ percent }` of the on-chain balance and
+ * books it in copy-positions.json (off `wallet`'s links for a mirrored
+ * sell). `profit`/`profitPercent` are measured against the recorded entry
+ * price, null for tokens the bot didn't buy itself.
+ */
+async function sellFromBotWallet(mint, size, wallet = null) {
+  const entryPrice = copyPositions.getEntryPrice(mint);
+  const result = await jupiterTrader.sellTokenToSol(mint, size);
+  copyPositions.recordSell(mint, result.tokensSold, wallet);
+
+  const costSol = entryPrice === null ? null : entryPrice * result.tokensSold;
+  return {
+    ...result,
+    profit: costSol === null ? null : result.solReceived - costSol,
+    profitPercent: costSol ? (result.solReceived / costSol - 1) * 100 : null
+  };
+}
+
+// Risk limits for buy buttons, per trading mode ('paper' or 'wallet'); all off unless set
+const riskManager = new RiskManager({
+  dataFile: './risk-state.json',
+  maxConsecutiveFailures: process.env.RISK_MAX_CONSECUTIVE_FAILURES ? parseInt(process.env.RISK_MAX_CONSECUTIVE_FAILURES) : null,
+  maxConsecutiveLosses: process.env.RISK_MAX_CONSECUTIVE_LOSSES ? parseInt(process.env.RISK_MAX_CONSECUTIVE_LOSSES) : null,
+  limits: {
+    maxOpenPositions: process.env.RISK_MAX_OPEN_POSITIONS ? parseInt(process.env.RISK_MAX_OPEN_POSITIONS) : null,
+    maxTokenExposure: process.env.RISK_MAX_TOKEN_EXPOSURE ? parseFloat(process.env.RISK_MAX_TOKEN_EXPOSURE) : null,
+    maxDailySpend: process.env.RISK_MAX_DAILY_SPEND ? parseFloat(process.env.RISK_MAX_DAILY_SPEND) : null,
+    maxDailyLoss: process.env.RISK_MAX_DAILY_LOSS ? parseFloat(process.env.RISK_MAX_DAILY_LOSS) : null,
+    walletCooldownMs: process.env.RISK_WALLET_COOLDOWN_MINUTES ? parseFloat(process.env.RISK_WALLET_COOLDOWN_MINUTES) * 60000 : null
+  }
+});
+const riskStrategy = () => (paperTrading.isEnabled() ? 'paper' : 'wallet');
+
+// Bounds for Copy Trade button sizing (proportional to the copied wallet's bet)
+const COPY_MIN_SOL = parseFloat(process.env.COPY_MIN_SOL || '0.01');
+const COPY_MAX_SOL = parseFloat(process.env.COPY_MAX_SOL || '0.5');
 
 // Bot state
 let alertChatId = CHAT_ID;
@@ -214,11 +428,12 @@ bot.onText(/\/status/, async (msg) => {
   const seconds = uptime % 60;
 
   const tradingMode = paperTrading.isEnabled() ? '🧪 Paper Trading' : '💰 Real Trading';
+  const monitorMode = { subscribe: '⚡ Live (websocket)', replay: '📼 Replaying a recording' }[monitor.getStats().mode] || '🔁 Polling every 60 seconds';
   const statusMessage = `
 📊 *Bot Status*
 
 *Monitoring:* ${tracker.wallets.length} wallets
-*Poll Interval:* 60 seconds
+*Monitor Mode:* ${monitorMode}
 *Trading Mode:* ${tradingMode}
 *Uptime:* ${hours}h ${minutes}m ${seconds}s
 *Alerts Sent:* ${stats.alertsSent}
@@ -301,12 +516,20 @@ bot.onText(/\/help/, async (msg) => {
 *Paper Trading:*
 /mode - Toggle paper trading on/off
 /portfolio - View paper trading portfolio
-/sell - Sell tokens from portfolio
+/sell - Sell paper tokens, or bot wallet tokens via Jupiter
 /reset - Reset paper trading account
+/positions - Open positions with stop-loss/take-profit status
+/risk \[reset\] - Risk limits, recent rejections, re-arm the circuit breaker
 
 *Wallet Commands:*
-/balance \[wallet\] - Quick balance check
-/activity \[wallet\] - Recent transactions
+/balance \[wallet|#group\] - Quick balance check
+/activity \[wallet|#group\] - Recent transactions
+/pnl \[wallet\] \[txs\] - Realized/unrealized PnL and win rate
+/track \[address\] \[name\] \[emoji\] - Start tracking a wallet
+/untrack \[name\] - Stop tracking a wallet
+/rename \[name\] \[new name\] - Rename a wallet
+/tag \[name\] \[tags\] - Add tags (prefix - to remove)
+/leaderboard \[24h|7d|30d\] - Rank tracked wallets by trading quality
 /search \[signature\] - Look up transaction
 
 *Bot Wallet Commands:*
@@ -333,7 +556,10 @@ bot.onText(/\/help/, async (msg) => {
 
 *Examples:*
 \`/balance whale\`
+\`/balance #snipers\`
 \`/activity Magi2\`
+\`/pnl whale 200\`
+\`/leaderboard 30d\`
 \`/search 2GvgQi9NGem...\`
 \`/code add a health check endpoint\`
 
@@ -411,20 +637,26 @@ bot.onText(/\/portfolio/, async (msg) => {
       tokensText = Object.entries(portfolio.tokens)
         .map(([mint, holding]) => {
           const mintShort = `${mint.slice(0, 6)}...${mint.slice(-4)}`;
-          const pnlSign = holding.unrealizedPnL >= 0 ? '+' : '';
+          const pnlSign = (value) => (value >= 0 ? '+' : '');
           const pnlEmoji = holding.unrealizedPnL >= 0 ? '📈' : '📉';
 
+          const valueUsd = holding.currentValueUsd === null ? '' : ` ($${holding.currentValueUsd.toFixed(2)})`;
+          const usdPercent = holding.unrealizedPnLPercentUsd === null ? '' : `, ${pnlSign(holding.unrealizedPnLPercentUsd)}${holding.unrealizedPnLPercentUsd.toFixed(2)}% in USD`;
+
           return `  • ${holding.symbol || mintShort}: ${holding.amount.toLocaleString()} tokens
-    Entry: $${holding.avgPrice.toFixed(8)}
-    Current: $${holding.currentPrice.toFixed(8)}
-    Value: ${holding.currentValue.toFixed(4)} SOL
-    ${pnlEmoji} P&L: ${pnlSign}${holding.unrealizedPnL.toFixed(4)} SOL (${pnlSign}${holding.unrealizedPnLPercent.toFixed(2)}%)`;
+    Entry: ${formatPaperPrice(holding.avgPrice)}
+    Current: ${formatPaperPrice(holding.currentPrice)}
+    Value: ${holding.currentValue.toFixed(4)} SOL${valueUsd}
+    ${pnlEmoji} P&L: ${formatPaperPnL(holding.unrealizedPnL, holding.unrealizedPnLUsd)} (${pnlSign(holding.unrealizedPnLPercent)}${holding.unrealizedPnLPercent.toFixed(2)}%${usdPercent})`;
         })
         .join('\n\n');
     }
 
     const totalPnLSign = (portfolio.totalUnrealizedPnL + portfolio.totalRealizedPnL) >= 0 ? '+' : '';
     const totalPnL = portfolio.totalUnrealizedPnL + portfolio.totalRealizedPnL;
+    const totalPnLUsd = portfolio.totalUnrealizedPnLUsd === null || portfolio.totalRealizedPnLUsd === null
+      ? null
+      : portfolio.totalUnrealizedPnLUsd + portfolio.totalRealizedPnLUsd;
 
     const message = `
 📊 *Paper Trading Portfolio*
@@ -435,11 +667,11 @@ bot.onText(/\/portfolio/, async (msg) => {
 ${tokensText}
 
 📈 *Performance:*
-• Current Value: ${portfolio.totalValue.toFixed(4)} SOL
-• Unrealized P&L: ${portfolio.totalUnrealizedPnL >= 0 ? '+' : ''}${portfolio.totalUnrealizedPnL.toFixed(4)} SOL
-• Realized P&L: ${portfolio.totalRealizedPnL >= 0 ? '+' : ''}${portfolio.totalRealizedPnL.toFixed(4)} SOL
-• Total P&L: ${totalPnLSign}${totalPnL.toFixed(4)} SOL (${((totalPnL / statsData.startingBalance) * 100).toFixed(2)}%)
-
+• Current Value: ${portfolio.totalValue.toFixed(4)} SOL${portfolio.totalValueUsd === null ? '' : ` ($${portfolio.totalValueUsd.toFixed(2)})`}
+• Unrealized P&L: ${formatPaperPnL(portfolio.totalUnrealizedPnL, portfolio.totalUnrealizedPnLUsd)}
+• Realized P&L: ${formatPaperPnL(portfolio.totalRealizedPnL, portfolio.totalRealizedPnLUsd)}
+• Total P&L: ${formatPaperPnL(totalPnL, totalPnLUsd)} (${totalPnLSign}${((totalPnL / statsData.startingBalance) * 100).toFixed(2)}% in SOL)
+${portfolio.solUsd ? `• SOL/USD: $${portfolio.solUsd.toFixed(2)}\n` : ''}
 📊 *Trading Stats:*
 • Total Trades: ${statsData.totalTrades}
 • Win Rate: ${statsData.winRate.toFixed(1)}%
@@ -462,56 +694,59 @@ Use \`/mode\` to toggle trading mode.
 });
 
 /**
- * /sell - Sell tokens from portfolio
+ * /sell - Sell tokens from the paper portfolio or the bot wallet
  */
 bot.onText(/\/sell/, async (msg) => {
   if (!isOwner(msg.from.id)) return;
 
   stats.commandsReceived++;
   const chatId = msg.chat.id;
+  const paper = paperTrading.isEnabled();
 
-  if (!paperTrading.isEnabled()) {
-    bot.sendMessage(chatId, '⚠️ Paper trading is not enabled. Use `/mode` to enable it.', { parse_mode: 'Markdown' });
+  if (!paper && !botWallet.wallet) {
+    bot.sendMessage(chatId, '⚠️ No bot wallet loaded. Set `BOT_WALLET_PRIVATE_KEY` or use `/mode` to enable paper trading.', { parse_mode: 'Markdown' });
     return;
   }
 
   try {
-    const portfolio = await paperTrading.getPortfolioWithPrices();
+    // { mint, symbol, amount, unrealizedPnLPercent } for either mode
+    const holdings = paper
+      ? Object.entries((await paperTrading.getPortfolioWithPrices()).tokens).map(([mint, h]) => ({ mint, ...h }))
+      : await getBotWalletHoldings();
 
-    if (Object.keys(portfolio.tokens).length === 0) {
+    if (holdings.length === 0) {
       bot.sendMessage(chatId, '📭 You have no tokens to sell.\n\nUse `/portfolio` to view your holdings.', { parse_mode: 'Markdown' });
       return;
     }
 
+    const pnlText = (h) => h.unrealizedPnLPercent === null
+      ? 'no entry'
+      : `${h.unrealizedPnLPercent >= 0 ? '+' : ''}${h.unrealizedPnLPercent.toFixed(1)}%`;
+
     // Create inline keyboard with sell options for each token
     const keyboard = [];
 
-    for (const [mint, holding] of Object.entries(portfolio.tokens)) {
-      const symbol = holding.symbol || `${mint.slice(0, 6)}...${mint.slice(-4)}`;
-      const pnlSign = holding.unrealizedPnL >= 0 ? '+' : '';
-      const pnlText = `${pnlSign}${holding.unrealizedPnLPercent.toFixed(1)}%`;
+    for (const h of holdings) {
+      const symbol = h.symbol || `${h.mint.slice(0, 6)}...${h.mint.slice(-4)}`;
 
       // Add buttons for 25%, 50%, 100% sells
       keyboard.push([
-        { text: `${symbol} (${pnlText})`, callback_data: `sell_info:${mint.slice(0, 12)}` }
+        { text: `${symbol} (${pnlText(h)})`, callback_data: `sell_info:${h.mint.slice(0, 12)}` }
       ]);
       keyboard.push([
-        { text: '  25%', callback_data: `sell:25:${mint.slice(0, 12)}` },
-        { text: '  50%', callback_data: `sell:50:${mint.slice(0, 12)}` },
-        { text: '  100%', callback_data: `sell:100:${mint.slice(0, 12)}` }
+        { text: '  25%', callback_data: `sell:25:${h.mint.slice(0, 12)}` },
+        { text: '  50%', callback_data: `sell:50:${h.mint.slice(0, 12)}` },
+        { text: '  100%', callback_data: `sell:100:${h.mint.slice(0, 12)}` }
       ]);
     }
 
     const message = `
-💰 *Sell Tokens*
+💰 *Sell Tokens* (${paper ? 'paper' : 'bot wallet'})
 
 Select a token and percentage to sell:
 
 📝 *Current Holdings:*
-${Object.entries(portfolio.tokens).map(([mint, h]) => {
-  const s = h.symbol || mint.slice(0, 8);
-  return `  • ${s}: ${h.amount.toLocaleString()} (${h.unrealizedPnL >= 0 ? '+' : ''}${h.unrealizedPnLPercent.toFixed(1)}%)`;
-}).join('\n')}
+${holdings.map(h => `  • ${h.symbol || h.mint.slice(0, 8)}: ${h.amount.toLocaleString()} (${pnlText(h)})`).join('\n')}
     `.trim();
 
     bot.sendMessage(chatId, message, {
@@ -554,7 +789,103 @@ Use \`/portfolio\` to view your fresh account.
 });
 
 /**
- * /balance [wallet] - Quick balance check
+ * /positions - Open positions and exit rules
+ */
+bot.onText(/\/positions/, async (msg) => {
+  if (!isOwner(msg.from.id)) return;
+
+  stats.commandsReceived++;
+  const chatId = msg.chat.id;
+
+  if (!exitRulesEnabled) {
+    bot.sendMessage(chatId, '⚠️ No exit rules set. Configure `STOP_LOSS_PERCENT`, `TAKE_PROFIT_LADDER`, `TRAILING_STOP_PERCENT` or `MAX_HOLD_HOURS` in .env.', { parse_mode: 'Markdown' });
+    return;
+  }
+
+  const rules = [
+    exitRules.stopLossPercent != null && `Stop-loss -${exitRules.stopLossPercent}%`,
+    exitRules.takeProfit.length > 0 && `Take-profit ${exitRules.takeProfit.map(s => `+${s.percent}%→${s.sellPercent}%`).join(', ')}`,
+    exitRules.trailingStopPercent != null && `Trailing stop ${exitRules.trailingStopPercent}%`,
+    exitRules.maxHoldMs != null && `Max hold ${exitRules.maxHoldMs / 3600000}h`
+  ].filter(Boolean);
+
+  const positions = positionWatcher.getPositions();
+  let message = `🎯 *Open Positions* (${positions.length})\n\n*Rules:* ${rules.join(' • ')}\n`;
+
+  for (const position of positions) {
+    const change = position.lastPrice && position.entryPrice
+      ? (position.lastPrice / position.entryPrice - 1) * 100
+      : null;
+    const changeText = change === null ? 'not priced yet' : `${change >= 0 ? '+' : ''}${change.toFixed(2)}%`;
+    const steps = position.takeProfitFilled.length > 0 ? ` • TP hit: ${position.takeProfitFilled.map(p => `+${p}%`).join(', ')}` : '';
+    message += `\n*${position.symbol || position.mint.slice(0, 8) + '...'}* (${position.source})\n`;
+    message += `  ${position.amount?.toLocaleString() ?? '?'} tokens • ${changeText}${steps}\n`;
+  }
+
+  const triggers = positionWatcher.getTriggerLog(5);
+  if (triggers.length > 0) {
+    message += `\n*Recent Triggers:*\n`;
+    for (const trigger of triggers) {
+      message += `${trigger.success ? '✅' : '❌'} ${trigger.type} ${trigger.symbol || trigger.mint.slice(0, 8)} (${trigger.changePercent.toFixed(1)}%)\n`;
+    }
+  }
+
+  bot.sendMessage(chatId, message.trim(), { parse_mode: 'Markdown' });
+});
+
+/**
+ * /risk [reset] - Risk limits, today's usage and recent rejections
+ */
+bot.onText(/\/risk(?:\s+(reset))?/, async (msg, match) => {
+  if (!isOwner(msg.from.id)) return;
+
+  stats.commandsReceived++;
+  const chatId = msg.chat.id;
+
+  if (match[1] === 'reset') {
+    const wasTripped = riskManager.isTripped();
+    riskManager.resetBreaker();
+    bot.sendMessage(chatId, wasTripped ? '✅ Circuit breaker re-armed. Buys are allowed again.' : 'ℹ️ Circuit breaker was not tripped.');
+    return;
+  }
+
+  const status = riskManager.getStatus();
+  const limits = status.limits;
+  const rules = [
+    limits.maxOpenPositions != null && `Max ${limits.maxOpenPositions} positions`,
+    limits.maxTokenExposure != null && `Max ${limits.maxTokenExposure} SOL per token`,
+    limits.maxDailySpend != null && `Spend ${limits.maxDailySpend} SOL/day`,
+    limits.maxDailyLoss != null && `Loss ${limits.maxDailyLoss} SOL/day`,
+    limits.walletCooldownMs != null && `${limits.walletCooldownMs / 60000}m wallet cooldown`,
+    status.maxConsecutiveFailures != null && `Breaker after ${status.maxConsecutiveFailures} failures`,
+    status.maxConsecutiveLosses != null && `Breaker after ${status.maxConsecutiveLosses} losses`
+  ].filter(Boolean);
+
+  let message = `🛡️ *Risk Manager*\n\n*Limits:* ${rules.length > 0 ? rules.join(' • ') : 'none (set RISK\\_\\* in .env)'}\n`;
+  message += status.breaker
+    ? `*Breaker:* 🚨 tripped ${new Date(status.breaker.trippedAt).toLocaleString()} (${status.breaker.reason})\nUse \`/risk reset\` to re-arm.\n`
+    : `*Breaker:* ✅ armed (${status.consecutiveFailures} failures, ${status.consecutiveLosses} losses in a row)\n`;
+
+  for (const [name, usage] of Object.entries(status.strategies)) {
+    const pnlSign = usage.realizedPnlToday >= 0 ? '+' : '';
+    message += `\n*${name}* today\n`;
+    message += `  Spent ${usage.spentToday.toFixed(4)} SOL • PnL ${pnlSign}${usage.realizedPnlToday.toFixed(4)} SOL\n`;
+    message += `  ${usage.openPositions} open • ${usage.exposure.toFixed(4)} SOL exposure\n`;
+  }
+
+  const rejections = riskManager.getRejections(5);
+  if (rejections.length > 0) {
+    message += `\n*Recent Rejections:*\n`;
+    for (const rejection of rejections) {
+      message += `🛡️ ${new Date(rejection.timestamp).toLocaleTimeString()} ${rejection.amount} SOL: ${rejection.reason}\n`;
+    }
+  }
+
+  bot.sendMessage(chatId, message.trim(), { parse_mode: 'Markdown' });
+});
+
+/**
+ * /balance [wallet|group] - Quick balance check
  */
 bot.onText(/\/balance(?:\s+(.+))?/, async (msg, match) => {
   if (!isOwner(msg.from.id)) return;
@@ -564,24 +895,48 @@ bot.onText(/\/balance(?:\s+(.+))?/, async (msg, match) => {
   const walletName = match[1]?.trim();
 
   if (!walletName) {
-    bot.sendMessage(chatId, '❌ Please specify a wallet name.\n\nUsage: `/balance whale`', { parse_mode: 'Markdown' });
+    bot.sendMessage(chatId, '❌ Please specify a wallet or group.\n\nUsage: `/balance whale` or `/balance #snipers`', { parse_mode: 'Markdown' });
     return;
   }
 
   try {
-    const wallet = tracker.getWalletByName(walletName);
-    if (!wallet) {
-      bot.sendMessage(chatId, `❌ Wallet "${walletName}" not found.`);
+    const wallets = tracker.resolveWallets(walletName);
+    if (wallets.length === 0) {
+      bot.sendMessage(chatId, `❌ Wallet or group "${walletName}" not found.`);
+      return;
+    }
+
+    if (isGroupRef(tracker.wallets, walletName)) {
+      await sendGroupBalance(chatId, walletName, wallets);
       return;
     }
 
-    const balance = await tracker.getBalance(wallet.trackedWalletAddress);
+    const wallet = wallets[0];
+    const portfolio = await tracker.getPortfolio(wallet.trackedWalletAddress);
+
+    const holdings = portfolio.holdings.slice(0, 5).map(h => {
+      const symbol = h.symbol || `${h.mint.slice(0, 6)}...${h.mint.slice(-4)}`;
+      const value = h.valueUsd !== null ? ` ($${h.valueUsd.toFixed(2)})` : '';
+      return `  • ${h.amount.toLocaleString()} ${symbol}${value}`;
+    }).join('\n');
+    const moreHoldings = portfolio.holdings.length > 5
+      ? `\n  _...and ${portfolio.holdings.length - 5} more_`
+      : '';
+
+    const netWorth = portfolio.totalValueUsd !== null
+      ? `${portfolio.totalValueSol.toFixed(4)} SOL ($${portfolio.totalValueUsd.toFixed(2)})`
+      : `${portfolio.totalValueSol.toFixed(4)} SOL`;
+
     const message = `
 💰 *Balance Check*
 
 ${wallet.emoji} *${wallet.name}*
-Balance: \`${balance.toFixed(4)} SOL\`
-Address: \`${wallet.trackedWalletAddress.slice(0, 8)}...${wallet.trackedWalletAddress.slice(-8)}\`
+SOL: \`${portfolio.balance.toFixed(4)} SOL\`
+Net Worth: \`${netWorth}\`
+Address: \`${wallet.trackedWalletAddress.slice(0, 8)}...${wallet.trackedWalletAddress.slice(-8)}\`${formatWalletTags(wallet)}
+
+*Tokens (${portfolio.holdings.length}):*
+${holdings || '  None'}${moreHoldings}
 
 [View on Solscan](https://solscan.io/account/${wallet.trackedWalletAddress})
     `.trim();
@@ -593,17 +948,69 @@ Address: \`${wallet.trackedWalletAddress.slice(0, 8)}...${wallet.trackedWalletAd
 });
 
 /**
- * /activity [wallet] - Recent transactions
+ * Tags and notes lines for a wallet (empty if it has neither)
  */
-bot.onText(/\/activity(?:\s+(.+))?/, async (msg, match) => {
+function formatWalletTags(wallet) {
+  let text = '';
+  if (wallet.tags?.length > 0) {
+    text += `\nTags: ${wallet.tags.map(tag => `#${tag}`).join(' ')}`;
+  }
+  if (wallet.notes) {
+    text += `\nNotes: _${wallet.notes}_`;
+  }
+  return text;
+}
+
+/**
+ * Hold time as minutes, hours or days ('N/A' for null)
+ */
+function formatHold(ms) {
+  if (ms === null) return 'N/A';
+  const minutes = ms / 60000;
+  if (minutes < 60) return `${minutes.toFixed(0)}m`;
+  if (minutes < 1440) return `${(minutes / 60).toFixed(1)}h`;
+  return `${(minutes / 1440).toFixed(1)}d`;
+}
+
+/**
+ * Net worth of every wallet in a group, plus the group total
+ */
+async function sendGroupBalance(chatId, groupName, wallets) {
+  bot.sendMessage(chatId, `🔍 Fetching balances for ${wallets.length} wallets in ${groupName}...`);
+
+  let message = `💰 *Group Balance: ${groupName}*\n\n`;
+  let totalSol = 0;
+  let totalUsd = 0;
+
+  for (const wallet of wallets) {
+    try {
+      const portfolio = await tracker.getPortfolio(wallet.trackedWalletAddress);
+      const usd = portfolio.totalValueUsd !== null ? ` ($${portfolio.totalValueUsd.toFixed(2)})` : '';
+      message += `${wallet.emoji} *${wallet.name}*: \`${portfolio.totalValueSol.toFixed(4)} SOL\`${usd}\n`;
+      totalSol += portfolio.totalValueSol;
+      totalUsd += portfolio.totalValueUsd || 0;
+    } catch (error) {
+      message += `${wallet.emoji} *${wallet.name}*: ❌ ${error.message}\n`;
+    }
+  }
+
+  message += `\n*Total:* \`${totalSol.toFixed(4)} SOL\`${totalUsd > 0 ? ` ($${totalUsd.toFixed(2)})` : ''}`;
+  bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+}
+
+/**
+ * /pnl [wallet] [txs] - Realized/unrealized PnL for a tracked wallet
+ */
+bot.onText(/\/pnl(?:\s+(\S+))?(?:\s+(\d+))?/, async (msg, match) => {
   if (!isOwner(msg.from.id)) return;
 
   stats.commandsReceived++;
   const chatId = msg.chat.id;
   const walletName = match[1]?.trim();
+  const limit = match[2] ? Math.min(parseInt(match[2]), 500) : 100;
 
   if (!walletName) {
-    bot.sendMessage(chatId, '❌ Please specify a wallet name.\n\nUsage: `/activity whale`', { parse_mode: 'Markdown' });
+    bot.sendMessage(chatId, '❌ Please specify a wallet name.\n\nUsage: `/pnl whale [txs]`', { parse_mode: 'Markdown' });
     return;
   }
 
@@ -614,6 +1021,132 @@ bot.onText(/\/activity(?:\s+(.+))?/, async (msg, match) => {
       return;
     }
 
+    bot.sendMessage(chatId, `📊 Analyzing last ${limit} transactions for ${wallet.emoji} ${wallet.name}...`);
+
+    const pnl = await pnlEngine.analyzeWallet(wallet.name, { limit });
+    const { summary } = pnl;
+
+    const formatSol = value => `${value >= 0 ? '+' : ''}${value.toFixed(4)} SOL`;
+
+    const topTokens = Object.values(pnl.tokens)
+      .sort((a, b) => Math.abs(b.realizedPnlSol + (b.unrealizedPnlSol || 0)) - Math.abs(a.realizedPnlSol + (a.unrealizedPnlSol || 0)))
+      .slice(0, 5)
+      .map(t => {
+        const total = t.realizedPnlSol + (t.unrealizedPnlSol || 0);
+        const status = t.position > 0 ? ' _(open)_' : '';
+        return `  • \`${t.mint.slice(0, 6)}...${t.mint.slice(-4)}\` ${formatSol(total)}${status}`;
+      })
+      .join('\n');
+
+    const message = `
+📊 *PnL - ${wallet.emoji} ${wallet.name}*
+
+*Realized:* ${formatSol(summary.realizedPnlSol)}
+*Unrealized:* ${formatSol(summary.unrealizedPnlSol)}${summary.unpricedPositions > 0 ? ` _(${summary.unpricedPositions} unpriced)_` : ''}
+*Total:* ${formatSol(summary.totalPnlSol)}
+
+*Win Rate:* ${summary.winRate !== null ? `${(summary.winRate * 100).toFixed(0)}% (${summary.wins}W/${summary.losses}L)` : 'N/A'}
+*Avg Hold:* ${formatHold(summary.avgHoldTimeMs)}
+*Tokens Traded:* ${summary.tokensTraded} (${summary.openPositions} open)
+
+*Biggest Movers:*
+${topTokens || '  No trades found'}
+
+_Based on ${pnl.transactionsAnalyzed} transactions, ${pnl.method.toUpperCase()} cost basis_
+    `.trim();
+
+    bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+  } catch (error) {
+    bot.sendMessage(chatId, `❌ Error calculating PnL: ${error.message}`);
+  }
+});
+
+/**
+ * Leaderboard message (top 15 wallets)
+ */
+function formatLeaderboard(board) {
+  const formatMarketCap = usd => {
+    if (usd === null) return 'N/A';
+    if (usd >= 1e6) return `$${(usd / 1e6).toFixed(1)}M`;
+    return `$${(usd / 1e3).toFixed(0)}K`;
+  };
+
+  const medals = ['🥇', '🥈', '🥉'];
+  const lines = board.wallets.slice(0, 15).map((w, i) => {
+    if (w.error) {
+      return `${w.emoji} *${w.name}* - ❌ ${w.error}`;
+    }
+
+    const pnl = `${w.realizedPnlSol >= 0 ? '+' : ''}${w.realizedPnlSol.toFixed(2)} SOL`;
+    const winRate = w.winRate !== null ? `${(w.winRate * 100).toFixed(0)}%` : 'N/A';
+    return `${medals[i] || `${i + 1}.`} ${w.emoji} *${w.name}* - ${(w.score * 100).toFixed(0)}/100${w.complete ? '' : ' ⚠️'}
+    PnL ${pnl} | Win ${winRate} (${w.closedTrades}) | ${w.tradesPerDay.toFixed(1)}/day
+    Hold ${formatHold(w.medianHoldTimeMs)} | Entry MC ${formatMarketCap(w.avgEntryMarketCapUsd)}`;
+  });
+
+  return `
+🏆 *Wallet Leaderboard (${board.window})*
+
+${lines.join('\n\n') || 'No wallets tracked'}
+
+_Updated ${new Date(board.generatedAt).toLocaleString()}. ⚠️ = more activity than the history fetched. Add "refresh" to recompute._
+  `.trim();
+}
+
+/**
+ * /leaderboard [24h|7d|30d] [refresh] - Rank tracked wallets
+ *
+ * A stale or refreshed leaderboard is built in the background (every
+ * wallet's history is fetched) and sent when it's done.
+ */
+bot.onText(/\/leaderboard(?:\s+(24h|7d|30d))?(?:\s+(refresh))?/, async (msg, match) => {
+  if (!isOwner(msg.from.id)) return;
+
+  stats.commandsReceived++;
+  const chatId = msg.chat.id;
+  const window = match[1] || '7d';
+  const refresh = Boolean(match[2]);
+
+  if (!refresh && leaderboard.isFresh(window)) {
+    const board = await leaderboard.getLeaderboard(window);
+    bot.sendMessage(chatId, formatLeaderboard(board), { parse_mode: 'Markdown' });
+    return;
+  }
+
+  bot.sendMessage(chatId, `🏆 Building ${window} leaderboard... I'll send it when it's done (results are cached for 6h)`);
+  leaderboard.getLeaderboard(window, { refresh })
+    .then(board => bot.sendMessage(chatId, formatLeaderboard(board), { parse_mode: 'Markdown' }))
+    .catch(error => bot.sendMessage(chatId, `❌ Error building leaderboard: ${error.message}`));
+});
+
+/**
+ * /activity [wallet|group] - Recent transactions
+ */
+bot.onText(/\/activity(?:\s+(.+))?/, async (msg, match) => {
+  if (!isOwner(msg.from.id)) return;
+
+  stats.commandsReceived++;
+  const chatId = msg.chat.id;
+  const walletName = match[1]?.trim();
+
+  if (!walletName) {
+    bot.sendMessage(chatId, '❌ Please specify a wallet or group.\n\nUsage: `/activity whale` or `/activity #snipers`', { parse_mode: 'Markdown' });
+    return;
+  }
+
+  try {
+    const wallets = tracker.resolveWallets(walletName);
+    if (wallets.length === 0) {
+      bot.sendMessage(chatId, `❌ Wallet or group "${walletName}" not found.`);
+      return;
+    }
+
+    if (isGroupRef(tracker.wallets, walletName)) {
+      await sendGroupActivity(chatId, walletName, wallets);
+      return;
+    }
+
+    const wallet = wallets[0];
     bot.sendMessage(chatId, `🔍 Fetching recent activity for ${wallet.emoji} ${wallet.name}...`);
 
     const txs = await tracker.getRecentTransactions(wallet.trackedWalletAddress, 5);
@@ -641,6 +1174,160 @@ bot.onText(/\/activity(?:\s+(.+))?/, async (msg, match) => {
   }
 });
 
+/**
+ * Latest transactions across a group, newest first
+ */
+async function sendGroupActivity(chatId, groupName, wallets) {
+  bot.sendMessage(chatId, `🔍 Fetching recent activity for ${wallets.length} wallets in ${groupName}...`);
+
+  const entries = [];
+  for (const wallet of wallets) {
+    try {
+      const txs = await tracker.getRecentTransactions(wallet.trackedWalletAddress, 5);
+      entries.push(...txs.map(tx => ({ wallet, tx })));
+    } catch (error) {
+      console.error(`Activity error (${wallet.name}):`, error.message);
+    }
+  }
+
+  if (entries.length === 0) {
+    bot.sendMessage(chatId, `No recent transactions found for ${groupName}.`);
+    return;
+  }
+
+  entries.sort((a, b) => (b.tx.blockTime || 0) - (a.tx.blockTime || 0));
+
+  let message = `📜 *Recent Activity: ${groupName}*\n\n`;
+  entries.slice(0, 10).forEach(({ wallet, tx }, i) => {
+    const time = tx.blockTime ? new Date(tx.blockTime * 1000).toLocaleString() : 'Unknown';
+    const status = tx.err ? '❌' : '✅';
+    message += `${i + 1}. ${status} ${wallet.emoji} ${wallet.name} [${tx.signature.slice(0, 8)}...](https://solscan.io/tx/${tx.signature})\n`;
+    message += `   ${time}\n\n`;
+  });
+
+  bot.sendMessage(chatId, message.trim(), { parse_mode: 'Markdown', disable_web_page_preview: true });
+}
+
+/**
+ * /track <address> <name> [emoji] - Start tracking a wallet
+ */
+bot.onText(/\/track(?:\s+(.+))?/, async (msg, match) => {
+  if (!isOwner(msg.from.id)) return;
+
+  stats.commandsReceived++;
+  const chatId = msg.chat.id;
+  const [address, name, emoji] = (match[1] || '').trim().split(/\s+/);
+
+  if (!address || !name) {
+    bot.sendMessage(chatId, '❌ Usage: `/track <address> <name> [emoji]`', { parse_mode: 'Markdown' });
+    return;
+  }
+
+  let wallet;
+  try {
+    wallet = tracker.addWallet({ address, name, emoji: emoji || undefined });
+  } catch (error) {
+    bot.sendMessage(chatId, `❌ ${error.message}`);
+    return;
+  }
+
+  try {
+    await monitor.addWallet(wallet);
+  } catch (error) {
+    // Without a seeded cursor the first poll would alert on old history
+    tracker.removeWallet(wallet.name);
+    bot.sendMessage(chatId, `❌ Couldn't start monitoring ${name}: ${error.message}`);
+    return;
+  }
+
+  bot.sendMessage(chatId, `✅ Now tracking ${wallet.emoji} *${wallet.name}*\n\`${address}\``, { parse_mode: 'Markdown' });
+});
+
+/**
+ * /untrack <name> - Stop tracking a wallet
+ */
+bot.onText(/\/untrack(?:\s+(.+))?/, async (msg, match) => {
+  if (!isOwner(msg.from.id)) return;
+
+  stats.commandsReceived++;
+  const chatId = msg.chat.id;
+  const walletName = match[1]?.trim();
+
+  if (!walletName) {
+    bot.sendMessage(chatId, '❌ Usage: `/untrack <name>`', { parse_mode: 'Markdown' });
+    return;
+  }
+
+  try {
+    const wallet = tracker.removeWallet(walletName);
+    monitor.removeWallet(wallet);
+    bot.sendMessage(chatId, `🗑️ Stopped tracking ${wallet.emoji} *${wallet.name}*`, { parse_mode: 'Markdown' });
+  } catch (error) {
+    bot.sendMessage(chatId, `❌ ${error.message}`);
+  }
+});
+
+/**
+ * /rename <name> <newName> - Rename a tracked wallet
+ */
+bot.onText(/\/rename(?:\s+(.+))?/, async (msg, match) => {
+  if (!isOwner(msg.from.id)) return;
+
+  stats.commandsReceived++;
+  const chatId = msg.chat.id;
+  const [walletName, newName] = (match[1] || '').trim().split(/\s+/);
+
+  if (!walletName || !newName) {
+    bot.sendMessage(chatId, '❌ Usage: `/rename <name> <newName>`', { parse_mode: 'Markdown' });
+    return;
+  }
+
+  try {
+    const { wallet, oldName } = tracker.renameWallet(walletName, newName);
+    monitor.renameWallet(oldName, wallet.name);
+    bot.sendMessage(chatId, `✏️ Renamed ${oldName} to ${wallet.emoji} *${wallet.name}*`, { parse_mode: 'Markdown' });
+  } catch (error) {
+    bot.sendMessage(chatId, `❌ ${error.message}`);
+  }
+});
+
+/**
+ * /tag <name> [tag ...] [-tag ...] - Show, add or remove wallet tags
+ */
+bot.onText(/\/tag(?:\s+(.+))?$/, async (msg, match) => {
+  if (!isOwner(msg.from.id)) return;
+
+  stats.commandsReceived++;
+  const chatId = msg.chat.id;
+  const [walletName, ...args] = (match[1] || '').trim().split(/\s+/).filter(Boolean);
+
+  if (!walletName) {
+    const groups = Object.entries(tracker.getGroups())
+      .map(([tag, names]) => `#${tag}: ${names.join(', ')}`)
+      .join('\n');
+    bot.sendMessage(chatId, `🏷️ Groups\n\n${groups || 'No tagged wallets yet.'}\n\nUsage: /tag <name> snipers -kols`);
+    return;
+  }
+
+  try {
+    const add = args.filter(arg => !arg.startsWith('-'));
+    const remove = args.filter(arg => arg.startsWith('-')).map(arg => arg.slice(1));
+    const wallet = args.length > 0
+      ? tracker.tagWallet(walletName, { add, remove })
+      : tracker.getWalletByName(walletName);
+
+    if (!wallet) {
+      bot.sendMessage(chatId, `❌ Wallet "${walletName}" not found`);
+      return;
+    }
+
+    const tags = (wallet.tags || []).map(tag => `#${tag}`).join(' ') || 'none';
+    bot.sendMessage(chatId, `🏷️ ${wallet.emoji} ${wallet.name}: ${tags}`);
+  } catch (error) {
+    bot.sendMessage(chatId, `❌ ${error.message}`);
+  }
+});
+
 /**
  * /mute - Mute alerts
  */
@@ -707,6 +1394,10 @@ bot.onText(/\/search(?:\s+(.+))?/, async (msg, match) => {
         ).join('\n')
       : '  None';
 
+    const trades = (details.trades || [])
+      .map(t => `  • ${t.side} ${t.inputAmount.toLocaleString()} ${t.inputSymbol || `\`${t.inputMint.slice(0, 8)}...\``} → ${t.outputAmount.toLocaleString()} ${t.outputSymbol || `\`${t.outputMint.slice(0, 8)}...\``} (${t.venue})`)
+      .join('\n');
+
     const message = `
 🔍 *Transaction Details*
 
@@ -720,6 +1411,9 @@ ${solChanges || '  None'}
 *Token Transfers:*
 ${tokens}
 
+*Swaps:*
+${trades || '  None'}
+
 [View on Solscan](https://solscan.io/tx/${signature})
     `.trim();
 
@@ -1083,6 +1777,21 @@ recentTransactions.set('Rk3K9oy6', {
 });
 console.log('🧪 Test transaction loaded for buy testing (key: Rk3K9oy6)');
 
+/**
+ * Find the token a wallet bought in a cached transaction
+ *
+ * Prefers the decoded swap, falling back to the first token received.
+ */
+function getBoughtToken(txDetails) {
+  const buy = (txDetails.trades || []).find(t => t.side === 'BUY');
+  if (buy) {
+    return { mint: buy.outputMint, amount: buy.outputAmount, priceInSol: buy.priceInSol };
+  }
+
+  const tokenTransfers = txDetails.tokenTransfers || [];
+  return tokenTransfers.find(t => t.amount && t.amount > 0) || null;
+}
+
 /**
  * Handle buy button clicks from alerts
  */
@@ -1148,16 +1857,17 @@ Use \`/reset\` to get more paper money.`, { parse_mode: 'Markdown' });
       }
 
       // Extract token mint from transaction
-      const tokenTransfers = txDetails.tokenTransfers || [];
-      if (tokenTransfers.length === 0) {
-        await bot.sendMessage(msg.chat.id, '❌ No token transfers found in this transaction. Cannot determine what to buy.');
+      const tokenToBuy = getBoughtToken(txDetails);
+      if (!tokenToBuy || !tokenToBuy.mint) {
+        await bot.sendMessage(msg.chat.id, '❌ Could not identify token to buy from transaction.');
         return;
       }
 
-      // Get the first token that was received (assuming it's what they want to buy)
-      const tokenToBuy = tokenTransfers.find(t => t.amount && t.amount > 0);
-      if (!tokenToBuy || !tokenToBuy.mint) {
-        await bot.sendMessage(msg.chat.id, '❌ Could not identify token to buy from transaction.');
+      const strategy = riskStrategy();
+      const order = { side: 'buy', mint: tokenToBuy.mint, amount, wallet: txDetails.wallet?.name };
+      const rejection = riskManager.check(strategy, order);
+      if (rejection) {
+        await bot.sendMessage(msg.chat.id, `🛡️ *Buy Blocked by Risk Limits*\n\n${rejection.reason}\n\nUse \`/risk\` to see limits.`, { parse_mode: 'Markdown' });
         return;
       }
 
@@ -1167,7 +1877,10 @@ Use \`/reset\` to get more paper money.`, { parse_mode: 'Markdown' });
 
           // Get token analysis for price and symbol
           const analysis = await tokenAnalyzer.getTokenMetadata(tokenToBuy.mint);
-          const pricePerToken = analysis?.price || 0.0001; // Fallback price
+          const pricePerToken = analysis?.price; // USD, the paper ledger's quote currency
+          if (!pricePerToken) {
+            throw new Error('No price for the token, so the paper trade was not made');
+          }
           const tokenSymbol = analysis?.symbol || tokenToBuy.symbol || tokenToBuy.mint.slice(0, 8) + '...';
 
           await bot.sendMessage(msg.chat.id, `
@@ -1185,15 +1898,18 @@ Simulating trade...
             tokenToBuy.mint,
             tokenSymbol,
             amount,
-            pricePerToken
+            pricePerToken,
+            { wallet: txDetails.wallet.name, signature: txDetails.signature }
           );
+          riskManager.record(strategy, { ...order, inputAmount: amount, outputAmount: result.trade.tokensReceived, success: true });
 
           const successMsg = `
 ✅ *Paper Trade Executed!*
 
 *Input:* ${amount} SOL
 *Output:* ${result.trade.tokensReceived.toLocaleString()} ${tokenSymbol}
-*Price:* $${pricePerToken.toFixed(8)} per token
+*Price:* ${formatPaperPrice(result.trade.pricePerToken)} per token
+${formatPaperFill(result.trade)}*Cost:* $${result.trade.amountUsd.toFixed(2)} at $${result.trade.solUsd.toFixed(2)}/SOL
 
 📊 *Your Paper Portfolio:*
 • SOL Balance: ${result.portfolio.balance.toFixed(4)} SOL
@@ -1229,14 +1945,24 @@ Getting best price across all DEXs...
           `.trim(), { parse_mode: 'Markdown' });
 
           // Execute swap using Jupiter with API key
+          const decimals = await jupiterTrader.getTokenDecimals(tokenToBuy.mint);
           const swapResult = await jupiterTrader.buySolToToken(tokenToBuy.mint, amount, 100);
+          const tokensReceived = fromRawAmount(swapResult.outputAmount, decimals);
+          riskManager.record(strategy, { ...order, inputAmount: amount, outputAmount: tokensReceived, success: true });
+          copyPositions.recordBuy(tokenToBuy.mint, {
+            symbol: tokenSymbol,
+            amount: tokensReceived,
+            costSol: fromRawAmount(swapResult.inputAmount, 9),
+            wallet: txDetails.wallet.name,
+            signature: txDetails.signature
+          });
 
           // Success message
           const successMsg = `
 ✅ *Swap Successful!*
 
 *Input:* ${amount} SOL
-*Output:* ~${(swapResult.outputAmount / 1e9).toFixed(4)} ${tokenSymbol}
+*Output:* ~${tokensReceived.toLocaleString()} ${tokenSymbol}
 *Price Impact:* ${swapResult.priceImpact}%
 
 *Swap TX:* [View on Solscan](https://solscan.io/tx/${swapResult.signature})
@@ -1253,6 +1979,7 @@ Getting best price across all DEXs...
 
       } catch (error) {
         console.error('❌ Buy failed:', error);
+        riskManager.record(strategy, { ...order, success: false });
 
         // Provide fallback Jupiter link on error
         const jupiterUrl = `https://jup.ag/swap/SOL-${tokenToBuy.mint}`;
@@ -1288,8 +2015,7 @@ Copy token mint: \`${tokenToBuy.mint}\`
         text: '💬 Send amount in next message'
       });
 
-      const tokenTransfers = txDetails.tokenTransfers || [];
-      const token = tokenTransfers.find(t => t.amount && t.amount > 0);
+      const token = getBoughtToken(txDetails);
       const tokenInfo = token ? (token.symbol || token.mint.slice(0, 8) + '...') : 'Unknown';
 
       await bot.sendMessage(msg.chat.id, `
@@ -1325,32 +2051,141 @@ _Note: Use the /send command format if needed._
         text: '🔄 Analyzing transaction...'
       });
 
-      // TODO: Calculate proportional trade based on wallet balances
-      // For now, suggest manual amount
-      const tokenTransfers = txDetails.tokenTransfers || [];
-      const token = tokenTransfers.find(t => t.amount && t.amount > 0);
-      const tokenInfo = token ? (token.symbol || token.mint.slice(0, 8) + '...') : 'Unknown';
+      const token = getBoughtToken(txDetails);
+      if (!token || !token.mint) {
+        await bot.sendMessage(msg.chat.id, '❌ Could not identify token to buy from transaction.');
+        return;
+      }
 
-      const confirmMsg = `
-📋 *Copy Trade*
+      const spent = solSpent(txDetails, txDetails.wallet.address);
+      if (spent === null) {
+        await bot.sendMessage(msg.chat.id, '❌ Could not tell how much SOL the wallet spent. Use the buy buttons to pick an amount.');
+        return;
+      }
 
-*Token:* ${tokenInfo}
-*Original TX:* [View](https://solscan.io/tx/${txDetails.signature})
-*Whale Wallet:* ${txDetails.wallet.emoji} ${txDetails.wallet.name}
+      if (!paperTrading.isEnabled() && !botWallet.wallet) {
+        await bot.sendMessage(msg.chat.id, '❌ Bot wallet not configured. Use `/wallet` to set up.', { parse_mode: 'Markdown' });
+        return;
+      }
+
+      let portfolio, balance, size;
+      try {
+        [portfolio, balance] = await Promise.all([
+          tracker.getPortfolio(txDetails.wallet.address),
+          paperTrading.isEnabled() ? paperTrading.getPortfolio().balance : botWallet.getBalance()
+        ]);
+        size = copyTradeSize({
+          spent,
+          walletValue: portfolio.totalValueSol,
+          balance,
+          minAmount: COPY_MIN_SOL,
+          maxAmount: COPY_MAX_SOL
+        });
+      } catch (error) {
+        console.error('❌ Copy sizing failed:', error.message);
+        await bot.sendMessage(msg.chat.id, `❌ Could not size the copy trade: ${error.message}\n\nUse the buy buttons to pick an amount.`);
+        return;
+      }
 
-⚠️ *Manual Copy Required*
-Use the buy buttons above to copy this trade with your desired amount.
+      const tokenInfo = token.symbol || token.mint.slice(0, 8) + '...';
+      const mode = paperTrading.isEnabled() ? 'Paper Trading' : 'Real (Jupiter)';
+      const clampNote = {
+        min: `\n_Proportional size ${size.proportional.toFixed(4)} SOL, raised to the ${COPY_MIN_SOL} SOL minimum_`,
+        max: `\n_Proportional size ${size.proportional.toFixed(4)} SOL, capped at the ${COPY_MAX_SOL} SOL maximum_`
+      }[size.clamped] || '';
 
-Recommended: Start with 0.01-0.1 SOL to test.
+      let confirmMsg = `
+📋 *Copy Trade*
+
+*Wallet:* ${txDetails.wallet.emoji} ${txDetails.wallet.name}
+*Token:* ${tokenInfo}
+*Wallet Spent:* ${spent.toFixed(4)} SOL of ${portfolio.totalValueSol.toFixed(4)} SOL (${(size.share * 100).toFixed(2)}%)
+*Your Balance:* ${balance.toFixed(4)} SOL
+*Copy Size:* ${size.amount} SOL${clampNote}
+*Mode:* ${mode}
 
-[Track your wallet](https://solscan.io/account/${botWallet.getPublicKey()})
+*Original TX:* [View](https://solscan.io/tx/${txDetails.signature})
       `.trim();
 
+      if (!size.affordable) {
+        confirmMsg += `\n\n❌ Insufficient balance for the ${size.amount} SOL copy.`;
+        await bot.sendMessage(msg.chat.id, confirmMsg, { parse_mode: 'Markdown', disable_web_page_preview: true });
+        return;
+      }
+
       await bot.sendMessage(msg.chat.id, confirmMsg, {
         parse_mode: 'Markdown',
-        disable_web_page_preview: true
+        disable_web_page_preview: true,
+        reply_markup: {
+          inline_keyboard: [[
+            { text: `✅ Buy ${size.amount} SOL`, callback_data: `buy:${size.amount}:${shortSig}` },
+            { text: '❌ Cancel', callback_data: `copy_cancel:${shortSig}` }
+          ]]
+        }
+      });
+
+    } else if (action === 'copy_cancel') {
+      await bot.answerCallbackQuery(callbackQuery.id, { text: 'Copy trade cancelled' });
+      await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: msg.chat.id, message_id: msg.message_id });
+
+    } else if (action === 'sell' && !paperTrading.isEnabled()) {
+      // Sell bot wallet token through Jupiter: sell:percentage:shortMint
+      const [, percentageStr, shortMint] = parts;
+      const percentage = parseFloat(percentageStr);
+
+      await bot.answerCallbackQuery(callbackQuery.id, {
+        text: `🔄 Selling ${percentage}% of position...`
       });
 
+      if (!botWallet.wallet) {
+        await bot.sendMessage(msg.chat.id, '❌ Bot wallet not configured. Use `/wallet` to set up.', { parse_mode: 'Markdown' });
+        return;
+      }
+
+      const holding = (await getBotWalletHoldings()).find(h => h.mint.startsWith(shortMint));
+      if (!holding) {
+        await bot.sendMessage(msg.chat.id, '❌ Token not found in the bot wallet. Please use `/sell` to check your holdings.', { parse_mode: 'Markdown' });
+        return;
+      }
+
+      try {
+        const result = await sellFromBotWallet(holding.mint, { percent: percentage });
+        riskManager.record('wallet', { side: 'sell', mint: holding.mint, inputAmount: result.tokensSold, outputAmount: result.solReceived, success: true });
+
+        const pnlSign = result.profit >= 0 ? '+' : '';
+        const pnlLine = result.profit === null
+          ? '📊 *Profit/Loss:* unknown (no recorded entry for this token)'
+          : `${result.profit >= 0 ? '📈' : '📉'} *Profit/Loss:* ${pnlSign}${result.profit.toFixed(4)} SOL (${pnlSign}${result.profitPercent.toFixed(2)}%)`;
+
+        await bot.sendMessage(msg.chat.id, `
+✅ *Sell Order Executed!*
+
+*Token:* ${holding.symbol || holding.mint.slice(0, 8) + '...'}
+*Amount Sold:* ${result.tokensSold.toLocaleString()} tokens (${percentage}%)
+*SOL Received:* ${result.solReceived.toFixed(4)} SOL
+*Price Impact:* ${result.priceImpact}%
+
+${pnlLine}
+
+*Swap TX:* [View on Solscan](https://solscan.io/tx/${result.signature})
+[View your wallet](https://solscan.io/account/${botWallet.getPublicKey()})
+        `.trim(), { parse_mode: 'Markdown', disable_web_page_preview: true });
+
+      } catch (error) {
+        console.error('❌ Sell failed:', error);
+        riskManager.record('wallet', { side: 'sell', mint: holding.mint, success: false });
+
+        await bot.sendMessage(msg.chat.id, `❌ *Sell Failed*
+
+${error.message}
+
+**Fallback Option:**
+[→ Open Jupiter Manually](https://jup.ag/swap/${holding.mint}-SOL)`, {
+          parse_mode: 'Markdown',
+          disable_web_page_preview: true
+        });
+      }
+
     } else if (action === 'sell') {
       // Sell token: sell:percentage:shortMint
       const [, percentageStr, shortMint] = parts;
@@ -1378,6 +2213,7 @@ Recommended: Start with 0.01-0.1 SOL to test.
 
         // Execute paper sell
         const result = await paperTrading.sell(fullMint, tokenAmount, currentPrice);
+        riskManager.record('paper', { side: 'sell', mint: fullMint, inputAmount: tokenAmount, outputAmount: result.trade.solReceived, success: true });
 
         const pnlEmoji = result.trade.profit >= 0 ? '📈' : '📉';
         const pnlSign = result.trade.profit >= 0 ? '+' : '';
@@ -1387,10 +2223,10 @@ Recommended: Start with 0.01-0.1 SOL to test.
 
 *Token:* ${holding.symbol || fullMint.slice(0, 8) + '...'}
 *Amount Sold:* ${tokenAmount.toLocaleString()} tokens (${percentage}%)
-*Price:* $${currentPrice.toFixed(8)}
-*SOL Received:* ${result.trade.solReceived.toFixed(4)} SOL
+*Price:* ${formatPaperPrice(result.trade.pricePerToken)}
+${formatPaperFill(result.trade)}*SOL Received:* ${result.trade.solReceived.toFixed(4)} SOL${result.trade.usdReceived === null ? '' : ` ($${result.trade.usdReceived.toFixed(2)})`}
 
-${pnlEmoji} *Profit/Loss:* ${pnlSign}${result.trade.profit.toFixed(4)} SOL (${pnlSign}${result.trade.profitPercent.toFixed(2)}%)
+${pnlEmoji} *Profit/Loss:* ${formatPaperPnL(result.trade.profit, result.trade.profitUsd)} (${pnlSign}${result.trade.profitPercent.toFixed(2)}% in SOL)
 
 📊 *Updated Portfolio:*
 • SOL Balance: ${result.portfolio.balance.toFixed(4)} SOL
@@ -1455,7 +2291,7 @@ function formatAlert(alert, alertType) {
     const direction = balance.change > 0 ? '📈 Increased' : '📉 Decreased';
 
     return `
-📊 *Balance Change*
+📊 *Balance Change*${alert.backfilled ? ' ⏪' : ''}
 
 *Wallet:* ${wallet.emoji} ${wallet.name}
 *Change:* ${direction} by ${changeAmount.toFixed(4)} SOL
@@ -1503,6 +2339,14 @@ function formatAlert(alert, alertType) {
       emoji = '🔔';
       title = 'New Transaction';
       break;
+    case AlertType.SWAP_BUY:
+      emoji = '🟢';
+      title = 'Buy';
+      break;
+    case AlertType.SWAP_SELL:
+      emoji = '🔴';
+      title = 'Sell';
+      break;
   }
 
   // Extract SOL amount from transaction
@@ -1531,7 +2375,10 @@ function formatAlert(alert, alertType) {
           const symbol = t.symbol || (t.mint ? `${t.mint.slice(0, 6)}...${t.mint.slice(-4)}` : 'Unknown');
           // Format amount with sign
           const sign = t.amount > 0 ? '+' : '';
-          return `  ${sign}${amount} ${symbol}`;
+          const position = t.positionChange === 'opened' ? ' _(new position)_'
+            : t.positionChange === 'closed' ? ' _(closed)_'
+            : '';
+          return `  ${sign}${amount} ${symbol}${position}`;
         })
         .filter(t => t !== null)
         .join('\n');
@@ -1547,6 +2394,23 @@ function formatAlert(alert, alertType) {
     }
   }
 
+  // Format the decoded swap
+  let tradeInfo = '';
+  if (alert.trade) {
+    const { trade } = alert;
+    const token = trade.side === 'BUY' ? trade.outputMint : trade.inputMint;
+    const tokenAmount = trade.side === 'BUY' ? trade.outputAmount : trade.inputAmount;
+    const quoteAmount = trade.side === 'BUY' ? trade.inputAmount : trade.outputAmount;
+    const quoteSymbol = (trade.side === 'BUY' ? trade.inputMint : trade.outputMint) === SOL_MINT ? 'SOL' : 'USD';
+
+    tradeInfo = `\n\n🔄 *${trade.side === 'BUY' ? 'Bought' : 'Sold'}:* ${tokenAmount.toLocaleString()} \`${token.slice(0, 6)}...${token.slice(-4)}\``;
+    tradeInfo += `\n*${trade.side === 'BUY' ? 'Paid' : 'Received'}:* ${quoteAmount.toFixed(4)} ${quoteSymbol}`;
+    if (trade.priceInSol) {
+      tradeInfo += `\n*Price:* ${trade.priceInSol.toPrecision(4)} SOL`;
+    }
+    tradeInfo += `\n*Venue:* ${trade.venue}`;
+  }
+
   // Format fee
   const feeText = transaction.fee
     ? `\n*Fee:* ${transaction.fee.toFixed(6)} SOL`
@@ -1558,14 +2422,21 @@ ${emoji} *${title}*
 
 *Wallet:* ${wallet.emoji} ${wallet.name}`;
 
-  if (amountText) {
-    message += `\n*SOL Amount:* ${amountText}`;
-  }
+  if (tradeInfo) {
+    message += tradeInfo;
+  } else {
+    if (amountText) {
+      message += `\n*SOL Amount:* ${amountText}`;
+    }
 
-  message += tokenInfo;
+    message += tokenInfo;
+  }
   message += feeText;
   message += `\n*Status:* ${transaction.success ? '✅ Success' : '❌ Failed'}`;
   message += `\n*Time:* ${new Date(timestamp).toLocaleString()}`;
+  if (alert.backfilled) {
+    message += `\n⏪ _Missed while the bot was offline_`;
+  }
   message += `\n\n[View on Solscan](https://solscan.io/tx/${transaction.signature})`;
 
   // Add AI-generated thesis if available
@@ -1591,8 +2462,26 @@ async function sendAlert(alert, alertType) {
     return;
   }
 
+  if (alertRules) {
+    const walletConfig = tracker.wallets.find(w => w.name === alert.wallet.name);
+    if (!alertRules.apply(alert, walletConfig)) {
+      console.log(`📜 Alert suppressed by rule "${alert.rule.name}": ${alertType} for ${alert.wallet.name}`);
+      return;
+    }
+  }
+
   try {
-    const message = formatAlert(alert, alertType);
+    let message = formatAlert(alert, alertType);
+
+    if (alert.rule?.action === RuleAction.ESCALATE) {
+      message = `🚨 *ESCALATED* 🚨\n\n${message}`;
+    }
+    if (alert.rule?.name) {
+      message += `\n\n📜 Rule: \`${alert.rule.name}\``;
+    }
+    if (alert.tags?.length > 0) {
+      message += `\n🏷️ Tags: ${alert.tags.map(tag => `\`${tag}\``).join(' ')}`;
+    }
 
     // Only add buy buttons for alerts with transactions (not balance changes)
     const messageOptions = {
@@ -1607,6 +2496,7 @@ async function sendAlert(alert, alertType) {
         signature: alert.transaction.signature,
         wallet: alert.wallet,
         tokenTransfers: alert.transaction.tokenTransfers || [],
+        trades: alert.transaction.trades || [],
         balanceChanges: alert.transaction.balanceChanges || {},
         timestamp: alert.timestamp
       });
@@ -1667,44 +2557,125 @@ monitor.on(AlertType.TRANSACTION_SENT, async (alert) => {
   await sendAlert(alert, AlertType.TRANSACTION_SENT);
 });
 
-monitor.on(AlertType.TOKEN_TRANSFER, async (alert) => {
-  // Generate AI thesis for token transfers
+monitor.on(AlertType.SWAP_BUY, async (alert) => {
+  // Generate AI thesis for the token bought
   try {
-    const tokenTransfers = alert.transaction?.tokenTransfers || [];
+    const mint = alert.trade.outputMint;
+    console.log(`🤖 Generating thesis for ${mint.slice(0, 8)}...`);
 
-    if (tokenTransfers.length > 0) {
-      // Analyze the first token (usually the main one)
-      const tokenToBuy = tokenTransfers.find(t => t.amount && t.amount > 0);
+    // Analyze token
+    const analysis = await tokenAnalyzer.analyzeToken(mint, alert.wallet.address);
 
-      if (tokenToBuy && tokenToBuy.mint) {
-        console.log(`🤖 Generating thesis for ${tokenToBuy.symbol || tokenToBuy.mint.slice(0, 8)}...`);
+    if (analysis.success) {
+      // Generate scoring
+      const scoring = tokenAnalyzer.scoreToken(analysis);
+      analysis.scoring = scoring;
 
-        // Analyze token
-        const analysis = await tokenAnalyzer.analyzeToken(tokenToBuy.mint, alert.wallet.trackedWalletAddress);
+      // Generate AI thesis
+      const thesisResult = await thesisAgent.generateThesis(
+        analysis,
+        alert.wallet,
+        alert.transaction
+      );
 
-        if (analysis.success) {
-          // Generate scoring
-          const scoring = tokenAnalyzer.scoreToken(analysis);
-          analysis.scoring = scoring;
+      // Add thesis to alert for display
+      alert.thesis = thesisResult;
+      alert.analysis = analysis;
 
-          // Generate AI thesis
-          const thesisResult = await thesisAgent.generateThesis(
-            analysis,
-            alert.wallet,
-            alert.transaction
-          );
+      console.log(`✅ Thesis: ${thesisResult.recommendation} (Score: ${thesisResult.score}/100)`);
+    }
+  } catch (error) {
+    console.error('Error generating thesis:', error.message);
+    // Continue sending alert even if thesis generation fails
+  }
 
-          // Add thesis to alert for display
-          alert.thesis = thesisResult;
-          alert.analysis = analysis;
+  await sendAlert(alert, AlertType.SWAP_BUY);
+});
 
-          console.log(`✅ Thesis: ${thesisResult.recommendation} (Score: ${thesisResult.score}/100)`);
+monitor.on(AlertType.SWAP_SELL, async (alert) => {
+  await sendAlert(alert, AlertType.SWAP_SELL);
+  await mirrorSell(alert);
+});
+
+/**
+ * Announce a sell by a wallet we copied, and with MIRROR_SELLS sell the same share of our copy
+ *
+ * Only tokens bought from that wallet's alerts count: the paper ledger in
+ * paper mode, `copy-positions.json` for the bot wallet.
+ */
+async function mirrorSell(alert) {
+  const mint = alert.trade.inputMint;
+  const paper = paperTrading.isEnabled();
+  const copied = paper
+    ? paperTrading.getCopiedAmount(mint, alert.wallet.name)
+    : copyPositions.getCopiedAmount(mint, alert.wallet.name);
+  if (copied <= 0) return;
+
+  const fraction = soldFraction(alert);
+  const symbol = (paper ? paperTrading.getPortfolio().tokens[mint]?.symbol : copyPositions.getPositions()[mint]?.symbol) ||
+    (await mintMetadata.get(mint).catch(() => null))?.symbol ||
+    mint.slice(0, 8) + '...';
+  console.log(`🪞 ${alert.wallet.name} sold ${fraction === null ? 'some' : `${(fraction * 100).toFixed(1)}%`} of ${symbol}, we hold ${copied} copied`);
+
+  let outcome;
+  if (!MIRROR_SELLS) {
+    outcome = 'Set `MIRROR_SELLS=true` to sell the same share automatically, or use `/sell`.';
+  } else if (fraction === null) {
+    outcome = '⚠️ Could not tell what share it sold, so nothing was sold. Use `/sell` to exit.';
+  } else {
+    const amount = copied * fraction;
+    try {
+      let solReceived, signature = null;
+      if (paper) {
+        const metadata = await tokenAnalyzer.getTokenMetadata(mint);
+        if (!metadata?.price) {
+          throw new Error('No price for the token');
         }
+        const held = paperTrading.getPortfolio().tokens[mint]?.amount ?? 0;
+        // metadata.price is USD, the paper ledger's quote currency
+        const result = await paperTrading.sell(mint, Math.min(amount, held), metadata.price, alert.wallet.name);
+        solReceived = result.trade.solReceived;
+      } else {
+        const result = await sellFromBotWallet(mint, { amount }, alert.wallet.name);
+        solReceived = result.solReceived;
+        signature = result.signature;
       }
+
+      riskManager.record(riskStrategy(), { side: 'sell', mint, inputAmount: amount, outputAmount: solReceived, success: true });
+      outcome = `✅ *Mirrored:* sold ${amount.toLocaleString()} tokens for ${solReceived.toFixed(4)} SOL`;
+      if (signature) {
+        outcome += `\n[View Transaction](https://solscan.io/tx/${signature})`;
+      }
+    } catch (error) {
+      console.error('❌ Mirror sell failed:', error.message);
+      riskManager.record(riskStrategy(), { side: 'sell', mint, inputAmount: amount, success: false });
+      outcome = `❌ *Mirror sell failed:* ${error.message}`;
     }
+  }
+
+  if (!alertChatId) return;
+
+  try {
+    await bot.sendMessage(alertChatId, `
+🪞 *Copied Wallet Sold*
+
+*Wallet:* ${alert.wallet.emoji} ${alert.wallet.name}
+*Token:* ${symbol}
+*Sold:* ${fraction === null ? 'unknown share' : `${(fraction * 100).toFixed(1)}%`} of its holding
+*Your Copy:* ${copied.toLocaleString()} tokens (${paper ? 'paper' : 'bot wallet'})
+
+${outcome}
+    `.trim(), { parse_mode: 'Markdown', disable_web_page_preview: true });
   } catch (error) {
-    console.error('Error generating thesis:', error.message);
-    // Continue sending alert even if thesis generation fails
+    console.error('❌ Error sending mirror notice:', error.message);
+  }
+}
+
+monitor.on(AlertType.TOKEN_TRANSFER, async (alert) => {
+  // Swaps are already announced as SWAP_BUY/SWAP_SELL
+  const trades = alert.transaction?.trades || [];
+  if (trades.some(t => t.side === 'BUY' || t.side === 'SELL')) {
+    return;
   }
 
   await sendAlert(alert, AlertType.TOKEN_TRANSFER);
@@ -1719,6 +2690,96 @@ monitor.on(AlertType.NEW_TRANSACTION, async (alert) => {
   await sendAlert(alert, AlertType.NEW_TRANSACTION);
 });
 
+monitor.on('gap', async (gap) => {
+  console.warn(`⚠️  Gap detected for ${gap.wallet.name}: ${gap.fetched} txs processed, older ones skipped`);
+
+  if (!alertChatId || alertsMuted) return;
+
+  try {
+    await bot.sendMessage(alertChatId, `
+⚠️ *Gap Detected*
+
+*Wallet:* ${gap.wallet.emoji} ${gap.wallet.name}
+More than ${gap.fetched} transactions happened since the last check. The latest ${gap.fetched} were processed; older ones were skipped.
+
+[View Wallet](https://solscan.io/account/${gap.wallet.address})
+    `.trim(), { parse_mode: 'Markdown', disable_web_page_preview: true });
+  } catch (error) {
+    console.error('❌ Error sending gap notice:', error.message);
+  }
+});
+
+const TRIGGER_LABELS = {
+  [TriggerType.STOP_LOSS]: '🛑 Stop-Loss',
+  [TriggerType.TAKE_PROFIT]: '💰 Take-Profit',
+  [TriggerType.TRAILING_STOP]: '📉 Trailing Stop',
+  [TriggerType.MAX_HOLD]: '⏰ Max Hold Time'
+};
+
+positionWatcher.on('trigger', async (trigger) => {
+  riskManager.record(trigger.source, {
+    side: 'sell',
+    mint: trigger.mint,
+    inputAmount: trigger.amount,
+    outputAmount: trigger.result?.trade?.solReceived ?? trigger.result?.solReceived ?? 0,
+    success: trigger.success
+  });
+
+  if (!alertChatId) return;
+
+  const label = `*${TRIGGER_LABELS[trigger.type]}${trigger.step ? ` #${trigger.step}` : ''}*`;
+  const sign = trigger.changePercent >= 0 ? '+' : '';
+  const price = trigger.priceUnit === 'usd' ? `$${trigger.price.toFixed(8)}` : `${trigger.price.toFixed(10)} SOL`;
+  let message = `
+${trigger.success ? label : `❌ ${label} sell failed`}
+
+*Token:* ${trigger.symbol || trigger.mint.slice(0, 8) + '...'} (${trigger.source})
+*Change:* ${sign}${trigger.changePercent.toFixed(2)}% from entry
+*Price:* ${price}
+*Amount:* ${trigger.amount.toLocaleString()} tokens
+`;
+
+  if (trigger.success) {
+    const solReceived = trigger.result.trade?.solReceived ?? trigger.result.solReceived;
+    if (solReceived != null) {
+      message += `*SOL Received:* ${solReceived.toFixed(4)} SOL\n`;
+    }
+    if (trigger.result.signature) {
+      message += `\n[View Transaction](https://solscan.io/tx/${trigger.result.signature})`;
+    }
+  } else {
+    message += `*Error:* ${trigger.error}\nRetrying on the next check.`;
+  }
+
+  try {
+    await bot.sendMessage(alertChatId, message.trim(), { parse_mode: 'Markdown', disable_web_page_preview: true });
+  } catch (error) {
+    console.error('❌ Error sending trigger notice:', error.message);
+  }
+});
+
+riskManager.on('breaker', async (breaker) => {
+  if (!alertChatId) return;
+
+  try {
+    await bot.sendMessage(alertChatId, `
+🚨 *Circuit Breaker Tripped*
+
+${breaker.reason}. Buy buttons are blocked until you re-arm it with \`/risk reset\`.
+    `.trim(), { parse_mode: 'Markdown' });
+  } catch (error) {
+    console.error('❌ Error sending breaker notice:', error.message);
+  }
+});
+
+monitor.on('reconnect', ({ attempt }) => {
+  console.log(`🔌 Monitor resubscribed to wallet updates (attempt ${attempt})`);
+});
+
+monitor.on('status', ({ mode, connected, reason }) => {
+  console.warn(`${connected ? '🔌' : '⚠️ '} Monitor ${mode} mode: ${reason}`);
+});
+
 // Monitor error handling
 monitor.on('error', (error) => {
   console.error('⚠️  Monitor error:', error.message);
@@ -1747,6 +2808,9 @@ async function shutdown() {
     await monitor.stop();
     console.log('✅ Monitor stopped');
 
+    alertRules?.close();
+    positionWatcher.stop();
+
     await bot.stopPolling();
     console.log('✅ Bot stopped');
 
@@ -1772,7 +2836,7 @@ async function start() {
     console.log(`  ${w.emoji} ${w.name}: ${w.trackedWalletAddress.slice(0, 8)}...`);
   });
 
-  console.log(`\n⏱️  Poll interval: 60 seconds`);
+  console.log(`\n⏱️  Monitor mode: ${{ subscribe: 'websocket subscriptions', replay: `replaying ${monitor.options.file}` }[monitor.options.mode] || 'polling every 60 seconds'}`);
   console.log(`🚨 Large transaction threshold: 10 SOL`);
   console.log(`🔗 RPC Endpoint: ${RPC_URL.includes('helius') ? 'Helius (Premium)' : 'Solana Public'}`);
   console.log(`💬 Chat ID: ${alertChatId || 'Not set (use /start)'}`);
@@ -1788,6 +2852,16 @@ async function start() {
     console.error('   Consider using a premium RPC endpoint for better reliability\n');
   }
 
+  try {
+    await paperTrading.migrate();
+  } catch (error) {
+    console.error('⚠️  Paper ledger not migrated yet, will retry on the next paper trade:', error.message);
+  }
+
+  if (exitRulesEnabled) {
+    positionWatcher.start();
+  }
+
   console.log('📱 Telegram bot is running!');
   console.log('   Send /start to the bot to begin receiving alerts.\n');
   console.log('Press Ctrl+C to stop.\n');
@@ -0,0 +1,237 @@
+import { AlertRecorder, ReplayMonitor } from '../src/alert-recorder.js';
+import { WalletMonitor, AlertType } from '../src/alerts.js';
+import { TradingBot, TradingStrategies } from '../src/trading-bot.js';
+import { Backtester } from '../src/backtester.js';
+import { SOL_MINT } from '../src/swap-decoder.js';
+import { strict as assert } from 'assert';
+import { once } from 'events';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Tests for AlertRecorder and ReplayMonitor (no network)
+ */
+
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'laxmi-alert-recorder-'));
+const RECORD_FILE = path.join(TMP_DIR, 'alerts.jsonl');
+const BONK = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+const WALLET = { name: 'whale', emoji: '🐳', trackedWalletAddress: 'HYWo71Wk9PNDe5sBaRKazPnVyGnQDiwgXCFKvgAQ1ENp' };
+const TRADE = { side: 'BUY', inputMint: SOL_MINT, inputAmount: 2, outputMint: BONK, outputAmount: 50000, venue: 'jupiter' };
+
+function cleanup() {
+  for (const file of [RECORD_FILE, `${RECORD_FILE}.1`, `${RECORD_FILE}.2`, `${RECORD_FILE}.3`]) {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+  }
+}
+
+/**
+ * Tracker stand-in whose transactions are a 2 SOL BONK buy
+ */
+function createTracker() {
+  return {
+    wallets: [WALLET],
+    async getTransactionDetails(signature, owner, { includeRaw = false } = {}) {
+      const details = {
+        signature,
+        success: true,
+        fee: 0.000005,
+        balanceChanges: { [WALLET.trackedWalletAddress]: -2 },
+        tokenTransfers: [],
+        trades: [TRADE]
+      };
+      if (includeRaw) {
+        details.raw = { slot: 100, blockTime: 1700000000, meta: { fee: 5000, err: null } };
+      }
+      return details;
+    }
+  };
+}
+
+function alertRecord(recordedAt, type, name = 'whale') {
+  return {
+    recordedAt,
+    event: 'alert',
+    alert: { type, timestamp: recordedAt, wallet: { name, emoji: '🐳' }, trade: TRADE, transaction: { signature: 'SIG1', amount: 2 } }
+  };
+}
+
+console.log('🧪 Running Alert Recorder Tests...\n');
+
+// Test 1: Records emitted alerts and the raw transaction behind them
+console.log('Test 1: Records emitted alerts and the raw transaction behind them');
+cleanup();
+const tracker = createTracker();
+let monitor = new WalletMonitor(tracker);
+const recorder = new AlertRecorder({ file: RECORD_FILE }).attach(monitor);
+await monitor._processTransaction(WALLET, { signature: 'SIG1', slot: 100, blockTime: 1700000000 });
+
+let records = AlertRecorder.read(RECORD_FILE);
+assert.deepEqual(records.map(r => r.event === 'alert' ? r.alert.type : r.event), [
+  'transaction',
+  AlertType.SWAP_BUY,
+  AlertType.TRANSACTION_SENT
+]);
+assert.equal(records[0].signature, 'SIG1');
+assert.equal(records[0].wallet.name, 'whale');
+assert.equal(records[0].raw.meta.fee, 5000, 'getTransaction payload kept');
+assert.equal(records[1].alert.trade.outputMint, BONK);
+assert.ok(records[1].alert.raw === undefined, 'Raw payload is not put on alerts');
+assert.equal(recorder.recorded, 3);
+
+recorder.detach();
+await monitor._processTransaction(WALLET, { signature: 'SIG2', slot: 101 });
+assert.equal(AlertRecorder.read(RECORD_FILE).length, 3, 'Nothing recorded after detach');
+console.log('✅ Passed\n');
+
+// Test 2: Rotates the file and reads rotated files oldest first
+console.log('Test 2: Rotates the file and reads rotated files oldest first');
+cleanup();
+const small = new AlertRecorder({ file: RECORD_FILE, maxBytes: 250, maxFiles: 2 });
+for (let i = 1; i <= 5; i++) {
+  small.record('alert', { alert: { type: AlertType.NEW_TRANSACTION, n: i, padding: 'x'.repeat(40) } });
+}
+assert.ok(fs.existsSync(`${RECORD_FILE}.1`) && fs.existsSync(`${RECORD_FILE}.2`));
+assert.equal(fs.existsSync(`${RECORD_FILE}.3`), false, 'Only maxFiles rotated files kept');
+assert.ok(fs.statSync(RECORD_FILE).size <= 250, 'One event per file at this size');
+records = AlertRecorder.read(RECORD_FILE);
+assert.deepEqual(records.map(r => r.alert.n), [3, 4, 5], 'Oldest dropped, order kept');
+assert.equal(AlertRecorder.read(RECORD_FILE, { rotated: false }).length, 1);
+
+fs.appendFileSync(RECORD_FILE, '{"recordedAt":"2024');
+assert.equal(AlertRecorder.read(RECORD_FILE).length, 3, 'Partial last line skipped');
+assert.throws(() => AlertRecorder.read('./missing.jsonl'), /Recording not found/);
+console.log('✅ Passed\n');
+
+// Test 3: Replays the same events, honoring filters and removed wallets
+console.log('Test 3: Replays the same events, honoring filters and removed wallets');
+cleanup();
+fs.writeFileSync(RECORD_FILE, [
+  { recordedAt: '2024-01-01T00:00:00.000Z', event: 'transaction', signature: 'SIG1', wallet: { name: 'whale' }, raw: { slot: 1 } },
+  alertRecord('2024-01-01T00:00:00.000Z', AlertType.SWAP_BUY),
+  alertRecord('2024-01-01T00:00:01.000Z', AlertType.LARGE_TRANSACTION),
+  alertRecord('2024-01-01T00:00:02.000Z', AlertType.SWAP_BUY, 'degen'),
+  alertRecord('2024-01-01T00:00:03.000Z', AlertType.SWAP_SELL)
+].map(r => JSON.stringify(r)).join('\n') + '\n');
+
+monitor = new ReplayMonitor({ wallets: [WALLET] }, { file: RECORD_FILE, speed: 0 });
+const seen = [];
+monitor.on('alert', alert => seen.push(`${alert.wallet.name}:${alert.type}`));
+monitor.on(AlertType.SWAP_BUY, alert => seen.push(`buy:${alert.trade.outputMint.slice(0, 4)}`));
+monitor.on('transaction', ({ raw }) => seen.push(`raw:${raw.slot}`));
+monitor.addFilter('whale', alert => alert.type !== AlertType.SWAP_SELL);
+monitor.removeWallet({ name: 'degen' });
+await monitor.start();
+await once(monitor, 'end');
+
+assert.deepEqual(seen, ['raw:1', 'whale:SWAP_BUY', 'buy:DezX', 'whale:LARGE_TRANSACTION']);
+const stats = monitor.getStats();
+assert.equal(stats.mode, 'replay');
+assert.equal(stats.isMonitoring, false, 'Stops at the end');
+assert.equal(stats.totalAlerts, 2);
+assert.deepEqual(stats.alertsByType, { SWAP_BUY: 1, LARGE_TRANSACTION: 1 });
+console.log('✅ Passed\n');
+
+// Test 4: Accelerated replay keeps the original spacing, scaled
+console.log('Test 4: Accelerated replay keeps the original spacing, scaled');
+monitor = new ReplayMonitor({ wallets: [WALLET] }, { file: RECORD_FILE, speed: 50 });
+const times = [];
+monitor.on('alert', () => times.push(Date.now()));
+let started = Date.now();
+await monitor.start();
+await once(monitor, 'end');
+assert.equal(times.length, 4);
+assert.ok(times[3] - started >= 55, '3s of recording at 50x is 60ms');
+assert.ok(times[3] - started < 1000, 'Not real time');
+
+monitor = new ReplayMonitor({ wallets: [WALLET] }, { file: RECORD_FILE, speed: 1, maxDelay: 5 });
+started = Date.now();
+await monitor.start();
+await once(monitor, 'end');
+assert.ok(Date.now() - started < 1000, 'maxDelay caps the gaps');
+console.log('✅ Passed\n');
+
+// Test 5: TradingBot runs offline on a replay, and recordings load into the Backtester
+console.log('Test 5: TradingBot runs offline on a replay, and recordings load into the Backtester');
+const quoter = {
+  async getTokenDecimals(mint) {
+    return mint === SOL_MINT ? 9 : 5;
+  },
+  async getQuote(inputMint, outputMint, amount) {
+    return { inAmount: amount, outAmount: (BigInt(amount) * 25n).toString(), priceImpactPct: '0' };
+  }
+};
+monitor = new ReplayMonitor({ wallets: [WALLET] }, { file: RECORD_FILE, speed: 0 });
+const tradingBot = new TradingBot({ wallets: [WALLET] }, { wallet: null }, {
+  enabled: true,
+  monitor,
+  trader: quoter,
+  paperDataDir: null
+});
+tradingBot.registerStrategy('sniper', TradingStrategies.tokenSniper(['whale'], { fixedAmount: 0.04 }));
+
+const log = console.log;
+console.log = () => {};
+try {
+  await tradingBot.start();
+  await once(monitor, 'end');
+  await new Promise(resolve => setImmediate(resolve)); // Let the last alert's trade finish
+  tradingBot.stop();
+} finally {
+  console.log = log;
+}
+
+const trades = tradingBot.getTradeHistory();
+assert.equal(trades.length, 1, 'Only the whale buy is sniped');
+assert.equal(trades[0].params.tokenMint, BONK);
+assert.equal(tradingBot.getPaperLedger('sniper').data.balance, 0.96);
+
+const alerts = Backtester.loadAlerts(RECORD_FILE);
+assert.deepEqual(alerts.map(alert => alert.type), ['SWAP_BUY', 'LARGE_TRANSACTION', 'SWAP_BUY', 'SWAP_SELL'], 'Only alert events');
+cleanup();
+console.log('✅ Passed\n');
+
+// Test 6: A failing listener is logged and the replay carries on
+console.log('Test 6: A failing listener is logged and the replay carries on');
+fs.writeFileSync(RECORD_FILE, [
+  alertRecord('2024-01-01T00:00:00.000Z', AlertType.SWAP_BUY),
+  alertRecord('2024-01-01T00:00:01.000Z', AlertType.LARGE_TRANSACTION)
+].map(r => JSON.stringify(r)).join('\n') + '\n');
+
+monitor = new ReplayMonitor({ wallets: [WALLET] }, { file: RECORD_FILE, speed: 0 });
+monitor.on(AlertType.SWAP_BUY, () => { throw new Error('listener failed'); });
+const errors = [];
+const logError = console.error;
+console.error = (...args) => errors.push(args.join(' '));
+try {
+  // No 'error' listener (events.once would add one): must not crash the process
+  const ended = new Promise(resolve => monitor.on('end', resolve));
+  await monitor.start();
+  await ended;
+} finally {
+  console.error = logError;
+}
+assert.deepEqual(errors, ['Replay error: listener failed']);
+assert.equal(monitor.getStats().totalAlerts, 2, 'Later events still replay');
+
+monitor = new ReplayMonitor({ wallets: [WALLET] }, { file: RECORD_FILE, speed: 0 });
+monitor.on(AlertType.SWAP_BUY, () => { throw new Error('listener failed'); });
+const emitted = [];
+monitor.on('error', error => emitted.push(error.message));
+console.error = () => {};
+try {
+  const ended = new Promise(resolve => monitor.on('end', resolve));
+  await monitor.start();
+  await ended;
+} finally {
+  console.error = logError;
+}
+assert.deepEqual(emitted, ['listener failed'], 'Emitted when someone listens');
+cleanup();
+console.log('✅ Passed\n');
+
+fs.rmSync(TMP_DIR, { recursive: true, force: true });
+
+console.log('✅ All Alert Recorder tests passed!');
@@ -0,0 +1,186 @@
+import { AlertRulesEngine, RuleAction } from '../src/alert-rules.js';
+import { WalletMonitor, AlertType } from '../src/alerts.js';
+import { SOL_MINT } from '../src/swap-decoder.js';
+import { strict as assert } from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Tests for AlertRulesEngine and its use in WalletMonitor (no network)
+ */
+
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'laxmi-alert-rules-'));
+const RULES_FILE = path.join(TMP_DIR, 'alert-rules.json');
+const MINT = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+const WALLET = { name: 'whale', emoji: '🐳', trackedWalletAddress: 'HYWo71Wk9PNDe5sBaRKazPnVyGnQDiwgXCFKvgAQ1ENp', tags: ['smart'] };
+
+function cleanup() {
+  if (fs.existsSync(RULES_FILE)) {
+    fs.unlinkSync(RULES_FILE);
+  }
+}
+
+function writeRules(config, mtime) {
+  fs.writeFileSync(RULES_FILE, JSON.stringify(config));
+  if (mtime) {
+    fs.utimesSync(RULES_FILE, mtime, mtime);
+  }
+}
+
+function buyAlert(sol, extra = {}) {
+  return {
+    type: AlertType.SWAP_BUY,
+    wallet: { name: WALLET.name, address: WALLET.trackedWalletAddress, emoji: WALLET.emoji },
+    trade: { side: 'BUY', inputMint: SOL_MINT, inputAmount: sol, outputMint: MINT, outputAmount: 1000 },
+    transaction: { signature: 'SIG1', tokenTransfers: [] },
+    ...extra
+  };
+}
+
+const RULES = [
+  { name: 'tag-smart', when: { tag: 'smart' }, action: 'tag', tags: ['smart-money'] },
+  { name: 'mute-dust', when: { solAmount: { lt: 0.1 } }, action: 'suppress' },
+  {
+    name: 'big-low-cap-buys',
+    when: {
+      all: [
+        { type: 'SWAP_BUY' },
+        { any: [{ solAmount: { gte: 10 } }, { marketCap: { lt: 100000 } }] }
+      ]
+    },
+    action: 'escalate'
+  },
+  { name: 'good-score', when: { score: { gte: 70 }, mint: MINT }, action: 'notify' }
+];
+
+console.log('🧪 Running Alert Rules Tests...\n');
+
+// Test 1: First terminal rule decides, tag rules accumulate
+console.log('Test 1: First terminal rule decides, tag rules accumulate');
+const engine = new AlertRulesEngine(null, { rules: RULES });
+let result = engine.evaluate(buyAlert(0.05), WALLET);
+assert.equal(result.action, RuleAction.SUPPRESS);
+assert.equal(result.rule, 'mute-dust');
+assert.deepEqual(result.tags, ['smart-money']);
+assert.deepEqual(result.matchedRules, ['tag-smart', 'mute-dust']);
+
+result = engine.evaluate(buyAlert(1), { ...WALLET, tags: [] });
+assert.equal(result.action, RuleAction.NOTIFY, 'Falls through to the default');
+assert.equal(result.rule, null);
+assert.deepEqual(result.tags, []);
+console.log('✅ Passed\n');
+
+// Test 2: AND/OR composition and enrichment conditions
+console.log('Test 2: AND/OR composition and enrichment conditions');
+assert.equal(engine.evaluate(buyAlert(12), WALLET).rule, 'big-low-cap-buys', 'Large buy matches the any branch');
+
+const lowCap = buyAlert(1, { analysis: { marketData: { marketCap: 50000 } } });
+assert.equal(engine.evaluate(lowCap, WALLET).rule, 'big-low-cap-buys', 'Low market cap matches the other branch');
+
+const scored = buyAlert(1, { analysis: { marketData: { marketCap: 5000000 }, scoring: { score: 80 } } });
+assert.equal(engine.evaluate(scored, WALLET).rule, 'good-score');
+
+const sell = { ...buyAlert(12), type: AlertType.SWAP_SELL };
+assert.equal(engine.evaluate(sell, WALLET).rule, null, 'all requires the type to match');
+console.log('✅ Passed\n');
+
+// Test 3: Missing data never matches, not inverts
+console.log('Test 3: Missing data never matches, not inverts');
+const strict = new AlertRulesEngine(null, {
+  rules: [
+    { name: 'cap', when: { marketCap: { gt: 0 } }, action: 'escalate' },
+    { name: 'not-buy', when: { not: { type: 'SWAP_BUY' } }, action: 'suppress' }
+  ]
+});
+assert.equal(strict.evaluate(buyAlert(1)).rule, null, 'No analysis means no market cap match');
+const balanceAlert = { type: AlertType.BALANCE_CHANGE, wallet: { name: 'whale' }, balance: { old: 5, new: 2, change: -3 } };
+assert.equal(strict.evaluate(balanceAlert).rule, 'not-buy');
+assert.equal(engine.evaluate(balanceAlert, {}).action, RuleAction.NOTIFY, 'Balance change of 3 SOL is not dust');
+console.log('✅ Passed\n');
+
+// Test 4: Time-of-day windows wrap past midnight
+console.log('Test 4: Time-of-day windows wrap past midnight');
+const at = (h, m = 0) => new Date(Date.UTC(2024, 0, 1, h, m));
+const night = { from: '22:00', to: '06:30', utc: true };
+assert.equal(engine._inTimeWindow(night, at(23)), true);
+assert.equal(engine._inTimeWindow(night, at(6, 15)), true);
+assert.equal(engine._inTimeWindow(night, at(6, 30)), false);
+assert.equal(engine._inTimeWindow(night, at(12)), false);
+assert.equal(engine._inTimeWindow({ from: '09:00', to: '17:00', utc: true }, at(12)), true);
+console.log('✅ Passed\n');
+
+// Test 5: Invalid rules are rejected with the rule name
+console.log('Test 5: Invalid rules are rejected with the rule name');
+assert.throws(() => new AlertRulesEngine(null, { rules: [{ name: 'x', when: {}, action: 'explode' }] }), /Rule x has invalid action/);
+assert.throws(() => new AlertRulesEngine(null, { rules: [{ name: 'y', when: { colour: 'red' }, action: 'notify' }] }), /Rule y has unknown condition: colour/);
+assert.throws(() => new AlertRulesEngine(null, { rules: [{ name: 'z', when: { solAmount: 5 }, action: 'notify' }] }), /Rule z: solAmount needs one of/);
+assert.throws(() => new AlertRulesEngine(null, { rules: [{ name: 't', when: {}, action: 'tag' }] }), /without tags/);
+assert.throws(() => new AlertRulesEngine('./rules.yaml'), /YAML rule files are not supported/);
+console.log('✅ Passed\n');
+
+// Test 6: Rules file hot-reloads, keeping old rules when the new file is invalid
+console.log('Test 6: Rules file hot-reloads, keeping old rules when the new file is invalid');
+cleanup();
+writeRules({ rules: [RULES[1]] }, new Date(Date.now() - 10000));
+const watched = new AlertRulesEngine(RULES_FILE, { watchInterval: 20 });
+assert.equal(watched.rules.length, 1);
+
+const waitFor = (event) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error(`No ${event} event`)), 3000);
+  watched.once(event, (payload) => {
+    clearTimeout(timer);
+    resolve(payload);
+  });
+});
+
+let reloaded = waitFor('reload');
+writeRules({ rules: RULES, default: 'suppress' }, new Date(Date.now() - 5000));
+assert.deepEqual(await reloaded, { rules: RULES.length });
+assert.equal(watched.defaultAction, RuleAction.SUPPRESS);
+
+const failed = waitFor('error');
+writeRules({ rules: [{ name: 'broken', action: 'nope' }] }, new Date());
+assert.match((await failed).message, /Rule broken has invalid action/);
+assert.equal(watched.rules.length, RULES.length, 'Previous rules stay active');
+
+watched.close();
+assert.equal(watched.watching, false);
+cleanup();
+console.log('✅ Passed\n');
+
+// Test 7: WalletMonitor applies rules and records the matched rule
+console.log('Test 7: WalletMonitor applies rules and records the matched rule');
+const tracker = { wallets: [WALLET] };
+const monitor = new WalletMonitor(tracker, { rules: engine });
+const delivered = [];
+monitor.on('alert', alert => delivered.push(alert));
+
+monitor._emitAlert(WALLET, buyAlert(0.01));
+assert.equal(delivered.length, 0, 'Dust should be suppressed');
+
+monitor._emitAlert(WALLET, buyAlert(20));
+assert.equal(delivered.length, 1);
+assert.deepEqual(delivered[0].rule, { name: 'big-low-cap-buys', action: 'escalate', matched: ['tag-smart', 'big-low-cap-buys'] });
+assert.equal(delivered[0].priority, 'high');
+assert.deepEqual(delivered[0].tags, ['smart-money']);
+console.log('✅ Passed\n');
+
+// Test 8: addFilter stacks filters instead of replacing them
+console.log('Test 8: addFilter stacks filters instead of replacing them');
+const filtered = new WalletMonitor(tracker);
+const seen = [];
+filtered.on('alert', alert => seen.push(alert));
+filtered.addFilter('whale', alert => alert.type === AlertType.SWAP_BUY);
+filtered.addFilter('whale', alert => alert.trade.inputAmount >= 1);
+
+filtered._emitAlert(WALLET, buyAlert(0.5));
+filtered._emitAlert(WALLET, { ...buyAlert(5), type: AlertType.SWAP_SELL });
+filtered._emitAlert(WALLET, buyAlert(5));
+assert.equal(seen.length, 1, 'Both filters must pass');
+assert.equal(seen[0].rule, undefined, 'No rules configured');
+console.log('✅ Passed\n');
+
+fs.rmSync(TMP_DIR, { recursive: true, force: true });
+
+console.log('✅ All Alert Rules tests passed!');
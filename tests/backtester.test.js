@@ -0,0 +1,162 @@
+import { Backtester, PriceSeries } from '../src/backtester.js';
+import { strict as assert } from 'assert';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Tests for Backtester replays over recorded alerts and prices (no network)
+ */
+
+const ALERTS = './tests/fixtures/backtest-alerts.jsonl';
+const PRICES = './tests/fixtures/backtest-prices.jsonl';
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'laxmi-backtester-'));
+const CONFIG_FILE = path.join(TMP_DIR, 'backtest-config.json');
+const OUT_FILE = path.join(TMP_DIR, 'backtest-results.json');
+const BONK = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+const WIF = 'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm';
+const HOUR = 3600000;
+
+const SNIPE_WHALE = {
+  name: 'snipe-whale',
+  strategies: { sniper: { type: 'tokenSniper', args: [['whale'], { fixedAmount: 0.1 }] } }
+};
+const SNIPE_WITH_EXITS = {
+  name: 'snipe-with-exits',
+  strategies: {
+    sniper: { type: 'tokenSniper', args: [[]] },
+    exits: { type: 'stopLoss', args: [25, { takeProfit: [{ percent: 50, sellPercent: 100 }] }] }
+  }
+};
+
+function cleanup() {
+  for (const file of [CONFIG_FILE, OUT_FILE]) {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+  }
+}
+
+const near = (actual, expected) => Math.abs(actual - expected) < 1e-9;
+
+function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  return fn().finally(() => { console.log = log; });
+}
+
+function createBacktester(options = {}) {
+  return new Backtester({
+    alerts: Backtester.loadAlerts(ALERTS),
+    prices: PriceSeries.fromFile(PRICES),
+    ...options
+  });
+}
+
+console.log('🧪 Running Backtester Tests...\n');
+
+// Test 1: Price series look up the last price at or before a time
+console.log('Test 1: Price series look up the last price at or before a time');
+const prices = PriceSeries.fromFile(PRICES);
+const start = Date.parse('2024-01-01T00:00:00.000Z');
+assert.equal(prices.priceAt(BONK, start), 0.001);
+assert.equal(prices.priceAt(BONK, start + 2.5 * HOUR), 0.0015);
+assert.equal(prices.priceAt(WIF, start + 10 * HOUR), 0.005, 'Last price holds');
+assert.equal(prices.priceAt(BONK, start - 1), null, 'No price before the first point');
+assert.equal(prices.times().length, 6);
+assert.equal(prices.symbolOf(WIF), 'WIF');
+assert.throws(() => new PriceSeries([{ timestamp: 'soon', mint: BONK, priceSol: 1 }]), /Invalid price point/);
+console.log('✅ Passed\n');
+
+// Test 2: Replays alerts into an hourly equity curve and trade log
+console.log('Test 2: Replays alerts into an hourly equity curve and trade log');
+const backtester = createBacktester();
+assert.deepEqual(backtester.wallets.map(w => w.name), ['whale', 'degen'], 'Wallets taken from the alerts');
+
+let result = await quietly(() => backtester.run(SNIPE_WHALE));
+assert.deepEqual(result.equityCurve.map(p => p.timestamp.slice(11, 16)), ['00:00', '01:00', '02:00', '03:00', '04:00', '05:00']);
+[1, 1, 1.05, 1.1, 1.02, 0.98].forEach((equity, i) => assert.ok(near(result.equityCurve[i].equity, equity), `Equity at ${i}:00`));
+assert.deepEqual(result.trades.map(t => [t.timestamp, t.action, t.tokenMint, t.inputAmount, t.outputAmount]), [
+  ['2024-01-01T00:30:00.000Z', 'buy_token', BONK, 0.1, 100]
+], 'Only the whale buy is sniped, at the 00:00 price');
+assert.ok(near(result.metrics.maxDrawdown, 0.12), 'From 1.10 down to 0.98');
+assert.ok(near(result.metrics.maxDrawdownPercent, 0.12 / 1.1 * 100));
+assert.ok(near(result.metrics.returnPercent, -2));
+assert.ok(result.metrics.sharpe < 0);
+assert.deepEqual(result.errors, []);
+console.log('✅ Passed\n');
+
+// Test 3: Exit rules fire on the simulated clock
+console.log('Test 3: Exit rules fire on the simulated clock');
+result = await quietly(() => backtester.run(SNIPE_WITH_EXITS));
+assert.deepEqual(result.trades.map(t => [t.timestamp.slice(11, 16), t.strategy, t.action, t.reason]), [
+  ['00:30', 'sniper', 'buy_token', null],
+  ['01:30', 'sniper', 'buy_token', null],
+  ['02:00', 'exits', 'sell_token', 'TAKE_PROFIT'],
+  ['03:00', 'exits', 'sell_token', 'STOP_LOSS']
+]);
+[1, 1, 1.015, 1.005, 1.005, 1.005].forEach((equity, i) => assert.ok(near(result.equityCurve[i].equity, equity), `Equity at ${i}:00`));
+assert.equal(result.metrics.trades, 4);
+assert.equal(result.metrics.winRate, 50, 'BONK won, WIF lost');
+assert.ok(near(result.metrics.strategies.sniper.realizedPnl, 0.005));
+assert.ok(result.metrics.sharpe > 0);
+console.log('✅ Passed\n');
+
+// Test 4: Slippage, missing prices and unknown strategies
+console.log('Test 4: Slippage, missing prices and unknown strategies');
+result = await quietly(() => createBacktester({ slippageBps: 100 }).run(SNIPE_WHALE));
+assert.ok(near(result.trades[0].outputAmount, 99), '1% fewer tokens');
+
+const early = { ...Backtester.loadAlerts(ALERTS)[0], timestamp: '2023-12-31T23:00:00.000Z' };
+result = await quietly(() => createBacktester({ alerts: [early] }).run(SNIPE_WHALE));
+assert.equal(result.trades.length, 0);
+assert.match(result.errors[0].error, /No price for DezXAZ8z/);
+
+await assert.rejects(() => backtester.run({ name: 'bad', strategies: { x: { type: 'moonshot' } } }), /Unknown strategy type: moonshot/);
+console.log('✅ Passed\n');
+
+// Test 5: Metrics from an equity curve
+console.log('Test 5: Metrics from an equity curve');
+const curve = [1, 1.1, 0.99, 1.2].map(equity => ({ equity }));
+const metrics = Backtester.computeMetrics(curve, HOUR);
+assert.ok(near(metrics.return, 0.2));
+assert.ok(near(metrics.maxDrawdown, 0.11));
+assert.ok(near(metrics.maxDrawdownPercent, 10));
+assert.ok(metrics.sortino > metrics.sharpe, 'Only one down step');
+assert.equal(Backtester.computeMetrics([{ equity: 1 }, { equity: 1 }]).sharpe, 0, 'Flat curve');
+console.log('✅ Passed\n');
+
+// Test 6: CLI compares configs side by side
+console.log('Test 6: CLI compares configs side by side');
+cleanup();
+fs.writeFileSync(CONFIG_FILE, JSON.stringify([SNIPE_WHALE, SNIPE_WITH_EXITS]));
+const output = execFileSync('node', ['backtest.js', '--alerts', ALERTS, '--prices', PRICES, '--config', CONFIG_FILE, '--out', OUT_FILE], {
+  encoding: 'utf8',
+  timeout: 30000
+});
+assert.match(output, /snipe-whale\s+0\.9800\s+-2\.00%\s+10\.91%/);
+assert.match(output, /snipe-with-exits\s+1\.0050\s+\+0\.50%/);
+assert.doesNotMatch(output, /SIMULATED TRADE/, 'Bot logs muted');
+const saved = JSON.parse(fs.readFileSync(OUT_FILE, 'utf8'));
+assert.deepEqual(saved.map(r => r.name), ['snipe-whale', 'snipe-with-exits']);
+assert.equal(saved[1].trades.length, 4);
+cleanup();
+console.log('✅ Passed\n');
+
+// Test 7: Risk limits reject trades during the replay
+console.log('Test 7: Risk limits reject trades during the replay');
+result = await quietly(() => backtester.run({ ...SNIPE_WITH_EXITS, name: 'capped', risk: { limits: { maxOpenPositions: 1 } } }));
+assert.deepEqual(result.trades.map(t => [t.timestamp.slice(11, 16), t.action, t.tokenMint]), [
+  ['00:30', 'buy_token', BONK],
+  ['02:00', 'sell_token', BONK]
+], 'WIF buy rejected while BONK is held');
+assert.deepEqual(result.rejections.map(r => [r.timestamp, r.strategy, r.rule, r.mint]), [
+  ['2024-01-01T01:30:00.000Z', 'sniper', 'MAX_OPEN_POSITIONS', WIF]
+]);
+assert.deepEqual((await quietly(() => backtester.run(SNIPE_WHALE))).rejections, []);
+console.log('✅ Passed\n');
+
+fs.rmSync(TMP_DIR, { recursive: true, force: true });
+
+console.log('✅ All Backtester tests passed!');
@@ -0,0 +1,121 @@
+import { CopyPositions, soldFraction, reduceCopies, takeCopies, copiedAmount } from '../src/copy-positions.js';
+import { AlertType } from '../src/alerts.js';
+import { SOL_MINT } from '../src/swap-decoder.js';
+import { strict as assert } from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Tests for copy-trade links and mirrored sell sizing (no network)
+ */
+
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'laxmi-copy-positions-'));
+const DATA_FILE = path.join(TMP_DIR, 'copy-positions.json');
+const WHALE = 'HYWo71Wk9PNDe5sBaRKazPnVyGnQDiwgXCFKvgAQ1ENp';
+const POOL = '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1';
+const BONK = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+
+function cleanup() {
+  for (const file of [DATA_FILE, `${DATA_FILE}.tmp`]) {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+  }
+}
+
+const near = (actual, expected) => Math.abs(actual - expected) < 1e-9;
+
+const swapSell = (preAmount, postAmount) => ({
+  type: AlertType.SWAP_SELL,
+  wallet: { name: 'whale', emoji: '🐳', address: WHALE },
+  trade: { side: 'SELL', inputMint: BONK, inputAmount: preAmount - postAmount, outputMint: SOL_MINT, outputAmount: 1 },
+  transaction: {
+    signature: 'SELL_SIG',
+    tokenTransfers: [
+      { mint: BONK, amount: postAmount - preAmount, preAmount, postAmount, owner: WHALE },
+      { mint: BONK, amount: preAmount - postAmount, preAmount: 1e6, postAmount: 1e6 + preAmount - postAmount, owner: POOL }
+    ]
+  }
+});
+
+console.log('🧪 Running Copy Positions Tests...\n');
+cleanup();
+
+// Test 1: Sold share comes from the wallet's own token balances
+console.log('Test 1: Sold share comes from the wallet\'s own token balances');
+assert.equal(soldFraction(swapSell(4000, 1000)), 0.75, 'Pool account ignored');
+assert.equal(soldFraction(swapSell(4000, 0)), 1, 'Closed the position');
+const noTransfers = swapSell(4000, 0);
+noTransfers.transaction.tokenTransfers = [];
+assert.equal(soldFraction(noTransfers), null);
+console.log('✅ Passed\n');
+
+// Test 2: Links are reduced pro rata and summed per wallet
+console.log('Test 2: Links are reduced pro rata and summed per wallet');
+let copies = [
+  { wallet: 'whale', signature: 'A', amount: 100 },
+  { wallet: 'degen', signature: 'B', amount: 50 },
+  { wallet: 'whale', signature: 'C', amount: 30 }
+];
+assert.equal(copiedAmount(copies, 'whale'), 130);
+copies = reduceCopies(copies, 0.5);
+assert.equal(copiedAmount(copies, 'whale'), 65);
+assert.deepEqual(takeCopies(copies, 'whale', 60).map(c => [c.signature, c.amount]), [['B', 25], ['C', 5]], 'Oldest whale link first');
+assert.deepEqual(reduceCopies(copies, 1), [], 'Sold out');
+assert.equal(copiedAmount(undefined, 'whale'), 0);
+console.log('✅ Passed\n');
+
+// Test 3: Bot wallet copies are stored and survive a restart
+console.log('Test 3: Bot wallet copies are stored and survive a restart');
+const positions = new CopyPositions(DATA_FILE);
+positions.recordBuy(BONK, { symbol: 'BONK', amount: 3000, wallet: 'whale', signature: 'BUY_SIG' });
+positions.recordBuy(BONK, { amount: 1000, wallet: 'degen', signature: 'BUY_SIG2' });
+assert.equal(positions.getPositions()[BONK].symbol, 'BONK');
+assert.equal(positions.getPositions()[BONK].amount, 4000);
+assert.ok(!fs.existsSync(`${DATA_FILE}.tmp`), 'Temp file renamed into place');
+
+const restored = new CopyPositions(DATA_FILE);
+assert.equal(restored.getCopiedAmount(BONK, 'whale'), 3000);
+assert.equal(restored.getPositions()[BONK].copies[0].signature, 'BUY_SIG');
+console.log('✅ Passed\n');
+
+// Test 4: A mirrored sell only takes the copied wallet's links
+console.log('Test 4: A mirrored sell only takes the copied wallet\'s links');
+const mirrored = restored.getCopiedAmount(BONK, 'whale') * soldFraction(swapSell(4000, 1000));
+assert.equal(mirrored, 2250);
+restored.recordSell(BONK, mirrored, 'whale');
+assert.equal(restored.getCopiedAmount(BONK, 'whale'), 750);
+assert.equal(restored.getCopiedAmount(BONK, 'degen'), 1000, 'Degen copy untouched');
+assert.equal(restored.getPositions()[BONK].amount, 1750);
+
+restored.recordSell(BONK, 875); // A stop-loss sells half of everything
+assert.equal(restored.getCopiedAmount(BONK, 'whale'), 375);
+assert.equal(restored.getCopiedAmount(BONK, 'degen'), 500);
+
+assert.equal(restored.recordSell(BONK, 5000), null, 'Oversold: closed');
+assert.equal(restored.getCopiedAmount(BONK, 'whale'), 0);
+assert.equal(restored.recordSell('UNKNOWN', 1), null);
+assert.deepEqual(new CopyPositions(DATA_FILE).getPositions(), {});
+cleanup();
+console.log('✅ Passed\n');
+
+// Test 5: Entry price follows the recorded cost through buys and sells
+console.log('Test 5: Entry price follows the recorded cost through buys and sells');
+const entries = new CopyPositions(null);
+entries.recordBuy(BONK, { amount: 1000, costSol: 0.1, wallet: 'whale' });
+entries.recordBuy(BONK, { amount: 3000, costSol: 0.5, wallet: 'degen' });
+assert.ok(near(entries.getEntryPrice(BONK), 0.00015), '0.6 SOL for 4000 tokens');
+entries.recordSell(BONK, 1000, 'whale');
+assert.ok(near(entries.getPositions()[BONK].costSol, 0.45), 'Cost reduced pro rata');
+assert.ok(near(entries.getEntryPrice(BONK), 0.00015), 'Selling keeps the entry');
+
+entries.recordBuy(BONK, { amount: 100, wallet: 'whale' });
+assert.equal(entries.getEntryPrice(BONK), null, 'A buy without cost makes it unknown');
+assert.equal(entries.getEntryPrice('UNKNOWN'), null);
+assert.ok(!fs.existsSync(DATA_FILE), 'In memory only');
+console.log('✅ Passed\n');
+
+fs.rmSync(TMP_DIR, { recursive: true, force: true });
+
+console.log('✅ All Copy Positions tests passed!');
@@ -0,0 +1,63 @@
+import { solSpent, copyTradeSize } from '../src/copy-sizing.js';
+import { SOL_MINT } from '../src/swap-decoder.js';
+import { strict as assert } from 'assert';
+
+/**
+ * Tests for proportional copy-trade sizing (no network)
+ */
+
+const WHALE = 'HYWo71Wk9PNDe5sBaRKazPnVyGnQDiwgXCFKvgAQ1ENp';
+const BONK = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+const USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+const near = (actual, expected) => Math.abs(actual - expected) < 1e-9;
+
+console.log('🧪 Running Copy Sizing Tests...\n');
+
+// Test 1: SOL spent comes from the decoded swap, else the balance drop
+console.log('Test 1: SOL spent comes from the decoded swap, else the balance drop');
+const swap = { side: 'BUY', inputMint: SOL_MINT, inputAmount: 5, outputMint: BONK, outputAmount: 5000 };
+assert.equal(solSpent({ trades: [swap], balanceChanges: { [WHALE]: -5.002 } }, WHALE), 5, 'Swap amount, without the fee');
+assert.equal(solSpent({ trades: [], balanceChanges: { [WHALE]: -2.5 } }, WHALE), 2.5);
+assert.equal(solSpent({ trades: [{ ...swap, inputMint: USDC }], balanceChanges: { [WHALE]: -0.000005 } }, WHALE), 0.000005, 'Paid in USDC: only the fee');
+assert.equal(solSpent({ trades: [], balanceChanges: { [WHALE]: 1 } }, WHALE), null, 'Received SOL');
+assert.equal(solSpent({ tokenTransfers: [] }, WHALE), null, 'No balance changes cached');
+console.log('✅ Passed\n');
+
+// Test 2: The copy spends the same share of our balance
+console.log('Test 2: The copy spends the same share of our balance');
+let size = copyTradeSize({ spent: 5, walletValue: 100, balance: 4, minAmount: 0.01, maxAmount: 0.5 });
+assert.ok(near(size.share, 0.05));
+assert.ok(near(size.proportional, 0.2));
+assert.equal(size.amount, 0.2);
+assert.equal(size.clamped, null);
+assert.equal(size.affordable, true);
+
+size = copyTradeSize({ spent: 1, walletValue: 3, balance: 1 });
+assert.equal(size.amount, 0.3333, 'Rounded down to 4 decimals');
+console.log('✅ Passed\n');
+
+// Test 3: Sizes are clamped to the min/max and checked against the balance
+console.log('Test 3: Sizes are clamped to the min/max and checked against the balance');
+size = copyTradeSize({ spent: 0.1, walletValue: 1000, balance: 2, minAmount: 0.01, maxAmount: 0.5 });
+assert.equal(size.amount, 0.01);
+assert.equal(size.clamped, 'min');
+assert.ok(near(size.proportional, 0.0002));
+
+size = copyTradeSize({ spent: 50, walletValue: 100, balance: 2, minAmount: 0.01, maxAmount: 0.5 });
+assert.equal(size.amount, 0.5);
+assert.equal(size.clamped, 'max');
+
+size = copyTradeSize({ spent: 20, walletValue: 10, balance: 0.3, maxAmount: 1 });
+assert.equal(size.share, 1, 'Share capped when the wallet value is underpriced');
+assert.equal(size.amount, 0.3);
+
+size = copyTradeSize({ spent: 1, walletValue: 100, balance: 0.005, minAmount: 0.01 });
+assert.equal(size.amount, 0.01);
+assert.equal(size.affordable, false);
+
+assert.throws(() => copyTradeSize({ spent: 1, walletValue: 0, balance: 1 }), /needs the SOL spent and the wallet value/);
+assert.throws(() => copyTradeSize({ spent: null, walletValue: 10, balance: 1 }), /needs the SOL spent/);
+console.log('✅ Passed\n');
+
+console.log('✅ All Copy Sizing tests passed!');
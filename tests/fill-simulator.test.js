@@ -0,0 +1,114 @@
+import { FillSimulator, FillModel } from '../src/fill-simulator.js';
+import { PaperTrading } from '../src/paper-trading.js';
+import { SOL_MINT } from '../src/swap-decoder.js';
+import { strict as assert } from 'assert';
+
+/**
+ * Tests for simulated paper fills (no network)
+ */
+
+const BONK = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+const near = (actual, expected, epsilon = 1e-9) => Math.abs(actual - expected) < epsilon;
+
+/**
+ * TokenAnalyzer stand-in: $18K liquidity at $0.006 (60 SOL and 1.5M tokens at $150/SOL)
+ */
+const analyzer = {
+  price: 0.006,
+  async getTokenMetadata() {
+    return { price: this.price, liquidity: 18000 };
+  }
+};
+
+/**
+ * Jupiter stand-in quoting 0.00004 SOL per token less 2%, tokens with 5 decimals
+ */
+const quoter = {
+  down: false,
+  async getTokenDecimals(mint) {
+    return mint === SOL_MINT ? 9 : 5;
+  },
+  async getQuote(inputMint, outputMint, amount) {
+    if (this.down) {
+      throw new Error('Jupiter API error (503)');
+    }
+    const out = inputMint === SOL_MINT
+      ? Number(amount) / 1e9 / 0.00004 * 0.98 * 1e5
+      : Number(amount) / 1e5 * 0.00004 * 0.98 * 1e9;
+    return { inAmount: amount, outAmount: Math.floor(out).toString(), priceImpactPct: '1.5' };
+  }
+};
+
+console.log('🧪 Running Fill Simulator Tests...\n');
+
+// Test 1: Pool fills follow x*y=k with the DEX fee on the SOL side
+console.log('Test 1: Pool fills follow x*y=k with the DEX fee on the SOL side');
+const pool = new FillSimulator({ analyzer, dexFeeBps: 25, networkFeeSol: 0.000005, priorityFeeSol: 0.0001 });
+assert.equal(pool.options.model, FillModel.POOL);
+const poolBuy = await pool.buy(BONK, 1, 150);
+assert.ok(near(poolBuy.tokenAmount, 1500000 * 0.9975 / 60.9975), '0.9975 SOL into a 60 SOL pool');
+assert.ok(near(poolBuy.fees.dex, 0.0025));
+assert.deepEqual([poolBuy.fees.network, poolBuy.fees.priority], [0.000005, 0.0001]);
+assert.ok(near(poolBuy.marketPriceSol, 0.00004));
+assert.ok(near(poolBuy.priceImpactPercent, 0.9975 / 60 * 100));
+assert.ok(poolBuy.fillPriceSol > poolBuy.marketPriceSol * 1.019, 'Impact and fee on top of the price');
+
+const poolSell = await pool.sell(BONK, 150000, 150);
+const swapped = 60 * 150000 / 1650000;
+assert.ok(near(poolSell.solAmount, swapped * 0.9975));
+assert.ok(near(poolSell.priceImpactPercent, (1 - 1500000 / 1650000) * 100));
+await assert.rejects(() => pool.buy(BONK, 1), /SOL\/USD rate/);
+console.log('✅ Passed\n');
+
+// Test 2: Jupiter fills use the quote, falling back to the pool
+console.log('Test 2: Jupiter fills use the quote, falling back to the pool');
+const jupiter = new FillSimulator({ quoter, analyzer, latencyMs: 20 });
+assert.equal(jupiter.options.model, FillModel.JUPITER);
+const started = Date.now();
+const quoted = await jupiter.buy(BONK, 0.1, 150);
+assert.ok(Date.now() - started >= 15, 'Waited for the latency');
+assert.equal(quoted.model, FillModel.JUPITER);
+assert.ok(near(quoted.tokenAmount, 2450), '0.1 SOL at 0.00004 less 2%');
+assert.equal(quoted.fees.dex, null, 'In the quote');
+assert.equal(quoted.priceImpactPercent, 1.5);
+assert.ok(near((await jupiter.sell(BONK, 2450, 150)).solAmount, 2450 * 0.00004 * 0.98, 1e-8));
+
+quoter.down = true;
+const fallback = await jupiter.buy(BONK, 0.1, 150);
+assert.equal(fallback.model, FillModel.POOL);
+await assert.rejects(() => new FillSimulator({ quoter }).buy(BONK, 0.1, 150), /503/, 'No pool to fall back to');
+quoter.down = false;
+console.log('✅ Passed\n');
+
+// Test 3: Paper trades record the quoted price next to the fill, fees in cost basis
+console.log('Test 3: Paper trades record the quoted price next to the fill, fees in cost basis');
+const paper = new PaperTrading(null, { quoteCurrency: 'usd', solUsd: () => 150, fillSimulator: pool });
+paper.toggle();
+paper.reset(2.0);
+const { trade: buy } = await paper.buy(BONK, 'BONK', 1, 0.006);
+assert.equal(buy.quotedPrice, 0.006);
+assert.ok(near(buy.pricePerToken, poolBuy.fillPriceSol * 150), 'Filled price in USD');
+assert.ok(near(buy.tokensReceived, poolBuy.tokenAmount));
+assert.ok(near(buy.fill.slippagePercent, (poolBuy.fillPriceSol / 0.00004 - 1) * 100));
+assert.equal(buy.fill.model, FillModel.POOL);
+assert.ok(near(buy.fill.marketPrice, 0.006));
+assert.ok(near(paper.getPortfolio().balance, 2 - 1.000105), '1 SOL plus network and priority fees');
+assert.ok(near(paper.getPortfolio().tokens[BONK].totalCost, 1.000105));
+
+const tokens = paper.getPortfolio().tokens[BONK].amount;
+const { trade: sell } = await paper.sell(BONK, tokens, 0.006);
+assert.ok(sell.fill.slippagePercent > 0, 'Sold below the quote');
+assert.ok(sell.solReceived < 1, 'Round trip at an unchanged price loses fees and impact');
+assert.ok(near(sell.solReceived, sell.tokenAmount * sell.priceSol - 0.000105));
+assert.ok(sell.profit < 0);
+assert.ok(near(paper.getStats().totalProfit, sell.solReceived - 1.000105));
+
+const exact = new PaperTrading(null, { quoteCurrency: 'usd', solUsd: () => 150 });
+exact.toggle();
+const { trade: free } = await exact.buy(BONK, 'BONK', 1, 0.006);
+assert.equal(free.fill, null, 'No simulator: exact fill');
+assert.equal(free.quotedPrice, free.pricePerToken);
+assert.ok(near(free.tokensReceived, 25000));
+console.log('✅ Passed\n');
+
+console.log('✅ All Fill Simulator tests passed!');
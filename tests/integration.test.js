@@ -0,0 +1,270 @@
+import { MockServer } from './mock-server.js';
+import { WalletTracker } from '../src/tracker.js';
+import { WalletMonitor, AlertType } from '../src/alerts.js';
+import { TokenAnalyzer } from '../src/token-analyzer.js';
+import { JupiterTrader } from '../src/jupiter-trader.js';
+import { WalletManager } from '../src/wallet.js';
+import { PaperTrading } from '../src/paper-trading.js';
+import { DexScreenerPriceSource } from '../src/price-source.js';
+import { MintMetadata } from '../src/mint-metadata.js';
+import { FillSimulator, FillModel } from '../src/fill-simulator.js';
+import { SOL_MINT } from '../src/swap-decoder.js';
+import { strict as assert } from 'assert';
+import { once } from 'events';
+
+/**
+ * End-to-end tests against the mock RPC / DexScreener / Jupiter server (no network)
+ */
+
+const WHALE = '7v4t5edVvzmeWKjMas4dyGFQDHEm923hFdCVp9tFdXDn';
+const OTHER_WHALE = 'HYWo71Wk9PNDe5sBaRKazPnVyGnQDiwgXCFKvgAQ1ENp';
+const HQNT = 'HQNTkc3ub9AVY4inVBeXa8D1x6uNoSTTiYrs3mcbpump';
+const UNPRICED = 'AmzqKcE6nuF67GA7kijk56kpCRH9VTbKd5ywxpBhdD22';
+const USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const SWAP_SIG = 'oUugbozuuy6U7tnqLeASpakb4bYoXeMrYR2tD5ZwLjTN6UDaEqgBL6TvZSzWaTrJ1iAvbhwgNE4FpfjwakFBJTQ';
+const TRANSFER_SIG = '2tWiMbXgQkjddy5f63BwxQeXhqkFc4DDnPEPtE3MSTswKmNdt4gfofbbytCaqviMSST8tHyA4kKeDnwYzifjQkc2';
+const WALLETS = [
+  { name: 'whale', emoji: '🐳', trackedWalletAddress: WHALE },
+  { name: 'other', emoji: '🐋', trackedWalletAddress: OTHER_WHALE }
+];
+
+const near = (actual, expected) => Math.abs(actual - expected) < 1e-9;
+
+async function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+/**
+ * Wait for an event, failing instead of hanging if it never comes
+ */
+function waitFor(emitter, event, ms = 5000) {
+  return Promise.race([
+    once(emitter, event).then(([value]) => value),
+    new Promise((resolve, reject) => {
+      setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), ms).unref();
+    })
+  ]);
+}
+
+/**
+ * Wait until `condition()` is true
+ */
+async function until(condition, ms = 5000) {
+  const deadline = Date.now() + ms;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+console.log('🧪 Running Integration Tests...\n');
+
+const server = new MockServer();
+const urls = await server.start();
+
+try {
+  // Test 1: WalletTracker reads balances, history and transactions over RPC
+  console.log('Test 1: WalletTracker reads balances, history and transactions over RPC');
+  const tracker = new WalletTracker(urls.rpc, {
+    priceSource: new DexScreenerPriceSource({ baseUrl: urls.dexScreener })
+  });
+  assert.equal(await tracker.getBalance(WHALE), 1.499985);
+
+  const history = await tracker.getRecentTransactions(WHALE, 10);
+  assert.deepEqual(history.map(tx => [tx.signature, tx.slot]), [[SWAP_SIG, 271234567]]);
+
+  const trade = await tracker.getTradeDetails(SWAP_SIG);
+  assert.equal(trade.success, true);
+  assert.equal(trade.trades[0].side, 'BUY');
+  assert.equal(trade.trades[0].outputMint, HQNT);
+  assert.equal(trade.trades[0].outputAmount, 12345.678901);
+  await assert.rejects(() => tracker.getTransactionDetails('1111111111111111111111111111111111111111111111111111111111111111'), /Transaction not found/);
+  console.log('✅ Passed\n');
+
+  // Test 2: Portfolio values token accounts with DexScreener prices
+  console.log('Test 2: Portfolio values token accounts with DexScreener prices');
+  const portfolio = await tracker.getPortfolio(WHALE);
+  assert.deepEqual(portfolio.holdings.map(h => [h.mint, h.program]), [
+    [HQNT, 'spl-token'],
+    [UNPRICED, 'token-2022']
+  ], 'Empty USDC account skipped, unpriced last');
+  assert.equal(portfolio.holdings[0].amount, 12345.678901);
+  assert.equal(portfolio.holdings[0].symbol, 'HQNT');
+  assert.ok(near(portfolio.holdings[0].valueSol, 12345.678901 * 0.00004));
+  assert.equal(portfolio.solPriceUsd, 150);
+  assert.equal(portfolio.unpricedHoldings, 1);
+  assert.ok(near(portfolio.totalValueSol, 1.499985 + 12345.678901 * 0.00004));
+  console.log('✅ Passed\n');
+
+  // Test 3: WalletMonitor alerts on log and account notifications
+  console.log('Test 3: WalletMonitor alerts on log and account notifications');
+  tracker.wallets = [WALLETS[0]];
+  const monitor = new WalletMonitor(tracker, { mode: 'subscribe', resyncInterval: 1000 });
+  await quietly(() => monitor.start());
+  assert.equal(monitor.lastChecked.get('whale'), SWAP_SIG, 'Seeded at the latest transaction');
+
+  const log = console.log;
+  console.log = () => {};
+  let sent, balanceChange;
+  try {
+    await until(() => server.subscriptions.size === 2); // logs + account
+    const sentAlert = waitFor(monitor, AlertType.TRANSACTION_SENT);
+    server.pushSignature(WHALE, TRANSFER_SIG);
+    sent = await sentAlert;
+
+    const balanceAlert = waitFor(monitor, AlertType.BALANCE_CHANGE);
+    server.setBalance(WHALE, 1249980000);
+    balanceChange = await balanceAlert;
+  } finally {
+    monitor.stop();
+    console.log = log;
+  }
+
+  assert.equal(sent.transaction.signature, TRANSFER_SIG);
+  assert.ok(near(sent.transaction.amount, 0.250005), '0.25 SOL plus the fee');
+  assert.ok(monitor.announcedSignatures.has(TRANSFER_SIG), 'Found through logsSubscribe, not a resync');
+  assert.equal(server.requestsFor('logsSubscribe')[0].params[0].mentions[0], WHALE);
+  assert.ok(near(balanceChange.balance.new, 1.24998));
+  assert.ok(near(balanceChange.balance.old, 1.499985));
+  console.log('✅ Passed\n');
+
+  // Test 4: TokenAnalyzer combines DexScreener data with on-chain holders
+  console.log('Test 4: TokenAnalyzer combines DexScreener data with on-chain holders');
+  const analyzer = new TokenAnalyzer(urls.rpc, WALLETS, { dexScreenerUrl: urls.dexScreener });
+  const analysis = await quietly(() => analyzer.analyzeToken(HQNT, WHALE));
+  assert.equal(analysis.success, true);
+  assert.equal(analysis.token.symbol, 'HQNT');
+  assert.equal(analysis.marketData.marketCap, 60000);
+  assert.equal(analysis.marketData.inTargetRange, true);
+  assert.equal(analysis.volumeAnalysis.isHeatingUp, true);
+  assert.deepEqual(analysis.whaleActivity.otherWhalesHolding.map(w => [w.name, w.balance]), [['other', 5000]], 'Buyer excluded');
+  assert.equal(analyzer.scoreToken(analysis).recommendation, 'BUY');
+
+  assert.equal((await analyzer.getHolderStats(HQNT)).holderCount, 3);
+  assert.equal(await analyzer.getTokenMetadata(UNPRICED), null, 'No pairs');
+  console.log('✅ Passed\n');
+
+  // Test 5: JupiterTrader quotes, signs, sends and confirms a swap
+  console.log('Test 5: JupiterTrader quotes, signs, sends and confirms a swap');
+  const walletManager = new WalletManager(urls.rpc);
+  const { publicKey } = walletManager.createWallet();
+  const trader = await quietly(async () => new JupiterTrader(walletManager, urls.rpc, null, {
+    apiUrl: urls.jupiter,
+    tokenListUrl: urls.tokenList
+  }));
+
+  assert.equal(await trader.getTokenDecimals(HQNT), 6);
+  await assert.rejects(() => trader.getTokenDecimals(WHALE), /not a token mint/);
+
+  const quote = await trader.getQuote(SOL_MINT, HQNT, 100000000, 100);
+  assert.equal(quote.outAmount, '2500000000', '0.1 SOL at 0.00004 SOL per token');
+  assert.equal(quote.otherAmountThreshold, '2475000000');
+  await assert.rejects(() => trader.getQuote(SOL_MINT, UNPRICED, 100000000), /not tradable/);
+
+  const result = await quietly(() => trader.buySolToToken(HQNT, 0.1));
+  assert.equal(result.success, true);
+  assert.equal(result.outputAmount, '2500000000');
+  assert.equal(server.sent.length, 1);
+  assert.equal(result.signature, server.sent[0].signature);
+  assert.equal(server.requestsFor('POST /swap')[0].params.userPublicKey, publicKey);
+  assert.equal(server.sent[0].transaction.message.staticAccountKeys[0].toString(), publicKey, 'Signed by the bot wallet');
+  assert.equal((await trader.getTokenInfo(HQNT)).symbol, 'HQNT');
+  console.log('✅ Passed\n');
+
+  // Test 6: Paper ledger prices its holdings from DexScreener
+  console.log('Test 6: Paper ledger prices its holdings from DexScreener');
+  const paper = new PaperTrading(null, { dexScreenerUrl: urls.dexScreener, quoteCurrency: 'usd' });
+  paper.toggle();
+  await paper.buy(HQNT, 'HQNT', 0.1, 0.005);
+  assert.equal(paper.getHistory(1)[0].solUsd, 150, 'SOL/USD rate from DexScreener');
+  assert.equal((await paper.fetchCurrentPrices())[HQNT], 0.006);
+  const valued = await paper.getPortfolioWithPrices();
+  assert.ok(Math.abs(valued.tokens[HQNT].unrealizedPnLUsd - 3) < 1e-9, '$15 of HQNT now worth $18');
+
+  const solPaper = new PaperTrading(null, { dexScreenerUrl: urls.dexScreener });
+  solPaper.toggle();
+  await solPaper.buy(HQNT, 'HQNT', 0.1, 0.00003);
+  assert.equal((await solPaper.fetchCurrentPrices())[HQNT], 0.00004, 'SOL ledgers get SOL prices');
+  console.log('✅ Passed\n');
+
+  // Test 7: JupiterTrader sells the bot wallet's on-chain token balance
+  console.log('Test 7: JupiterTrader sells the bot wallet\'s on-chain token balance');
+  await assert.rejects(() => trader.sellTokenToSol(HQNT, { percent: 50 }), /No .* balance to sell/);
+  server.setTokenBalance(publicKey, HQNT, '2000000000');
+  const balance = await trader.getTokenBalance(HQNT);
+  assert.equal(balance.rawAmount, 2000000000n);
+  assert.equal(balance.amount, 2000);
+  assert.equal(balance.decimals, 6);
+
+  const half = await quietly(() => trader.sellTokenToSol(HQNT, { percent: 50 }));
+  assert.equal(half.inputAmount, '1000000000');
+  assert.equal(half.tokensSold, 1000);
+  assert.ok(Math.abs(half.solReceived - 0.04) < 1e-9, '1000 tokens at 0.00004 SOL');
+  assert.equal(server.requestsFor('GET /quote').at(-1).params.outputMint, SOL_MINT);
+
+  const capped = await quietly(() => trader.sellTokenToSol(HQNT, { amount: 5000 }));
+  assert.equal(capped.tokensSold, 2000, 'Capped at the balance');
+  await assert.rejects(() => trader.sellTokenToSol(HQNT, { percent: 150 }), /between 0 and 100/);
+  await assert.rejects(() => trader.sellTokenToSol(HQNT), /needs an amount or percent/);
+
+  const bought = await quietly(() => trader.swapTokens(SOL_MINT, HQNT, 0.1, 100));
+  assert.equal(bought.inputUiAmount, 0.1);
+  assert.equal(bought.outputUiAmount, 2500);
+  console.log('✅ Passed\n');
+
+  // Test 8: Mint metadata comes from the mint account, Metaplex and Token-2022
+  console.log('Test 8: Mint metadata comes from the mint account, Metaplex and Token-2022');
+  const mintMetadata = new MintMetadata(urls.rpc, { dataFile: null });
+  const hqnt = await mintMetadata.get(HQNT);
+  assert.deepEqual(
+    [hqnt.program, hqnt.decimals, hqnt.supply, hqnt.name, hqnt.symbol],
+    ['spl-token', 6, '1000000000000000', 'Headquarters', 'HQNT'],
+    'Metaplex metadata account'
+  );
+  const nope = await mintMetadata.get(UNPRICED);
+  assert.deepEqual([nope.program, nope.decimals, nope.symbol], ['token-2022', 9, 'NOPE'], 'Token-2022 metadata extension');
+  assert.equal((await mintMetadata.get(USDC)).freezeAuthority, '7dGbd2QZcCKcTndnHcTL8q7SMVXAkp688NTQYwrRCrar');
+  await assert.rejects(() => mintMetadata.get(WHALE), /not a token mint/);
+
+  const named = new WalletTracker(urls.rpc, {
+    priceSource: new DexScreenerPriceSource({ baseUrl: urls.dexScreener }),
+    mintMetadata
+  });
+  const holdings = await named.getTokenHoldings(WHALE);
+  assert.equal(holdings.find(h => h.mint === UNPRICED).symbol, 'NOPE', 'Named without a market');
+  const details = await named.getTransactionDetails(SWAP_SIG, WHALE);
+  assert.equal(details.tokenTransfers.find(t => t.mint === HQNT).symbol, 'HQNT');
+  assert.deepEqual([details.trades[0].inputSymbol, details.trades[0].outputSymbol], ['SOL', 'HQNT']);
+
+  const info = await quietly(() => new JupiterTrader(walletManager, urls.rpc, null, {
+    apiUrl: urls.jupiter,
+    tokenListUrl: `${urls.jupiter}/missing`,
+    mintMetadata
+  }).getTokenInfo(UNPRICED));
+  assert.deepEqual([info.symbol, info.decimals], ['NOPE', 9], 'Not in the token list: read from chain');
+  console.log('✅ Passed\n');
+
+  // Test 9: Paper fills come from Jupiter quotes or the DexScreener pool
+  console.log('Test 9: Paper fills come from Jupiter quotes or the DexScreener pool');
+  const jupiterFill = await new FillSimulator({ quoter: trader, analyzer }).buy(HQNT, 0.1, 150);
+  assert.equal(jupiterFill.model, FillModel.JUPITER);
+  assert.equal(jupiterFill.tokenAmount, 2500, 'The mock quote, 0.00004 SOL per token');
+
+  const poolFill = await new FillSimulator({ analyzer }).buy(HQNT, 0.1, 150);
+  assert.equal(poolFill.model, FillModel.POOL);
+  assert.ok(near(poolFill.marketPriceSol, 0.00004));
+  assert.ok(poolFill.tokenAmount < 2500, 'Less than the quote: DEX fee and price impact');
+  console.log('✅ Passed\n');
+} finally {
+  await server.stop();
+}
+
+console.log('✅ All Integration tests passed!');
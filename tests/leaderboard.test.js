@@ -0,0 +1,183 @@
+import { Leaderboard } from '../src/leaderboard.js';
+import { TradingBot, TradingStrategies } from '../src/trading-bot.js';
+import { AlertType } from '../src/alerts.js';
+import { SOL_MINT } from '../src/swap-decoder.js';
+import { strict as assert } from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Tests for Leaderboard using a stubbed tracker (no network)
+ */
+
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'laxmi-leaderboard-'));
+const CACHE_FILE = path.join(TMP_DIR, 'leaderboard-cache.json');
+const MINT_A = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+const MINT_B = 'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm';
+const DAY = 86400;
+const now = Math.floor(Date.now() / 1000);
+
+function cleanup() {
+  if (fs.existsSync(CACHE_FILE)) {
+    fs.unlinkSync(CACHE_FILE);
+  }
+}
+
+function buy(mint, sol, amount) {
+  return { side: 'BUY', inputMint: SOL_MINT, inputAmount: sol, outputMint: mint, outputAmount: amount, venue: 'pump.fun', priceInSol: sol / amount };
+}
+
+function sell(mint, amount, sol) {
+  return { side: 'SELL', inputMint: mint, inputAmount: amount, outputMint: SOL_MINT, outputAmount: sol, venue: 'pump.fun', priceInSol: sol / amount };
+}
+
+function tx(daysAgo, trades) {
+  return { signature: `SIG${Math.random()}`, blockTime: now - daysAgo * DAY, success: true, trades };
+}
+
+/**
+ * winner: 10 round trips doubling 1 SOL each within the last week
+ * loser: 10 round trips losing half, within the last week
+ * stale: a big win 20 days ago, nothing since
+ */
+function roundTrips(count, exitSol, daysAgo = 1) {
+  const txs = [];
+  for (let i = 0; i < count; i++) {
+    txs.push(tx(daysAgo + 0.1, [buy(MINT_A, 1, 1000)]));
+    txs.push(tx(daysAgo, [sell(MINT_A, 1000, exitSol)]));
+  }
+  return txs;
+}
+
+const histories = {
+  winner: roundTrips(10, 2),
+  loser: roundTrips(10, 0.5),
+  stale: [tx(20.5, [buy(MINT_B, 1, 100)]), tx(20, [sell(MINT_B, 100, 30)])]
+};
+
+const tracker = {
+  wallets: Object.keys(histories).map(name => ({ name, emoji: '👛', trackedWalletAddress: `${name}-address` })),
+  historyCalls: 0,
+  detailCalls: 0,
+  inFlight: 0,
+  maxInFlight: 0,
+  async getRecentTransactions(address, limit) {
+    this.historyCalls++;
+    const name = address.replace('-address', '');
+    return histories[name].slice(0, limit).map(({ signature, blockTime }) => ({ signature, blockTime }));
+  },
+  async getTransactionDetails(signature) {
+    this.detailCalls++;
+    this.maxInFlight = Math.max(this.maxInFlight, ++this.inFlight);
+    await new Promise(resolve => setTimeout(resolve, 1));
+    this.inFlight--;
+    return Object.values(histories).flat().find(t => t.signature === signature);
+  },
+  connection: {
+    async getTokenSupply() {
+      return { value: { uiAmountString: '1000000000' } };
+    }
+  },
+  priceSource: {
+    async getPrices() {
+      return { [SOL_MINT]: { priceUsd: 150, priceSol: 1 } };
+    }
+  }
+};
+
+console.log('🧪 Running Leaderboard Tests...\n');
+
+// Test 1: Wallets are ranked by score
+console.log('Test 1: Wallets are ranked by score');
+cleanup();
+let leaderboard = new Leaderboard(tracker, { cacheFile: CACHE_FILE });
+let board = await leaderboard.getLeaderboard('7d');
+assert.deepEqual(board.wallets.map(w => w.name), ['winner', 'loser', 'stale']);
+assert.deepEqual(board.wallets.map(w => w.rank), [1, 2, 3]);
+const winner = board.wallets[0];
+assert.equal(winner.realizedPnlSol, 10);
+assert.equal(winner.winRate, 1);
+assert.equal(winner.closedTrades, 10);
+assert.equal(board.wallets[1].winRate, 0);
+console.log('✅ Passed\n');
+
+// Test 2: Metrics cover frequency, hold time and entry market cap
+console.log('Test 2: Metrics cover frequency, hold time and entry market cap');
+assert.ok(Math.abs(winner.tradesPerDay - 20 / 7) < 1e-9, '20 trades over 7 days');
+assert.ok(Math.abs(winner.medianHoldTimeMs - 0.1 * DAY * 1000) < 1, 'Held 0.1 days');
+assert.equal(winner.avgEntryMarketCapSol, 0.001 * 1e9, 'Entry price times supply');
+assert.equal(winner.avgEntryMarketCapUsd, 0.001 * 1e9 * 150);
+assert.equal(winner.complete, true);
+console.log('✅ Passed\n');
+
+// Test 3: The window excludes older trades
+console.log('Test 3: The window excludes older trades');
+const stale7d = board.wallets.find(w => w.name === 'stale');
+assert.equal(stale7d.closedTrades, 0, 'Trade 20 days ago is outside 7d');
+board = await leaderboard.getLeaderboard('30d');
+const stale30d = board.wallets.find(w => w.name === 'stale');
+assert.equal(stale30d.realizedPnlSol, 29, 'Trade 20 days ago is inside 30d');
+console.log('✅ Passed\n');
+
+// Test 4: Results are cached to disk and reused
+console.log('Test 4: Results are cached to disk and reused');
+const callsBefore = tracker.historyCalls;
+leaderboard = new Leaderboard(tracker, { cacheFile: CACHE_FILE });
+board = await leaderboard.getLeaderboard('7d');
+assert.equal(tracker.historyCalls, callsBefore, 'Should not refetch within the TTL');
+assert.equal(board.wallets[0].name, 'winner');
+await leaderboard.getLeaderboard('7d', { refresh: true });
+assert.equal(tracker.historyCalls, callsBefore + 3, 'Refresh should refetch every wallet');
+await assert.rejects(() => leaderboard.getLeaderboard('1y'), /Unknown leaderboard window/);
+console.log('✅ Passed\n');
+
+// Test 5: Refreshes limit concurrency, reuse fetched transactions and share one run
+console.log('Test 5: Refreshes limit concurrency, reuse fetched transactions and share one run');
+assert.ok(tracker.maxInFlight <= 4, `At most 4 getTransaction calls at once (saw ${tracker.maxInFlight})`);
+assert.ok(tracker.maxInFlight > 1, 'Fetched in parallel');
+const detailsBefore = tracker.detailCalls;
+histories.loser.unshift(tx(0.5, [buy(MINT_A, 1, 1000)]));
+const [first, second] = await Promise.all([
+  leaderboard.getLeaderboard('24h', { refresh: true }),
+  leaderboard.getLeaderboard('24h', { refresh: true })
+]);
+assert.equal(first, second, 'One run for both');
+assert.equal(tracker.detailCalls, detailsBefore + 1, 'Only the new transaction is fetched');
+assert.equal(first.wallets.find(w => w.name === 'loser').buys, 1, 'Bought 12h ago');
+assert.equal(leaderboard.isFresh('24h'), true);
+assert.equal(new Leaderboard(tracker, { cacheFile: CACHE_FILE, cacheTtl: 1 }).isFresh('30d'), false);
+histories.loser.shift();
+console.log('✅ Passed\n');
+
+// Test 6: TradingBot scales trade size by wallet score
+console.log('Test 6: TradingBot scales trade size by wallet score');
+const bot = new TradingBot(tracker, {}, { leaderboard, leaderboardWindow: '7d', maxTradeAmount: 1 });
+const winnerScore = bot.getWalletScore('winner');
+const loserScore = bot.getWalletScore('loser');
+assert.ok(winnerScore > loserScore, 'Winner should score higher');
+assert.equal(bot.getWalletScore('unknown'), null);
+assert.equal(bot.scaleByWalletScore(1, 'unknown'), 1, 'Unranked wallets are not scaled');
+assert.ok(Math.abs(bot.scaleByWalletScore(1, 'winner') - (0.25 + 0.75 * winnerScore)) < 1e-9);
+
+const sniper = TradingStrategies.tokenSniper([], { scaleByScore: true });
+const alert = { type: AlertType.SWAP_BUY, wallet: { name: 'loser' }, trade: buy(MINT_A, 1, 1000) };
+const params = await sniper.action(alert, bot);
+assert.ok(params.amount < 0.5, 'Low scoring wallet should get a smaller copy');
+console.log('✅ Passed\n');
+
+// Test 7: Scores follow a renamed wallet and the cache is written atomically
+console.log('Test 7: Scores follow a renamed wallet and the cache is written atomically');
+tracker.wallets.find(w => w.name === 'winner').name = 'champ';
+assert.equal(bot.getWalletScore('champ'), winnerScore, 'Score kept after a rename');
+assert.equal(bot.getWalletScore('winner-address'), winnerScore, 'Looked up by address');
+assert.equal(bot.getWalletScore('winner'), null, 'Old name no longer matches');
+assert.ok(fs.existsSync(CACHE_FILE));
+assert.ok(!fs.existsSync(`${CACHE_FILE}.tmp`), 'No temp file left behind');
+console.log('✅ Passed\n');
+
+cleanup();
+
+fs.rmSync(TMP_DIR, { recursive: true, force: true });
+
+console.log('✅ All Leaderboard tests passed!');
@@ -0,0 +1,158 @@
+import { MintMetadata } from '../src/mint-metadata.js';
+import { SOL_MINT } from '../src/swap-decoder.js';
+import { strict as assert } from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Tests for the mint metadata cache (no network)
+ */
+
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'laxmi-mint-metadata-'));
+const DATA_FILE = path.join(TMP_DIR, 'mint-metadata.json');
+const BONK = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+const WHALE = 'HYWo71Wk9PNDe5sBaRKazPnVyGnQDiwgXCFKvgAQ1ENp';
+
+function cleanup() {
+  for (const file of [DATA_FILE, `${DATA_FILE}.tmp`]) {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+  }
+}
+
+/**
+ * Token-2022 mint with a metadata extension, counting reads
+ */
+class FakeConnection {
+  constructor() {
+    this.reads = 0;
+    this.down = false;
+    this.supply = '1000000000';
+  }
+
+  async getParsedAccountInfo(address) {
+    this.reads++;
+    await new Promise(resolve => setTimeout(resolve, 5));
+    if (this.down) {
+      throw new Error('RPC down');
+    }
+    if (address.toBase58() !== BONK) {
+      return { value: { data: { program: 'system', parsed: null } } };
+    }
+    return {
+      value: {
+        data: {
+          program: 'spl-token-2022',
+          parsed: {
+            type: 'mint',
+            info: {
+              decimals: 5,
+              supply: this.supply,
+              mintAuthority: null,
+              freezeAuthority: WHALE,
+              extensions: [{ extension: 'tokenMetadata', state: { name: 'Bonk', symbol: 'BONK', uri: 'https://example.com/bonk.json' } }]
+            }
+          }
+        }
+      }
+    };
+  }
+
+  async getAccountInfo() {
+    throw new Error('Token-2022 metadata needs no Metaplex lookup');
+  }
+}
+
+console.log('🧪 Running Mint Metadata Tests...\n');
+cleanup();
+
+// Test 1: Mints are read once and cached on disk
+console.log('Test 1: Mints are read once and cached on disk');
+const connection = new FakeConnection();
+const metadata = new MintMetadata(connection, { dataFile: DATA_FILE });
+const [first, second] = await Promise.all([metadata.get(BONK), metadata.get(BONK)]);
+assert.equal(connection.reads, 1, 'Concurrent reads shared');
+assert.deepEqual(first, second);
+assert.deepEqual(
+  [first.mint, first.program, first.decimals, first.supply, first.freezeAuthority, first.symbol, first.name],
+  [BONK, 'token-2022', 5, '1000000000', WHALE, 'BONK', 'Bonk']
+);
+await metadata.get(BONK);
+assert.equal(connection.reads, 1, 'Served from the cache');
+assert.ok(!fs.existsSync(`${DATA_FILE}.tmp`), 'Temp file renamed into place');
+
+const offline = new FakeConnection();
+offline.down = true;
+const restored = new MintMetadata(offline, { dataFile: DATA_FILE });
+assert.equal((await restored.get(BONK)).symbol, 'BONK');
+assert.equal(await restored.getDecimals(BONK), 5);
+assert.equal(offline.reads, 0, 'Restored without the RPC');
+console.log('✅ Passed\n');
+
+// Test 2: Old entries are re-read, keeping the cache if that fails
+console.log('Test 2: Old entries are re-read, keeping the cache if that fails');
+const aging = new MintMetadata(connection, { dataFile: DATA_FILE, maxAge: 60000 });
+aging.data.mints[BONK].fetchedAt = new Date(Date.now() - 120000).toISOString();
+connection.supply = '900000000';
+assert.equal((await aging.get(BONK)).supply, '900000000', 'Supply refreshed');
+assert.equal(connection.reads, 2);
+
+aging.data.mints[BONK].fetchedAt = new Date(Date.now() - 120000).toISOString();
+connection.down = true;
+assert.equal(await aging.getDecimals(BONK), 5, 'Decimals never expire');
+assert.equal(connection.reads, 2);
+const stale = await aging.get(BONK);
+assert.equal(stale.supply, '900000000', 'Stale entry when the RPC fails');
+console.log('✅ Passed\n');
+
+// Test 3: SOL needs no lookup, other accounts are rejected
+console.log('Test 3: SOL needs no lookup, other accounts are rejected');
+const reads = connection.reads;
+assert.equal(await aging.getDecimals(SOL_MINT), 9);
+assert.equal((await aging.get(SOL_MINT)).symbol, 'SOL');
+assert.equal(connection.reads, reads);
+
+connection.down = false;
+await assert.rejects(() => aging.get(WHALE), /not a token mint/);
+const many = await aging.getMany([BONK, WHALE, BONK]);
+assert.deepEqual(Object.keys(many), [BONK], 'Unreadable mints left out');
+
+assert.equal(new MintMetadata(connection, { dataFile: null }).options.dataFile, null);
+cleanup();
+console.log('✅ Passed\n');
+
+// Test 4: Failed reads are cached briefly
+console.log('Test 4: Failed reads are cached briefly');
+const failing = new MintMetadata(connection, { dataFile: null, failureTtl: 50 });
+const failedReads = connection.reads;
+const logged = [];
+const logError = console.error;
+console.error = (...args) => logged.push(args.join(' '));
+try {
+  assert.deepEqual(await failing.getMany([WHALE]), {});
+  assert.deepEqual(await failing.getMany([WHALE]), {});
+  await assert.rejects(() => failing.get(WHALE), /not a token mint/);
+  assert.equal(connection.reads, failedReads + 1, 'Not re-read within failureTtl');
+  assert.equal(logged.length, 1, 'Logged once');
+
+  await new Promise(resolve => setTimeout(resolve, 60));
+  await assert.rejects(() => failing.get(WHALE), /not a token mint/);
+  assert.equal(connection.reads, failedReads + 2, 'Retried after failureTtl');
+} finally {
+  console.error = logError;
+}
+
+connection.down = true;
+await assert.rejects(() => failing.get(BONK), /RPC down/);
+connection.down = false;
+await assert.rejects(() => failing.get(BONK), /RPC down/, 'Outage remembered too');
+await new Promise(resolve => setTimeout(resolve, 60));
+assert.equal((await failing.get(BONK)).symbol, 'BONK', 'Read once the RPC recovers');
+assert.equal(failing.failures.size, 1, 'Only the non-mint is still remembered');
+console.log('✅ Passed\n');
+
+fs.rmSync(TMP_DIR, { recursive: true, force: true });
+
+console.log('✅ All Mint Metadata tests passed!');
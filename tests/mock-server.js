@@ -0,0 +1,779 @@
+#!/usr/bin/env node
+
+import http from 'http';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { WebSocketServer } from 'ws';
+import bs58 from 'bs58';
+import { PublicKey, SystemProgram, TransactionMessage, VersionedTransaction } from '@solana/web3.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const TOKEN_PROGRAMS = {
+  'spl-token': 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA',
+  'token-2022': 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb'
+};
+const PARSED_PROGRAM_NAMES = { 'spl-token': 'spl-token', 'token-2022': 'spl-token-2022' };
+const SYSTEM_PROGRAM = '11111111111111111111111111111111';
+const ASSOCIATED_TOKEN_PROGRAM = 'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL';
+const METADATA_PROGRAM = 'metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s';
+const BLOCKHASH = '2xxkkvYxCArifvNiLxQ7QkTycFN3nrgEXgG1Ybm7qHmP';
+const TOKEN_ACCOUNT_RENT = 2039280;
+
+/**
+ * MockServer - Local stand-in for Solana RPC, DexScreener and Jupiter
+ *
+ * Serves everything the tracker, monitor, analyzer and trader talk to from
+ * one fixture file (tests/fixtures/mock-chain.json by default):
+ * - JSON-RPC on `url`: balances, signatures, transactions, token accounts,
+ *   mint info and metadata (Metaplex accounts, or the Token-2022 extension),
+ *   sendTransaction and signature statuses
+ * - RPC websocket on port + 1 (where web3.js looks for it): logs, account
+ *   and signature subscriptions
+ * - DexScreener `/latest/dex/tokens/:mints`, Jupiter `/quote`, `/swap` and
+ *   the `/all` token list, priced from the fixture's pairs
+ *
+ * Every request is kept in `requests`. Use `pushSignature()`,
+ * `setBalance()` and `setTokenBalance()` to make new activity show up while
+ * a test runs.
+ *
+ * Run it on its own with `npm run mock-server` and point SOLANA_RPC_URL,
+ * DEXSCREENER_API_URL and JUPITER_API_URL at it to use the bot offline.
+ */
+export class MockServer {
+  constructor(options = {}) {
+    this.options = {
+      fixture: options.fixture || join(__dirname, 'fixtures', 'mock-chain.json'),
+      host: options.host || '127.0.0.1',
+      ...options
+    };
+
+    const fixture = JSON.parse(readFileSync(this.options.fixture, 'utf8'));
+    const fixtureDir = dirname(this.options.fixture);
+
+    this.slot = fixture.slot || 1;
+    this.accounts = new Map(Object.entries(fixture.accounts || {})); // address -> { lamports, tokenAccounts }
+    this.mints = fixture.mints || {}; // mint -> { decimals, supply, symbol, name, uri, program, mintAuthority, freezeAuthority }
+    this.signatures = new Map(Object.entries(fixture.signatures || {})); // address -> [signature], newest first
+    this.pairs = fixture.pairs || [];
+    this.metadataAccounts = new Map(); // Metaplex metadata address -> mint
+    const metadataProgram = new PublicKey(METADATA_PROGRAM);
+    for (const [address, mint] of Object.entries(this.mints)) {
+      if ((mint.program || 'spl-token') === 'spl-token' && (mint.name || mint.symbol)) {
+        const [metadata] = PublicKey.findProgramAddressSync(
+          [Buffer.from('metadata'), metadataProgram.toBuffer(), new PublicKey(address).toBuffer()],
+          metadataProgram
+        );
+        this.metadataAccounts.set(metadata.toBase58(), address);
+      }
+    }
+    this.transactions = new Map(); // signature -> raw getTransaction result
+    for (const [signature, tx] of Object.entries(fixture.transactions || {})) {
+      this.transactions.set(signature, typeof tx === 'string'
+        ? JSON.parse(readFileSync(join(fixtureDir, tx), 'utf8'))
+        : tx);
+    }
+
+    this.statuses = new Map(); // signature -> status of transactions sent here
+    this.sent = []; // { signature, transaction } in the order received
+    this.requests = []; // { method, params } for every RPC and HTTP request
+    this.subscriptions = new Map(); // id -> { socket, method, params }
+    this.nextSubscription = 1;
+
+    this.server = null;
+    this.wsServer = null;
+    this.wss = null;
+    this.url = null;
+    this.wsUrl = null;
+  }
+
+  /**
+   * Start listening (port 0 picks a free one) and return the endpoint URLs
+   */
+  async start(port = 0) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await this._listen(port);
+        break;
+      } catch (error) {
+        await this._close();
+        // A random port's neighbour was taken, try another
+        if (error.code !== 'EADDRINUSE' || port !== 0 || attempt >= 5) {
+          throw error;
+        }
+      }
+    }
+
+    return this.getUrls();
+  }
+
+  /**
+   * Stop listening and disconnect every client
+   */
+  async stop() {
+    await this._close();
+  }
+
+  /**
+   * Endpoints to hand to the classes under test
+   */
+  getUrls() {
+    return {
+      rpc: this.url,
+      ws: this.wsUrl,
+      dexScreener: this.url,
+      jupiter: this.url,
+      tokenList: `${this.url}/all`
+    };
+  }
+
+  /**
+   * Make a transaction the newest one for an address
+   *
+   * Log subscribers for the address are notified like a live RPC would.
+   * `tx` is only needed for signatures that aren't in the fixture.
+   */
+  pushSignature(address, signature, tx = null) {
+    if (tx) {
+      this.transactions.set(signature, tx);
+    }
+    if (!this.signatures.has(address)) {
+      this.signatures.set(address, []);
+    }
+    this.signatures.get(address).unshift(signature);
+    this.slot = Math.max(this.slot + 1, this.transactions.get(signature)?.slot || 0);
+
+    this._notify('logsSubscribe', params => params[0]?.mentions?.includes(address), () => ({
+      signature,
+      err: this.transactions.get(signature)?.meta?.err ?? null,
+      logs: this.transactions.get(signature)?.meta?.logMessages || []
+    }));
+  }
+
+  /**
+   * Change an address's SOL balance, notifying account subscribers
+   */
+  setBalance(address, lamports) {
+    this._account(address).lamports = lamports;
+    this._notify('accountSubscribe', params => params[0] === address, () => this._systemAccount(address));
+  }
+
+  /**
+   * Change an address's raw balance of a token, creating its associated token account
+   */
+  setTokenBalance(owner, mint, amount) {
+    const account = this._account(owner);
+    account.tokenAccounts ||= [];
+
+    let tokenAccount = account.tokenAccounts.find(t => t.mint === mint);
+    if (!tokenAccount) {
+      const program = new PublicKey(TOKEN_PROGRAMS[this.mints[mint]?.program || 'spl-token']);
+      const [pubkey] = PublicKey.findProgramAddressSync(
+        [new PublicKey(owner).toBuffer(), program.toBuffer(), new PublicKey(mint).toBuffer()],
+        new PublicKey(ASSOCIATED_TOKEN_PROGRAM)
+      );
+      tokenAccount = { pubkey: pubkey.toBase58(), mint, amount: '0' };
+      account.tokenAccounts.push(tokenAccount);
+    }
+    tokenAccount.amount = String(amount);
+  }
+
+  /**
+   * Requests made for one RPC method or HTTP route
+   */
+  requestsFor(method) {
+    return this.requests.filter(request => request.method === method);
+  }
+
+  async _listen(port) {
+    this.server = http.createServer((req, res) => this._handleHttp(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, this.options.host, resolve);
+    });
+
+    // web3.js expects the websocket on the RPC port + 1
+    const httpPort = this.server.address().port;
+    this.wsServer = http.createServer();
+    await new Promise((resolve, reject) => {
+      this.wsServer.once('error', reject);
+      this.wsServer.listen(httpPort + 1, this.options.host, resolve);
+    });
+
+    this.wss = new WebSocketServer({ server: this.wsServer });
+    this.wss.on('connection', socket => {
+      socket.on('message', data => this._handleSocketMessage(socket, data));
+      socket.on('close', () => {
+        for (const [id, subscription] of this.subscriptions) {
+          if (subscription.socket === socket) this.subscriptions.delete(id);
+        }
+      });
+    });
+
+    this.url = `http://${this.options.host}:${httpPort}`;
+    this.wsUrl = `ws://${this.options.host}:${httpPort + 1}`;
+  }
+
+  async _close() {
+    if (this.wss) {
+      // Close code 1000 tells web3.js not to reconnect
+      await Promise.all([...this.wss.clients].map(socket => new Promise(resolve => {
+        const timer = setTimeout(() => {
+          socket.terminate();
+          resolve();
+        }, 1000);
+        socket.once('close', () => {
+          clearTimeout(timer);
+          resolve();
+        });
+        socket.close(1000);
+      })));
+      this.wss.close();
+      this.wss = null;
+    }
+
+    for (const server of [this.wsServer, this.server]) {
+      if (server?.listening) {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+      }
+    }
+    this.server = null;
+    this.wsServer = null;
+    this.subscriptions.clear();
+  }
+
+  // --- HTTP ---
+
+  async _handleHttp(req, res) {
+    try {
+      const url = new URL(req.url, this.url);
+      const body = req.method === 'POST' ? await this._readBody(req) : null;
+
+      if (req.method === 'POST' && url.pathname === '/') {
+        const payload = JSON.parse(body);
+        const response = Array.isArray(payload)
+          ? payload.map(request => this._handleRpc(request))
+          : this._handleRpc(payload);
+        return this._sendJson(res, 200, response);
+      }
+
+      if (req.method === 'GET' && url.pathname.startsWith('/latest/dex/tokens/')) {
+        const mints = decodeURIComponent(url.pathname.slice('/latest/dex/tokens/'.length)).split(',');
+        this.requests.push({ method: 'GET /latest/dex/tokens', params: mints });
+        return this._sendJson(res, 200, this._dexScreenerTokens(mints));
+      }
+
+      if (req.method === 'GET' && url.pathname === '/quote') {
+        const params = Object.fromEntries(url.searchParams);
+        this.requests.push({ method: 'GET /quote', params });
+        const quote = this._jupiterQuote(params);
+        return this._sendJson(res, quote.error ? 400 : 200, quote);
+      }
+
+      if (req.method === 'POST' && url.pathname === '/swap') {
+        const params = JSON.parse(body);
+        this.requests.push({ method: 'POST /swap', params });
+        const swap = this._jupiterSwap(params);
+        return this._sendJson(res, swap.error ? 400 : 200, swap);
+      }
+
+      if (req.method === 'GET' && url.pathname === '/all') {
+        this.requests.push({ method: 'GET /all', params: {} });
+        return this._sendJson(res, 200, this._tokenList());
+      }
+
+      this._sendJson(res, 404, { error: `Not found: ${req.method} ${url.pathname}` });
+    } catch (error) {
+      this._sendJson(res, 500, { error: error.message });
+    }
+  }
+
+  _readBody(req) {
+    return new Promise((resolve, reject) => {
+      let body = '';
+      req.setEncoding('utf8');
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => resolve(body));
+      req.on('error', reject);
+    });
+  }
+
+  _sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  // --- JSON-RPC ---
+
+  _handleRpc({ id, method, params = [] }) {
+    this.requests.push({ method, params });
+
+    const handler = this._rpcMethods()[method];
+    if (!handler) {
+      return { jsonrpc: '2.0', id, error: { code: -32601, message: `Method not found: ${method}` } };
+    }
+
+    try {
+      return { jsonrpc: '2.0', id, result: handler(...params) };
+    } catch (error) {
+      return { jsonrpc: '2.0', id, error: { code: error.code || -32602, message: error.message } };
+    }
+  }
+
+  _rpcMethods() {
+    const context = () => ({ slot: this.slot });
+
+    return {
+      getHealth: () => 'ok',
+      getSlot: () => this.slot,
+      getBlockHeight: () => this.slot,
+      getLatestBlockhash: () => ({
+        context: context(),
+        value: { blockhash: BLOCKHASH, lastValidBlockHeight: this.slot + 150 }
+      }),
+
+      getBalance: address => ({ context: context(), value: this.accounts.get(address)?.lamports || 0 }),
+
+      getAccountInfo: (address, config = {}) => ({
+        context: context(),
+        value: this._accountInfo(address, config.encoding || 'base64')
+      }),
+
+      getSignaturesForAddress: (address, config = {}) => {
+        let signatures = this.signatures.get(address) || [];
+        if (config.before) {
+          const index = signatures.indexOf(config.before);
+          signatures = index === -1 ? [] : signatures.slice(index + 1);
+        }
+        if (config.until) {
+          const index = signatures.indexOf(config.until);
+          if (index !== -1) signatures = signatures.slice(0, index);
+        }
+
+        return signatures.slice(0, config.limit || 1000).map(signature => {
+          const tx = this.transactions.get(signature);
+          return {
+            signature,
+            slot: tx?.slot ?? this.slot,
+            err: tx?.meta?.err ?? null,
+            memo: null,
+            blockTime: tx?.blockTime ?? null,
+            confirmationStatus: 'finalized'
+          };
+        });
+      },
+
+      getTransaction: (signature, config = {}) => {
+        const tx = this.transactions.get(signature);
+        if (tx?.version === 0 && config.maxSupportedTransactionVersion === undefined) {
+          throw Object.assign(
+            new Error('Transaction version (0) is not supported by the requesting client.'),
+            { code: -32015 }
+          );
+        }
+        return tx || null;
+      },
+
+      // Connection.getParsedTokenAccountsByOwner asks for jsonParsed
+      getTokenAccountsByOwner: (owner, filter = {}, config = {}) => ({
+        context: context(),
+        value: this._tokenAccounts()
+          .filter(account => account.owner === owner)
+          .filter(account => filter.mint
+            ? account.mint === filter.mint
+            : TOKEN_PROGRAMS[account.program] === filter.programId)
+          .map(account => ({ pubkey: account.pubkey, account: this._tokenAccountInfo(account, config.encoding) }))
+      }),
+
+      getProgramAccounts: (programId, config = {}) => {
+        const accounts = this._tokenAccounts()
+          .filter(account => TOKEN_PROGRAMS[account.program] === programId)
+          .map(account => ({ account, data: this._tokenAccountData(account) }))
+          .filter(({ data }) => (config.filters || []).every(filter => {
+            if (filter.dataSize !== undefined) {
+              return data.length === filter.dataSize;
+            }
+            const bytes = Buffer.from(bs58.decode(filter.memcmp.bytes));
+            return data.subarray(filter.memcmp.offset, filter.memcmp.offset + bytes.length).equals(bytes);
+          }))
+          .map(({ account, data }) => ({
+            pubkey: account.pubkey,
+            account: {
+              data: [data.toString('base64'), 'base64'],
+              executable: false,
+              lamports: TOKEN_ACCOUNT_RENT,
+              owner: programId,
+              rentEpoch: 0,
+              space: data.length
+            }
+          }));
+
+        return config.withContext ? { context: context(), value: accounts } : accounts;
+      },
+
+      sendTransaction: (encoded, config = {}) => {
+        const bytes = config.encoding === 'base64' ? Buffer.from(encoded, 'base64') : bs58.decode(encoded);
+        const transaction = VersionedTransaction.deserialize(bytes);
+        if (transaction.signatures[0].every(byte => byte === 0)) {
+          throw Object.assign(new Error('Transaction signature verification failure'), { code: -32003 });
+        }
+
+        const signature = bs58.encode(transaction.signatures[0]);
+        this.slot++;
+        this.statuses.set(signature, { slot: this.slot, confirmations: null, err: null, confirmationStatus: 'confirmed' });
+        this.sent.push({ signature, transaction });
+        return signature;
+      },
+
+      getSignatureStatuses: signatures => ({
+        context: context(),
+        value: signatures.map(signature => this._signatureStatus(signature))
+      })
+    };
+  }
+
+  _signatureStatus(signature) {
+    if (this.statuses.has(signature)) {
+      return this.statuses.get(signature);
+    }
+
+    const tx = this.transactions.get(signature);
+    return tx
+      ? { slot: tx.slot, confirmations: null, err: tx.meta.err, confirmationStatus: 'finalized' }
+      : null;
+  }
+
+  _account(address) {
+    if (!this.accounts.has(address)) {
+      this.accounts.set(address, { lamports: 0, tokenAccounts: [] });
+    }
+    return this.accounts.get(address);
+  }
+
+  /**
+   * Every token account in the fixture, with its owner and program
+   */
+  _tokenAccounts() {
+    const accounts = [];
+    for (const [owner, { tokenAccounts = [] }] of this.accounts) {
+      for (const account of tokenAccounts) {
+        accounts.push({ ...account, owner, program: this.mints[account.mint]?.program || 'spl-token' });
+      }
+    }
+    return accounts;
+  }
+
+  _accountInfo(address, encoding) {
+    const mint = this.mints[address];
+    if (mint) {
+      const program = mint.program || 'spl-token';
+      const data = encoding === 'jsonParsed'
+        ? {
+          program: PARSED_PROGRAM_NAMES[program],
+          parsed: {
+            type: 'mint',
+            info: {
+              decimals: mint.decimals,
+              supply: mint.supply || '0',
+              isInitialized: true,
+              mintAuthority: mint.mintAuthority || null,
+              freezeAuthority: mint.freezeAuthority || null,
+              ...(program === 'token-2022' && (mint.name || mint.symbol) && {
+                extensions: [{
+                  extension: 'tokenMetadata',
+                  state: { mint: address, name: mint.name || '', symbol: mint.symbol || '', uri: mint.uri || '', additionalMetadata: [] }
+                }]
+              })
+            }
+          },
+          space: 82
+        }
+        : [this._mintData(mint).toString('base64'), 'base64'];
+      return { data, executable: false, lamports: 1461600, owner: TOKEN_PROGRAMS[program], rentEpoch: 0, space: 82 };
+    }
+
+    if (this.metadataAccounts.has(address)) {
+      const data = this._metadataData(this.metadataAccounts.get(address));
+      return { data: [data.toString('base64'), 'base64'], executable: false, lamports: 5616720, owner: METADATA_PROGRAM, rentEpoch: 0, space: data.length };
+    }
+
+    const tokenAccount = this._tokenAccounts().find(account => account.pubkey === address);
+    if (tokenAccount) {
+      return this._tokenAccountInfo(tokenAccount, encoding);
+    }
+
+    return this.accounts.has(address) ? this._systemAccount(address) : null;
+  }
+
+  _systemAccount(address) {
+    return {
+      data: ['', 'base64'],
+      executable: false,
+      lamports: this.accounts.get(address)?.lamports || 0,
+      owner: SYSTEM_PROGRAM,
+      rentEpoch: 0,
+      space: 0
+    };
+  }
+
+  _tokenAccountInfo(account, encoding) {
+    const decimals = this.mints[account.mint]?.decimals ?? 0;
+    const uiAmount = Number(account.amount) / 10 ** decimals;
+
+    return {
+      data: encoding !== 'jsonParsed' ? [this._tokenAccountData(account).toString('base64'), 'base64'] : {
+        program: PARSED_PROGRAM_NAMES[account.program],
+        parsed: {
+          type: 'account',
+          info: {
+            isNative: false,
+            mint: account.mint,
+            owner: account.owner,
+            state: 'initialized',
+            tokenAmount: {
+              amount: account.amount,
+              decimals,
+              uiAmount,
+              uiAmountString: uiAmount.toString()
+            }
+          }
+        },
+        space: 165
+      },
+      executable: false,
+      lamports: TOKEN_ACCOUNT_RENT,
+      owner: TOKEN_PROGRAMS[account.program],
+      rentEpoch: 0,
+      space: 165
+    };
+  }
+
+  /**
+   * SPL token account layout: mint, owner, amount, ..., state
+   */
+  _tokenAccountData(account) {
+    const data = Buffer.alloc(165);
+    new PublicKey(account.mint).toBuffer().copy(data, 0);
+    new PublicKey(account.owner).toBuffer().copy(data, 32);
+    data.writeBigUInt64LE(BigInt(account.amount), 64);
+    data[108] = 1; // Initialized
+    return data;
+  }
+
+  /**
+   * Metaplex metadata layout: key, update authority, mint, then name, symbol
+   * and uri as length-prefixed strings padded with NULs
+   */
+  _metadataData(address) {
+    const mint = this.mints[address];
+    const string = (value = '', size) => {
+      const field = Buffer.alloc(4 + size);
+      field.writeUInt32LE(size, 0);
+      field.write(value, 4);
+      return field;
+    };
+
+    return Buffer.concat([
+      Buffer.from([4]), // MetadataV1
+      Buffer.alloc(32), // Update authority
+      new PublicKey(address).toBuffer(),
+      string(mint.name, 32),
+      string(mint.symbol, 10),
+      string(mint.uri, 200)
+    ]);
+  }
+
+  /**
+   * SPL mint layout: authority option, supply, decimals, initialized, freeze option
+   */
+  _mintData(mint) {
+    const data = Buffer.alloc(82);
+    data.writeBigUInt64LE(BigInt(mint.supply || 0), 36);
+    data[44] = mint.decimals;
+    data[45] = 1;
+    return data;
+  }
+
+  // --- Websocket subscriptions ---
+
+  _handleSocketMessage(socket, data) {
+    let request;
+    try {
+      request = JSON.parse(data.toString());
+    } catch (error) {
+      return socket.send(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } }));
+    }
+
+    const { id, method, params = [] } = request;
+    this.requests.push({ method, params });
+
+    if (method.endsWith('Unsubscribe')) {
+      const existed = this.subscriptions.delete(params[0]);
+      return socket.send(JSON.stringify({ jsonrpc: '2.0', id, result: existed }));
+    }
+
+    if (!method.endsWith('Subscribe')) {
+      return socket.send(JSON.stringify({ jsonrpc: '2.0', id, error: { code: -32601, message: `Method not found: ${method}` } }));
+    }
+
+    const subscription = this.nextSubscription++;
+    this.subscriptions.set(subscription, { socket, method, params });
+    socket.send(JSON.stringify({ jsonrpc: '2.0', id, result: subscription }));
+
+    // Transactions sent here are already confirmed
+    if (method === 'signatureSubscribe' && this._signatureStatus(params[0])) {
+      this._notify('signatureSubscribe', ([signature]) => signature === params[0], () => ({
+        err: this._signatureStatus(params[0]).err
+      }));
+    }
+  }
+
+  /**
+   * Send `<name>Notification` to matching subscriptions
+   */
+  _notify(subscribeMethod, matches, value) {
+    const notification = subscribeMethod.replace('Subscribe', 'Notification');
+
+    for (const [subscription, { socket, method, params }] of this.subscriptions) {
+      if (method !== subscribeMethod || !matches(params)) continue;
+      socket.send(JSON.stringify({
+        jsonrpc: '2.0',
+        method: notification,
+        params: { result: { context: { slot: this.slot }, value: value() }, subscription }
+      }));
+    }
+  }
+
+  // --- DexScreener / Jupiter ---
+
+  _dexScreenerTokens(mints) {
+    const pairs = this.pairs.filter(pair =>
+      mints.includes(pair.baseToken.address) || mints.includes(pair.quoteToken.address)
+    );
+    return { schemaVersion: '1.0.0', pairs: pairs.length > 0 ? pairs : null };
+  }
+
+  /**
+   * SOL price of a mint from the fixture's pairs
+   */
+  _priceSol(mint) {
+    if (mint === SOL_MINT) {
+      return 1;
+    }
+
+    const pair = this.pairs.find(p => p.baseToken.address === mint);
+    if (!pair) {
+      return null;
+    }
+    if (pair.quoteToken.address === SOL_MINT) {
+      return parseFloat(pair.priceNative);
+    }
+
+    const solUsd = parseFloat(this.pairs.find(p => p.baseToken.address === SOL_MINT)?.priceUsd);
+    return solUsd ? parseFloat(pair.priceUsd) / solUsd : null;
+  }
+
+  _decimals(mint) {
+    return mint === SOL_MINT ? 9 : this.mints[mint]?.decimals;
+  }
+
+  _jupiterQuote({ inputMint, outputMint, amount, slippageBps = '50' }) {
+    for (const mint of [inputMint, outputMint]) {
+      if (this._priceSol(mint) === null || this._decimals(mint) === undefined) {
+        return { error: `The token ${mint} is not tradable`, errorCode: 'TOKEN_NOT_TRADABLE' };
+      }
+    }
+
+    const inAmount = BigInt(amount);
+    const valueSol = Number(inAmount) / 10 ** this._decimals(inputMint) * this._priceSol(inputMint);
+    const outAmount = BigInt(Math.floor(valueSol / this._priceSol(outputMint) * 10 ** this._decimals(outputMint)));
+    const threshold = outAmount * BigInt(10000 - Number(slippageBps)) / 10000n;
+    const pair = this.pairs.find(p => [inputMint, outputMint].includes(p.baseToken.address) && p.baseToken.address !== SOL_MINT);
+
+    return {
+      inputMint,
+      inAmount: inAmount.toString(),
+      outputMint,
+      outAmount: outAmount.toString(),
+      otherAmountThreshold: threshold.toString(),
+      swapMode: 'ExactIn',
+      slippageBps: Number(slippageBps),
+      platformFee: null,
+      priceImpactPct: '0',
+      routePlan: [{
+        swapInfo: {
+          ammKey: pair?.pairAddress || SYSTEM_PROGRAM,
+          label: pair?.dexId || 'mock',
+          inputMint,
+          outputMint,
+          inAmount: inAmount.toString(),
+          outAmount: outAmount.toString(),
+          feeAmount: '0',
+          feeMint: inputMint
+        },
+        percent: 100
+      }],
+      contextSlot: this.slot,
+      timeTaken: 0
+    };
+  }
+
+  /**
+   * An unsigned transaction for the user to sign (a 0 lamport self-transfer)
+   */
+  _jupiterSwap({ quoteResponse, userPublicKey }) {
+    if (!quoteResponse || !userPublicKey) {
+      return { error: 'quoteResponse and userPublicKey are required' };
+    }
+
+    const payer = new PublicKey(userPublicKey);
+    const message = new TransactionMessage({
+      payerKey: payer,
+      recentBlockhash: BLOCKHASH,
+      instructions: [SystemProgram.transfer({ fromPubkey: payer, toPubkey: payer, lamports: 0 })]
+    }).compileToV0Message();
+
+    return {
+      swapTransaction: Buffer.from(new VersionedTransaction(message).serialize()).toString('base64'),
+      lastValidBlockHeight: this.slot + 150,
+      prioritizationFeeLamports: 0
+    };
+  }
+
+  _tokenList() {
+    return [
+      { address: SOL_MINT, symbol: 'SOL', name: 'Wrapped SOL', decimals: 9 },
+      ...Object.entries(this.mints).map(([address, mint]) => ({
+        address,
+        symbol: mint.symbol,
+        name: mint.name,
+        decimals: mint.decimals
+      }))
+    ];
+  }
+}
+
+// Run standalone: node tests/mock-server.js [port] [fixture]
+if (process.argv[1] === __filename) {
+  const server = new MockServer(process.argv[3] ? { fixture: process.argv[3] } : {});
+  const urls = await server.start(parseInt(process.argv[2] || '8899', 10));
+
+  console.log('🧪 Mock Solana RPC / DexScreener / Jupiter server running\n');
+  console.log(`  SOLANA_RPC_URL=${urls.rpc}`);
+  console.log(`  SOLANA_WS_URL=${urls.ws}`);
+  console.log(`  DEXSCREENER_API_URL=${urls.dexScreener}`);
+  console.log(`  JUPITER_API_URL=${urls.jupiter}`);
+  console.log(`  JUPITER_TOKEN_LIST_URL=${urls.tokenList}`);
+  console.log('\nPress Ctrl+C to stop');
+
+  process.on('SIGINT', async () => {
+    await server.stop();
+    process.exit(0);
+  });
+}
+
+export default MockServer;
@@ -1,20 +1,36 @@
 import { PaperTrading } from '../src/paper-trading.js';
 import { strict as assert } from 'assert';
 import fs from 'fs';
+import os from 'os';
+import path from 'path';
 
 /**
  * Tests for PaperTrading class
  */
 
-const TEST_FILE = './test-paper-trades.json';
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'laxmi-paper-trading-'));
+const TEST_FILE = path.join(TMP_DIR, 'paper-trades.json');
 
 // Clean up test file before and after tests
 function cleanup() {
-  if (fs.existsSync(TEST_FILE)) {
-    fs.unlinkSync(TEST_FILE);
+  for (const file of [TEST_FILE, `${TEST_FILE}.v1`]) {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
   }
 }
 
+const near = (actual, expected) => Math.abs(actual - expected) < 1e-9;
+
+/**
+ * Fixed token prices for fetchCurrentPrices
+ */
+const fixedPrices = (prices) => ({
+  async getPrices(mints) {
+    return Object.fromEntries(mints.filter(m => prices[m]).map(m => [m, prices[m]]));
+  }
+});
+
 console.log('🧪 Running Paper Trading Tests...\n');
 
 // Test 1: Initialize with default values
@@ -134,7 +150,132 @@ assert.equal(history.length > 0, true, 'Should have trade history');
 assert.equal(history[0].type, 'BUY', 'Latest trade should be a buy');
 console.log('✅ Passed\n');
 
+// Test 13: Copied buys stay linked to the wallet they copied
+console.log('Test 13: Copied buys stay linked to the wallet they copied');
+await pt2.buy('COPIED', 'COPY', 0.2, 0.001, { wallet: 'whale', signature: 'SIG1' });
+await pt2.buy('COPIED', 'COPY', 0.1, 0.001);
+await pt2.buy('COPIED', 'COPY', 0.1, 0.001, { wallet: 'degen', signature: 'SIG2' });
+assert.ok(Math.abs(pt2.getCopiedAmount('COPIED', 'whale') - 200) < 1e-6, 'Whale copy linked');
+assert.equal(pt2.getHistory(1)[0].copiedFrom.signature, 'SIG2', 'Trade records the copied alert');
+
+await pt2.sell('COPIED', 200, 0.002);
+assert.ok(Math.abs(pt2.getCopiedAmount('COPIED', 'whale') - 100) < 1e-6, 'Half the holding sold, half of each link');
+assert.ok(Math.abs(new PaperTrading(TEST_FILE).getCopiedAmount('COPIED', 'degen') - 50) < 1e-6, 'Links persist');
+assert.equal(pt2.getCopiedAmount('PERSISTENT', 'whale'), 0, 'Not a copy');
+
+await pt2.sell('COPIED', 100, 0.002, 'whale');
+assert.ok(pt2.getCopiedAmount('COPIED', 'whale') < 1e-6, 'Mirrored sell takes the whale links');
+assert.ok(Math.abs(pt2.getCopiedAmount('COPIED', 'degen') - 50) < 1e-6, 'Degen links untouched');
+console.log('✅ Passed\n');
+
+// Test 14: USD ledgers convert at the trade's SOL/USD rate
+console.log('Test 14: USD ledgers convert at the trade\'s SOL/USD rate');
+cleanup();
+let rate = 100;
+const usd = new PaperTrading(TEST_FILE, {
+  quoteCurrency: 'usd',
+  solUsd: async () => rate,
+  priceSource: fixedPrices({ USDMINT: { priceUsd: 0.003, priceSol: 0.000025 } })
+});
+usd.toggle();
+const usdBuy = await usd.buy('USDMINT', 'USDT0K', 0.5, 0.002); // $50 at $0.002
+assert.ok(near(usdBuy.trade.tokensReceived, 25000), '0.5 SOL is $50 at $100/SOL');
+assert.equal(usdBuy.trade.priceSol, 0.00002);
+assert.equal(usdBuy.trade.amountUsd, 50);
+assert.equal(usdBuy.trade.solUsd, 100);
+
+rate = 120; // SOL up 20%, the token up 50% in USD
+const flat = await usd.getPortfolioWithPrices();
+assert.equal(flat.quoteCurrency, 'usd');
+assert.equal(flat.tokens.USDMINT.currentPrice, 0.003, 'Priced in USD');
+assert.ok(near(flat.tokens.USDMINT.currentValueUsd, 75));
+assert.ok(near(flat.tokens.USDMINT.unrealizedPnLUsd, 25));
+assert.ok(near(flat.tokens.USDMINT.currentValue, 0.625), '$75 at $120/SOL');
+assert.ok(near(flat.tokens.USDMINT.unrealizedPnL, 0.125));
+
+const usdSell = await usd.sell('USDMINT', 12500, 0.002);
+assert.ok(near(usdSell.trade.solReceived, 25 / 120));
+assert.ok(near(usdSell.trade.profitUsd, 0), 'Sold at the USD entry');
+assert.ok(near(usdSell.trade.profit, 25 / 120 - 0.25), 'Lost SOL as SOL rose');
+assert.equal(usd.getStats().losses, 1, 'Wins and losses count in SOL');
+assert.ok(near(usd.getPortfolio().tokens.USDMINT.avgPrice, 0.002), 'USD entry kept');
+assert.ok(near(usd.getPortfolio().tokens.USDMINT.totalCostUsd, 25));
+
+rate = null; // Rate unavailable: the latest trade's is used
+assert.equal(await usd.getSolUsdRate(), 120);
+assert.equal(new PaperTrading(TEST_FILE, { quoteCurrency: 'sol' }).getQuoteCurrency(), 'usd', 'Stored currency wins');
+const noRate = new PaperTrading(null, { quoteCurrency: 'usd', solUsd: () => null });
+noRate.toggle();
+await assert.rejects(() => noRate.buy('USDMINT', 'USDT0K', 0.1, 0.002), /No SOL\/USD rate/);
+console.log('✅ Passed\n');
+
+// Test 15: Files from before quote currencies are migrated
+console.log('Test 15: Files from before quote currencies are migrated');
+cleanup();
+// Written by the old ledger from USD prices: 0.2 SOL / $0.001 "= 200 tokens"
+const legacy = {
+  enabled: true,
+  balance: 0.95,
+  tokens: { OLDMINT: { symbol: 'OLD', amount: 150, avgPrice: 0.001, totalCost: 0.15, firstBought: '2026-01-01T00:00:00.000Z' } },
+  trades: [
+    { type: 'BUY', tokenMint: 'OLDMINT', symbol: 'OLD', amountSOL: 0.2, tokensReceived: 200, pricePerToken: 0.001, timestamp: '2026-01-01T00:00:00.000Z', balanceAfter: 0.8, copiedFrom: { wallet: 'whale', signature: 'SIG' } },
+    { type: 'SELL', tokenMint: 'OLDMINT', symbol: 'OLD', tokenAmount: 50, solReceived: 0.15, pricePerToken: 0.003, profit: 0.1, profitPercent: 200, timestamp: '2026-01-02T00:00:00.000Z', balanceAfter: 0.95 }
+  ],
+  stats: { totalTrades: 2, wins: 1, losses: 0, totalProfit: 0.1, startingBalance: 1.0 }
+};
+fs.writeFileSync(TEST_FILE, JSON.stringify(legacy));
+
+const pending = new PaperTrading(TEST_FILE, { quoteCurrency: 'usd', solUsd: () => 200 });
+assert.equal(pending.migrationPending, true, 'Waits for a rate');
+assert.equal(await pending.migrate(), true);
+assert.equal(await pending.migrate(), false, 'Only once');
+
+const migrated = new PaperTrading(TEST_FILE);
+assert.equal(migrated.data.version, 2);
+assert.equal(migrated.getQuoteCurrency(), 'usd');
+assert.equal(migrated.isEnabled(), true);
+assert.ok(near(migrated.getPortfolio().balance, 0.95), 'SOL balance unchanged');
+assert.ok(near(migrated.getStats().totalProfit, 0.1), 'Realized PnL unchanged');
+assert.ok(near(migrated.getStats().totalProfitUsd, 20));
+const oldHolding = migrated.getPortfolio().tokens.OLDMINT;
+assert.ok(near(oldHolding.amount, 30000), '0.15 SOL is $30 at $0.001');
+assert.ok(near(oldHolding.avgPrice, 0.001));
+assert.ok(near(oldHolding.totalCostUsd, 30));
+assert.ok(near(migrated.getCopiedAmount('OLDMINT', 'whale'), 30000), 'Copy links replayed');
+assert.equal(migrated.getHistory(2)[1].timestamp, '2026-01-01T00:00:00.000Z', 'Trade times kept');
+assert.deepEqual(JSON.parse(fs.readFileSync(`${TEST_FILE}.v1`, 'utf8')), legacy, 'Old file backed up');
+
+fs.writeFileSync(TEST_FILE, JSON.stringify(legacy));
+const solLedger = new PaperTrading(TEST_FILE); // SOL ledgers need no rate
+assert.equal(solLedger.migrationPending, false);
+assert.ok(near(solLedger.getPortfolio().tokens.OLDMINT.amount, 150));
+assert.equal(solLedger.getPortfolio().tokens.OLDMINT.totalCostUsd, null);
+console.log('✅ Passed\n');
+
+// Test 16: Sells with no earlier buy are skipped in migration
+console.log('Test 16: Sells with no earlier buy are skipped in migration');
+cleanup();
+const orphan = {
+  ...legacy,
+  trades: [
+    { type: 'SELL', tokenMint: 'OLDMINT', symbol: 'OLD', tokenAmount: 40, solReceived: 0.05, pricePerToken: 0.00125, profit: 0, profitPercent: 0, timestamp: '2025-12-31T00:00:00.000Z', balanceAfter: 0.85 },
+    ...legacy.trades
+  ]
+};
+fs.writeFileSync(TEST_FILE, JSON.stringify(orphan));
+assert.equal(await new PaperTrading(TEST_FILE, { quoteCurrency: 'usd', solUsd: () => 200 }).migrate(), true);
+const skipped = new PaperTrading(TEST_FILE);
+const skippedHolding = skipped.getPortfolio().tokens.OLDMINT;
+assert.ok(near(skippedHolding.amount, 30000), 'Later trades migrate as before');
+assert.ok(near(skippedHolding.totalCostUsd, 30));
+assert.ok(Number.isFinite(skipped.getPortfolio().balance));
+assert.ok(near(skipped.getStats().totalProfitUsd, 20));
+assert.equal(skipped.getHistory(10).length, 2, 'Orphan sell dropped');
+console.log('✅ Passed\n');
+
 // Cleanup
 cleanup();
 
+fs.rmSync(TMP_DIR, { recursive: true, force: true });
+
 console.log('✅ All Paper Trading tests passed!');
@@ -0,0 +1,106 @@
+import { PnLEngine } from '../src/pnl-engine.js';
+import { strict as assert } from 'assert';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+/**
+ * Tests for PnLEngine against a recorded wallet history (no network)
+ *
+ * The fixture (out of order, as RPC pages may be) contains:
+ * - A: buy 100 for 1 SOL, buy 100 for 3 SOL, sell 150 for 3 SOL
+ * - B: buy 1000 for 2 SOL, sell all for 1 SOL an hour later
+ * - C: sell 10 for 0.5 SOL with no recorded buy
+ * - a failed buy, a token-to-token swap and a non-swap transaction
+ */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const history = JSON.parse(readFileSync(join(__dirname, 'fixtures', 'pnl-history.json'), 'utf8'));
+
+const A = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+const B = 'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm';
+const C = 'kh35nynonqA4VYaoeAvn17ChrhMrWhJ26EbCayKpump';
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, `${message} (got ${actual}, expected ${expected})`);
+
+console.log('🧪 Running PnL Engine Tests...\n');
+
+// Test 1: FIFO realized and unrealized PnL
+console.log('Test 1: FIFO realized and unrealized PnL');
+const engine = new PnLEngine();
+let result = engine.calculate(history.transactions, { [A]: 0.04 });
+assert.equal(result.method, 'fifo');
+close(result.tokens[A].realizedPnlSol, 0.5, 'A sold 100 @0.01 + 50 @0.03 for 3 SOL');
+close(result.tokens[A].position, 50, 'A should have 50 left');
+close(result.tokens[A].costBasisSol, 1.5, 'Remaining A lot cost 0.03 each');
+close(result.tokens[A].unrealizedPnlSol, 0.5, '50 A at 0.04 minus 1.5 cost');
+close(result.tokens[B].realizedPnlSol, -1, 'B lost 1 SOL');
+assert.equal(result.tokens[B].position, 0, 'B should be closed');
+console.log('✅ Passed\n');
+
+// Test 2: Average cost gives the same total, split differently
+console.log('Test 2: Average cost gives the same total, split differently');
+const average = engine.calculate(history.transactions, { [A]: 0.04 }, { method: 'average' });
+assert.equal(average.method, 'average');
+close(average.tokens[A].realizedPnlSol, 0, 'A sold at the 0.02 average');
+close(average.tokens[A].costBasisSol, 1, 'Remaining A at 0.02 average');
+close(average.tokens[A].unrealizedPnlSol, 1, '50 A at 0.04 minus 1 cost');
+close(average.summary.totalPnlSol, result.summary.totalPnlSol, 'Totals should match across methods');
+console.log('✅ Passed\n');
+
+// Test 3: Win rate, hold time and summary totals
+console.log('Test 3: Win rate, hold time and summary totals');
+const { summary } = result;
+close(summary.realizedPnlSol, -0.5, 'A +0.5, B -1');
+close(summary.unrealizedPnlSol, 0.5, 'Only A is open');
+close(summary.totalPnlSol, 0, 'Realized plus unrealized');
+assert.equal(summary.wins, 1);
+assert.equal(summary.losses, 1);
+assert.equal(summary.winRate, 0.5);
+// A: 100 held 3000s + 50 held 2000s -> 2666.67s; B: 3600s
+close(result.tokens[A].avgHoldTimeMs, (100 * 3000 + 50 * 2000) / 150 * 1000, 'A hold time is amount-weighted');
+close(summary.avgHoldTimeMs, ((100 * 3000 + 50 * 2000) / 150 + 3600) / 2 * 1000, 'Average over closed trades');
+assert.equal(summary.openPositions, 1);
+assert.equal(summary.skippedTrades, 1, 'Token-to-token swap should be skipped');
+close(summary.spentSol, 6, 'Failed buy should not count');
+console.log('✅ Passed\n');
+
+// Test 4: Sells without a known cost are left out of PnL
+console.log('Test 4: Sells without a known cost are left out of PnL');
+assert.equal(result.tokens[C].unmatchedSold, 10);
+assert.equal(result.tokens[C].realizedPnlSol, 0);
+assert.equal(result.tokens[C].wins + result.tokens[C].losses, 0, 'Unmatched sell is not a closed trade');
+console.log('✅ Passed\n');
+
+// Test 5: Open positions without a price have no unrealized PnL
+console.log('Test 5: Open positions without a price have no unrealized PnL');
+result = engine.calculate(history.transactions);
+assert.equal(result.tokens[A].unrealizedPnlSol, null);
+assert.equal(result.summary.unpricedPositions, 1);
+close(result.summary.totalPnlSol, -0.5, 'Only realized PnL counts');
+console.log('✅ Passed\n');
+
+// Test 6: analyzeWallet prices open positions through the tracker
+console.log('Test 6: analyzeWallet prices open positions through the tracker');
+let requested = null;
+const tracker = {
+  async getDetailedTransactionHistory(nameOrAddress, limit) {
+    assert.equal(nameOrAddress, 'whale');
+    assert.equal(limit, 20);
+    return history;
+  },
+  priceSource: {
+    async getPrices(mints) {
+      requested = mints;
+      return { [A]: { priceUsd: 6, priceSol: 0.04, symbol: 'A' } };
+    }
+  }
+};
+const walletPnl = await new PnLEngine(tracker).analyzeWallet('whale', { limit: 20 });
+assert.deepEqual(requested, [A], 'Should only price open positions');
+assert.equal(walletPnl.name, 'whale');
+assert.equal(walletPnl.transactionsAnalyzed, history.transactions.length);
+close(walletPnl.summary.unrealizedPnlSol, 0.5, 'Should use the SOL price');
+console.log('✅ Passed\n');
+
+console.log('✅ All PnL Engine tests passed!');
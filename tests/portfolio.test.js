@@ -0,0 +1,160 @@
+import { WalletTracker } from '../src/tracker.js';
+import { DexScreenerPriceSource } from '../src/price-source.js';
+import { SOL_MINT } from '../src/swap-decoder.js';
+import { LAMPORTS_PER_SOL, PublicKey } from '@solana/web3.js';
+import { TOKEN_2022_PROGRAM_ID } from '@solana/spl-token';
+import { strict as assert } from 'assert';
+
+/**
+ * Tests for token holdings and portfolio value using a stubbed connection
+ * and price source (no network)
+ */
+
+const WALLET = { name: 'whale', emoji: '🐳', trackedWalletAddress: 'HYWo71Wk9PNDe5sBaRKazPnVyGnQDiwgXCFKvgAQ1ENp' };
+const BONK = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+const WIF = 'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm';
+const PYUSD = '2b1kV6DkPAnxd5ixfnxCpjxmKwqjjaYmCZfHsFu24GXo';
+const DUST = 'kh35nynonqA4VYaoeAvn17ChrhMrWhJ26EbCayKpump';
+
+function tokenAccount(mint, amount, decimals = 6) {
+  return {
+    pubkey: PublicKey.unique(),
+    account: {
+      data: {
+        parsed: {
+          info: {
+            mint,
+            owner: WALLET.trackedWalletAddress,
+            tokenAmount: { decimals, uiAmountString: String(amount) }
+          }
+        }
+      }
+    }
+  };
+}
+
+const priceSource = {
+  calls: [],
+  async getPrices(mints) {
+    this.calls.push(mints);
+    const table = {
+      [SOL_MINT]: { priceUsd: 150, priceSol: 1, symbol: 'SOL' },
+      [BONK]: { priceUsd: 0.00002, priceSol: 0.00002 / 150, symbol: 'BONK' },
+      [WIF]: { priceUsd: 3, priceSol: 0.02, symbol: 'WIF' },
+      [PYUSD]: { priceUsd: 1, priceSol: 1 / 150, symbol: 'PYUSD' }
+    };
+    return Object.fromEntries(mints.filter(m => table[m]).map(m => [m, { ...table[m] }]));
+  }
+};
+
+const tracker = new WalletTracker(undefined, { priceSource });
+tracker.wallets = [WALLET];
+tracker.connection = {
+  async getBalance() {
+    return 2 * LAMPORTS_PER_SOL;
+  },
+  async getParsedTokenAccountsByOwner(owner, { programId }) {
+    if (programId.equals(TOKEN_2022_PROGRAM_ID)) {
+      return { value: [tokenAccount(PYUSD, 50)] };
+    }
+    return {
+      value: [
+        tokenAccount(BONK, 1000000, 5),
+        tokenAccount(BONK, 500000, 5), // Second account for the same mint
+        tokenAccount(WIF, 10),
+        tokenAccount(DUST, 42),
+        tokenAccount(WIF, 0) // Empty account
+      ]
+    };
+  }
+};
+
+console.log('🧪 Running Portfolio Tests...\n');
+
+// Test 1: Holdings cover both token programs, merged by mint
+console.log('Test 1: Holdings cover both token programs, merged by mint');
+const holdings = await tracker.getTokenHoldings('whale');
+assert.equal(holdings.length, 4, 'Should list 4 mints (empty account skipped)');
+const bonk = holdings.find(h => h.mint === BONK);
+assert.equal(bonk.amount, 1500000, 'Accounts for the same mint should be merged');
+assert.equal(bonk.tokenAccounts.length, 2);
+assert.equal(bonk.decimals, 5);
+assert.equal(holdings.find(h => h.mint === PYUSD).program, 'token-2022', 'Token-2022 holdings should be included');
+console.log('✅ Passed\n');
+
+// Test 2: Holdings are valued and sorted, unpriced last
+console.log('Test 2: Holdings are valued and sorted, unpriced last');
+assert.deepEqual(holdings.map(h => h.symbol), ['PYUSD', 'BONK', 'WIF', null]);
+assert.equal(holdings[0].valueUsd, 50);
+assert.equal(holdings[2].valueSol, 0.2);
+assert.equal(holdings[3].valueUsd, null, 'Unpriced holding should have no value');
+console.log('✅ Passed\n');
+
+// Test 3: Portfolio includes SOL and total net worth
+console.log('Test 3: Portfolio includes SOL and total net worth');
+const portfolio = await tracker.getPortfolio('whale');
+assert.equal(portfolio.balance, 2);
+assert.equal(portfolio.solPriceUsd, 150);
+assert.equal(portfolio.tokenValueUsd, 110, 'PYUSD $50 + BONK $30 + WIF $30');
+assert.equal(portfolio.totalValueUsd, 410, '2 SOL at $150 + $110 of tokens');
+assert.ok(Math.abs(portfolio.totalValueSol - (2 + 110 / 150)) < 1e-9);
+assert.equal(portfolio.unpricedHoldings, 1);
+console.log('✅ Passed\n');
+
+// Test 4: Summaries show net worth and top holdings
+console.log('Test 4: Summaries show net worth and top holdings');
+const summary = await tracker.getAllWalletsSummary();
+assert.ok(summary.includes('2.0000 SOL + 4 tokens'), 'Should show token count');
+assert.ok(summary.includes('($410.00)'), 'Should show USD net worth');
+assert.ok(summary.includes('Top holdings: PYUSD $50.00, BONK $30.00, WIF $30.00'), 'Should list top holdings');
+assert.ok(summary.includes('Total Net Worth'), 'Should total net worth');
+
+// Several wallets are looked up concurrently and priced in one batch
+const balanceCalls = [];
+const connection = tracker.connection;
+tracker.connection = {
+  ...connection,
+  inFlight: 0,
+  async getBalance(publicKey) {
+    balanceCalls.push(this.inFlight++);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    this.inFlight--;
+    return connection.getBalance(publicKey);
+  }
+};
+tracker.wallets = [WALLET, { ...WALLET, name: 'whale2' }, { ...WALLET, name: 'whale3' }];
+tracker.concurrency = 2;
+priceSource.calls = [];
+const allSummary = await tracker.getAllWalletsSummary();
+assert.equal(priceSource.calls.length, 1, 'One price lookup for every wallet');
+assert.deepEqual(balanceCalls, [0, 1, 1], 'Two wallets at a time');
+assert.ok(allSummary.includes('Total Balance: 6.0000 SOL'));
+assert.ok(allSummary.includes('whale3: 2.0000 SOL + 4 tokens'));
+tracker.connection = connection;
+tracker.wallets = [WALLET];
+console.log('✅ Passed\n');
+
+// Test 5: A failing price source still returns holdings
+console.log('Test 5: A failing price source still returns holdings');
+tracker.priceSource = { async getPrices() { throw new Error('rate limited'); } };
+const unpriced = await tracker.getPortfolio('whale');
+assert.equal(unpriced.holdings.length, 4);
+assert.equal(unpriced.totalValueUsd, null, 'No SOL price means no USD total');
+assert.equal(unpriced.totalValueSol, 2);
+console.log('✅ Passed\n');
+
+// Test 6: DexScreener prices come from the most liquid pair
+console.log('Test 6: DexScreener prices come from the most liquid pair');
+const dexScreener = new DexScreenerPriceSource();
+const price = dexScreener._priceFromPairs(WIF, [
+  { baseToken: { address: WIF, symbol: 'WIF' }, quoteToken: { address: SOL_MINT }, priceUsd: '3.1', priceNative: '0.02', liquidity: { usd: 10000 } },
+  { baseToken: { address: WIF, symbol: 'WIF' }, quoteToken: { address: SOL_MINT }, priceUsd: '3.0', priceNative: '0.0201', liquidity: { usd: 900000 } },
+  { baseToken: { address: BONK, symbol: 'BONK' }, quoteToken: { address: SOL_MINT }, priceUsd: '0.00002', liquidity: { usd: 5000000 } }
+]);
+assert.equal(price.priceUsd, 3.0);
+assert.equal(price.priceSol, 0.0201);
+assert.equal(price.symbol, 'WIF');
+assert.equal(dexScreener._priceFromPairs(DUST, []), null, 'No pairs means no price');
+console.log('✅ Passed\n');
+
+console.log('✅ All Portfolio tests passed!');
@@ -0,0 +1,240 @@
+import { PositionWatcher, TriggerType } from '../src/position-watcher.js';
+import { PaperTrading } from '../src/paper-trading.js';
+import { TradingBot, TradingStrategies } from '../src/trading-bot.js';
+import { SOL_MINT } from '../src/swap-decoder.js';
+import { strict as assert } from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Tests for PositionWatcher exits against a scripted price feed (no network)
+ */
+
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'laxmi-position-watcher-'));
+const DATA_FILE = path.join(TMP_DIR, 'positions.json');
+const PAPER_FILE = path.join(TMP_DIR, 'position-paper.json');
+const PAPER_DIR = path.join(TMP_DIR, 'position-strategies');
+const BONK = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+const WIF = 'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm';
+const HOUR = 3600000;
+
+function cleanup() {
+  for (const file of [DATA_FILE, `${DATA_FILE}.tmp`, PAPER_FILE]) {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+  }
+  fs.rmSync(PAPER_DIR, { recursive: true, force: true });
+}
+
+/**
+ * Price feed that replays one step of prices per check
+ */
+class ScriptedPriceSource {
+  constructor(steps) {
+    this.steps = steps;
+    this.index = 0;
+  }
+
+  async getPrices() {
+    const step = this.steps[Math.min(this.index++, this.steps.length - 1)];
+    return Object.fromEntries(Object.entries(step).map(([mint, price]) => [mint, { priceSol: price, priceUsd: price * 100 }]));
+  }
+}
+
+function createWatcher(steps, rules = {}) {
+  const sells = [];
+  const watcher = new PositionWatcher({ dataFile: DATA_FILE, priceSource: new ScriptedPriceSource(steps), rules });
+  watcher.addSource('test', {
+    sell: async (position, amount, trigger) => {
+      sells.push({ mint: position.mint, amount, type: trigger.type });
+      return { success: true, signature: `SIG${sells.length}` };
+    }
+  });
+  return { watcher, sells };
+}
+
+console.log('🧪 Running Position Watcher Tests...\n');
+
+// Test 1: Stop-loss sells the whole position and is logged
+console.log('Test 1: Stop-loss sells the whole position and is logged');
+cleanup();
+let { watcher, sells } = createWatcher([{ [BONK]: 0.95 }, { [BONK]: 0.85 }], { stopLossPercent: 10 });
+const announced = [];
+watcher.on('trigger', entry => announced.push(entry));
+watcher.openPosition({ source: 'test', mint: BONK, symbol: 'BONK', amount: 1000, entryPrice: 1 });
+
+assert.deepEqual(await watcher.check(), [], 'Down 5%: nothing fires');
+const [stopLoss] = await watcher.check();
+assert.equal(stopLoss.type, TriggerType.STOP_LOSS);
+assert.equal(stopLoss.success, true);
+assert.equal(Math.round(stopLoss.changePercent), -15);
+assert.deepEqual(sells, [{ mint: BONK, amount: 1000, type: TriggerType.STOP_LOSS }]);
+assert.equal(watcher.getPositions().length, 0, 'Position closed');
+assert.equal(announced.length, 1, 'Trigger emitted');
+
+const saved = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+assert.equal(saved.positions[`test:${BONK}`].closeReason, TriggerType.STOP_LOSS);
+assert.equal(saved.triggers[0].result.signature, 'SIG1', 'Trigger logged to disk');
+assert.equal(fs.existsSync(`${DATA_FILE}.tmp`), false);
+console.log('✅ Passed\n');
+
+// Test 2: Take-profit ladder sells in steps, then the trailing stop exits
+console.log('Test 2: Take-profit ladder sells in steps, then the trailing stop exits');
+cleanup();
+({ watcher, sells } = createWatcher(
+  [{ [BONK]: 1.6 }, { [BONK]: 1.7 }, { [BONK]: 3.2 }, { [BONK]: 2.5 }],
+  { takeProfit: PositionWatcher.parseLadder('100:25,50:25'), trailingStopPercent: 20, trailingActivationPercent: 50 }
+));
+watcher.openPosition({ source: 'test', mint: BONK, amount: 1000, entryPrice: 1 });
+
+let fired = await watcher.check();
+assert.deepEqual(fired.map(t => [t.type, t.step, t.amount]), [[TriggerType.TAKE_PROFIT, 1, 250]], '+60%: first step only');
+assert.deepEqual(await watcher.check(), [], 'A filled step does not fire twice');
+fired = await watcher.check();
+assert.deepEqual(fired.map(t => [t.type, t.step, t.amount]), [[TriggerType.TAKE_PROFIT, 2, 250]], '+220%: second step');
+assert.equal(watcher.getPositions()[0].amount, 500);
+assert.equal(watcher.getPositions()[0].highPrice, 3.2);
+
+fired = await watcher.check();
+assert.equal(fired[0].type, TriggerType.TRAILING_STOP, '22% off the high');
+assert.equal(fired[0].amount, 500, 'Sells what is left');
+assert.equal(watcher.getPositions().length, 0);
+assert.throws(() => PositionWatcher.parseLadder('100'), /Invalid take-profit step/);
+console.log('✅ Passed\n');
+
+// Test 3: Max hold time and entry from the first price seen
+console.log('Test 3: Max hold time and entry from the first price seen');
+cleanup();
+({ watcher, sells } = createWatcher([{ [WIF]: 2 }], { maxHoldMs: 24 * HOUR }));
+const opened = Date.now();
+watcher.openPosition({ source: 'test', mint: WIF, amount: 10, openedAt: new Date(opened).toISOString() });
+
+assert.deepEqual(await watcher.check(opened + 23 * HOUR), []);
+assert.equal(watcher.getPositions()[0].entryPrice, 2, 'Entry set from the first price');
+fired = await watcher.check(opened + 25 * HOUR);
+assert.equal(fired[0].type, TriggerType.MAX_HOLD);
+assert.equal(fired[0].changePercent, 0);
+console.log('✅ Passed\n');
+
+// Test 4: Failed sells are retried and inactive sources are skipped
+console.log('Test 4: Failed sells are retried and inactive sources are skipped');
+cleanup();
+watcher = new PositionWatcher({ dataFile: DATA_FILE, priceSource: new ScriptedPriceSource([{ [BONK]: 0.5 }]), rules: { stopLossPercent: 10 } });
+const errors = [];
+watcher.on('sellFailed', ({ error }) => errors.push(error.message));
+let attempts = 0;
+let active = false;
+watcher.addSource('flaky', {
+  isActive: () => active,
+  sell: async () => (++attempts === 1 ? { success: false, error: 'Slippage exceeded' } : { success: true })
+});
+watcher.openPosition({ source: 'flaky', mint: BONK, amount: 5, entryPrice: 1 });
+
+assert.deepEqual(await watcher.check(), [], 'Inactive source is not priced or sold');
+active = true;
+fired = await watcher.check();
+assert.equal(fired[0].success, false);
+assert.equal(fired[0].error, 'Slippage exceeded');
+assert.deepEqual(errors, ['Slippage exceeded']);
+assert.equal(watcher.getPositions().length, 1, 'Still open after a failed sell');
+
+fired = await watcher.check();
+assert.equal(fired[0].success, true, 'Retried on the next check');
+assert.deepEqual(watcher.getTriggerLog().map(t => t.success), [true, false], 'Newest first');
+
+// No listeners: failures must not throw out of check()
+watcher = new PositionWatcher({ dataFile: null, priceSource: new ScriptedPriceSource([{ [BONK]: 0.5 }]), rules: { stopLossPercent: 10 } });
+watcher.addSource('broken', {
+  isActive: () => true,
+  getHoldings: async () => { throw new Error('RPC down'); },
+  sell: async () => ({ success: false, error: 'Slippage exceeded' })
+});
+watcher.openPosition({ source: 'broken', mint: BONK, amount: 5, entryPrice: 1 });
+fired = await watcher.check();
+assert.equal(fired[0].error, 'Slippage exceeded');
+console.log('✅ Passed\n');
+
+// Test 5: Paper holdings are synced and sold through PaperTrading
+console.log('Test 5: Paper holdings are synced and sold through PaperTrading');
+cleanup();
+// USD-quoted like the Telegram bot's ledger, at $100/SOL to match the feed
+const paper = new PaperTrading(PAPER_FILE, { quoteCurrency: 'usd', solUsd: () => 100 });
+paper.toggle();
+await paper.buy(BONK, 'BONK', 0.5, 0.001);
+await paper.buy(WIF, 'WIF', 0.2, 0.01);
+
+watcher = new PositionWatcher({
+  dataFile: DATA_FILE,
+  // Paper prices are USD, so the feed's priceUsd (x100) is used
+  priceSource: new ScriptedPriceSource([{ [BONK]: 0.000009, [WIF]: 0.0001 }]),
+  rules: { stopLossPercent: 5 }
+});
+watcher.addSource('paper', {
+  priceUnit: 'usd',
+  isActive: () => paper.isEnabled(),
+  getHoldings: async () => Object.entries(paper.getPortfolio().tokens).map(([mint, holding]) => ({
+    mint,
+    symbol: holding.symbol,
+    amount: holding.amount,
+    entryPrice: holding.avgPrice
+  })),
+  sell: (position, amount, trigger) => paper.sell(position.mint, amount, trigger.price)
+});
+
+fired = await watcher.check();
+assert.deepEqual(fired.map(t => t.symbol), ['BONK'], 'BONK is down 10%, WIF is flat');
+assert.equal(paper.getPortfolio().tokens[BONK], undefined, 'Sold on the paper account');
+assert.ok(Math.abs(fired[0].result.trade.solReceived - 0.45) < 1e-9);
+
+await paper.sell(WIF, paper.getPortfolio().tokens[WIF].amount, 0.01); // Sold by hand
+await watcher.check();
+assert.equal(watcher.getPositions().length, 0, 'Positions no longer held are closed');
+assert.equal(watcher.data.positions[`paper:${WIF}`].closeReason, 'no longer held');
+console.log('✅ Passed\n');
+
+// Test 6: TradingBot exits bought tokens through the stopLoss strategy
+console.log('Test 6: TradingBot exits bought tokens through the stopLoss strategy');
+cleanup();
+watcher = new PositionWatcher({ dataFile: DATA_FILE, priceSource: new ScriptedPriceSource([{ [BONK]: 0.0001 }, { [BONK]: 0.00025 }]) });
+// Jupiter quotes at a settable SOL price (BONK has 5 decimals)
+const quoter = {
+  price: 0.0001,
+  async getTokenDecimals(mint) {
+    return mint === SOL_MINT ? 9 : 5;
+  },
+  async getQuote(inputMint, outputMint, amount) {
+    const out = inputMint === SOL_MINT ? Number(amount) / 1e9 / this.price * 1e5 : Number(amount) / 1e5 * this.price * 1e9;
+    return { inAmount: amount, outAmount: Math.round(out).toString(), priceImpactPct: '0' };
+  }
+};
+const tradingBot = new TradingBot({ wallets: [] }, { wallet: null }, { enabled: true, positionWatcher: watcher, trader: quoter, paperDataDir: PAPER_DIR });
+tradingBot.registerStrategy('sniper', TradingStrategies.tokenSniper([], { fixedAmount: 0.05 }));
+tradingBot.registerStrategy('exits', TradingStrategies.stopLoss(20, { takeProfit: [{ percent: 100, sellPercent: 50 }] }));
+
+await tradingBot._processAlert({ type: 'SWAP_BUY', wallet: { name: 'whale', emoji: '🐳' }, trade: { outputMint: BONK } });
+assert.equal(watcher.getPositions('bot').length, 1, 'Buy opened a position');
+assert.deepEqual(watcher.getPositions('bot')[0].rules.takeProfit, [{ percent: 100, sellPercent: 50 }]);
+
+assert.equal(watcher.getPositions('bot')[0].amount, 500, 'Amount from the quote');
+assert.deepEqual(await watcher.check(), []);
+
+quoter.price = 0.00025;
+fired = await watcher.check();
+assert.equal(fired[0].type, TriggerType.TAKE_PROFIT);
+assert.equal(fired[0].success, true);
+assert.equal(fired[0].result.strategy, 'exits');
+const sell = tradingBot.getTradeHistory().at(-1).params;
+assert.equal(sell.action, 'sell_token');
+assert.equal(sell.tokenAmount, 250);
+assert.equal(sell.reason, TriggerType.TAKE_PROFIT);
+assert.equal(watcher.getPositions('bot')[0].amount, 250);
+assert.equal(tradingBot.getPaperLedger('sniper').data.tokens[BONK].amount, 250, 'Exit booked on the ledger that bought');
+assert.ok(Math.abs(tradingBot.getPaperStats().sniper.realizedPnl - 0.0375) < 1e-9);
+cleanup();
+console.log('✅ Passed\n');
+
+fs.rmSync(TMP_DIR, { recursive: true, force: true });
+
+console.log('✅ All Position Watcher tests passed!');
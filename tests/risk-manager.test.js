@@ -0,0 +1,259 @@
+import { RiskManager, RiskRule } from '../src/risk-manager.js';
+import { TradingBot } from '../src/trading-bot.js';
+import { SOL_MINT } from '../src/swap-decoder.js';
+import { strict as assert } from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Tests for RiskManager limits, PnL booking and circuit breaker (no network)
+ */
+
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'laxmi-risk-manager-'));
+const DATA_FILE = path.join(TMP_DIR, 'risk-state.json');
+const BONK = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+const WIF = 'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm';
+const JUP = 'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN';
+const NOON = Date.parse('2024-01-01T12:00:00.000Z');
+const DAY = 24 * 3600000;
+
+function cleanup() {
+  for (const file of [DATA_FILE, `${DATA_FILE}.tmp`]) {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+  }
+}
+
+const near = (actual, expected) => Math.abs(actual - expected) < 1e-9;
+const buy = (mint, amount, wallet = null) => ({ side: 'buy', mint, amount, wallet });
+const bought = (mint, inputAmount, outputAmount, wallet = null) => ({ side: 'buy', mint, inputAmount, outputAmount, wallet, success: true });
+const sold = (mint, inputAmount, outputAmount) => ({ side: 'sell', mint, inputAmount, outputAmount, success: true });
+const failed = { side: 'buy', mint: BONK, amount: 0.1, success: false };
+
+/**
+ * Run `fn` (sync or async) with the trade logs muted
+ */
+function quietly(fn) {
+  const { log, warn } = console;
+  const restore = () => {
+    console.log = log;
+    console.warn = warn;
+  };
+  console.log = () => {};
+  console.warn = () => {};
+  try {
+    const result = fn();
+    if (result instanceof Promise) {
+      return result.finally(restore);
+    }
+    restore();
+    return result;
+  } catch (error) {
+    restore();
+    throw error;
+  }
+}
+
+console.log('🧪 Running Risk Manager Tests...\n');
+cleanup();
+
+// Test 1: Buys are rejected by the first limit they break
+console.log('Test 1: Buys are rejected by the first limit they break');
+let now = NOON;
+let risk = new RiskManager({
+  clock: () => now,
+  limits: { maxOpenPositions: 2, maxTokenExposure: 0.3, maxDailySpend: 0.5, walletCooldownMs: 60000 },
+  strategies: { big: { maxDailySpend: 2 } }
+});
+const emitted = [];
+risk.on('rejected', rejection => emitted.push(rejection));
+
+quietly(() => {
+  assert.equal(risk.check('sniper', buy(BONK, 0.2, 'whale')), null);
+  risk.record('sniper', bought(BONK, 0.2, 5000, 'whale'));
+  now += 1000;
+
+  let rejection = risk.check('sniper', buy(BONK, 0.2, 'degen'));
+  assert.equal(rejection.rule, RiskRule.MAX_TOKEN_EXPOSURE);
+  assert.match(rejection.reason, /0\.2000 \+ 0\.2 SOL in DezXAZ8z\.\.\. exceeds 0\.3 SOL/);
+
+  rejection = risk.check('sniper', buy(WIF, 0.1, 'whale'));
+  assert.equal(rejection.rule, RiskRule.WALLET_COOLDOWN);
+  assert.match(rejection.reason, /whale \(59s left\)/);
+
+  risk.record('sniper', bought(WIF, 0.1, 10, 'degen'));
+  assert.equal(risk.check('sniper', buy(JUP, 0.1)).rule, RiskRule.MAX_OPEN_POSITIONS);
+  assert.equal(risk.check('sniper', buy(BONK, 0.1)), null, 'Adding to a held token, exposure right at the cap');
+  assert.equal(risk.check('sniper', buy(BONK, 0.25)).rule, RiskRule.MAX_DAILY_SPEND);
+  assert.equal(risk.check('big', buy(JUP, 0.25)), null, 'Own limits and own positions');
+  assert.equal(risk.check('sniper', { side: 'sell', mint: JUP, amount: 1000 }), null, 'Sells are never limited');
+});
+
+assert.deepEqual(emitted.map(r => r.rule), [
+  RiskRule.MAX_TOKEN_EXPOSURE,
+  RiskRule.WALLET_COOLDOWN,
+  RiskRule.MAX_OPEN_POSITIONS,
+  RiskRule.MAX_DAILY_SPEND
+]);
+assert.deepEqual(risk.getRejections(1).map(r => [r.strategy, r.mint, r.amount]), [['sniper', BONK, 0.25]]);
+assert.equal(emitted[1].wallet, 'whale');
+assert.equal(emitted[0].timestamp, new Date(NOON + 1000).toISOString());
+assert.deepEqual(risk.getLimits('big'), { ...risk.getLimits('sniper'), maxDailySpend: 2 });
+console.log('✅ Passed\n');
+
+// Test 2: Daily spend and loss roll over at UTC midnight
+console.log('Test 2: Daily spend and loss roll over at UTC midnight');
+now = NOON;
+risk = new RiskManager({ clock: () => now, limits: { maxDailyLoss: 0.05 } });
+quietly(() => {
+  risk.record('sniper', bought(BONK, 0.2, 1000));
+  assert.ok(near(risk.record('sniper', sold(BONK, 1000, 0.1)), -0.1));
+
+  const rejection = risk.check('sniper', buy(WIF, 0.1));
+  assert.equal(rejection.rule, RiskRule.MAX_DAILY_LOSS);
+  assert.equal(rejection.reason, 'Daily loss limit reached (0.1000 of 0.05 SOL)');
+
+  now += DAY;
+  assert.equal(risk.check('sniper', buy(WIF, 0.1)), null, 'New day');
+});
+const status = risk.getStatus();
+assert.equal(status.strategies.sniper.spentToday, 0);
+assert.equal(status.strategies.sniper.realizedPnlToday, 0);
+assert.equal(status.strategies.sniper.openPositions, 0);
+assert.equal(status.rejections, 1);
+console.log('✅ Passed\n');
+
+// Test 3: Sells realize PnL against cost, pro rata across holders
+console.log('Test 3: Sells realize PnL against cost, pro rata across holders');
+risk = new RiskManager({ clock: () => NOON });
+risk.record('a', bought(BONK, 0.1, 1000));
+risk.record('b', bought(BONK, 0.3, 3000));
+
+// An exit sell by a strategy that didn't buy the token
+assert.ok(near(risk.record('exits', sold(BONK, 2000, 0.4)), 0.2), '0.4 SOL for tokens that cost 0.2');
+let { strategies } = risk.getStatus();
+assert.ok(near(strategies.a.realizedPnlToday, 0.05));
+assert.ok(near(strategies.b.realizedPnlToday, 0.15));
+assert.ok(near(strategies.a.exposure, 0.05));
+assert.ok(near(strategies.b.exposure, 0.15));
+
+assert.ok(near(risk.record('a', sold(BONK, 500, 0.02)), -0.03), 'Own position first');
+({ strategies } = risk.getStatus());
+assert.equal(strategies.a.openPositions, 0);
+assert.equal(strategies.b.openPositions, 1);
+assert.equal(risk.record('a', sold(WIF, 100, 1)), null, 'No cost basis');
+console.log('✅ Passed\n');
+
+// Test 4: Circuit breaker trips on failure and loss streaks
+console.log('Test 4: Circuit breaker trips on failure and loss streaks');
+risk = new RiskManager({ clock: () => NOON, maxConsecutiveFailures: 3, maxConsecutiveLosses: 2 });
+const breakers = [];
+risk.on('breaker', breaker => breakers.push(breaker));
+
+quietly(() => {
+  risk.record('sniper', failed);
+  risk.record('sniper', failed);
+  risk.record('sniper', bought(BONK, 0.2, 2000));
+  risk.record('sniper', failed);
+  risk.record('sniper', failed);
+  assert.equal(risk.isTripped(), false, 'A success resets the streak');
+  risk.record('sniper', failed);
+});
+assert.equal(risk.isTripped(), true);
+assert.deepEqual(breakers, [{ reason: '3 failed trades in a row', trippedAt: new Date(NOON).toISOString() }]);
+
+let rejection = quietly(() => risk.check('other', buy(WIF, 0.01)));
+assert.equal(rejection.rule, RiskRule.CIRCUIT_BREAKER);
+assert.equal(rejection.reason, 'Circuit breaker tripped: 3 failed trades in a row');
+
+risk.resetBreaker();
+assert.equal(risk.check('other', buy(WIF, 0.01)), null);
+quietly(() => {
+  risk.record('sniper', sold(BONK, 500, 0.04));
+  risk.record('sniper', sold(BONK, 500, 0.06));
+  risk.record('sniper', sold(BONK, 500, 0.04));
+  assert.equal(risk.isTripped(), false, 'A win resets the streak');
+  risk.record('sniper', sold(BONK, 500, 0.04));
+});
+assert.equal(breakers.at(-1).reason, '2 losing trades in a row');
+console.log('✅ Passed\n');
+
+// Test 5: State survives a restart
+console.log('Test 5: State survives a restart');
+risk = new RiskManager({ dataFile: DATA_FILE, clock: () => NOON, maxConsecutiveFailures: 1 });
+quietly(() => {
+  risk.record('sniper', bought(BONK, 0.2, 2000, 'whale'));
+  risk.record('sniper', failed);
+});
+assert.ok(!fs.existsSync(`${DATA_FILE}.tmp`), 'Temp file renamed into place');
+
+const restored = new RiskManager({ dataFile: DATA_FILE, clock: () => NOON + 1000, limits: { walletCooldownMs: 60000 } });
+assert.equal(restored.isTripped(), true);
+assert.equal(restored.getStatus().strategies.sniper.spentToday, 0.2);
+restored.resetBreaker();
+assert.equal(quietly(() => restored.check('sniper', buy(WIF, 0.1, 'whale'))).rule, RiskRule.WALLET_COOLDOWN);
+cleanup();
+console.log('✅ Passed\n');
+
+// Test 6: TradingBot skips rejected buys and stops when the breaker trips
+console.log('Test 6: TradingBot skips rejected buys and stops when the breaker trips');
+const trader = {
+  swaps: [],
+  failNextSwap: false,
+  async getTokenDecimals(mint) {
+    return mint === SOL_MINT ? 9 : 5;
+  },
+  async getQuote(inputMint, outputMint, amount) {
+    const outAmount = inputMint === SOL_MINT ? BigInt(amount) * 25000n / 10000n : BigInt(amount) * 10000n / 25000n;
+    return { inputMint, outputMint, inAmount: amount, outAmount: outAmount.toString() };
+  },
+  async swapQuote(quote) {
+    if (this.failNextSwap) {
+      throw new Error('Transaction failed: slippage');
+    }
+    this.swaps.push(quote);
+    return { success: true, signature: `SIG${this.swaps.length}`, inputAmount: quote.inAmount, outputAmount: quote.outAmount };
+  }
+};
+risk = new RiskManager({ limits: { maxOpenPositions: 1 }, maxConsecutiveFailures: 1 });
+const bot = new TradingBot({ wallets: [] }, { wallet: {}, getBalance: async () => 1 }, {
+  enabled: true,
+  dryRun: false,
+  trader,
+  riskManager: risk
+});
+const rejected = [];
+const tripped = [];
+bot.on('rejected', rejection => rejected.push(rejection));
+bot.on('breaker', breaker => tripped.push(breaker));
+
+const buyToken = mint => ({ action: async () => ({ action: 'buy_token', tokenMint: mint, amount: 0.1 }) });
+const alert = { type: 'TEST', wallet: { name: 'whale' } };
+
+await quietly(async () => {
+  await bot._executeTrade('sniper', buyToken(BONK), alert);
+  assert.equal(await bot._executeTrade('sniper', buyToken(WIF), alert), undefined);
+});
+assert.equal(trader.swaps.length, 1, 'Second buy never quoted');
+assert.equal(bot.stats.tradesRejected, 1);
+assert.equal(rejected[0].rule, RiskRule.MAX_OPEN_POSITIONS);
+assert.equal(rejected[0].wallet, 'whale');
+assert.equal(rejected[0].params.tokenMint, WIF);
+assert.equal(bot.getStats().risk.strategies.sniper.exposure, 0.1);
+
+const sellAll = { action: async () => ({ action: 'sell_token', tokenMint: BONK, tokenAmount: 2500, amount: 0 }) };
+await quietly(() => bot._executeTrade('exits', sellAll, alert));
+assert.equal(bot.getStats().risk.strategies.sniper.openPositions, 0, 'Exit booked against the buyer');
+
+trader.failNextSwap = true;
+await quietly(() => bot._executeTrade('sniper', buyToken(WIF), alert));
+assert.equal(bot.options.enabled, false, 'Bot disabled');
+assert.equal(tripped[0].reason, '1 failed trades in a row');
+assert.ok(bot.getStats().risk.breaker);
+console.log('✅ Passed\n');
+
+fs.rmSync(TMP_DIR, { recursive: true, force: true });
+
+console.log('✅ All Risk Manager tests passed!');
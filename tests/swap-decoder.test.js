@@ -0,0 +1,165 @@
+import { SwapDecoder, SwapVenue, SOL_MINT, USDC_MINT } from '../src/swap-decoder.js';
+import { strict as assert } from 'assert';
+
+/**
+ * Tests for SwapDecoder using hand-built transactions (no network)
+ */
+
+const OWNER = 'HYWo71Wk9PNDe5sBaRKazPnVyGnQDiwgXCFKvgAQ1ENp';
+const POOL = 'PoolVau1tPoolVau1tPoolVau1tPoolVau1tPoo1';
+const OWNER_ATA = 'OwnerTokenAccountOwnerTokenAccountOwnerTo';
+const OWNER_WSOL = 'OwnerWsolAccountOwnerWsolAccountOwnerWsol';
+const MINT = 'kh35nynonqA4VYaoeAvn17ChrhMrWhJ26EbCayKpump';
+const RENT = 2039280;
+const FEE = 5000;
+
+const RAYDIUM = '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8';
+const PUMP_FUN = '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P';
+const JUPITER = 'JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4';
+const WHIRLPOOL = 'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc';
+
+function tokenBalance(accountIndex, mint, amount, owner = OWNER, decimals = 6) {
+  return {
+    accountIndex,
+    mint,
+    owner,
+    uiTokenAmount: { amount: String(Math.round(amount * 10 ** decimals)), decimals, uiAmountString: String(amount) }
+  };
+}
+
+/**
+ * Build a legacy-shaped transaction. `programs` are appended to the account
+ * keys and invoked as top-level instructions, `innerPrograms` as CPIs.
+ */
+function buildTx({ accounts, preBalances, postBalances, preTokenBalances = [], postTokenBalances = [], programs = [], innerPrograms = [], err = null }) {
+  const accountKeys = [...accounts, ...programs, ...innerPrograms];
+  const programIndex = id => accountKeys.indexOf(id);
+
+  return {
+    transaction: {
+      message: {
+        accountKeys,
+        instructions: programs.map(id => ({ programIdIndex: programIndex(id), accounts: [], data: '' }))
+      }
+    },
+    meta: {
+      err,
+      fee: FEE,
+      preBalances: [...preBalances, ...programs.map(() => 1), ...innerPrograms.map(() => 1)],
+      postBalances: [...postBalances, ...programs.map(() => 1), ...innerPrograms.map(() => 1)],
+      preTokenBalances,
+      postTokenBalances,
+      innerInstructions: innerPrograms.length > 0
+        ? [{ index: 0, instructions: innerPrograms.map(id => ({ programIdIndex: programIndex(id), accounts: [], data: '' })) }]
+        : []
+    }
+  };
+}
+
+const decoder = new SwapDecoder();
+
+console.log('🧪 Running Swap Decoder Tests...\n');
+
+// Test 1: pump.fun buy that opens a new token account
+console.log('Test 1: pump.fun buy that opens a new token account');
+let tx = buildTx({
+  accounts: [OWNER, OWNER_ATA, POOL],
+  // Owner pays 1 SOL to the curve, plus rent for the new ATA and the fee
+  preBalances: [5e9, 0, 100e9],
+  postBalances: [5e9 - 1e9 - RENT - FEE, RENT, 101e9],
+  postTokenBalances: [tokenBalance(1, MINT, 1000000), tokenBalance(2, MINT, 5000000, POOL)],
+  preTokenBalances: [tokenBalance(2, MINT, 6000000, POOL)],
+  programs: [PUMP_FUN]
+});
+let trades = decoder.decode(tx, OWNER);
+assert.equal(trades.length, 1, 'Should decode one trade');
+assert.equal(trades[0].side, 'BUY');
+assert.equal(trades[0].inputMint, SOL_MINT);
+assert.equal(trades[0].inputAmount, 1, 'Rent and fee should not count as spent');
+assert.equal(trades[0].outputMint, MINT);
+assert.equal(trades[0].outputAmount, 1000000, 'Missing pre balance should count as 0');
+assert.equal(trades[0].venue, SwapVenue.PUMP_FUN);
+assert.equal(trades[0].priceInSol, 0.000001);
+console.log('✅ Passed\n');
+
+// Test 2: Raydium sell that unwraps SOL and closes the token account
+console.log('Test 2: Raydium sell that unwraps SOL and closes the token account');
+tx = buildTx({
+  accounts: [OWNER, OWNER_ATA, OWNER_WSOL, POOL],
+  // wSOL account is created, receives 2 SOL and is closed back into the owner
+  preBalances: [1e9, RENT, 0, 100e9],
+  postBalances: [1e9 + 2e9 + RENT - FEE, 0, 0, 98e9],
+  preTokenBalances: [tokenBalance(1, MINT, 500)],
+  postTokenBalances: [],
+  programs: [RAYDIUM]
+});
+trades = decoder.decode(tx, OWNER);
+assert.equal(trades.length, 1, 'Should decode one trade');
+assert.equal(trades[0].side, 'SELL');
+assert.equal(trades[0].inputMint, MINT);
+assert.equal(trades[0].inputAmount, 500, 'Closed account should count down to 0');
+assert.equal(trades[0].outputMint, SOL_MINT);
+assert.equal(trades[0].outputAmount, 2, 'Rent refund should not count as proceeds');
+assert.equal(trades[0].venue, SwapVenue.RAYDIUM_AMM);
+assert.equal(trades[0].priceInSol, 0.004);
+console.log('✅ Passed\n');
+
+// Test 3: Jupiter sell into a kept wSOL account, routed through Orca
+console.log('Test 3: Jupiter sell into a kept wSOL account, routed through Orca');
+tx = buildTx({
+  accounts: [OWNER, OWNER_ATA, OWNER_WSOL, POOL],
+  preBalances: [1e9, RENT, RENT + 1e9, 100e9],
+  postBalances: [1e9 - FEE, RENT, RENT + 1.5e9, 99.5e9],
+  preTokenBalances: [tokenBalance(1, MINT, 100), tokenBalance(2, SOL_MINT, 1, OWNER, 9)],
+  postTokenBalances: [tokenBalance(1, MINT, 50), tokenBalance(2, SOL_MINT, 1.5, OWNER, 9)],
+  programs: [JUPITER],
+  innerPrograms: [WHIRLPOOL]
+});
+trades = decoder.decode(tx, OWNER);
+assert.equal(trades.length, 1, 'Should decode one trade');
+assert.equal(trades[0].side, 'SELL');
+assert.equal(trades[0].inputAmount, 50);
+assert.equal(trades[0].outputAmount, 0.5, 'wSOL received should count as SOL');
+assert.equal(trades[0].venue, SwapVenue.JUPITER, 'Aggregator should win over the AMM');
+assert.deepEqual(trades[0].route, [SwapVenue.ORCA_WHIRLPOOL], 'AMM should be listed as the route');
+console.log('✅ Passed\n');
+
+// Test 4: Stablecoin-quoted buy
+console.log('Test 4: Stablecoin-quoted buy');
+tx = buildTx({
+  accounts: [OWNER, OWNER_ATA, OWNER_WSOL],
+  preBalances: [1e9, RENT, RENT],
+  postBalances: [1e9 - FEE, RENT, RENT],
+  preTokenBalances: [tokenBalance(1, MINT, 0), tokenBalance(2, USDC_MINT, 100)],
+  postTokenBalances: [tokenBalance(1, MINT, 2000), tokenBalance(2, USDC_MINT, 80)],
+  programs: [WHIRLPOOL]
+});
+trades = decoder.decode(tx, OWNER);
+assert.equal(trades[0].side, 'BUY');
+assert.equal(trades[0].inputMint, USDC_MINT);
+assert.equal(trades[0].inputAmount, 20);
+assert.equal(trades[0].outputAmount, 2000);
+assert.equal(trades[0].priceInSol, null, 'No SOL leg means no SOL price');
+console.log('✅ Passed\n');
+
+// Test 5: Plain transfers and failed transactions are not trades
+console.log('Test 5: Plain transfers and failed transactions are not trades');
+tx = buildTx({
+  accounts: [POOL, OWNER_ATA, OWNER],
+  // Someone else opens an account for the owner and sends them tokens
+  preBalances: [5e9, 0, 1e9],
+  postBalances: [5e9 - RENT - FEE, RENT, 1e9],
+  postTokenBalances: [tokenBalance(1, MINT, 1000)]
+});
+assert.deepEqual(decoder.decode(tx, OWNER), [], 'Airdrop should not be a buy');
+tx = buildTx({
+  accounts: [OWNER, POOL],
+  preBalances: [5e9, 0],
+  postBalances: [4e9 - FEE, 1e9]
+});
+assert.deepEqual(decoder.decode(tx, OWNER), [], 'SOL transfer should not be a trade');
+tx.meta.err = { InstructionError: [0, 'Custom'] };
+assert.deepEqual(decoder.decode(tx, OWNER), [], 'Failed transaction should not be a trade');
+console.log('✅ Passed\n');
+
+console.log('✅ All Swap Decoder tests passed!');
@@ -0,0 +1,152 @@
+import { WalletTracker } from '../src/tracker.js';
+import { resolveAccountKeys } from '../src/account-keys.js';
+import { MessageV0, Message, PublicKey } from '@solana/web3.js';
+import { strict as assert } from 'assert';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+/**
+ * Tests for WalletTracker transaction parsing against RPC fixtures (no network)
+ */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+function loadFixture(name) {
+  return JSON.parse(readFileSync(join(__dirname, 'fixtures', name), 'utf8'));
+}
+
+/**
+ * Turn raw `getTransaction` JSON into what `Connection.getTransaction` returns
+ */
+function toWeb3Transaction(json) {
+  const { message } = json.transaction;
+  const instructions = message.instructions.map(ix => ({
+    programIdIndex: ix.programIdIndex,
+    accountKeyIndexes: ix.accounts,
+    data: new Uint8Array()
+  }));
+
+  const web3Message = json.version === 0
+    ? new MessageV0({
+      header: message.header,
+      staticAccountKeys: message.accountKeys.map(key => new PublicKey(key)),
+      recentBlockhash: message.recentBlockhash,
+      compiledInstructions: instructions,
+      addressTableLookups: message.addressTableLookups.map(lookup => ({
+        ...lookup,
+        accountKey: new PublicKey(lookup.accountKey)
+      }))
+    })
+    : new Message({
+      header: message.header,
+      accountKeys: message.accountKeys,
+      recentBlockhash: message.recentBlockhash,
+      instructions: message.instructions
+    });
+
+  return {
+    ...json,
+    meta: {
+      ...json.meta,
+      loadedAddresses: {
+        writable: json.meta.loadedAddresses.writable.map(key => new PublicKey(key)),
+        readonly: json.meta.loadedAddresses.readonly.map(key => new PublicKey(key))
+      }
+    },
+    transaction: { ...json.transaction, message: web3Message }
+  };
+}
+
+const tracker = new WalletTracker();
+const jupiterSwap = loadFixture('jupiter-swap-v0.json');
+const solTransfer = loadFixture('sol-transfer-legacy.json');
+const { accountKeys } = jupiterSwap.transaction.message;
+const { writable, readonly } = jupiterSwap.meta.loadedAddresses;
+const owner = accountKeys[0];
+const poolWsolVault = writable[1];
+
+console.log('🧪 Running Tracker Parsing Tests...\n');
+
+// Test 1: Lookup table keys are appended writable-then-readonly
+console.log('Test 1: Lookup table keys are appended writable-then-readonly');
+const expectedKeys = [...accountKeys, ...writable, ...readonly];
+assert.deepEqual(resolveAccountKeys(jupiterSwap), expectedKeys, 'Raw JSON should resolve all keys');
+assert.deepEqual(resolveAccountKeys(toWeb3Transaction(jupiterSwap)), expectedKeys, 'web3.js MessageV0 should resolve all keys');
+assert.equal(expectedKeys.length, jupiterSwap.meta.preBalances.length, 'Every balance index should have a key');
+console.log('✅ Passed\n');
+
+// Test 2: Balance changes include lookup table accounts
+console.log('Test 2: Balance changes include lookup table accounts');
+for (const tx of [jupiterSwap, toWeb3Transaction(jupiterSwap)]) {
+  const changes = tracker._extractBalanceChanges(tx);
+  assert.equal(changes[owner], -0.500015, 'Owner should pay 0.5 SOL plus fee');
+  assert.equal(changes[poolWsolVault], 0.5, 'Pool vault loaded from the lookup table should receive 0.5 SOL');
+  assert.equal(Object.keys(changes).length, 2, 'Only the owner and the vault should change');
+}
+console.log('✅ Passed\n');
+
+// Test 3: Account balances cover every account
+console.log('Test 3: Account balances cover every account');
+const balances = tracker._extractAccountBalances(toWeb3Transaction(jupiterSwap));
+assert.equal(balances.length, expectedKeys.length, 'Should list static and loaded accounts');
+const vault = balances.find(b => b.address === poolWsolVault);
+assert.equal(vault.preBalance, 1000, 'Vault pre balance should map to the right key');
+assert.equal(vault.postBalance, 1000.5, 'Vault post balance should map to the right key');
+console.log('✅ Passed\n');
+
+// Test 4: Swaps routed through lookup table programs get their venue
+console.log('Test 4: Swaps routed through lookup table programs get their venue');
+const [trade] = tracker.swapDecoder.decode(toWeb3Transaction(jupiterSwap), owner);
+assert.equal(trade.side, 'BUY');
+assert.equal(trade.inputAmount, 0.5);
+assert.equal(trade.outputAmount, 12345.678901);
+assert.equal(trade.venue, 'jupiter');
+assert.deepEqual(trade.route, ['raydium-amm'], 'Raydium program is only in the lookup table');
+console.log('✅ Passed\n');
+
+// Test 5: Legacy transactions still parse
+console.log('Test 5: Legacy transactions still parse');
+for (const tx of [solTransfer, toWeb3Transaction(solTransfer)]) {
+  const changes = tracker._extractBalanceChanges(tx);
+  const [sender, recipient] = solTransfer.transaction.message.accountKeys;
+  assert.equal(changes[sender], -0.250005);
+  assert.equal(changes[recipient], 0.25);
+  assert.equal(tracker._extractAccountBalances(tx).length, 3);
+}
+console.log('✅ Passed\n');
+
+// Test 6: Created and closed token accounts count from/to zero
+console.log('Test 6: Created and closed token accounts count from/to zero');
+const tokenBalance = (accountIndex, amount) => ({
+  accountIndex,
+  mint: 'kh35nynonqA4VYaoeAvn17ChrhMrWhJ26EbCayKpump',
+  owner,
+  uiTokenAmount: { decimals: 6, uiAmountString: String(amount) }
+});
+let transfers = tracker._extractTokenTransfers({
+  meta: { preTokenBalances: [], postTokenBalances: [tokenBalance(1, 500)] }
+});
+assert.equal(transfers.length, 1, 'First buy should be reported');
+assert.equal(transfers[0].amount, 500);
+assert.equal(transfers[0].preAmount, 0);
+assert.equal(transfers[0].positionChange, 'opened');
+assert.equal(transfers[0].owner, owner);
+
+transfers = tracker._extractTokenTransfers({
+  meta: { preTokenBalances: [tokenBalance(1, 500)], postTokenBalances: [] }
+});
+assert.equal(transfers.length, 1, 'Full exit should be reported');
+assert.equal(transfers[0].amount, -500);
+assert.equal(transfers[0].postAmount, 0);
+assert.equal(transfers[0].positionChange, 'closed');
+
+transfers = tracker._extractTokenTransfers({
+  meta: { preTokenBalances: [tokenBalance(1, 500)], postTokenBalances: [tokenBalance(1, 200)] }
+});
+assert.equal(transfers[0].positionChange, 'decreased');
+transfers = tracker._extractTokenTransfers(jupiterSwap);
+assert.equal(transfers.find(t => t.owner === owner).positionChange, 'opened', 'Zero pre balance should count as opened');
+console.log('✅ Passed\n');
+
+console.log('✅ All Tracker Parsing tests passed!');
@@ -0,0 +1,266 @@
+import { TradingBot, TradingStrategies } from '../src/trading-bot.js';
+import { toRawAmount, fromRawAmount } from '../src/jupiter-trader.js';
+import { PositionWatcher } from '../src/position-watcher.js';
+import { SOL_MINT } from '../src/swap-decoder.js';
+import { AlertType } from '../src/alerts.js';
+import { RiskManager } from '../src/risk-manager.js';
+import { strict as assert } from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Tests for TradingBot live trade execution with a stubbed Jupiter trader (no network)
+ */
+
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'laxmi-trading-bot-'));
+const POSITIONS_FILE = path.join(TMP_DIR, 'bot-positions.json');
+const PAPER_DIR = path.join(TMP_DIR, 'paper-strategies');
+const BONK = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+
+function cleanup() {
+  for (const file of [POSITIONS_FILE, `${POSITIONS_FILE}.tmp`]) {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+  }
+  fs.rmSync(PAPER_DIR, { recursive: true, force: true });
+}
+
+/**
+ * Jupiter stand-in: quotes at a fixed rate and records swaps
+ */
+class StubTrader {
+  constructor() {
+    this.quotes = [];
+    this.swaps = [];
+    this.failNextSwap = false;
+    this.tokensPerSol = 25000; // BONK per SOL
+  }
+
+  async getTokenDecimals(mint) {
+    return mint === SOL_MINT ? 9 : 5;
+  }
+
+  async getQuote(inputMint, outputMint, amount, slippageBps) {
+    this.quotes.push({ inputMint, outputMint, amount, slippageBps });
+    const outAmount = inputMint === SOL_MINT
+      ? BigInt(amount) * BigInt(this.tokensPerSol) / 10000n // lamports -> BONK base units (5 decimals)
+      : BigInt(amount) * 10000n / BigInt(this.tokensPerSol);
+    return { inputMint, outputMint, inAmount: amount, outAmount: outAmount.toString(), priceImpactPct: '0.01' };
+  }
+
+  async swapQuote(quote) {
+    if (this.failNextSwap) {
+      this.failNextSwap = false;
+      throw new Error('Transaction failed: slippage');
+    }
+    this.swaps.push(quote);
+    return { success: true, signature: `SIG${this.swaps.length}`, inputAmount: quote.inAmount, outputAmount: quote.outAmount };
+  }
+}
+
+function createBot(options = {}) {
+  const trader = new StubTrader();
+  const walletManager = { wallet: {}, getBalance: async () => 1 };
+  const tracker = { wallets: [{ name: 'whale', emoji: '🐳', trackedWalletAddress: 'HYWo71Wk9PNDe5sBaRKazPnVyGnQDiwgXCFKvgAQ1ENp' }] };
+  const bot = new TradingBot(tracker, walletManager, { enabled: true, dryRun: false, trader, ...options });
+  const errors = [];
+  bot.on('error', ({ error }) => errors.push(error.message));
+  return { bot, trader, errors };
+}
+
+const swapBuy = (name, mint = BONK) => ({
+  type: AlertType.SWAP_BUY,
+  wallet: { name, emoji: '🐳' },
+  trade: { side: 'BUY', inputMint: SOL_MINT, outputMint: mint, inputAmount: 2 },
+  transaction: { amount: 2 }
+});
+
+console.log('🧪 Running Trading Bot Tests...\n');
+
+// Test 1: UI amounts convert to raw amounts and back
+console.log('Test 1: UI amounts convert to raw amounts and back');
+assert.equal(toRawAmount(0.1, 9), '100000000');
+assert.equal(toRawAmount(1234.56789, 5), '123456789');
+assert.equal(toRawAmount(1000000000, 6), '1000000000000000');
+assert.equal(toRawAmount(0.0000000001, 9), '0');
+assert.equal(fromRawAmount('123456789', 5), 1234.56789);
+assert.equal(fromRawAmount(100000000n, 9), 0.1);
+console.log('✅ Passed\n');
+
+// Test 2: buy_token quotes then swaps and records the amounts
+console.log('Test 2: buy_token quotes then swaps and records the amounts');
+let { bot, trader, errors } = createBot({ slippageBps: 300 });
+bot.registerStrategy('sniper', TradingStrategies.tokenSniper([], { fixedAmount: 0.04 }));
+await bot._processAlert(swapBuy('whale'));
+
+assert.deepEqual(trader.quotes, [{ inputMint: SOL_MINT, outputMint: BONK, amount: '40000000', slippageBps: 300 }]);
+assert.equal(trader.swaps.length, 1, 'Swapped the quote');
+let [trade] = bot.getTradeHistory();
+assert.equal(trade.signature, 'SIG1');
+assert.equal(trade.inputAmount, 0.04, 'SOL in');
+assert.equal(trade.outputAmount, 1000, 'BONK out at 25000/SOL');
+assert.equal(trade.result.success, true);
+assert.equal(bot.stats.tradesExecuted, 1);
+assert.deepEqual(errors, []);
+console.log('✅ Passed\n');
+
+// Test 3: sell_token converts token decimals
+console.log('Test 3: sell_token converts token decimals');
+await bot._executeTrade('exit', {
+  action: async () => ({ action: 'sell_token', tokenMint: BONK, tokenAmount: 500, amount: 0.02 })
+}, { type: 'TEST', wallet: { name: 'bot' } });
+
+assert.deepEqual(trader.quotes[1], { inputMint: BONK, outputMint: SOL_MINT, amount: '50000000', slippageBps: 300 });
+trade = bot.getTradeHistory().at(-1);
+assert.equal(trade.inputAmount, 500);
+assert.equal(trade.outputAmount, 0.02, 'SOL out');
+assert.equal(trade.signature, 'SIG2');
+console.log('✅ Passed\n');
+
+// Test 4: copy_trade and follow_whale buy the token the wallet bought
+console.log('Test 4: copy_trade and follow_whale buy the token the wallet bought');
+({ bot, trader, errors } = createBot({ copyRatio: 0.01 }));
+bot.registerStrategy('copy', TradingStrategies.copyTrading('whale'));
+bot.registerStrategy('follow', TradingStrategies.whaleFollower(1, { fixedAmount: 0.05 }));
+const bonkBuy = { side: 'BUY', inputMint: SOL_MINT, outputMint: BONK, inputAmount: 3 };
+const bought = {
+  type: AlertType.SWAP_BUY,
+  wallet: { name: 'whale', emoji: '🐳' },
+  trade: bonkBuy,
+  transaction: { amount: 3.002, trades: [bonkBuy] } // SOL spent plus rent and fees
+};
+const large = { type: AlertType.LARGE_TRANSACTION, wallet: bought.wallet, transaction: bought.transaction };
+await bot._processAlert(bought);
+await bot._processAlert(large);
+
+assert.deepEqual(bot.getTradeHistory().map(t => [t.params.action, t.params.tokenMint, t.inputAmount]), [
+  ['copy_trade', BONK, 0.03],
+  ['follow_whale', BONK, 0.05]
+]);
+assert.deepEqual(trader.quotes[0], { inputMint: SOL_MINT, outputMint: BONK, amount: '30000000', slippageBps: 100 }, '1% of the SOL spent');
+assert.equal(trader.swaps.length, 2, 'Both swapped through Jupiter');
+
+await bot._processAlert({ ...large, type: AlertType.TRANSACTION_SENT });
+await bot._processAlert({ ...bought, trade: { ...bonkBuy, inputMint: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v' } });
+assert.equal(bot.getTradeHistory().length, 2, 'Neither the transfer alert nor a USDC buy is copied');
+assert.deepEqual(errors, []);
+console.log('✅ Passed\n');
+
+// Test 5: A failed swap is recorded with its quote
+console.log('Test 5: A failed swap is recorded with its quote');
+trader.failNextSwap = true;
+await bot._processAlert(large);
+trade = bot.getTradeHistory().at(-1);
+assert.equal(trade.result.success, false);
+assert.equal(trade.result.error, 'Transaction failed: slippage');
+assert.equal(trade.outputAmount, 1250, 'Quoted amount kept');
+assert.equal(trade.signature, undefined);
+assert.equal(bot.stats.tradesExecuted, 2);
+assert.equal(bot.getStats().successRate, '66.67%');
+console.log('✅ Passed\n');
+
+// Test 6: Live buys open and average the bot's position
+console.log('Test 6: Live buys open and average the bot\'s position');
+cleanup();
+const watcher = new PositionWatcher({ dataFile: POSITIONS_FILE, priceSource: { getPrices: async () => ({}) } });
+({ bot, trader } = createBot({ positionWatcher: watcher }));
+bot.registerStrategy('sniper', TradingStrategies.tokenSniper([], { fixedAmount: 0.04 }));
+await bot._processAlert(swapBuy('whale'));
+trader.tokensPerSol = 50000;
+await bot._processAlert(swapBuy('whale'));
+
+const [position] = watcher.getPositions('bot');
+assert.equal(position.amount, 3000, '1000 + 2000 BONK');
+assert.equal(position.costSol, 0.08);
+assert.ok(Math.abs(position.entryPrice - 0.08 / 3000) < 1e-15, 'Entry is the average SOL price');
+cleanup();
+console.log('✅ Passed\n');
+
+// Test 7: Dry-run trades fill on per-strategy paper ledgers at the quote
+console.log('Test 7: Dry-run trades fill on per-strategy paper ledgers at the quote');
+({ bot, trader, errors } = createBot({ dryRun: true, paperDataDir: PAPER_DIR, paperBalance: 0.5 }));
+bot.registerStrategy('sniper', TradingStrategies.tokenSniper([], { fixedAmount: 0.04 }));
+bot.registerStrategy('follow', TradingStrategies.whaleFollower(1, { fixedAmount: 0.05 }));
+await bot._processAlert(swapBuy('whale'));
+await bot._processAlert(large);
+
+assert.equal(trader.quotes.length, 2, 'Quoted at the live price');
+assert.equal(trader.swaps.length, 0, 'Nothing sent');
+assert.deepEqual(bot.getTradeHistory().map(t => [t.strategy, t.outputAmount, t.result.simulated]), [
+  ['sniper', 1000, true],
+  ['follow', 1250, true]
+]);
+const sniperLedger = bot.getPaperLedger('sniper');
+assert.equal(sniperLedger.data.balance, 0.46);
+assert.ok(Math.abs(sniperLedger.data.tokens[BONK].amount - 1000) < 1e-9);
+assert.equal(bot.getPaperLedger('follow').data.balance, 0.45, 'Separate ledgers');
+assert.ok(fs.existsSync(`${PAPER_DIR}/sniper.json`), 'Ledger saved per strategy');
+assert.equal(bot.stats.tradesSimulated, 2);
+console.log('✅ Passed\n');
+
+// Test 8: getStats reports paper PnL, win rate and drawdown per strategy
+console.log('Test 8: getStats reports paper PnL, win rate and drawdown per strategy');
+const sellHalf = { action: async () => ({ action: 'sell_token', tokenMint: BONK, tokenAmount: 500, amount: 0 }) };
+trader.tokensPerSol = 12500; // Price doubled
+await bot._executeTrade('sniper', sellHalf, { type: 'TEST', wallet: { name: 'bot' } });
+trader.tokensPerSol = 50000; // Half the entry price
+await bot._executeTrade('sniper', sellHalf, { type: 'TEST', wallet: { name: 'bot' } });
+await bot._executeTrade('sniper', sellHalf, { type: 'TEST', wallet: { name: 'bot' } });
+assert.match(bot.getTradeHistory().at(-1).result.error, /No paper holdings/, 'Nothing left to sell');
+
+const { paper } = bot.getStats();
+assert.deepEqual(Object.keys(paper), ['sniper', 'follow']);
+assert.ok(Math.abs(paper.sniper.pnl - 0.01) < 1e-9, '+0.02 then -0.01 SOL');
+assert.ok(Math.abs(paper.sniper.pnlPercent - 2) < 1e-9);
+assert.equal(paper.sniper.winRate, 50);
+assert.equal(paper.sniper.openPositions, 0);
+assert.ok(Math.abs(paper.sniper.maxDrawdown - 0.03) < 1e-9, 'From 0.54 down to 0.51 SOL');
+assert.ok(Math.abs(paper.sniper.maxDrawdownPercent - 0.03 / 0.54 * 100) < 1e-9);
+assert.equal(paper.follow.pnl, 0, 'Open tokens are valued at cost');
+assert.equal(paper.follow.winRate, 0);
+assert.equal(paper.follow.openPositions, 1);
+cleanup();
+console.log('✅ Passed\n');
+
+// Test 9: Below the minimum balance, buys stop but sells go through
+console.log('Test 9: Below the minimum balance, buys stop but sells go through');
+({ bot, trader, errors } = createBot({ minWalletBalance: 2 }));
+bot.registerStrategy('sniper', TradingStrategies.tokenSniper([], { fixedAmount: 0.04 }));
+await bot._processAlert(swapBuy('whale'));
+assert.equal(trader.quotes.length, 0, 'No buy with 1 SOL left');
+await bot._executeTrade('exit', {
+  action: async () => ({ action: 'sell_token', tokenMint: BONK, tokenAmount: 500, amount: 0.02 })
+}, { type: 'TEST', wallet: { name: 'bot' } });
+assert.equal(trader.swaps.length, 1, 'Sold');
+assert.equal(bot.getTradeHistory().at(-1).outputAmount, 0.02);
+assert.deepEqual(errors, []);
+console.log('✅ Passed\n');
+
+// Test 10: Large transfers and sells are not followed or counted as failures
+console.log('Test 10: Large transfers and sells are not followed or counted as failures');
+const riskManager = new RiskManager({ maxConsecutiveFailures: 1 });
+const recorded = [];
+const record = riskManager.record.bind(riskManager);
+riskManager.record = (strategy, fill) => recorded.push(fill) && record(strategy, fill);
+({ bot, trader, errors } = createBot({ riskManager }));
+let balanceChecks = 0;
+bot.walletManager.getBalance = async () => ++balanceChecks && 1;
+bot.registerStrategy('follow', TradingStrategies.whaleFollower(1, { fixedAmount: 0.05 }));
+const bonkSell = { side: 'SELL', inputMint: BONK, outputMint: SOL_MINT, outputAmount: 40 };
+await bot._processAlert({ type: AlertType.LARGE_TRANSACTION, wallet: bought.wallet, transaction: { amount: 50, trades: [] } });
+await bot._processAlert({ type: AlertType.LARGE_TRANSACTION, wallet: bought.wallet, transaction: { amount: 40, trades: [bonkSell] } });
+assert.equal(bot.getTradeHistory().length, 0);
+assert.deepEqual(recorded, [], 'No risk record');
+assert.equal(riskManager.isTripped(), false);
+assert.equal(balanceChecks, 0, 'No balance lookup');
+assert.deepEqual(errors, []);
+
+await bot._processAlert(large);
+assert.deepEqual(bot.getTradeHistory().map(t => t.params.tokenMint), [BONK], 'A large buy is still followed');
+console.log('✅ Passed\n');
+
+fs.rmSync(TMP_DIR, { recursive: true, force: true });
+
+console.log('✅ All Trading Bot tests passed!');
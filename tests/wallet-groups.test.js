@@ -0,0 +1,149 @@
+import { normalizeWallet, resolveWallets, matchesWallet, isGroupRef, getGroups } from '../src/wallet-groups.js';
+import { WalletTracker } from '../src/tracker.js';
+import { WalletMonitor, AlertType } from '../src/alerts.js';
+import { TradingStrategies } from '../src/trading-bot.js';
+import { TokenAnalyzer } from '../src/token-analyzer.js';
+import { SOL_MINT } from '../src/swap-decoder.js';
+import { strict as assert } from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Tests for wallet tags/groups and per-wallet alert settings (no network)
+ */
+
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'laxmi-wallet-groups-'));
+const WALLETS_FILE = path.join(TMP_DIR, 'wallets.json');
+
+const config = [
+  { name: 'whale', emoji: '🐳', trackedWalletAddress: 'HYWo71Wk9PNDe5sBaRKazPnVyGnQDiwgXCFKvgAQ1ENp', tags: ['Funds', '#kols'], groups: ['Main'], notes: 'Big fund' },
+  { name: 'sniper1', emoji: '🎯', trackedWalletAddress: 'G5nxEXuFMfV74DSnsrSatqCW32F34XUnBeq3PfDS7w5E', tags: ['snipers'], alerts: { BALANCE_CHANGE: false } },
+  { name: 'sniper2', emoji: '🎯', trackedWalletAddress: 'F2SuErm4MviWJ2HzKXk2nuzBC6xe883CFWUDCPz6cyWm', tags: ['snipers', 'kols'], alertsOnFeed: false, alerts: { SWAP_BUY: true } },
+  { name: 'kols', emoji: '👻', trackedWalletAddress: 'F5jWYuiDLTiaLYa54D88YbpXgEsA6NKHzWy4SN4bMYjt', minAlertAmount: 1, largeTransactionThreshold: 2 }
+];
+
+function cleanup() {
+  if (fs.existsSync(WALLETS_FILE)) {
+    fs.unlinkSync(WALLETS_FILE);
+  }
+}
+
+console.log('🧪 Running Wallet Groups Tests...\n');
+
+// Test 1: loadWallets validates entries and normalizes tags
+console.log('Test 1: loadWallets validates entries and normalizes tags');
+cleanup();
+fs.writeFileSync(WALLETS_FILE, JSON.stringify(config));
+const tracker = new WalletTracker();
+const wallets = tracker.loadWallets(WALLETS_FILE);
+assert.deepEqual(wallets[0].tags, ['funds', 'kols', 'main'], 'groups are merged into tags');
+assert.equal(wallets[0].notes, 'Big fund');
+assert.deepEqual(tracker.getGroups(), { funds: ['whale'], kols: ['whale', 'sniper2'], main: ['whale'], snipers: ['sniper1', 'sniper2'] });
+
+assert.throws(() => normalizeWallet({ name: 'x', trackedWalletAddress: 'abc', tags: 'snipers' }), /Wallet x has an invalid tags/);
+assert.throws(() => normalizeWallet({ name: 'y', trackedWalletAddress: 'abc', alerts: { SWAP_BUY: 'yes' } }), /Wallet y has an invalid alerts/);
+assert.throws(() => normalizeWallet({ emoji: '👻' }, 3), /Wallet #4 needs a name/);
+cleanup();
+console.log('✅ Passed\n');
+
+// Test 2: References resolve names, addresses, tags and 'all'
+console.log('Test 2: References resolve names, addresses, tags and \'all\'');
+const names = refs => resolveWallets(wallets, refs).map(w => w.name);
+assert.deepEqual(names('Whale'), ['whale']);
+assert.deepEqual(names('G5nxEXuFMfV74DSnsrSatqCW32F34XUnBeq3PfDS7w5E'), ['sniper1']);
+assert.deepEqual(names('snipers'), ['sniper1', 'sniper2']);
+assert.deepEqual(names('kols'), ['kols'], 'A wallet name wins over a tag');
+assert.deepEqual(names('#kols'), ['whale', 'sniper2'], '# only matches tags');
+assert.deepEqual(names(['#snipers', 'whale', 'sniper1']), ['whale', 'sniper1', 'sniper2'], 'Deduplicated, in config order');
+assert.deepEqual(names('all').length, 4);
+assert.deepEqual(names('nobody'), []);
+
+assert.equal(matchesWallet(wallets, '#funds', 'whale'), true);
+assert.equal(matchesWallet(wallets, ['snipers'], 'whale'), false);
+assert.equal(isGroupRef(wallets, 'snipers'), true);
+assert.equal(isGroupRef(wallets, 'kols'), false);
+assert.equal(isGroupRef(wallets, '#kols'), true);
+assert.deepEqual(getGroups([]), {});
+console.log('✅ Passed\n');
+
+// Test 3: Per-wallet alert overrides and minimum amounts
+console.log('Test 3: Per-wallet alert overrides and minimum amounts');
+const monitor = new WalletMonitor(tracker);
+const [whale, sniper1, sniper2, kols] = wallets;
+const alertOf = (type, extra = {}) => ({ type, wallet: { name: 'x' }, ...extra });
+
+assert.equal(monitor._shouldAlert(whale, alertOf(AlertType.BALANCE_CHANGE, { balance: { change: 1 } })), true);
+assert.equal(monitor._shouldAlert(sniper1, alertOf(AlertType.BALANCE_CHANGE, { balance: { change: 1 } })), false, 'Disabled for this type');
+assert.equal(monitor._shouldAlert(sniper1, alertOf(AlertType.TRANSACTION_SENT, { transaction: { amount: 1 } })), true);
+assert.equal(monitor._shouldAlert(sniper2, alertOf(AlertType.TRANSACTION_SENT, { transaction: { amount: 1 } })), false, 'alertsOnFeed off');
+assert.equal(monitor._shouldAlert(sniper2, alertOf(AlertType.SWAP_BUY, { transaction: {} })), true, 'Override re-enables swaps');
+assert.equal(monitor._shouldAlert(kols, alertOf(AlertType.TRANSACTION_SENT, { transaction: { amount: 0.5 } })), false, 'Below minAlertAmount');
+assert.equal(monitor._shouldAlert(kols, alertOf(AlertType.TRANSACTION_SENT, { transaction: { amount: 1.5 } })), true);
+console.log('✅ Passed\n');
+
+// Test 4: Per-wallet large transaction threshold
+console.log('Test 4: Per-wallet large transaction threshold');
+const detailsTracker = {
+  wallets,
+  async getTransactionDetails(signature, owner) {
+    return { signature, success: true, fee: 0.000005, balanceChanges: { [owner]: -3 }, tokenTransfers: [], trades: [] };
+  }
+};
+const thresholdMonitor = new WalletMonitor(detailsTracker, { largeTransactionThreshold: 10 });
+const types = [];
+thresholdMonitor.on('alert', alert => types.push(`${alert.wallet.name}:${alert.type}`));
+await thresholdMonitor._processTransaction(kols, { signature: 'SIG1', slot: 1 });
+await thresholdMonitor._processTransaction(whale, { signature: 'SIG2', slot: 2 });
+assert.deepEqual(types, [
+  `kols:${AlertType.LARGE_TRANSACTION}`,
+  `kols:${AlertType.TRANSACTION_SENT}`,
+  `whale:${AlertType.TRANSACTION_SENT}`
+], 'Only kols lowers the threshold to 2 SOL');
+console.log('✅ Passed\n');
+
+// Test 5: Webhooks and strategies accept groups
+console.log('Test 5: Webhooks and strategies accept groups');
+const posted = [];
+const originalFetch = globalThis.fetch;
+globalThis.fetch = async (url, request) => posted.push({ url, body: JSON.parse(request.body) });
+try {
+  monitor.registerWebhook({ url: 'https://hooks.example/snipers', wallets: ['#snipers'] });
+  await monitor._sendWebhooks(alertOf(AlertType.SWAP_BUY, { wallet: { name: 'sniper2' } }));
+  await monitor._sendWebhooks(alertOf(AlertType.SWAP_BUY, { wallet: { name: 'whale' } }));
+} finally {
+  globalThis.fetch = originalFetch;
+}
+assert.deepEqual(posted.map(p => p.body.wallet.name), ['sniper2']);
+
+const bot = { tracker };
+const copy = TradingStrategies.copyTrading('#kols');
+const bought = name => ({ type: AlertType.SWAP_BUY, wallet: { name }, trade: { side: 'BUY', inputMint: SOL_MINT, inputAmount: 1 } });
+assert.equal(await copy.condition(bought('sniper2'), bot), true);
+assert.equal(await copy.condition(bought('sniper1'), bot), false);
+assert.equal(await TradingStrategies.copyTrading('sniper1').condition(bought('sniper1'), bot), true, 'Plain names still work');
+
+const sniper = TradingStrategies.tokenSniper(['snipers']);
+assert.equal(await sniper.condition({ type: AlertType.SWAP_BUY, wallet: { name: 'sniper1' } }, bot), true);
+assert.equal(await sniper.condition({ type: AlertType.SWAP_BUY, wallet: { name: 'whale' } }, bot), false);
+console.log('✅ Passed\n');
+
+// Test 6: findOtherWhalesHolding can be limited to a group
+console.log('Test 6: findOtherWhalesHolding can be limited to a group');
+const analyzer = new TokenAnalyzer('http://localhost:8899', wallets);
+const checked = [];
+analyzer.connection = {
+  async getParsedTokenAccountsByOwner(owner) {
+    checked.push(owner.toBase58());
+    return { value: [{ account: { data: { parsed: { info: { tokenAmount: { uiAmount: 5 } } } } } }] };
+  }
+};
+const holders = await analyzer.findOtherWhalesHolding('DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263', sniper1.trackedWalletAddress, '#snipers');
+assert.deepEqual(holders.map(h => h.name), ['sniper2'], 'Only snipers, excluding the buyer');
+assert.deepEqual(holders[0].tags, ['snipers', 'kols']);
+assert.equal(checked.length, 1);
+console.log('✅ Passed\n');
+
+fs.rmSync(TMP_DIR, { recursive: true, force: true });
+
+console.log('✅ All Wallet Groups tests passed!');
@@ -0,0 +1,158 @@
+import { WalletTracker } from '../src/tracker.js';
+import { WalletMonitor } from '../src/alerts.js';
+import { strict as assert } from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Tests for adding, removing, renaming and tagging wallets at runtime (no network)
+ */
+
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'laxmi-wallet-management-'));
+const WALLETS_FILE = path.join(TMP_DIR, 'managed-wallets.json');
+const WHALE = 'HYWo71Wk9PNDe5sBaRKazPnVyGnQDiwgXCFKvgAQ1ENp';
+const NEW_WALLET = 'G5nxEXuFMfV74DSnsrSatqCW32F34XUnBeq3PfDS7w5E';
+
+function cleanup() {
+  for (const file of [WALLETS_FILE, `${WALLETS_FILE}.tmp`]) {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+  }
+}
+
+function savedWallets() {
+  return JSON.parse(fs.readFileSync(WALLETS_FILE, 'utf8'));
+}
+
+console.log('🧪 Running Wallet Management Tests...\n');
+
+// Test 1: addWallet validates and persists
+console.log('Test 1: addWallet validates and persists');
+cleanup();
+fs.writeFileSync(WALLETS_FILE, `[\n  { "name": "whale", "emoji": "🐳", "trackedWalletAddress": "${WHALE}", "groups": ["Main"] }\n]\n`);
+const tracker = new WalletTracker();
+tracker.loadWallets(WALLETS_FILE);
+const walletsRef = tracker.wallets;
+
+const added = tracker.addWallet({ address: NEW_WALLET, name: 'sniper', emoji: '🎯' });
+assert.equal(added.name, 'sniper');
+assert.equal(tracker.wallets, walletsRef, 'Array is changed in place');
+assert.deepEqual(savedWallets().map(w => w.name), ['whale', 'sniper']);
+assert.equal(fs.readFileSync(WALLETS_FILE, 'utf8').split('\n')[2], `  { "name": "sniper", "emoji": "🎯", "trackedWalletAddress": "${NEW_WALLET}" }`, 'One wallet per line');
+assert.equal(fs.existsSync(`${WALLETS_FILE}.tmp`), false, 'Temp file is renamed into place');
+
+assert.throws(() => tracker.addWallet({ address: 'not-an-address', name: 'bad' }), /Invalid Solana address/);
+assert.throws(() => tracker.addWallet({ address: WHALE, name: 'whale2' }), /already tracked as "whale"/);
+assert.throws(() => tracker.addWallet({ address: 'F2SuErm4MviWJ2HzKXk2nuzBC6xe883CFWUDCPz6cyWm', name: 'Whale' }), /already exists/);
+assert.throws(() => tracker.addWallet({ address: 'F2SuErm4MviWJ2HzKXk2nuzBC6xe883CFWUDCPz6cyWm', name: '#funds' }), /Invalid wallet name/);
+assert.equal(tracker.wallets.length, 2, 'Rejected wallets are not added');
+console.log('✅ Passed\n');
+
+// Test 2: rename, tag and remove persist
+console.log('Test 2: rename, tag and remove persist');
+const { wallet: renamed, oldName } = tracker.renameWallet('sniper', 'sniper1');
+assert.equal(oldName, 'sniper');
+assert.equal(renamed, added, 'Renamed in place');
+assert.throws(() => tracker.renameWallet('sniper1', 'whale'), /already exists/);
+
+tracker.tagWallet('sniper1', { add: ['#Snipers', 'kols'] });
+assert.deepEqual(tracker.getWalletByName('sniper1').tags, ['snipers', 'kols']);
+tracker.tagWallet('whale', { remove: ['main'] });
+assert.equal(tracker.getWalletByName('whale').tags, undefined, 'Last tag removed');
+assert.deepEqual(savedWallets()[0].groups, [], 'Removed from groups too, so it stays gone after reload');
+assert.deepEqual(savedWallets()[1], { name: 'sniper1', emoji: '🎯', trackedWalletAddress: NEW_WALLET, tags: ['snipers', 'kols'] });
+
+const removed = tracker.removeWallet('sniper1');
+assert.equal(removed, added);
+assert.deepEqual(savedWallets().map(w => w.name), ['whale']);
+assert.throws(() => tracker.removeWallet('sniper1'), /not found/);
+tracker.wallets.push(removed); // restore for the monitor tests
+console.log('✅ Passed\n');
+
+// Test 3: A failed save leaves wallets unchanged
+console.log('Test 3: A failed save leaves wallets unchanged');
+const brokenTracker = new WalletTracker();
+brokenTracker.loadWallets(WALLETS_FILE);
+brokenTracker.walletsPath = './missing-dir/wallets.json';
+assert.throws(() => brokenTracker.renameWallet('whale', 'orca'), /Failed to save wallets/);
+assert.equal(brokenTracker.wallets[0].name, 'whale');
+assert.throws(() => brokenTracker.addWallet({ address: NEW_WALLET, name: 'x' }), /Failed to save wallets/);
+assert.equal(brokenTracker.wallets.length, 1);
+console.log('✅ Passed\n');
+
+// Test 4: Monitor seeds a hot-added wallet so old history doesn't alert
+console.log('Test 4: Monitor seeds a hot-added wallet so old history doesn\'t alert');
+const history = {
+  [WHALE]: [{ signature: 'W1', slot: 1 }],
+  [NEW_WALLET]: [{ signature: 'N3', slot: 3 }, { signature: 'N2', slot: 2 }, { signature: 'N1', slot: 1 }]
+};
+const subscribed = [];
+const stub = {
+  wallets: [tracker.wallets[0]],
+  connection: {
+    onLogs: (key) => { subscribed.push(key.toBase58()); return subscribed.length; },
+    onAccountChange: () => 0,
+    removeOnLogsListener: async () => {},
+    removeAccountChangeListener: async () => {}
+  },
+  async getRecentTransactions(address, limit = 10, options = {}) {
+    const list = history[address] || [];
+    const end = options.until ? list.findIndex(tx => tx.signature === options.until) : list.length;
+    return list.slice(0, end === -1 ? list.length : end).slice(0, limit);
+  },
+  async getBalance() {
+    return 1;
+  },
+  async getTransactionDetails(signature) {
+    return { signature, success: true, fee: 0.000005, balanceChanges: {}, tokenTransfers: [], trades: [] };
+  }
+};
+
+const monitor = new WalletMonitor(stub, { mode: 'subscribe' });
+const alerts = [];
+monitor.on('alert', alert => alerts.push(alert));
+// Running in subscribe mode, without the resync timer
+monitor.isMonitoring = true;
+monitor.activeMode = 'subscribe';
+await monitor._seedWallet(stub.wallets[0]);
+monitor._subscribeAll();
+assert.deepEqual(subscribed, [WHALE]);
+
+stub.wallets.push(added);
+await monitor.addWallet(added);
+assert.equal(monitor.lastChecked.get('sniper1'), 'N3', 'Cursor seeded at the latest transaction');
+assert.equal(monitor.lastBalances.get('sniper1'), 1);
+assert.deepEqual(subscribed, [WHALE, NEW_WALLET], 'Subscribed without restarting');
+await monitor._checkAllWallets();
+assert.equal(alerts.length, 0, 'No alerts for existing history');
+
+history[NEW_WALLET].unshift({ signature: 'N4', slot: 4 });
+await monitor._checkWallet(added);
+assert.equal(alerts.length, 1, 'Only the new transaction alerts');
+assert.equal(alerts[0].transaction.signature, 'N4');
+assert.equal(monitor.lastChecked.get('sniper1'), 'N4');
+console.log('✅ Passed\n');
+
+// Test 5: Monitor follows renames and removals
+console.log('Test 5: Monitor follows renames and removals');
+added.name = 'sniper2';
+monitor.renameWallet('sniper1', 'sniper2');
+assert.equal(monitor.lastChecked.get('sniper2'), 'N4');
+assert.equal(monitor.lastChecked.has('sniper1'), false);
+assert.ok(monitor.subscriptions.has('sniper2'));
+
+stub.wallets.splice(stub.wallets.indexOf(added), 1);
+monitor.removeWallet(added);
+assert.equal(monitor.subscriptions.has('sniper2'), false);
+assert.equal(monitor.lastChecked.has('sniper2'), false);
+monitor._emitAlert(added, { type: 'NEW_TRANSACTION', wallet: { name: 'sniper2' } });
+assert.equal(alerts.length, 1, 'In-flight alerts for removed wallets are dropped');
+monitor.stop();
+cleanup();
+console.log('✅ Passed\n');
+
+fs.rmSync(TMP_DIR, { recursive: true, force: true });
+
+console.log('✅ All Wallet Management tests passed!');
@@ -0,0 +1,234 @@
+import { WalletMonitor, AlertType } from '../src/alerts.js';
+import { strict as assert } from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { EventEmitter } from 'events';
+
+/**
+ * Tests for WalletMonitor using a stubbed tracker (no network)
+ */
+
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'laxmi-wallet-monitor-'));
+const STATE_FILE = path.join(TMP_DIR, 'monitor-state.json');
+const WALLET = { name: 'whale', emoji: '🐳', trackedWalletAddress: 'HYWo71Wk9PNDe5sBaRKazPnVyGnQDiwgXCFKvgAQ1ENp' };
+
+function cleanup() {
+  if (fs.existsSync(STATE_FILE)) {
+    fs.unlinkSync(STATE_FILE);
+  }
+}
+
+/**
+ * Minimal tracker stand-in. `signatures` is newest-first, like the RPC.
+ */
+function createTracker(signatures, balance = 1) {
+  return {
+    wallets: [WALLET],
+    signatures,
+    balance,
+    calls: 0,
+    async getRecentTransactions(address, limit = 10, options = {}) {
+      this.calls++;
+      let start = 0;
+      if (options.before) {
+        start = this.signatures.findIndex(s => s.signature === options.before) + 1;
+      }
+      let end = this.signatures.length;
+      if (options.until) {
+        const untilIndex = this.signatures.findIndex(s => s.signature === options.until);
+        if (untilIndex !== -1) end = untilIndex;
+      }
+      return this.signatures.slice(start, Math.min(end, start + limit));
+    },
+    async getBalance() {
+      return this.balance;
+    },
+    async getTransactionDetails(signature) {
+      return { signature, success: true, fee: 0.000005, balanceChanges: {}, tokenTransfers: [] };
+    }
+  };
+}
+
+function sig(n) {
+  return { signature: `SIG${n}`, slot: n, blockTime: 1700000000 + n };
+}
+
+console.log('🧪 Running Wallet Monitor Tests...\n');
+
+// Test 1: Fresh start seeds the cursor without alerting
+console.log('Test 1: Fresh start seeds the cursor without alerting');
+cleanup();
+let tracker = createTracker([sig(3), sig(2), sig(1)]);
+let monitor = new WalletMonitor(tracker, { stateFile: STATE_FILE });
+let alerts = [];
+monitor.on('alert', alert => alerts.push(alert));
+monitor._startPolling = () => {}; // Don't start the loop
+await monitor.start();
+monitor.stop();
+assert.equal(alerts.length, 0, 'Should not alert on startup');
+assert.equal(monitor.lastChecked.get('whale'), 'SIG3', 'Should seed with newest signature');
+const saved = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+assert.equal(saved.wallets[WALLET.trackedWalletAddress].signature, 'SIG3', 'Cursor should be persisted');
+assert.equal(saved.wallets[WALLET.trackedWalletAddress].balance, 1, 'Balance should be persisted');
+console.log('✅ Passed\n');
+
+// Test 2: Restart catches up from the saved cursor
+console.log('Test 2: Restart catches up from the saved cursor');
+tracker = createTracker([sig(5), sig(4), sig(3), sig(2), sig(1)], 2);
+monitor = new WalletMonitor(tracker, { stateFile: STATE_FILE });
+alerts = [];
+monitor.on('alert', alert => alerts.push(alert));
+monitor._startPolling = () => {};
+await monitor.start();
+monitor.stop();
+const txAlerts = alerts.filter(a => a.type === AlertType.NEW_TRANSACTION);
+assert.deepEqual(txAlerts.map(a => a.transaction.signature), ['SIG4', 'SIG5'], 'Should replay missed txs oldest first');
+assert.equal(alerts.every(a => a.backfilled === true), true, 'Replayed alerts should be tagged backfilled');
+const balanceAlert = alerts.find(a => a.type === AlertType.BALANCE_CHANGE);
+assert.ok(balanceAlert, 'Should report the balance change missed while offline');
+assert.equal(balanceAlert.balance.old, 1, 'Old balance should come from saved state');
+assert.equal(JSON.parse(fs.readFileSync(STATE_FILE, 'utf8')).wallets[WALLET.trackedWalletAddress].signature, 'SIG5', 'Cursor should advance');
+console.log('✅ Passed\n');
+
+// Test 3: Backfill is capped by maxBackfill
+console.log('Test 3: Backfill is capped by maxBackfill');
+const many = [];
+for (let i = 20; i >= 6; i--) many.push(sig(i));
+tracker = createTracker([...many, sig(5)], 2);
+monitor = new WalletMonitor(tracker, { stateFile: STATE_FILE, maxBackfill: 3 });
+alerts = [];
+monitor.on('alert', alert => alerts.push(alert));
+monitor._startPolling = () => {};
+await monitor.start();
+monitor.stop();
+assert.deepEqual(
+  alerts.filter(a => a.type === AlertType.NEW_TRANSACTION).map(a => a.transaction.signature),
+  ['SIG18', 'SIG19', 'SIG20'],
+  'Should only replay the latest maxBackfill transactions'
+);
+console.log('✅ Passed\n');
+
+// Test 4: Live alerts are not tagged as backfilled
+console.log('Test 4: Live alerts are not tagged as backfilled');
+tracker.signatures = [sig(21), ...tracker.signatures];
+alerts = [];
+monitor.isMonitoring = true;
+await monitor._checkWallet(WALLET);
+monitor.stop();
+assert.equal(alerts.length, 1, 'Should alert on the new transaction');
+assert.equal(alerts[0].backfilled, undefined, 'Live alert should not be tagged');
+console.log('✅ Passed\n');
+
+// Test 5: Bursts larger than one page are fully covered
+console.log('Test 5: Bursts larger than one page are fully covered');
+const burst = [];
+for (let i = 33; i >= 22; i--) burst.push(sig(i));
+tracker.signatures = [...burst, ...tracker.signatures];
+tracker.calls = 0;
+monitor = new WalletMonitor(tracker, { pageSize: 5 });
+monitor.lastChecked.set('whale', 'SIG21');
+monitor.isMonitoring = true;
+alerts = [];
+let gaps = [];
+monitor.on('alert', alert => alerts.push(alert));
+monitor.on('gap', gap => gaps.push(gap));
+await monitor._checkWallet(WALLET, { checkBalance: false });
+assert.equal(alerts.length, 12, 'Should alert on all 12 transactions in the burst');
+assert.equal(alerts[0].transaction.signature, 'SIG22', 'Should process oldest first');
+assert.equal(alerts[11].transaction.signature, 'SIG33', 'Should end with newest');
+assert.equal(tracker.calls, 3, 'Should page 3 times (5 + 5 + 2)');
+assert.equal(gaps.length, 0, 'Should not report a gap');
+assert.equal(monitor.lastChecked.get('whale'), 'SIG33', 'Cursor should move to newest');
+console.log('✅ Passed\n');
+
+// Test 6: Hitting the page cap reports a gap
+console.log('Test 6: Hitting the page cap reports a gap');
+const flood = [];
+for (let i = 60; i >= 34; i--) flood.push(sig(i));
+tracker.signatures = [...flood, ...tracker.signatures];
+monitor.options.maxSignaturePages = 2;
+alerts = [];
+await monitor._checkWallet(WALLET, { checkBalance: false });
+monitor.stop();
+assert.equal(alerts.length, 10, 'Should process up to the cap (2 pages of 5)');
+assert.equal(gaps.length, 1, 'Should emit a gap event');
+assert.equal(gaps[0].lastSignature, 'SIG33', 'Gap should reference the old cursor');
+assert.equal(gaps[0].oldestFetched, 'SIG51', 'Gap should reference the oldest fetched signature');
+assert.equal(monitor.lastChecked.get('whale'), 'SIG60', 'Cursor should still move to newest');
+console.log('✅ Passed\n');
+
+// Test 7: Decoded swaps raise SWAP_BUY/SWAP_SELL alerts
+console.log('Test 7: Decoded swaps raise SWAP_BUY/SWAP_SELL alerts');
+const trade = { side: 'BUY', inputMint: 'So11111111111111111111111111111111111111112', inputAmount: 1, outputMint: 'MINT', outputAmount: 100, venue: 'pump.fun', priceInSol: 0.01 };
+let detailsOwner = null;
+tracker.getTransactionDetails = async (signature, owner) => {
+  detailsOwner = owner;
+  return { signature, success: true, fee: 0.000005, balanceChanges: {}, tokenTransfers: [], trades: [trade] };
+};
+tracker.signatures = [sig(61), ...tracker.signatures];
+alerts = [];
+monitor.isMonitoring = true;
+await monitor._checkWallet(WALLET, { checkBalance: false });
+monitor.stop();
+assert.equal(detailsOwner, WALLET.trackedWalletAddress, 'Should decode trades for the tracked wallet');
+const swapAlerts = alerts.filter(a => a.type === AlertType.SWAP_BUY);
+assert.equal(swapAlerts.length, 1, 'Should raise one SWAP_BUY alert');
+assert.deepEqual(swapAlerts[0].trade, trade, 'Alert should carry the trade');
+assert.deepEqual(swapAlerts[0].transaction.trades, [trade], 'Transaction should list its trades');
+console.log('✅ Passed\n');
+
+// Test 8: A dropped websocket catches up on reconnect, or switches to polling
+console.log('Test 8: A dropped websocket catches up on reconnect, or switches to polling');
+cleanup();
+tracker = createTracker([sig(1)]);
+const socket = new EventEmitter();
+const removed = [];
+tracker.connection = {
+  _rpcWebSocket: socket,
+  onLogs: () => 1,
+  onAccountChange: () => 2,
+  removeOnLogsListener: async id => removed.push(id),
+  removeAccountChangeListener: async id => removed.push(id)
+};
+monitor = new WalletMonitor(tracker, { mode: 'subscribe', socketTimeout: 20, pollInterval: 10, resyncInterval: 50 });
+const statuses = [];
+const fallbacks = [];
+monitor.on('status', status => statuses.push(status));
+monitor.on('fallback', fallback => fallbacks.push(fallback));
+await monitor.start();
+assert.equal(monitor.activeMode, 'subscribe');
+
+socket.emit('close', 1000);
+assert.equal(statuses.length, 0, 'A normal close is not a drop');
+socket.emit('error', new Error('ECONNRESET'));
+socket.emit('close', 1006);
+tracker.signatures = [sig(2), sig(1)]; // Sent while the socket was down
+const fetchesBefore = tracker.calls;
+socket.emit('open');
+await new Promise(resolve => setTimeout(resolve, 5));
+assert.ok(tracker.calls > fetchesBefore, 'Caught up right after reconnecting');
+assert.equal(monitor.lastChecked.get('whale'), 'SIG2', 'Missed transaction picked up before the resync');
+await new Promise(resolve => setTimeout(resolve, 35));
+assert.deepEqual(statuses.map(s => s.connected), [false, true], 'Back within the timeout');
+assert.equal(monitor.activeMode, 'subscribe');
+
+socket.emit('close', 1006);
+await new Promise(resolve => setTimeout(resolve, 40));
+assert.equal(monitor.activeMode, 'poll', 'Fell back to polling');
+assert.deepEqual(statuses.at(-1), { mode: 'poll', connected: false, reason: 'Websocket down for 0.02s' });
+assert.equal(fallbacks.length, 1);
+assert.deepEqual(removed, [1, 2], 'Unsubscribed');
+assert.equal(socket.listenerCount('close'), 0, 'Stopped watching the socket');
+const polls = tracker.calls;
+await new Promise(resolve => setTimeout(resolve, 30));
+assert.ok(tracker.calls > polls, 'Polling');
+monitor.stop();
+await new Promise(resolve => setTimeout(resolve, 20));
+console.log('✅ Passed\n');
+
+cleanup();
+
+fs.rmSync(TMP_DIR, { recursive: true, force: true });
+
+console.log('✅ All Wallet Monitor tests passed!');